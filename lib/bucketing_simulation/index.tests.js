@@ -0,0 +1,240 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import sinon from 'sinon';
+import { assert } from 'chai';
+import { sprintf } from '../utils/fns';
+
+import { simulateBucketing } from './';
+import Optimizely from '../optimizely';
+import noOpEventDispatcher from '../plugins/event_dispatcher/no_op';
+import { ERROR_MESSAGES } from '../utils/enums';
+import testData from '../tests/test_data';
+
+var generateUser = function(index) {
+  return { userId: 'user' + index };
+};
+
+describe('lib/bucketing_simulation', function() {
+  describe('simulateBucketing', function() {
+    beforeEach(function() {
+      sinon.spy(noOpEventDispatcher, 'dispatchEvent');
+    });
+
+    afterEach(function() {
+      noOpEventDispatcher.dispatchEvent.restore();
+    });
+
+    it('should report the outcomes and the rules evaluated for a sample of users', function() {
+      var result = simulateBucketing({
+        datafile: JSON.stringify(testData.getTestDecideProjectConfig()),
+        flagKey: 'feature_1',
+        users: [
+          { userId: 'user1', attributes: { gender: 'f' } },
+          { userId: 'user2', attributes: { country: 'US' } },
+          { userId: 'user3', attributes: { gender: 'f', country: 'US' } },
+          { userId: 'user4' },
+        ],
+      });
+
+      assert.strictEqual(result.flagKey, 'feature_1');
+      assert.strictEqual(result.sampleSize, 4);
+      assert.deepEqual(result.outcomes, [
+        {
+          decisionSource: 'feature-test',
+          ruleKey: 'exp_with_audience',
+          variationKey: 'a',
+          enabled: true,
+          count: 2,
+          share: 0.5,
+        },
+        {
+          decisionSource: 'rollout',
+          ruleKey: '3332020515',
+          variationKey: '3324490633',
+          enabled: true,
+          count: 1,
+          share: 0.25,
+        },
+        {
+          decisionSource: 'rollout',
+          ruleKey: '18322080788',
+          variationKey: '18257766532',
+          enabled: true,
+          count: 1,
+          share: 0.25,
+        },
+      ]);
+
+      assert.deepEqual(
+        result.rules.map(function(rule) {
+          return [rule.ruleKey, rule.evaluatedCount, rule.audienceMatchedCount, rule.bucketedCount];
+        }),
+        [
+          ['exp_with_audience', 4, 2, 2],
+          ['3332020515', 2, 1, 1],
+          ['3332020494', 1, 0, 0],
+          ['18322080788', 1, 1, 1],
+        ]
+      );
+      assert.deepEqual(result.rules[0], {
+        ruleId: '10390977673',
+        ruleKey: 'exp_with_audience',
+        decisionSource: 'feature-test',
+        evaluatedCount: 4,
+        audienceMatchedCount: 2,
+        bucketedCount: 2,
+        expectedGroupShare: 1,
+        actualGroupShare: 1,
+        variations: [
+          { variationId: '10389729780', variationKey: 'a', expectedShare: 1, actualShare: 1, count: 2 },
+          { variationId: '10416523121', variationKey: 'b', expectedShare: 0, actualShare: 0, count: 0 },
+        ],
+      });
+      sinon.assert.notCalled(noOpEventDispatcher.dispatchEvent);
+    });
+
+    it('should compare the allocation of a traffic split with the expected one', function() {
+      var datafile = testData.getTestDecideProjectConfig();
+      datafile.experiments[0].audienceIds = [];
+      datafile.experiments[0].trafficAllocation = [
+        { entityId: '10389729780', endOfRange: 2000 },
+        { entityId: '10416523121', endOfRange: 6000 },
+      ];
+
+      var result = simulateBucketing({
+        datafile: datafile,
+        flagKey: 'feature_1',
+        userGenerator: generateUser,
+        sampleSize: 2000,
+      });
+
+      var variations = result.rules[0].variations;
+      assert.strictEqual(result.rules[0].bucketedCount, 2000);
+      assert.strictEqual(variations[0].expectedShare, 0.2);
+      assert.strictEqual(variations[1].expectedShare, 0.4);
+      assert.closeTo(variations[0].actualShare, 0.2, 0.03);
+      assert.closeTo(variations[1].actualShare, 0.4, 0.03);
+
+      var getShare = function(decisionSource) {
+        return result.outcomes
+          .filter(function(outcome) {
+            return outcome.decisionSource === decisionSource;
+          })
+          .reduce(function(share, outcome) {
+            return share + outcome.share;
+          }, 0);
+      };
+      assert.strictEqual(getShare('feature-test'), (variations[0].count + variations[1].count) / 2000);
+      // users outside the traffic allocation of the experiment fall through to the rollout
+      assert.closeTo(getShare('rollout'), 0.4, 0.03);
+    });
+
+    it('should compare the allocation of a mutually exclusive group with the expected one', function() {
+      var result = simulateBucketing({
+        datafile: testData.getMutexFeatureTestsConfig(),
+        flagKey: 'f',
+        userGenerator: generateUser,
+        sampleSize: 2000,
+      });
+
+      assert.deepEqual(
+        result.rules.map(function(rule) {
+          return [rule.ruleKey, rule.expectedGroupShare];
+        }),
+        [
+          ['f_test1', 0.01],
+          ['f_test2', 0.99],
+        ]
+      );
+      // users the group assigns to f_test2 are evaluated for f_test1 first
+      assert.strictEqual(result.rules[0].bucketedCount, 2000);
+      assert.strictEqual(result.rules[1].bucketedCount, 2000 - result.rules[0].actualGroupShare * 2000);
+      assert.closeTo(result.rules[0].actualGroupShare, 0.01, 0.01);
+      assert.closeTo(result.rules[1].actualGroupShare, 0.99, 0.01);
+      assert.strictEqual(result.rules[1].variations[0].expectedShare, 0.495);
+      assert.closeTo(result.rules[1].variations[0].actualShare, 0.495, 0.03);
+      assert.closeTo(result.rules[1].variations[1].actualShare, 0.495, 0.03);
+    });
+
+    it('should close the instance deciding for the users', function() {
+      var closeSpy = sinon.spy(Optimizely.prototype, 'close');
+      try {
+        simulateBucketing({
+          datafile: JSON.stringify(testData.getTestDecideProjectConfig()),
+          flagKey: 'feature_1',
+          sampleSize: 10,
+          userGenerator: generateUser,
+        });
+        sinon.assert.calledOnce(closeSpy);
+
+        assert.throws(function() {
+          simulateBucketing({
+            datafile: JSON.stringify(testData.getTestDecideProjectConfig()),
+            flagKey: 'feature_1',
+            sampleSize: 10,
+            userGenerator: function() {
+              throw new Error('user generator failed');
+            },
+          });
+        }, 'user generator failed');
+        sinon.assert.calledTwice(closeSpy);
+      } finally {
+        closeSpy.restore();
+      }
+    });
+
+    it('should cap the sample size at the number of users', function() {
+      var result = simulateBucketing({
+        datafile: testData.getTestDecideProjectConfig(),
+        flagKey: 'feature_2',
+        users: [{ userId: 'user1' }, { userId: 'user2' }],
+        sampleSize: 10,
+      });
+      assert.strictEqual(result.sampleSize, 2);
+      assert.strictEqual(result.outcomes[0].count, 2);
+    });
+
+    it('should throw if the users to decide for are not provided correctly', function() {
+      var datafile = testData.getTestDecideProjectConfig();
+      var invalidOptions = [
+        {},
+        { users: [] },
+        { userGenerator: generateUser },
+        { userGenerator: generateUser, sampleSize: 0 },
+        { users: [{ userId: 'user1' }], userGenerator: generateUser, sampleSize: 1 },
+      ];
+      invalidOptions.forEach(function(options) {
+        assert.throws(function() {
+          simulateBucketing(Object.assign({ datafile: datafile, flagKey: 'feature_1' }, options));
+        }, sprintf(ERROR_MESSAGES.INVALID_SIMULATION_USERS, 'BUCKETING_SIMULATION'));
+      });
+    });
+
+    it('should throw if the datafile is invalid or does not have the flag', function() {
+      assert.throws(function() {
+        simulateBucketing({ datafile: '{"version": ', flagKey: 'feature_1', users: [{ userId: 'user1' }] });
+      }, sprintf(ERROR_MESSAGES.INVALID_DATAFILE_MALFORMED, 'CONFIG_VALIDATOR'));
+
+      assert.throws(function() {
+        simulateBucketing({
+          datafile: testData.getTestDecideProjectConfig(),
+          flagKey: 'missing_flag',
+          users: [{ userId: 'user1' }],
+        });
+      }, sprintf(ERROR_MESSAGES.FEATURE_NOT_IN_DATAFILE, 'BUCKETING_SIMULATION', 'missing_flag'));
+    });
+  });
+});
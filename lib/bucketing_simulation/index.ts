@@ -0,0 +1,312 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { getErrorHandler, getLogger } from '../modules/logging';
+import Optimizely from '../optimizely';
+import OptimizelyUserContext from '../optimizely_user_context';
+import noOpEventDispatcher from '../plugins/event_dispatcher/no_op';
+import { createForwardingEventProcessor } from '../plugins/event_processor/forwarding_event_processor';
+import { createNotificationCenter } from '../core/notification_center';
+import { ProjectConfig, tryCreatingProjectConfig } from '../core/project_config';
+import { RuleTrace } from '../core/decision_trace';
+import { sprintf } from '../utils/fns';
+import { ERROR_MESSAGES, JAVASCRIPT_CLIENT_ENGINE } from '../utils/enums';
+import {
+  ConditionEvaluator,
+  Experiment,
+  OptimizelyDecideOption,
+  TrafficAllocation,
+  UserAttributes,
+} from '../shared_types';
+
+const MODULE_NAME = 'BUCKETING_SIMULATION';
+const MAX_TRAFFIC_VALUE = 10000;
+
+export interface SimulatedUser {
+  userId: string;
+  attributes?: UserAttributes;
+}
+
+export interface BucketingSimulationOptions {
+  // eslint-disable-next-line  @typescript-eslint/ban-types
+  datafile: string | object;
+  flagKey: string;
+  // sample of users to decide the flag for, once each
+  users?: SimulatedUser[];
+  // generates the user of each decision from its index, used with sampleSize instead of users
+  userGenerator?: (index: number) => SimulatedUser;
+  // number of decisions. Required with userGenerator, defaults to and is capped at the number of users otherwise
+  sampleSize?: number;
+  conditionEvaluators?: ConditionEvaluator[];
+}
+
+export interface SimulatedVariationAllocation {
+  variationId: string;
+  variationKey: string;
+  // share of the users bucketed by the rule, or by its mutually exclusive group, which the
+  // traffic allocations assign to the variation
+  expectedShare: number;
+  // share of the users bucketed by the rule, or by its mutually exclusive group, which were
+  // bucketed into the variation
+  actualShare: number;
+  count: number;
+}
+
+/**
+ * How the users reaching a rule were bucketed, compared with its traffic allocation
+ */
+export interface SimulatedRuleAllocation {
+  ruleId: string;
+  ruleKey: string;
+  // one of DECISION_SOURCES
+  decisionSource: string;
+  // users for whom the rule was evaluated
+  evaluatedCount: number;
+  // users meeting the audience conditions of the rule
+  audienceMatchedCount: number;
+  // users bucketed by the rule, that is users meeting the audience conditions of the rule
+  // whose variation was not forced, whitelisted or stored
+  bucketedCount: number;
+  // for a rule of a mutually exclusive group, share of the users bucketed by the group which the
+  // group assigns to the rule. 1 outside of groups.
+  expectedGroupShare: number;
+  actualGroupShare: number;
+  variations: SimulatedVariationAllocation[];
+}
+
+/**
+ * Users who got the same decision
+ */
+export interface SimulatedOutcome {
+  // one of DECISION_SOURCES
+  decisionSource: string;
+  ruleKey: string | null;
+  variationKey: string | null;
+  enabled: boolean;
+  count: number;
+  share: number;
+}
+
+export interface BucketingSimulationResult {
+  flagKey: string;
+  sampleSize: number;
+  // decisions of the flag, from the most to the least frequent
+  outcomes: SimulatedOutcome[];
+  // rules in the order they were evaluated
+  rules: SimulatedRuleAllocation[];
+}
+
+interface RuleCounts {
+  trace: RuleTrace;
+  evaluatedCount: number;
+  audienceMatchedCount: number;
+  bucketedCount: number;
+  inGroupCount: number;
+  variationCounts: { [variationId: string]: number };
+}
+
+function getShare(count: number, total: number): number {
+  return total === 0 ? 0 : count / total;
+}
+
+/**
+ * Compute the share of traffic each entity of a traffic allocation is expected to get
+ * @param  {TrafficAllocation[]}            trafficAllocation
+ * @return {{ [entityId: string]: number }}
+ */
+function getExpectedShares(trafficAllocation: TrafficAllocation[]): { [entityId: string]: number } {
+  const shares: { [entityId: string]: number } = {};
+  let previousEndOfRange = 0;
+  (trafficAllocation || []).forEach(({ entityId, endOfRange }) => {
+    const rangeEnd = Math.min(Math.max(endOfRange, previousEndOfRange), MAX_TRAFFIC_VALUE);
+    if (entityId) {
+      shares[entityId] = (shares[entityId] || 0) + (rangeEnd - previousEndOfRange) / MAX_TRAFFIC_VALUE;
+    }
+    previousEndOfRange = rangeEnd;
+  });
+  return shares;
+}
+
+function getRule(configObj: ProjectConfig, ruleId: string): Experiment | null {
+  return configObj.experimentIdMap[ruleId] || (configObj.holdoutIdMap || {})[ruleId] || null;
+}
+
+function getRuleAllocation(
+  configObj: ProjectConfig,
+  counts: RuleCounts,
+  groupBucketedCounts: { [groupId: string]: number }
+): SimulatedRuleAllocation {
+  const { trace } = counts;
+  const rule = getRule(configObj, trace.ruleId);
+
+  // users assigned to another experiment by a mutually exclusive group do not reach the rule when
+  // the experiment comes first, so shares of group experiments are relative to every user of the group
+  let expectedGroupShare = 1;
+  let bucketedCount = counts.bucketedCount;
+  const group = rule && rule.groupId ? configObj.groupIdMap[rule.groupId] : null;
+  if (rule && group) {
+    expectedGroupShare = getExpectedShares(group.trafficAllocation)[rule.id] || 0;
+    bucketedCount = groupBucketedCounts[group.id] || 0;
+  }
+
+  const expectedVariationShares = rule ? getExpectedShares(rule.trafficAllocation) : {};
+  const variations = rule ? rule.variations : [];
+  return {
+    ruleId: trace.ruleId,
+    ruleKey: trace.ruleKey,
+    decisionSource: trace.decisionSource,
+    evaluatedCount: counts.evaluatedCount,
+    audienceMatchedCount: counts.audienceMatchedCount,
+    bucketedCount: counts.bucketedCount,
+    expectedGroupShare,
+    actualGroupShare: getShare(counts.inGroupCount, bucketedCount),
+    variations: variations.map(variation => {
+      const count = counts.variationCounts[variation.id] || 0;
+      return {
+        variationId: variation.id,
+        variationKey: variation.key,
+        expectedShare: expectedGroupShare * (expectedVariationShares[variation.id] || 0),
+        actualShare: getShare(count, bucketedCount),
+        count,
+      };
+    }),
+  };
+}
+
+/**
+ * Decide a flag for a sample of users against a datafile, without dispatching any event, and report
+ * how the decisions are distributed across rules and variations. The distribution of each rule is
+ * compared with the one expected from its traffic allocation and mutually exclusive group.
+ * @param  {BucketingSimulationOptions}   options
+ * @return {BucketingSimulationResult}
+ */
+export function simulateBucketing(options: BucketingSimulationOptions): BucketingSimulationResult {
+  const { datafile, flagKey, users, userGenerator } = options;
+  let sampleSize = options.sampleSize;
+  if (users && !userGenerator) {
+    sampleSize = sampleSize === undefined ? users.length : Math.min(sampleSize, users.length);
+  }
+  if (
+    (users === undefined) === (userGenerator === undefined) ||
+    typeof sampleSize !== 'number' ||
+    !(sampleSize > 0)
+  ) {
+    throw new Error(sprintf(ERROR_MESSAGES.INVALID_SIMULATION_USERS, MODULE_NAME));
+  }
+
+  const logger = getLogger();
+  const { configObj, error } = tryCreatingProjectConfig({ datafile, logger });
+  if (!configObj) {
+    throw error;
+  }
+  if (!configObj.featureKeyMap[flagKey]) {
+    throw new Error(sprintf(ERROR_MESSAGES.FEATURE_NOT_IN_DATAFILE, MODULE_NAME, flagKey));
+  }
+
+  const errorHandler = getErrorHandler();
+  const notificationCenter = createNotificationCenter({ logger, errorHandler });
+  const optimizely = new Optimizely({
+    clientEngine: JAVASCRIPT_CLIENT_ENGINE,
+    datafile,
+    errorHandler,
+    eventProcessor: createForwardingEventProcessor(noOpEventDispatcher, notificationCenter),
+    isValidInstance: true,
+    logger,
+    notificationCenter,
+    conditionEvaluators: options.conditionEvaluators,
+  });
+  const decideOptions = [OptimizelyDecideOption.DISABLE_DECISION_EVENT, OptimizelyDecideOption.INCLUDE_TRACE];
+
+  const outcomesByKey: { [key: string]: SimulatedOutcome } = {};
+  const ruleCountsById: { [ruleId: string]: RuleCounts } = {};
+  const ruleIds: string[] = [];
+  const groupBucketedCounts: { [groupId: string]: number } = {};
+
+  try {
+    for (let index = 0; index < sampleSize; index++) {
+      const simulatedUser = userGenerator ? userGenerator(index) : (users as SimulatedUser[])[index];
+      const user = new OptimizelyUserContext({
+        optimizely,
+        userId: simulatedUser.userId,
+        attributes: simulatedUser.attributes,
+        shouldIdentifyUser: false,
+      });
+      const decision = optimizely.decide(user, flagKey, decideOptions);
+      if (!decision.trace) {
+        continue;
+      }
+
+      const { outcome } = decision.trace;
+      const outcomeKey = JSON.stringify([outcome.decisionSource, outcome.ruleKey, outcome.variationKey, outcome.enabled]);
+      if (!outcomesByKey[outcomeKey]) {
+        outcomesByKey[outcomeKey] = { ...outcome, count: 0, share: 0 };
+      }
+      outcomesByKey[outcomeKey].count++;
+
+      const userGroupIds: { [groupId: string]: boolean } = {};
+      decision.trace.rules.forEach(ruleTrace => {
+        let counts = ruleCountsById[ruleTrace.ruleId];
+        if (!counts) {
+          counts = {
+            trace: ruleTrace,
+            evaluatedCount: 0,
+            audienceMatchedCount: 0,
+            bucketedCount: 0,
+            inGroupCount: 0,
+            variationCounts: {},
+          };
+          ruleCountsById[ruleTrace.ruleId] = counts;
+          ruleIds.push(ruleTrace.ruleId);
+        }
+        counts.evaluatedCount++;
+        if (ruleTrace.audienceConditions && ruleTrace.audienceConditions.result) {
+          counts.audienceMatchedCount++;
+        }
+        if (ruleTrace.bucketing) {
+          counts.bucketedCount++;
+          const rule = getRule(configObj, ruleTrace.ruleId);
+          if (rule && rule.groupId && !userGroupIds[rule.groupId]) {
+            userGroupIds[rule.groupId] = true;
+            groupBucketedCounts[rule.groupId] = (groupBucketedCounts[rule.groupId] || 0) + 1;
+          }
+          if (ruleTrace.bucketing.bucketValue !== null) {
+            counts.inGroupCount++;
+          }
+          const { variationId } = ruleTrace.bucketing;
+          if (variationId) {
+            counts.variationCounts[variationId] = (counts.variationCounts[variationId] || 0) + 1;
+          }
+        }
+      });
+    }
+  } finally {
+    // stop the event processor and the other resources of the instance, nothing is left to flush
+    optimizely.close();
+  }
+
+  const outcomes = Object.keys(outcomesByKey)
+    .map(outcomeKey => {
+      const outcome = outcomesByKey[outcomeKey];
+      return { ...outcome, share: getShare(outcome.count, sampleSize as number) };
+    })
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    flagKey,
+    sampleSize,
+    outcomes,
+    rules: ruleIds.map(ruleId => getRuleAllocation(configObj, ruleCountsById[ruleId], groupBucketedCounts)),
+  };
+}
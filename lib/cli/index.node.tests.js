@@ -0,0 +1,325 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { assert } from 'chai';
+
+import { run, parseCsv, parseUsersCsv, formatCsvRecord } from './index.node';
+import testData from '../tests/test_data';
+
+var createIO = function() {
+  var io = {
+    out: '',
+    err: '',
+    stdout: function(text) {
+      io.out += text;
+    },
+    stderr: function(text) {
+      io.err += text;
+    },
+  };
+  return io;
+};
+
+var parseJsonLines = function(text) {
+  return text
+    .split('\n')
+    .filter(function(line) {
+      return line;
+    })
+    .map(function(line) {
+      return JSON.parse(line);
+    });
+};
+
+describe('lib/cli', function() {
+  var tmpDir;
+  var datafilePath;
+  var usersPath;
+
+  beforeEach(function() {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimizely-cli-'));
+    datafilePath = path.join(tmpDir, 'datafile.json');
+    fs.writeFileSync(datafilePath, JSON.stringify(testData.getTestDecideProjectConfig()));
+    usersPath = path.join(tmpDir, 'users.csv');
+    fs.writeFileSync(usersPath, 'user_id,gender,country\nuser1,f,\nuser2,,US\nuser3,m,FR\n');
+  });
+
+  afterEach(function() {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('parseCsv', function() {
+    it('should parse quoted fields and skip blank lines', function() {
+      assert.deepEqual(parseCsv('a,b,c\r\n"x,1","say ""hi""","multi\nline"\n\n,,\n'), [
+        ['a', 'b', 'c'],
+        ['x,1', 'say "hi"', 'multi\nline'],
+        ['', '', ''],
+      ]);
+    });
+
+    it('should quote fields which need it when formatting a record', function() {
+      var record = formatCsvRecord(['x,1', 'say "hi"', 'plain']);
+      assert.strictEqual(record, '"x,1","say ""hi""",plain');
+      assert.deepEqual(parseCsv(record), [['x,1', 'say "hi"', 'plain']]);
+    });
+  });
+
+  describe('parseUsersCsv', function() {
+    it('should read attribute values as strings and leave out empty cells', function() {
+      var users = parseUsersCsv('age,user_id,browser,zip,tags\n21,u1,safari,12345,"[""a""]"\n,u2,,true,\n');
+      assert.deepEqual(users, [
+        { userId: 'u1', attributes: { age: '21', browser: 'safari', zip: '12345', tags: '["a"]' } },
+        { userId: 'u2', attributes: { zip: 'true' } },
+      ]);
+    });
+
+    it('should throw if there is no user_id column', function() {
+      assert.throws(function() {
+        parseUsersCsv('id,age\nu1,21\n');
+      }, 'The users CSV must have a user_id column');
+    });
+
+    it('should throw if a user has no user_id', function() {
+      assert.throws(function() {
+        parseUsersCsv('user_id,age\nu1,21\n,22\n');
+      }, 'Missing user_id for user 2 of the users CSV');
+    });
+  });
+
+  describe('run', function() {
+    it('should print the usage with --help', async function() {
+      var io = createIO();
+      var exitCode = await run(['--help'], io);
+      assert.strictEqual(exitCode, 0);
+      assert.include(io.out, 'Usage: optimizely-sdk <command> [options]');
+    });
+
+    it('should decide all flags for a user and print them as json', async function() {
+      var io = createIO();
+      var exitCode = await run(
+        ['decide', '--datafile', datafilePath, '--user-id', 'user1', '--attributes', '{"gender":"f"}', '--format', 'json'],
+        io
+      );
+      assert.strictEqual(exitCode, 0);
+      assert.strictEqual(io.err, '');
+
+      var decisions = JSON.parse(io.out);
+      assert.deepEqual(
+        decisions.map(function(decision) {
+          return decision.flagKey;
+        }),
+        ['feature_1', 'feature_2', 'feature_3']
+      );
+      assert.deepInclude(decisions[0], {
+        userId: 'user1',
+        attributes: { gender: 'f' },
+        flagKey: 'feature_1',
+        enabled: true,
+        variationKey: 'a',
+        ruleKey: 'exp_with_audience',
+      });
+      assert.strictEqual(decisions[0].variables.i_42, 42);
+      assert.notProperty(decisions[0], 'trace');
+    });
+
+    it('should only decide the given flags', async function() {
+      var io = createIO();
+      var exitCode = await run(
+        ['decide', '-d', datafilePath, '-u', 'user1', '-f', 'feature_2,feature_3', '-f', 'feature_1', '--format', 'jsonl'],
+        io
+      );
+      assert.strictEqual(exitCode, 0);
+      assert.deepEqual(
+        parseJsonLines(io.out).map(function(decision) {
+          return decision.flagKey;
+        }),
+        ['feature_2', 'feature_3', 'feature_1']
+      );
+    });
+
+    it('should print the decisions, variables and explanation of a user as text', async function() {
+      var io = createIO();
+      var exitCode = await run(
+        ['decide', '-d', datafilePath, '-u', 'user2', '-a', '{"country":"US"}', '-f', 'feature_1', '--explain'],
+        io
+      );
+      assert.strictEqual(exitCode, 0);
+
+      var lines = io.out.split('\n');
+      assert.strictEqual(lines[0], 'user user2 {"country":"US"}');
+      assert.strictEqual(lines[1], '  feature_1: enabled, variation 3324490633, rule 3332020515');
+      assert.include(lines, '    i_42 = 42');
+      assert.include(lines, '    trace:');
+      assert.include(lines, '      feature-test rule exp_with_audience: audience mismatch');
+      assert.include(lines, '        audiences ["13389141123"]: false');
+      assert.include(lines, '          audience "gender" (13389141123): null');
+      assert.include(lines, '      rollout rule 3332020515: bucketed, variation 3324490633');
+    });
+
+    it('should leave out the trace of a decision without trace steps', async function() {
+      var io = createIO();
+      var exitCode = await run(['decide', '-d', datafilePath, '-u', 'user1', '-f', 'feature_3', '--explain'], io);
+      assert.strictEqual(exitCode, 0);
+
+      var lines = io.out.split('\n');
+      assert.strictEqual(lines[1], '  feature_3: disabled');
+      assert.include(lines, '    reasons:');
+      assert.notInclude(lines, '    trace:');
+    });
+
+    it('should decide for every user of a CSV file and write the results as json lines', async function() {
+      var io = createIO();
+      var outputPath = path.join(tmpDir, 'results.jsonl');
+      var exitCode = await run(
+        ['decide', '-d', datafilePath, '--users', usersPath, '-f', 'feature_1', '--output', outputPath],
+        io
+      );
+      assert.strictEqual(exitCode, 0);
+      assert.strictEqual(io.out, '');
+
+      var decisions = parseJsonLines(fs.readFileSync(outputPath, 'utf8'));
+      assert.deepEqual(
+        decisions.map(function(decision) {
+          return [decision.userId, decision.variationKey, decision.ruleKey];
+        }),
+        [
+          ['user1', 'a', 'exp_with_audience'],
+          ['user2', '3324490633', '3332020515'],
+          ['user3', '18257766532', '18322080788'],
+        ]
+      );
+      assert.deepEqual(decisions[1].attributes, { country: 'US' });
+    });
+
+    it('should write the results as csv', async function() {
+      var io = createIO();
+      var exitCode = await run(['decide', '-d', datafilePath, '--users', usersPath, '-f', 'feature_1', '--format', 'csv'], io);
+      assert.strictEqual(exitCode, 0);
+
+      var records = parseCsv(io.out);
+      assert.deepEqual(records[0], [
+        'user_id',
+        'attributes',
+        'flag_key',
+        'enabled',
+        'variation_key',
+        'rule_key',
+        'variables',
+      ]);
+      assert.lengthOf(records, 4);
+      assert.deepEqual(records[1].slice(0, 6), ['user1', '{"gender":"f"}', 'feature_1', 'true', 'a', 'exp_with_audience']);
+      assert.strictEqual(JSON.parse(records[1][6]).s_foo, 'foo');
+    });
+
+    it('should include the reasons and trace of the decisions with --explain', async function() {
+      var io = createIO();
+      var exitCode = await run(
+        ['decide', '-d', datafilePath, '--users', usersPath, '-f', 'feature_1', '--explain'],
+        io
+      );
+      assert.strictEqual(exitCode, 0);
+
+      var decisions = parseJsonLines(io.out);
+      assert.isNotEmpty(decisions[2].reasons);
+      assert.deepEqual(decisions[2].trace.outcome, {
+        decisionSource: 'rollout',
+        ruleKey: '18322080788',
+        variationKey: '18257766532',
+        enabled: true,
+      });
+    });
+
+    it('should fail without a datafile', async function() {
+      var io = createIO();
+      var exitCode = await run(['decide', '-u', 'user1'], io);
+      assert.strictEqual(exitCode, 1);
+      assert.include(io.err, 'optimizely-sdk: --datafile is required');
+    });
+
+    it('should fail if the datafile cannot be read', async function() {
+      var io = createIO();
+      var exitCode = await run(['decide', '-d', path.join(tmpDir, 'missing.json'), '-u', 'user1'], io);
+      assert.strictEqual(exitCode, 1);
+      assert.include(io.err, 'Unable to read the datafile');
+    });
+
+    it('should fail if the datafile is invalid', async function() {
+      var io = createIO();
+      fs.writeFileSync(datafilePath, '{"version": "4"');
+      var exitCode = await run(['decide', '-d', datafilePath, '-u', 'user1'], io);
+      assert.strictEqual(exitCode, 1);
+      assert.include(io.err, 'Invalid datafile');
+      assert.strictEqual(io.out, '');
+    });
+
+    it('should lint a datafile and fail if there are errors', async function() {
+      var io = createIO();
+      var exitCode = await run(['lint', datafilePath], io);
+      assert.strictEqual(exitCode, 1);
+
+      var lines = io.out.split('\n');
+      assert.include(
+        lines,
+        'error featureFlags[0].variables[5]: Variable i_1 has an unknown type invalid (invalid_variable_value)'
+      );
+      assert.include(
+        lines,
+        'warning audiences[3]: Audience age_18 (age_18) is not used by any rule (unused_audience)'
+      );
+      assert.strictEqual(lines[lines.length - 2], '2 errors, 13 warnings');
+    });
+
+    it('should lint a datafile and only fail on warnings with --strict', async function() {
+      var datafile = testData.getTestDecideProjectConfig();
+      datafile.featureFlags[0].variables.splice(4, 2);
+      fs.writeFileSync(datafilePath, JSON.stringify(datafile));
+
+      var io = createIO();
+      var exitCode = await run(['lint', datafilePath, '--format', 'json'], io);
+      assert.strictEqual(exitCode, 0);
+      var issues = JSON.parse(io.out);
+      assert.lengthOf(issues, 13);
+      assert.include(issues[0], { rule: 'undeclared_attribute', severity: 'warning', path: 'audiences[1]' });
+
+      io = createIO();
+      exitCode = await run(['lint', '--strict', datafilePath], io);
+      assert.strictEqual(exitCode, 1);
+    });
+
+    it('should fail on invalid arguments', async function() {
+      var invalidArgs = [
+        ['evaluate'],
+        ['decide', '-d', datafilePath, '-u', 'user1', '--unknown'],
+        ['decide', '-d', datafilePath, '-u', 'user1', '--format', 'xml'],
+        ['decide', '-d', datafilePath, '-u', 'user1', '--attributes', '[1]'],
+        ['decide', '-d', datafilePath, '-u', 'user1', '--users', usersPath],
+        ['decide', '-d', datafilePath],
+        ['decide', '-d'],
+        ['lint'],
+        ['lint', datafilePath, '--format', 'csv'],
+        ['lint', datafilePath, datafilePath],
+      ];
+      for (var i = 0; i < invalidArgs.length; i++) {
+        var io = createIO();
+        var exitCode = await run(invalidArgs[i], io);
+        assert.strictEqual(exitCode, 1);
+        assert.include(io.err, 'Run optimizely-sdk --help for usage.');
+      }
+    });
+  });
+});
@@ -0,0 +1,609 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import fs from 'fs';
+
+import { createInstance } from '../index.node';
+import { AudienceConditionsTrace, OptimizelyDecisionTrace } from '../core/decision_trace';
+import { DatafileLintIssue, lintDatafile } from '../core/project_config/datafile_lint';
+import { DATAFILE_LINT_SEVERITIES } from '../utils/enums';
+import {
+  Client,
+  OptimizelyDecideOption,
+  OptimizelyDecision,
+  UserAttributes,
+} from '../shared_types';
+
+export const CLI_NAME = 'optimizely-sdk';
+
+const USAGE = `Usage: ${CLI_NAME} <command> [options]
+
+Commands:
+  decide    Decide flags for users against a local datafile
+  lint      Report semantic problems of a datafile
+
+${CLI_NAME} decide [options]
+
+Decides flags for one user, or for every user of a CSV file, against a local datafile.
+Nothing is sent to Optimizely: decision events are disabled and ODP is turned off.
+
+Options:
+  -d, --datafile <path>      Datafile to decide against (required)
+  -u, --user-id <id>         ID of the user to decide for
+  -a, --attributes <json>    Attributes of the user, as a JSON object
+      --users <path>         CSV file of users to decide for, with a user_id column and
+                             a column per attribute. Cells are read as strings, empty cells
+                             are left out.
+  -f, --flag <key>           Flag to decide, can be repeated or comma separated.
+                             All flags are decided when omitted.
+      --enabled-only         Only output enabled flags
+      --explain              Include the decision reasons and a rule by rule trace
+      --format <format>      text, json, jsonl or csv. Defaults to text for a single user
+                             and to jsonl for a CSV of users.
+  -o, --output <path>        Write results to a file instead of stdout
+  -h, --help                 Show this help
+
+${CLI_NAME} lint <datafile> [options]
+
+Reports unknown audiences and variations, undeclared attributes, invalid traffic allocations,
+unreachable rules, unused events and audiences, and invalid variable values. Exits with 1 if
+there are errors.
+
+Options:
+      --format <format>      text or json. Defaults to text.
+      --strict               Exit with 1 if there are warnings too
+  -h, --help                 Show this help
+`;
+
+const FORMATS = ['text', 'json', 'jsonl', 'csv'];
+const LINT_FORMATS = ['text', 'json'];
+
+const CSV_COLUMNS = ['user_id', 'attributes', 'flag_key', 'enabled', 'variation_key', 'rule_key', 'variables'];
+const CSV_EXPLAIN_COLUMNS = ['reasons', 'trace'];
+
+export interface CliIO {
+  stdout(text: string): void;
+  stderr(text: string): void;
+}
+
+export interface CliUser {
+  userId: string;
+  attributes: UserAttributes;
+}
+
+/**
+ * A decision of a flag for a user, as output by the CLI
+ */
+export interface CliDecision {
+  userId: string;
+  attributes: UserAttributes;
+  flagKey: string;
+  enabled: boolean;
+  variationKey: string | null;
+  ruleKey: string | null;
+  variables: { [variableKey: string]: unknown };
+  reasons?: string[];
+  trace?: OptimizelyDecisionTrace;
+}
+
+interface DecideArgs {
+  datafile?: string;
+  userId?: string;
+  attributes?: string;
+  users?: string;
+  flags: string[];
+  enabledOnly: boolean;
+  explain: boolean;
+  format?: string;
+  output?: string;
+  help: boolean;
+}
+
+interface LintArgs {
+  datafile?: string;
+  format: string;
+  strict: boolean;
+  help: boolean;
+}
+
+const processIO: CliIO = {
+  stdout: text => process.stdout.write(text),
+  stderr: text => process.stderr.write(text),
+};
+
+/**
+ * Parses the records of a CSV document. Fields can be quoted with double quotes,
+ * in which case they can contain commas, line breaks and doubled double quotes.
+ * @param  {string}     text
+ * @return {string[][]} records, without blank lines
+ */
+export function parseCsv(text: string): string[][] {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+    field = '';
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+    } else {
+      field += char;
+    }
+    i++;
+  }
+  endRecord();
+
+  return records;
+}
+
+/**
+ * Formats values as a CSV record, quoting the fields which need it
+ * @param  {string[]}   values
+ * @return {string}
+ */
+export function formatCsvRecord(values: string[]): string {
+  return values
+    .map(value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value))
+    .join(',');
+}
+
+/**
+ * Reads users from a CSV document with a header record, which must have a user_id column.
+ * The other columns are string attributes of the users.
+ * @param  {string}     text
+ * @return {CliUser[]}
+ */
+export function parseUsersCsv(text: string): CliUser[] {
+  const records = parseCsv(text);
+  const header = records.shift() || [];
+  const userIdIndex = header.indexOf('user_id');
+  if (userIdIndex === -1) {
+    throw new Error('The users CSV must have a user_id column');
+  }
+
+  return records.map((record, index) => {
+    const userId = record[userIdIndex];
+    if (!userId) {
+      throw new Error(`Missing user_id for user ${index + 1} of the users CSV`);
+    }
+    const attributes: UserAttributes = {};
+    header.forEach((column, columnIndex) => {
+      const cell = record[columnIndex];
+      if (columnIndex !== userIdIndex && cell !== undefined && cell !== '') {
+        attributes[column] = cell;
+      }
+    });
+    return { userId, attributes };
+  });
+}
+
+function parseDecideArgs(args: string[]): DecideArgs {
+  const parsed: DecideArgs = { flags: [], enabledOnly: false, explain: false, help: false };
+  let i = 0;
+
+  const value = (option: string): string => {
+    i++;
+    if (i >= args.length) {
+      throw new Error(`Missing value for ${option}`);
+    }
+    return args[i];
+  };
+
+  for (; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '-d':
+      case '--datafile':
+        parsed.datafile = value(arg);
+        break;
+      case '-u':
+      case '--user-id':
+        parsed.userId = value(arg);
+        break;
+      case '-a':
+      case '--attributes':
+        parsed.attributes = value(arg);
+        break;
+      case '--users':
+        parsed.users = value(arg);
+        break;
+      case '-f':
+      case '--flag':
+        value(arg)
+          .split(',')
+          .forEach(flagKey => {
+            if (flagKey.trim()) {
+              parsed.flags.push(flagKey.trim());
+            }
+          });
+        break;
+      case '--enabled-only':
+        parsed.enabledOnly = true;
+        break;
+      case '--explain':
+        parsed.explain = true;
+        break;
+      case '--format':
+        parsed.format = value(arg);
+        break;
+      case '-o':
+      case '--output':
+        parsed.output = value(arg);
+        break;
+      case '-h':
+      case '--help':
+        parsed.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  return parsed;
+}
+
+function parseLintArgs(args: string[]): LintArgs {
+  const parsed: LintArgs = { format: 'text', strict: false, help: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--format':
+        if (i + 1 >= args.length) {
+          throw new Error(`Missing value for ${arg}`);
+        }
+        parsed.format = args[++i];
+        break;
+      case '--strict':
+        parsed.strict = true;
+        break;
+      case '-h':
+      case '--help':
+        parsed.help = true;
+        break;
+      default:
+        if (arg.indexOf('-') === 0 || parsed.datafile !== undefined) {
+          throw new Error(`Unknown option ${arg}`);
+        }
+        parsed.datafile = arg;
+    }
+  }
+  return parsed;
+}
+
+function readFile(filePath: string, description: string): string {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (ex) {
+    throw new Error(`Unable to read the ${description} ${filePath}: ${ex.message}`);
+  }
+}
+
+function getUsers(args: DecideArgs): CliUser[] {
+  if (args.users !== undefined) {
+    if (args.userId !== undefined || args.attributes !== undefined) {
+      throw new Error('--users cannot be combined with --user-id or --attributes');
+    }
+    return parseUsersCsv(readFile(args.users, 'users CSV'));
+  }
+
+  if (args.userId === undefined) {
+    throw new Error('Either --user-id or --users is required');
+  }
+
+  let attributes: UserAttributes = {};
+  if (args.attributes !== undefined) {
+    try {
+      attributes = JSON.parse(args.attributes);
+    } catch (ex) {
+      throw new Error(`--attributes is not valid JSON: ${ex.message}`);
+    }
+    if (typeof attributes !== 'object' || attributes === null || Array.isArray(attributes)) {
+      throw new Error('--attributes must be a JSON object');
+    }
+  }
+  return [{ userId: args.userId, attributes }];
+}
+
+function toCliDecision(user: CliUser, decision: OptimizelyDecision, explain: boolean): CliDecision {
+  const cliDecision: CliDecision = {
+    userId: user.userId,
+    attributes: user.attributes,
+    flagKey: decision.flagKey,
+    enabled: decision.enabled,
+    variationKey: decision.variationKey,
+    ruleKey: decision.ruleKey,
+    variables: decision.variables,
+  };
+  if (explain) {
+    cliDecision.reasons = decision.reasons;
+    cliDecision.trace = decision.trace;
+  }
+  return cliDecision;
+}
+
+/**
+ * Decides the flags for each user
+ * @param  {Client}         optimizely
+ * @param  {CliUser[]}      users
+ * @param  {DecideArgs}     args
+ * @return {CliDecision[]}
+ */
+function decideForUsers(optimizely: Client, users: CliUser[], args: DecideArgs): CliDecision[] {
+  const options = [OptimizelyDecideOption.DISABLE_DECISION_EVENT];
+  if (args.enabledOnly) {
+    options.push(OptimizelyDecideOption.ENABLED_FLAGS_ONLY);
+  }
+  if (args.explain) {
+    options.push(OptimizelyDecideOption.INCLUDE_REASONS, OptimizelyDecideOption.INCLUDE_TRACE);
+  }
+
+  const cliDecisions: CliDecision[] = [];
+  users.forEach(user => {
+    const userContext = optimizely.createUserContext(user.userId, user.attributes);
+    if (!userContext) {
+      throw new Error(`Invalid user ${user.userId} with attributes ${JSON.stringify(user.attributes)}`);
+    }
+    const decisions = args.flags.length
+      ? userContext.decideForKeys(args.flags, options)
+      : userContext.decideAll(options);
+    Object.keys(decisions).forEach(flagKey => {
+      cliDecisions.push(toCliDecision(user, decisions[flagKey], args.explain));
+    });
+  });
+  return cliDecisions;
+}
+
+function formatAudienceConditions(audienceConditions: AudienceConditionsTrace, indent: string): string[] {
+  const lines = [`${indent}audiences ${JSON.stringify(audienceConditions.conditions)}: ${audienceConditions.result}`];
+  audienceConditions.audiences.forEach(audience => {
+    lines.push(`${indent}  audience "${audience.name}" (${audience.id}): ${audience.result}`);
+    audience.leaves.forEach(leaf => {
+      lines.push(`${indent}    ${JSON.stringify(leaf.condition)}: ${leaf.result}`);
+    });
+  });
+  return lines;
+}
+
+/**
+ * Explains a decision trace as indented lines, in the order rules were considered
+ * @param  {OptimizelyDecisionTrace}  trace
+ * @param  {string}                   indent
+ * @return {string[]}
+ */
+export function formatTrace(trace: OptimizelyDecisionTrace, indent = ''): string[] {
+  const lines: string[] = [];
+  if (trace.forcedDecision) {
+    const validity = trace.forcedDecision.valid ? '' : ' (ignored, not a variation of the flag)';
+    lines.push(`${indent}forced decision: ${trace.forcedDecision.variationKey}${validity}`);
+  }
+
+  trace.rules.forEach(rule => {
+    const variation = rule.variationKey === null ? '' : `, variation ${rule.variationKey}`;
+    lines.push(`${indent}${rule.decisionSource} rule ${rule.ruleKey}: ${rule.result.replace(/_/g, ' ')}${variation}`);
+    const ruleIndent = indent + '  ';
+    if (rule.forcedDecision) {
+      const validity = rule.forcedDecision.valid ? '' : ' (ignored, not a variation of the rule)';
+      lines.push(`${ruleIndent}forced decision: ${rule.forcedDecision.variationKey}${validity}`);
+    }
+    if (rule.forcedVariationKey !== undefined) {
+      lines.push(`${ruleIndent}forced variation: ${rule.forcedVariationKey}`);
+    }
+    if (rule.whitelistedVariationKey !== undefined) {
+      lines.push(`${ruleIndent}whitelisted variation: ${rule.whitelistedVariationKey}`);
+    }
+    if (rule.storedVariationKey !== undefined) {
+      lines.push(`${ruleIndent}stored variation: ${rule.storedVariationKey}`);
+    }
+    if (rule.audienceConditions) {
+      lines.push(...formatAudienceConditions(rule.audienceConditions, ruleIndent));
+    }
+    if (rule.bucketing) {
+      const bucketValue = rule.bucketing.bucketValue === null ? 'none' : rule.bucketing.bucketValue;
+      lines.push(`${ruleIndent}bucketing id ${rule.bucketing.bucketingId}, bucket value ${bucketValue}`);
+    }
+  });
+  return lines;
+}
+
+function formatText(cliDecisions: CliDecision[]): string {
+  const lines: string[] = [];
+  let userId: string | null = null;
+  cliDecisions.forEach(cliDecision => {
+    if (cliDecision.userId !== userId) {
+      userId = cliDecision.userId;
+      lines.push(`user ${userId} ${JSON.stringify(cliDecision.attributes)}`);
+    }
+    const status = cliDecision.enabled ? 'enabled' : 'disabled';
+    const variation = cliDecision.variationKey === null ? '' : `, variation ${cliDecision.variationKey}`;
+    const rule = cliDecision.ruleKey === null ? '' : `, rule ${cliDecision.ruleKey}`;
+    lines.push(`  ${cliDecision.flagKey}: ${status}${variation}${rule}`);
+    Object.keys(cliDecision.variables).forEach(variableKey => {
+      lines.push(`    ${variableKey} = ${JSON.stringify(cliDecision.variables[variableKey])}`);
+    });
+    if (cliDecision.reasons && cliDecision.reasons.length) {
+      lines.push('    reasons:');
+      cliDecision.reasons.forEach(reason => lines.push(`      ${reason}`));
+    }
+    const traceLines = cliDecision.trace ? formatTrace(cliDecision.trace, '      ') : [];
+    if (traceLines.length) {
+      lines.push('    trace:');
+      lines.push(...traceLines);
+    }
+  });
+  return lines.map(line => line + '\n').join('');
+}
+
+function formatCsv(cliDecisions: CliDecision[], explain: boolean): string {
+  const columns = explain ? CSV_COLUMNS.concat(CSV_EXPLAIN_COLUMNS) : CSV_COLUMNS;
+  const records = [formatCsvRecord(columns)];
+  cliDecisions.forEach(cliDecision => {
+    const values = [
+      cliDecision.userId,
+      JSON.stringify(cliDecision.attributes),
+      cliDecision.flagKey,
+      String(cliDecision.enabled),
+      cliDecision.variationKey || '',
+      cliDecision.ruleKey || '',
+      JSON.stringify(cliDecision.variables),
+    ];
+    if (explain) {
+      values.push(JSON.stringify(cliDecision.reasons || []), JSON.stringify(cliDecision.trace || null));
+    }
+    records.push(formatCsvRecord(values));
+  });
+  return records.map(record => record + '\n').join('');
+}
+
+function formatDecisions(cliDecisions: CliDecision[], format: string, explain: boolean): string {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(cliDecisions, null, 2) + '\n';
+    case 'jsonl':
+      return cliDecisions.map(cliDecision => JSON.stringify(cliDecision) + '\n').join('');
+    case 'csv':
+      return formatCsv(cliDecisions, explain);
+    default:
+      return formatText(cliDecisions);
+  }
+}
+
+async function decide(args: DecideArgs, io: CliIO): Promise<number> {
+  if (args.datafile === undefined) {
+    throw new Error('--datafile is required');
+  }
+  const format = args.format || (args.users === undefined ? 'text' : 'jsonl');
+  if (FORMATS.indexOf(format) === -1) {
+    throw new Error(`Unknown format ${format}, expected one of ${FORMATS.join(', ')}`);
+  }
+
+  const datafile = readFile(args.datafile, 'datafile');
+  const users = getUsers(args);
+
+  const optimizely = createInstance({
+    datafile,
+    eventDispatcher: { dispatchEvent: () => undefined },
+    odpOptions: { disabled: true },
+  });
+  if (!optimizely) {
+    throw new Error('Unable to create an Optimizely client');
+  }
+
+  try {
+    const { success, reason } = await optimizely.onReady();
+    if (!success) {
+      throw new Error(`Invalid datafile ${args.datafile}: ${reason}`);
+    }
+    const output = formatDecisions(decideForUsers(optimizely, users, args), format, args.explain);
+    if (args.output !== undefined) {
+      fs.writeFileSync(args.output, output);
+    } else {
+      io.stdout(output);
+    }
+  } finally {
+    await optimizely.close();
+  }
+  return 0;
+}
+
+function formatLintIssues(issues: DatafileLintIssue[]): string {
+  const lines = issues.map(issue => {
+    const location = issue.path ? `${issue.path}: ` : '';
+    return `${issue.severity} ${location}${issue.message} (${issue.rule})`;
+  });
+  const errorCount = issues.filter(issue => issue.severity === DATAFILE_LINT_SEVERITIES.ERROR).length;
+  const warningCount = issues.length - errorCount;
+  lines.push(`${errorCount} error${errorCount === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'}`);
+  return lines.map(line => line + '\n').join('');
+}
+
+function lint(args: LintArgs, io: CliIO): number {
+  if (args.datafile === undefined) {
+    throw new Error('A datafile is required');
+  }
+  if (LINT_FORMATS.indexOf(args.format) === -1) {
+    throw new Error(`Unknown format ${args.format}, expected one of ${LINT_FORMATS.join(', ')}`);
+  }
+
+  const issues = lintDatafile(readFile(args.datafile, 'datafile'));
+  io.stdout(args.format === 'json' ? JSON.stringify(issues, null, 2) + '\n' : formatLintIssues(issues));
+
+  const failed = issues.some(issue => args.strict || issue.severity === DATAFILE_LINT_SEVERITIES.ERROR);
+  return failed ? 1 : 0;
+}
+
+/**
+ * Runs the CLI
+ * @param  {string[]}         args    Command line arguments, without the node executable and script
+ * @param  {CliIO}            io      Where to write the output and errors
+ * @return {Promise<number>}  the exit code
+ */
+export async function run(args: string[], io: CliIO = processIO): Promise<number> {
+  const command = args[0];
+  if (command === undefined || command === '-h' || command === '--help') {
+    io.stdout(USAGE);
+    return command === undefined ? 1 : 0;
+  }
+
+  try {
+    if (command === 'decide') {
+      const decideArgs = parseDecideArgs(args.slice(1));
+      if (decideArgs.help) {
+        io.stdout(USAGE);
+        return 0;
+      }
+      return await decide(decideArgs, io);
+    }
+    if (command === 'lint') {
+      const lintArgs = parseLintArgs(args.slice(1));
+      if (lintArgs.help) {
+        io.stdout(USAGE);
+        return 0;
+      }
+      return lint(lintArgs, io);
+    }
+    throw new Error(`Unknown command ${command}`);
+  } catch (ex) {
+    io.stderr(`${CLI_NAME}: ${ex.message}\nRun ${CLI_NAME} --help for usage.\n`);
+    return 1;
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import http from 'http';
+import https from 'https';
+import nock from 'nock';
+import sinon from 'sinon';
+import { assert } from 'chai';
+
+import { createClientRegistry } from './index.node';
+import { NodeOdpManager } from '../plugins/odp_manager/index.node';
+import { sprintf } from '../utils/fns';
+import { LOG_MESSAGES } from '../utils/enums';
+import testData from '../tests/test_data';
+
+var clientConfig = {
+  datafileOptions: { autoUpdate: false },
+  odpOptions: { disabled: true },
+};
+
+describe('lib/client_registry', function() {
+  describe('ClientRegistry', function() {
+    var registry;
+    var eventDispatcher;
+
+    beforeEach(function() {
+      nock('https://cdn.optimizely.com')
+        .persist()
+        .get(/\/datafiles\/.*\.json/)
+        .reply(200, function(uri) {
+          var datafile = testData.getTestDecideProjectConfig();
+          datafile.sdkKey = uri.match(/\/datafiles\/(.*)\.json/)[1];
+          return JSON.stringify(datafile);
+        });
+      eventDispatcher = {
+        dispatchEvent: sinon.spy(function(event, callback) {
+          callback({ statusCode: 200 });
+        }),
+      };
+      registry = createClientRegistry({ eventDispatcher: eventDispatcher, eventBatchSize: 10 });
+    });
+
+    afterEach(function() {
+      nock.cleanAll();
+      return registry.close();
+    });
+
+    it('should share the client of an SDK key between acquires', function() {
+      var client = registry.acquire('sdk_key_1', clientConfig);
+      assert.isNotNull(client);
+      assert.strictEqual(registry.acquire('sdk_key_1'), client);
+      assert.strictEqual(registry.getClient('sdk_key_1'), client);
+      assert.notStrictEqual(registry.acquire('sdk_key_2', clientConfig), client);
+      assert.isNull(registry.getClient('sdk_key_3'));
+    });
+
+    it('should fetch the datafile of each SDK key', async function() {
+      var client1 = registry.acquire('sdk_key_1', clientConfig);
+      var client2 = registry.acquire('sdk_key_2', clientConfig);
+      assert.deepEqual(await client1.onReady(), { success: true });
+      assert.deepEqual(await client2.onReady(), { success: true });
+      assert.strictEqual(client1.getProjectConfig().sdkKey, 'sdk_key_1');
+      assert.strictEqual(client2.getProjectConfig().sdkKey, 'sdk_key_2');
+    });
+
+    it('should close a client once every acquire was released', async function() {
+      var client = registry.acquire('sdk_key_1', clientConfig);
+      registry.acquire('sdk_key_1');
+      sinon.spy(client, 'close');
+
+      assert.deepEqual(await registry.release('sdk_key_1'), { success: true });
+      sinon.assert.notCalled(client.close);
+      assert.strictEqual(registry.getClient('sdk_key_1'), client);
+
+      assert.deepEqual(await registry.release('sdk_key_1'), { success: true });
+      sinon.assert.calledOnce(client.close);
+      assert.isNull(registry.getClient('sdk_key_1'));
+      assert.notStrictEqual(registry.acquire('sdk_key_1', clientConfig), client);
+    });
+
+    it('should not release an SDK key which was not acquired', async function() {
+      assert.deepEqual(await registry.release('sdk_key_1'), {
+        success: false,
+        reason: sprintf(LOG_MESSAGES.CLIENT_NOT_IN_REGISTRY, 'CLIENT_REGISTRY', 'sdk_key_1'),
+      });
+    });
+
+    it('should dispatch the events of all clients through the shared event processor', async function() {
+      var client1 = registry.acquire('sdk_key_1', clientConfig);
+      var client2 = registry.acquire('sdk_key_2', clientConfig);
+      await client1.onReady();
+      await client2.onReady();
+      client1.createUserContext('user1').decide('feature_2');
+      client2.createUserContext('user2').decide('feature_2');
+
+      // releasing a client does not flush the shared event processor
+      await registry.release('sdk_key_1');
+      sinon.assert.notCalled(eventDispatcher.dispatchEvent);
+
+      assert.deepEqual(await registry.close(), { success: true });
+      var visitorIds = [];
+      eventDispatcher.dispatchEvent.args.forEach(function(args) {
+        args[0].params.visitors.forEach(function(visitor) {
+          visitorIds.push(visitor.visitor_id);
+        });
+      });
+      assert.sameMembers(visitorIds, ['user1', 'user2']);
+    });
+
+    it('should flush the shared event processor once the last client is released', async function() {
+      var client1 = registry.acquire('sdk_key_1', clientConfig);
+      var client2 = registry.acquire('sdk_key_2', clientConfig);
+      await client1.onReady();
+      await client2.onReady();
+      client1.createUserContext('user1').decide('feature_2');
+      client2.createUserContext('user2').decide('feature_2');
+
+      await registry.release('sdk_key_1');
+      sinon.assert.notCalled(eventDispatcher.dispatchEvent);
+      await registry.release('sdk_key_2');
+      sinon.assert.calledOnce(eventDispatcher.dispatchEvent);
+      assert.lengthOf(eventDispatcher.dispatchEvent.args[0][0].params.visitors, 2);
+
+      // a client acquired afterwards sends its events through a new event processor
+      var client3 = registry.acquire('sdk_key_3', clientConfig);
+      await client3.onReady();
+      client3.createUserContext('user3').decide('feature_2');
+      await registry.release('sdk_key_3');
+      sinon.assert.calledTwice(eventDispatcher.dispatchEvent);
+      assert.strictEqual(eventDispatcher.dispatchEvent.args[1][0].params.visitors[0].visitor_id, 'user3');
+    });
+
+    it('should send the datafile requests through the agent', async function() {
+      var agent = new https.Agent({ keepAlive: true });
+      var agentRegistry = createClientRegistry({ agent: agent, eventDispatcher: eventDispatcher });
+      var requestSpy = sinon.spy(https, 'request');
+      try {
+        await agentRegistry.acquire('sdk_key_1', clientConfig).onReady();
+        assert.strictEqual(requestSpy.args[0][0].agent, agent);
+      } finally {
+        requestSpy.restore();
+        await agentRegistry.close();
+        agent.destroy();
+      }
+    });
+
+    it('should send the requests of each protocol through an agent of the protocol by default', async function() {
+      nock('http://mirror.example.com')
+        .get('/datafiles/sdk_key_1.json')
+        .reply(200, JSON.stringify(testData.getTestDecideProjectConfig()));
+      var httpRequestSpy = sinon.spy(http, 'request');
+      var httpsRequestSpy = sinon.spy(https, 'request');
+      try {
+        var client1 = registry.acquire('sdk_key_1', {
+          datafileOptions: { autoUpdate: false, urlTemplate: 'http://mirror.example.com/datafiles/%s.json' },
+          odpOptions: { disabled: true },
+        });
+        assert.deepEqual(await client1.onReady(), { success: true });
+        await registry.acquire('sdk_key_2', clientConfig).onReady();
+        var httpAgent = httpRequestSpy.args[0][0].agent;
+        var httpsAgent = httpsRequestSpy.args[0][0].agent;
+        assert.instanceOf(httpAgent, http.Agent);
+        assert.notInstanceOf(httpAgent, https.Agent);
+        assert.instanceOf(httpsAgent, https.Agent);
+      } finally {
+        httpRequestSpy.restore();
+        httpsRequestSpy.restore();
+      }
+    });
+
+    it('should create the ODP managers of the clients with the agent', async function() {
+      var agent = new https.Agent({ keepAlive: true });
+      var agentRegistry = createClientRegistry({ agent: agent, eventDispatcher: eventDispatcher });
+      var createInstanceSpy = sinon.spy(NodeOdpManager, 'createInstance');
+      try {
+        await agentRegistry.acquire('sdk_key_1', { datafileOptions: { autoUpdate: false } }).onReady();
+        sinon.assert.calledOnce(createInstanceSpy);
+        assert.strictEqual(createInstanceSpy.args[0][0].agent, agent);
+      } finally {
+        createInstanceSpy.restore();
+        await agentRegistry.close();
+        agent.destroy();
+      }
+    });
+
+    it('should close all clients and not acquire clients once closed', async function() {
+      var client1 = registry.acquire('sdk_key_1', clientConfig);
+      var client2 = registry.acquire('sdk_key_2', clientConfig);
+      sinon.spy(client1, 'close');
+      sinon.spy(client2, 'close');
+
+      assert.deepEqual(await registry.close(), { success: true });
+      sinon.assert.calledOnce(client1.close);
+      sinon.assert.calledOnce(client2.close);
+      assert.isNull(registry.getClient('sdk_key_1'));
+      assert.isNull(registry.acquire('sdk_key_1', clientConfig));
+    });
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import http from 'http';
+import https from 'https';
+
+import { getErrorHandler, getLogger } from '../modules/logging';
+import { DeadLetterStore, EventProcessor, EventRetryOptions } from '../modules/event_processor';
+import Optimizely from '../optimizely';
+import configValidator from '../utils/config_validator';
+import { find, sprintf } from '../utils/fns';
+import { ERROR_MESSAGES, LOG_LEVEL, LOG_MESSAGES, NODE_CLIENT_ENGINE } from '../utils/enums';
+import { createNotificationCenter } from '../core/notification_center';
+import { NodeRequestAgent } from '../utils/http_request_handler/node_request_handler';
+import { createEventProcessor } from '../plugins/event_processor';
+import { createAgentEventDispatcher } from '../plugins/event_dispatcher/index.node';
+import { createHttpPollingDatafileManager } from '../plugins/datafile_manager/http_polling_datafile_manager';
+import { NodeOdpManager } from '../plugins/odp_manager/index.node';
+import { Client, Config, EventDispatcher } from '../shared_types';
+
+const MODULE_NAME = 'CLIENT_REGISTRY';
+
+const logger = getLogger();
+
+export interface ClientRegistryOptions {
+  // agent of the datafile, event and ODP requests of all clients, or an agent per protocol. Defaults to
+  // keep-alive HTTP and HTTPS agents owned by the registry, which are destroyed when the registry is closed
+  agent?: NodeRequestAgent;
+  // dispatcher of the events of all clients. Defaults to a dispatcher sending its requests through the agent
+  eventDispatcher?: EventDispatcher;
+  eventBatchSize?: number;
+  eventFlushInterval?: number;
+  eventRetryOptions?: EventRetryOptions;
+  eventDeadLetterStore?: DeadLetterStore;
+}
+
+/**
+ * Config of a client of the registry. Events, logging and error handling are configured for the whole
+ * registry and the process, so the corresponding options are not available.
+ */
+export type RegistryClientConfig = Omit<
+  Config,
+  | 'sdkKey'
+  | 'eventDispatcher'
+  | 'closingEventDispatcher'
+  | 'eventBatchSize'
+  | 'eventFlushInterval'
+  | 'eventMaxQueueSize'
+  | 'eventRetryOptions'
+  | 'eventDeadLetterStore'
+  | 'pendingEventsFilePath'
+  | 'logger'
+  | 'logLevel'
+  | 'errorHandler'
+>;
+
+interface RegistryEntry {
+  client: Client;
+  refCount: number;
+}
+
+/**
+ * Owns one client per SDK key for the projects served by a Node process. Clients share the agents of their
+ * HTTP requests and a single event processor, so events of all projects are batched and dispatched together.
+ * LOG_EVENT notifications are not sent by the clients of a registry.
+ *
+ * Clients are reference counted: acquire returns the client of an SDK key, creating it on first use, and
+ * release closes it once every acquire was released. The shared event processor is started for the first
+ * client, and stopped, flushing its queue, once the last client is closed.
+ */
+export class ClientRegistry {
+  private entries: { [sdkKey: string]: RegistryEntry } = {};
+  private agent: NodeRequestAgent;
+  private ownedAgents: http.Agent[] = [];
+  private eventProcessorConfig: Parameters<typeof createEventProcessor>[0];
+  private eventProcessor: EventProcessor | null = null;
+  // number of clients which were not closed yet, sending their events through the shared event processor
+  private eventProcessorClientCount = 0;
+  private isClosed = false;
+
+  constructor(options: ClientRegistryOptions = {}) {
+    if (options.agent) {
+      this.agent = options.agent;
+    } else {
+      const agents = { http: new http.Agent({ keepAlive: true }), https: new https.Agent({ keepAlive: true }) };
+      this.agent = agents;
+      this.ownedAgents = [agents.http, agents.https];
+    }
+    this.eventProcessorConfig = {
+      dispatcher: options.eventDispatcher || createAgentEventDispatcher(this.agent),
+      flushInterval: options.eventFlushInterval,
+      batchSize: options.eventBatchSize,
+      retryOptions: options.eventRetryOptions,
+      deadLetterStore: options.eventDeadLetterStore,
+    };
+  }
+
+  /**
+   * Returns the client of an SDK key, creating it with the given config if the SDK key has no client yet.
+   * The config is ignored when the client already exists. Every acquire must be followed by a release.
+   * @param  {string}                 sdkKey
+   * @param  {RegistryClientConfig}   config
+   * @return {Client|null}            the client, or null if the registry is closed or the client could not be created
+   */
+  acquire(sdkKey: string, config: RegistryClientConfig = {}): Client | null {
+    if (this.isClosed) {
+      logger.log(LOG_LEVEL.ERROR, ERROR_MESSAGES.CLIENT_REGISTRY_CLOSED, MODULE_NAME, sdkKey);
+      return null;
+    }
+
+    const entry = this.entries[sdkKey];
+    if (entry) {
+      entry.refCount++;
+      return entry.client;
+    }
+
+    const client = this.createClient(sdkKey, config);
+    if (client) {
+      this.entries[sdkKey] = { client, refCount: 1 };
+    }
+    return client;
+  }
+
+  /**
+   * Releases a client acquired for an SDK key, and closes it when it is not acquired anymore
+   * @param  {string}   sdkKey
+   * @return {Promise}  fulfilled with the result of closing the client, or a successful result
+   *                    if the client is still acquired
+   */
+  release(sdkKey: string): Promise<{ success: boolean; reason?: string }> {
+    const entry = this.entries[sdkKey];
+    if (!entry) {
+      logger.log(LOG_LEVEL.WARNING, LOG_MESSAGES.CLIENT_NOT_IN_REGISTRY, MODULE_NAME, sdkKey);
+      return Promise.resolve({
+        success: false,
+        reason: sprintf(LOG_MESSAGES.CLIENT_NOT_IN_REGISTRY, MODULE_NAME, sdkKey),
+      });
+    }
+
+    entry.refCount--;
+    if (entry.refCount > 0) {
+      return Promise.resolve({ success: true });
+    }
+    delete this.entries[sdkKey];
+    return entry.client.close();
+  }
+
+  /**
+   * Returns the client of an SDK key without acquiring it
+   * @param  {string}         sdkKey
+   * @return {Client|null}    the client, or null if no client was acquired for the SDK key
+   */
+  getClient(sdkKey: string): Client | null {
+    const entry = this.entries[sdkKey];
+    return entry ? entry.client : null;
+  }
+
+  /**
+   * Closes all clients whether they are released or not, flushes their events and destroys the agents
+   * owned by the registry. No client can be acquired afterwards.
+   * @return {Promise}  fulfilled with the first failed result of closing a client, or a successful result
+   */
+  async close(): Promise<{ success: boolean; reason?: string }> {
+    this.isClosed = true;
+    const entries = this.entries;
+    this.entries = {};
+
+    // closing the last client stops the shared event processor
+    const results = await Promise.all(Object.keys(entries).map(sdkKey => entries[sdkKey].client.close()));
+    this.ownedAgents.forEach(agent => agent.destroy());
+
+    return find(results, result => !result.success) || { success: true };
+  }
+
+  /**
+   * Lets a client send its events through the shared event processor, which is created and started for the
+   * first client. Stopping the returned event processor, as closing the client does, stops the shared one
+   * once every client stopped it.
+   * @return {EventProcessor}
+   */
+  private acquireEventProcessor(): EventProcessor {
+    if (!this.eventProcessor) {
+      this.eventProcessor = createEventProcessor(this.eventProcessorConfig);
+      this.eventProcessor.start();
+    }
+    const eventProcessor = this.eventProcessor;
+    this.eventProcessorClientCount++;
+    let isStopped = false;
+    return {
+      process: event => eventProcessor.process(event),
+      start: () => Promise.resolve(),
+      stop: () => {
+        if (isStopped) {
+          return Promise.resolve();
+        }
+        isStopped = true;
+        this.eventProcessorClientCount--;
+        if (this.eventProcessorClientCount > 0) {
+          return Promise.resolve();
+        }
+        this.eventProcessor = null;
+        return eventProcessor.stop();
+      },
+    };
+  }
+
+  private createClient(sdkKey: string, config: RegistryClientConfig): Client | null {
+    let eventProcessor: EventProcessor | null = null;
+    try {
+      let isValidInstance = false;
+      try {
+        configValidator.validate(config);
+        isValidInstance = true;
+      } catch (ex) {
+        logger.error(ex);
+      }
+
+      const errorHandler = getErrorHandler();
+      const notificationCenter = createNotificationCenter({ logger, errorHandler });
+      const odpExplicitlyOff = config.odpOptions?.disabled === true;
+      const { clientEngine, clientVersion } = config;
+      eventProcessor = this.acquireEventProcessor();
+
+      return new Optimizely({
+        clientEngine: NODE_CLIENT_ENGINE,
+        ...config,
+        sdkKey,
+        eventProcessor,
+        logger,
+        errorHandler,
+        datafileManager: createHttpPollingDatafileManager(
+          sdkKey,
+          logger,
+          config.datafile,
+          config.datafileOptions,
+          this.agent
+        ),
+        notificationCenter,
+        isValidInstance,
+        odpManager: odpExplicitlyOff
+          ? undefined
+          : NodeOdpManager.createInstance({
+              logger,
+              odpOptions: config.odpOptions,
+              clientEngine,
+              clientVersion,
+              agent: this.agent,
+            }),
+      });
+    } catch (ex) {
+      logger.error(ex);
+      if (eventProcessor) {
+        eventProcessor.stop();
+      }
+      return null;
+    }
+  }
+}
+
+/**
+ * Creates a registry of the clients of several projects
+ * @param  {ClientRegistryOptions}  options
+ * @return {ClientRegistry}         An instance of the ClientRegistry
+ */
+export function createClientRegistry(options?: ClientRegistryOptions): ClientRegistry {
+  return new ClientRegistry(options);
+}
@@ -17,3 +17,7 @@
 export { LogLevel, LogHandler, getLogger, setLogHandler } from './modules/logging';
 export { LOG_LEVEL } from './utils/enums';
 export { createLogger } from './plugins/logger';
+export { createInMemoryDecisionAuditSink, createCallbackDecisionAuditSink } from './plugins/decision_audit_sink';
+export { diffProjectConfigs } from './core/project_config/config_diff';
+export { simulateBucketing } from './bucketing_simulation';
+export { createPersistentDeadLetterStore } from './modules/event_processor/deadLetterStore';
@@ -17,6 +17,7 @@ import sinon from 'sinon';
 import { assert } from 'chai';
 import { sprintf } from '../../utils/fns';
 import { getLogger } from '../../modules/logging';
+import { LOG_LEVEL, ERROR_MESSAGES } from '../../utils/enums';
 
 import AudienceEvaluator, { createAudienceEvaluator } from './index';
 import * as conditionTreeEvaluator from '../condition_tree_evaluator';
@@ -208,6 +209,7 @@ describe('lib/core/audience_evaluator', function() {
               customAttributeConditionEvaluator.evaluate,
               iphoneUserAudience.conditions[1],
               user,
+              sinon.match.func,
             );
             assert.isFalse(result);
           });
@@ -237,7 +239,8 @@ describe('lib/core/audience_evaluator', function() {
             sinon.assert.calledWithExactly(
               customAttributeConditionEvaluator.evaluate,
               iphoneUserAudience.conditions[1],
-              user
+              user,
+              sinon.match.func
             );
             assert.isFalse(result);
             assert.strictEqual(2, mockLogger.log.callCount);
@@ -261,6 +264,7 @@ describe('lib/core/audience_evaluator', function() {
               customAttributeConditionEvaluator.evaluate,
               iphoneUserAudience.conditions[1],
               user,
+              sinon.match.func,
             );
             assert.isTrue(result);
             assert.strictEqual(2, mockLogger.log.callCount);
@@ -284,6 +288,7 @@ describe('lib/core/audience_evaluator', function() {
               customAttributeConditionEvaluator.evaluate,
               iphoneUserAudience.conditions[1],
               user,
+              sinon.match.func,
             );
             assert.isFalse(result);
             assert.strictEqual(2, mockLogger.log.callCount);
@@ -340,6 +345,169 @@ describe('lib/core/audience_evaluator', function() {
       });
     });
 
+    context('with a clock', function() {
+      it('should evaluate date time conditions relative to now using the clock', function() {
+        var now = new Date('2024-05-31T00:00:00Z').getTime();
+        audienceEvaluator = createAudienceEvaluator({}, function() {
+          return now;
+        });
+        var recentSignupAudience = {
+          conditions: [
+            'and',
+            {
+              name: 'signed_up_at',
+              value: '-P30D',
+              type: 'custom_attribute',
+              match: 'datetime_after',
+            },
+          ],
+        };
+        var audiencesById = { recent_signup: recentSignupAudience };
+
+        assert.isTrue(
+          audienceEvaluator.evaluate(['recent_signup'], audiencesById, getMockUserContext({
+            signed_up_at: '2024-05-15T12:00:00Z',
+          }))
+        );
+        assert.isFalse(
+          audienceEvaluator.evaluate(['recent_signup'], audiencesById, getMockUserContext({
+            signed_up_at: '2024-04-15T12:00:00Z',
+          }))
+        );
+
+        now = new Date('2024-06-30T00:00:00Z').getTime();
+        assert.isFalse(
+          audienceEvaluator.evaluate(['recent_signup'], audiencesById, getMockUserContext({
+            signed_up_at: '2024-05-15T12:00:00Z',
+          }))
+        );
+      });
+    });
+
+    context('with condition evaluators', function() {
+      var configObj = { revision: '42' };
+      var geoRadiusAudience = {
+        conditions: [
+          'and',
+          {
+            type: 'geo_radius',
+            value: { latitude: 0, longitude: 0, radius: 10 },
+          },
+        ],
+      };
+      var geoRadiusWithinAudience = {
+        conditions: [
+          'and',
+          {
+            type: 'geo_radius',
+            match: 'within',
+            value: { latitude: 0, longitude: 0, radius: 10 },
+          },
+        ],
+      };
+      var regexAudience = {
+        conditions: [
+          'and',
+          {
+            name: 'browser_type',
+            type: 'custom_attribute',
+            match: 'regex',
+            value: '^chrom',
+          },
+        ],
+      };
+      var conditionEvaluatorsAudiencesById = {
+        0: chromeUserAudience,
+        geo_radius: geoRadiusAudience,
+        geo_radius_within: geoRadiusWithinAudience,
+        regex: regexAudience,
+      };
+      var geoRadiusEvaluator;
+      var geoRadiusWithinEvaluator;
+      var regexEvaluator;
+
+      beforeEach(function() {
+        geoRadiusEvaluator = {
+          type: 'geo_radius',
+          evaluate: sinon.spy(function(condition, context) {
+            return context.user.getAttributes().distance <= condition.value.radius;
+          }),
+        };
+        geoRadiusWithinEvaluator = {
+          type: 'geo_radius',
+          match: 'within',
+          evaluate: sinon.stub().returns(false),
+        };
+        regexEvaluator = {
+          type: 'custom_attribute',
+          match: 'regex',
+          evaluate: function(condition, context) {
+            return new RegExp(condition.value).test(context.user.getAttributes()[condition.name]);
+          },
+        };
+        audienceEvaluator = createAudienceEvaluator({}, undefined, [
+          geoRadiusEvaluator,
+          geoRadiusWithinEvaluator,
+          regexEvaluator,
+        ]);
+      });
+
+      it('should evaluate conditions of a condition type using the evaluator provided for it', function() {
+        assert.isTrue(
+          audienceEvaluator.evaluate(['geo_radius'], conditionEvaluatorsAudiencesById, getMockUserContext({ distance: 5 }), configObj)
+        );
+        assert.isFalse(
+          audienceEvaluator.evaluate(['geo_radius'], conditionEvaluatorsAudiencesById, getMockUserContext({ distance: 15 }), configObj)
+        );
+      });
+
+      it('should provide the user context, project config and logger to the evaluator', function() {
+        var user = getMockUserContext({ distance: 5 });
+        audienceEvaluator.evaluate(['geo_radius'], conditionEvaluatorsAudiencesById, user, configObj);
+        sinon.assert.calledOnce(geoRadiusEvaluator.evaluate);
+        sinon.assert.calledWithExactly(geoRadiusEvaluator.evaluate, geoRadiusAudience.conditions[1], {
+          user: user,
+          configObj: configObj,
+          logger: mockLogger,
+        });
+      });
+
+      it('should prefer the evaluator provided for the match type of a condition', function() {
+        assert.isFalse(
+          audienceEvaluator.evaluate(['geo_radius_within'], conditionEvaluatorsAudiencesById, getMockUserContext({ distance: 5 }), configObj)
+        );
+        sinon.assert.calledOnce(geoRadiusWithinEvaluator.evaluate);
+        sinon.assert.notCalled(geoRadiusEvaluator.evaluate);
+      });
+
+      it('should evaluate match types added to built in condition types', function() {
+        assert.isTrue(
+          audienceEvaluator.evaluate(['regex'], conditionEvaluatorsAudiencesById, getMockUserContext({ browser_type: 'chromium' }), configObj)
+        );
+        assert.isTrue(
+          audienceEvaluator.evaluate(['0'], conditionEvaluatorsAudiencesById, getMockUserContext({ browser_type: 'chrome' }), configObj)
+        );
+        assert.isFalse(
+          audienceEvaluator.evaluate(['0'], conditionEvaluatorsAudiencesById, getMockUserContext({ browser_type: 'chromium' }), configObj)
+        );
+      });
+
+      it('should log an error and treat the condition as unknown when the evaluator throws', function() {
+        geoRadiusWithinEvaluator.evaluate.throws(new Error('missing coordinates'));
+        assert.isFalse(
+          audienceEvaluator.evaluate(['not', 'geo_radius_within'], conditionEvaluatorsAudiencesById, getMockUserContext({}), configObj)
+        );
+        sinon.assert.calledWithExactly(
+          mockLogger.log,
+          LOG_LEVEL.ERROR,
+          ERROR_MESSAGES.CONDITION_EVALUATOR_ERROR,
+          'AUDIENCE_EVALUATOR',
+          'geo_radius',
+          'missing coordinates'
+        );
+      });
+    });
+
     context('with odp segment evaluator', function() {
       describe('Single ODP Audience', () => {
         const singleAudience = {
@@ -24,30 +24,64 @@ import {
 import * as conditionTreeEvaluator from '../condition_tree_evaluator';
 import * as customAttributeConditionEvaluator from '../custom_attribute_condition_evaluator';
 import * as odpSegmentsConditionEvaluator from './odp_segment_condition_evaluator';
-import { Audience, Condition, OptimizelyUserContext } from '../../shared_types';
+import { Audience, Condition, ConditionEvaluator, OptimizelyUserContext } from '../../shared_types';
+import { ProjectConfig } from '../project_config';
+import { AudienceTrace, ConditionTrace } from '../decision_trace';
 
 const logger = getLogger();
 const MODULE_NAME = 'AUDIENCE_EVALUATOR';
 
+/**
+ * Match types supported natively by the built in condition types, which condition evaluators cannot override
+ */
+export const BUILT_IN_CONDITION_MATCH_TYPES: { [conditionType: string]: string[] } = {
+  custom_attribute: customAttributeConditionEvaluator.MATCH_TYPES,
+  third_party_dimension: odpSegmentsConditionEvaluator.MATCH_TYPES,
+};
+
 export class AudienceEvaluator {
   private typeToEvaluatorMap: {
     [key: string]: {
-      [key: string]: (condition: Condition, user: OptimizelyUserContext) => boolean | null
+      [key: string]: (condition: Condition, user: OptimizelyUserContext, now: () => number) => boolean | null
     };
   };
+  private clock: () => number;
+  // condition evaluators by condition type and match type, with an empty match type for the whole condition type
+  private conditionEvaluatorsByType: {
+    [conditionType: string]: { [match: string]: ConditionEvaluator };
+  } = {};
 
   /**
    * Construct an instance of AudienceEvaluator with given options
    * @param {Object=} UNSTABLE_conditionEvaluators     A map of condition evaluators provided by the consumer. This enables matching
    *                                                   condition types which are not supported natively by the SDK. Note that built in
    *                                                   Optimizely evaluators cannot be overridden.
+   * @param {Function=} clock                            Returns the current time in milliseconds since the epoch, used by
+   *                                                   date time conditions relative to now. Defaults to the system clock.
+   * @param {ConditionEvaluator[]=} conditionEvaluators Condition evaluators provided by the consumer, registered by condition type
+   *                                                   and optionally match type. They take precedence over UNSTABLE_conditionEvaluators.
    * @constructor
    */
-  constructor(UNSTABLE_conditionEvaluators: unknown) {
+  constructor(
+    UNSTABLE_conditionEvaluators: unknown,
+    clock: () => number = fns.getTimestamp,
+    conditionEvaluators: ConditionEvaluator[] = []
+  ) {
     this.typeToEvaluatorMap = fns.assign({}, UNSTABLE_conditionEvaluators, {
       custom_attribute: customAttributeConditionEvaluator,
       third_party_dimension: odpSegmentsConditionEvaluator,
     });
+    this.clock = clock;
+    // condition evaluators are validated when creating the instance, this only guards against invalid ones
+    if (Array.isArray(conditionEvaluators)) {
+      conditionEvaluators.forEach(conditionEvaluator => {
+        if (conditionEvaluator && typeof conditionEvaluator.evaluate === 'function') {
+          const evaluatorsByMatch = this.conditionEvaluatorsByType[conditionEvaluator.type] || {};
+          evaluatorsByMatch[conditionEvaluator.match || ''] = conditionEvaluator;
+          this.conditionEvaluatorsByType[conditionEvaluator.type] = evaluatorsByMatch;
+        }
+      });
+    }
   }
 
   /**
@@ -60,6 +94,8 @@ export class AudienceEvaluator {
    *                                                              should be full audience objects with conditions properties
    * @param  {OptimizelyUserContext}        userAttributes        User context which contains the attributes and segments which will be used in 
    *                                                              determining if audience conditions are met.
+   * @param  {ProjectConfig}                configObj             Project config the audiences belong to, provided to condition evaluators
+   * @param  {AudienceTrace[]}              audienceTraces        (Optional) collects the audiences evaluated, with the results of their leaf conditions
    * @return {boolean}                                            true if the user attributes match the given audience conditions, false
    *                                                              otherwise
    */
@@ -67,6 +103,8 @@ export class AudienceEvaluator {
     audienceConditions: Array<string | string[]>,
     audiencesById: { [id: string]: Audience },
     user: OptimizelyUserContext,
+    configObj: ProjectConfig,
+    audienceTraces?: AudienceTrace[],
   ): boolean {
     // if there are no audiences, return true because that means ALL users are included in the experiment
     if (!audienceConditions || audienceConditions.length === 0) {
@@ -80,10 +118,25 @@ export class AudienceEvaluator {
           LOG_LEVEL.DEBUG,
           LOG_MESSAGES.EVALUATING_AUDIENCE, MODULE_NAME, audienceId, JSON.stringify(audience.conditions)
         );
+        const leaves: ConditionTrace[] = [];
+        const evaluateCondition = (condition: Condition) => {
+          const conditionResult = this.evaluateConditionWithUserAttributes(user, configObj, condition);
+          leaves.push({ condition, result: conditionResult });
+          return conditionResult;
+        };
         const result = conditionTreeEvaluator.evaluate(
           audience.conditions as unknown[] ,
-          this.evaluateConditionWithUserAttributes.bind(this, user)
+          audienceTraces ? evaluateCondition : this.evaluateConditionWithUserAttributes.bind(this, user, configObj)
         );
+        if (audienceTraces) {
+          audienceTraces.push({
+            id: audienceId,
+            name: audience.name,
+            conditions: audience.conditions,
+            result,
+            leaves,
+          });
+        }
         const resultText = result === null ? 'UNKNOWN' : result.toString().toUpperCase();
         logger.log(LOG_LEVEL.DEBUG, LOG_MESSAGES.AUDIENCE_EVALUATION_RESULT, MODULE_NAME, audienceId, resultText);
         return result;
@@ -98,17 +151,35 @@ export class AudienceEvaluator {
    * Wrapper around evaluator.evaluate that is passed to the conditionTreeEvaluator.
    * Evaluates the condition provided given the user attributes if an evaluator has been defined for the condition type.
    * @param  {OptimizelyUserContext}  user             Optimizely user context containing attributes and segments
+   * @param  {ProjectConfig}          configObj        Project config the condition belongs to
    * @param  {Condition}              condition        A single condition object to evaluate.
    * @return {boolean|null}                            true if the condition is satisfied, null if a matcher is not found.
    */
-  evaluateConditionWithUserAttributes(user: OptimizelyUserContext, condition: Condition): boolean | null {
+  evaluateConditionWithUserAttributes(
+    user: OptimizelyUserContext,
+    configObj: ProjectConfig,
+    condition: Condition
+  ): boolean | null {
+    const conditionEvaluator = this.getConditionEvaluator(condition);
+    if (conditionEvaluator) {
+      try {
+        return conditionEvaluator.evaluate(condition, { user, configObj, logger });
+      } catch (ex) {
+        logger.log(
+          LOG_LEVEL.ERROR,
+          ERROR_MESSAGES.CONDITION_EVALUATOR_ERROR, MODULE_NAME, condition.type, ex.message
+        );
+      }
+      return null;
+    }
+
     const evaluator = this.typeToEvaluatorMap[condition.type];
     if (!evaluator) {
       logger.log(LOG_LEVEL.WARNING, LOG_MESSAGES.UNKNOWN_CONDITION_TYPE, MODULE_NAME, JSON.stringify(condition));
       return null;
     }
     try {
-      return evaluator.evaluate(condition, user);
+      return evaluator.evaluate(condition, user, this.clock);
     } catch (err: any) {
       logger.log(
         LOG_LEVEL.ERROR,
@@ -118,10 +189,27 @@ export class AudienceEvaluator {
 
     return null;
   }
+
+  /**
+   * Get the condition evaluator provided for the match type of the given condition, or else for its condition type
+   * @param  {Condition}              condition
+   * @return {ConditionEvaluator|null}
+   */
+  private getConditionEvaluator(condition: Condition): ConditionEvaluator | null {
+    const evaluatorsByMatch = this.conditionEvaluatorsByType[condition.type];
+    if (!evaluatorsByMatch) {
+      return null;
+    }
+    return (condition.match && evaluatorsByMatch[condition.match]) || evaluatorsByMatch[''] || null;
+  }
 }
 
 export default AudienceEvaluator;
 
-export const createAudienceEvaluator = function(UNSTABLE_conditionEvaluators: unknown): AudienceEvaluator {
-  return new AudienceEvaluator(UNSTABLE_conditionEvaluators);
+export const createAudienceEvaluator = function(
+  UNSTABLE_conditionEvaluators: unknown,
+  clock?: () => number,
+  conditionEvaluators?: ConditionEvaluator[]
+): AudienceEvaluator {
+  return new AudienceEvaluator(UNSTABLE_conditionEvaluators, clock, conditionEvaluators);
 };
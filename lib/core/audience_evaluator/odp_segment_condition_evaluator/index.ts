@@ -24,7 +24,7 @@ const logger = getLogger();
 
 const QUALIFIED_MATCH_TYPE = 'qualified';
 
-const MATCH_TYPES = [
+export const MATCH_TYPES = [
   QUALIFIED_MATCH_TYPE,
 ];
 
@@ -75,6 +75,7 @@ describe('lib/core/bucketer', function () {
           bucketerParamsTest1.userId = 'ppid1';
           var decisionResponse = bucketer.bucket(bucketerParamsTest1);
           expect(decisionResponse.result).to.equal('111128');
+          expect(decisionResponse.bucketValue).to.equal(50);
 
           var bucketedUser_log1 = buildLogMessageFromArgs(createdLogger.log.args[0]);
           expect(bucketedUser_log1).to.equal(
@@ -83,7 +84,9 @@ describe('lib/core/bucketer', function () {
 
           var bucketerParamsTest2 = cloneDeep(bucketerParams);
           bucketerParamsTest2.userId = 'ppid2';
-          expect(bucketer.bucket(bucketerParamsTest2).result).to.equal(null);
+          var notBucketedDecisionResponse = bucketer.bucket(bucketerParamsTest2);
+          expect(notBucketedDecisionResponse.result).to.equal(null);
+          expect(notBucketedDecisionResponse.bucketValue).to.equal(50000);
 
           var notBucketedUser_log1 = buildLogMessageFromArgs(createdLogger.log.args[1]);
 
@@ -335,6 +338,16 @@ describe('lib/core/bucketer', function () {
           var decisionResponse = bucketer.bucket(bucketerParamsTest1);
           expect(decisionResponse.result).to.equal(null);
         });
+
+        it('should return decision response with the entity ID when entity validation is disabled', function () {
+          var bucketerParamsTest1 = cloneDeep(bucketerParams);
+          bucketerParamsTest1.userId = 'ppid1';
+          bucketerParamsTest1.bucketingId = 'ppid1';
+          bucketerParamsTest1.validateEntity = false;
+          bucketerParamsTest1.trafficAllocationConfig = [{ entityId: '$', endOfRange: 10000 }];
+          var decisionResponse = bucketer.bucket(bucketerParamsTest1);
+          expect(decisionResponse.result).to.equal('$');
+        });
       });
     });
 
@@ -39,6 +39,11 @@ const MAX_TRAFFIC_VALUE = 10000;
 const MODULE_NAME = 'BUCKETER';
 const RANDOM_POLICY = 'random';
 
+export interface BucketerResponse extends DecisionResponse<string | null> {
+  // bucket value of the user in the experiment, not set if the user was bucketed into another experiment of its group
+  readonly bucketValue?: number;
+}
+
 /**
  * Determines ID of variation to be shown for the given input params
  * @param  {Object}             bucketerParams
@@ -52,10 +57,12 @@ const RANDOM_POLICY = 'random';
  * @param  {string}             bucketerParams.varationIdMap[].key
  * @param  {Object}             bucketerParams.logger
  * @param  {string}             bucketerParams.bucketingId
- * @return {Object}             DecisionResponse                         DecisionResponse containing variation ID that user has been bucketed into,
- *                                                                       null if user is not bucketed into any experiment and the decide reasons.
+ * @param  {boolean}            bucketerParams.validateEntity           Whether the bucketed entity must be a variation in variationIdMap. Defaults to true
+ * @return {Object}             BucketerResponse                         DecisionResponse containing variation ID that user has been bucketed into,
+ *                                                                       null if user is not bucketed into any experiment, the decide reasons
+ *                                                                       and the bucket value of the user.
  */
-export const bucket = function(bucketerParams: BucketerParams): DecisionResponse<string | null> {
+export const bucket = function(bucketerParams: BucketerParams): BucketerResponse {
   const decideReasons: (string | number)[][] = [];
   // Check if user is in a random group; if so, check if user is bucketed into a specific experiment
   const experiment = bucketerParams.experimentIdMap[bucketerParams.experimentId];
@@ -153,7 +160,7 @@ export const bucket = function(bucketerParams: BucketerParams): DecisionResponse
   ]);
 
   const entityId = _findBucket(bucketValue, bucketerParams.trafficAllocationConfig);
-  if (entityId !== null) {
+  if (bucketerParams.validateEntity !== false && entityId !== null) {
     if (!bucketerParams.variationIdMap[entityId]) {
       if (entityId) {        
         bucketerParams.logger.log(LOG_LEVEL.WARNING, LOG_MESSAGES.INVALID_VARIATION_ID, MODULE_NAME);
@@ -162,6 +169,7 @@ export const bucket = function(bucketerParams: BucketerParams): DecisionResponse
       return {
         result: null,
         reasons: decideReasons,
+        bucketValue,
       };
     }
   }
@@ -169,6 +177,7 @@ export const bucket = function(bucketerParams: BucketerParams): DecisionResponse
   return {
     result: entityId,
     reasons: decideReasons,
+    bucketValue,
   };
 };
 
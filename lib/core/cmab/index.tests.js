@@ -0,0 +1,174 @@
+/****************************************************************************
+ * Copyright 2026, Optimizely, Inc. and contributors                        *
+ *                                                                          *
+ * Licensed under the Apache License, Version 2.0 (the "License");          *
+ * you may not use this file except in compliance with the License.         *
+ * You may obtain a copy of the License at                                  *
+ *                                                                          *
+ *    http://www.apache.org/licenses/LICENSE-2.0                            *
+ *                                                                          *
+ * Unless required by applicable law or agreed to in writing, software      *
+ * distributed under the License is distributed on an "AS IS" BASIS,        *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. *
+ * See the License for the specific language governing permissions and      *
+ * limitations under the License.                                           *
+ ***************************************************************************/
+import sinon from 'sinon';
+import { assert } from 'chai';
+
+import { createCmabService } from './';
+import { LocalCmabDecisionProvider } from './local_decision_provider';
+import { LOG_LEVEL } from '../../utils/enums';
+import { createLogger } from '../../plugins/logger';
+import OptimizelyUserContext from '../../optimizely_user_context';
+import projectConfig from '../project_config';
+import { getTestDecideProjectConfigWithCmab } from '../../tests/test_data';
+
+var createUser = function(attributes) {
+  return new OptimizelyUserContext({
+    shouldIdentifyUser: false,
+    optimizely: {},
+    userId: 'user1',
+    attributes: attributes,
+  });
+};
+
+describe('lib/core/cmab', function() {
+  describe('CmabService', function() {
+    var configObj;
+    var rule;
+    var decisionProvider;
+    var mockLogger;
+    var cmabService;
+    var clock;
+
+    beforeEach(function() {
+      configObj = projectConfig.createProjectConfig(getTestDecideProjectConfigWithCmab());
+      rule = configObj.experimentKeyMap.exp_no_audience;
+      decisionProvider = {
+        getDecision: sinon.stub().resolves('10418510624'),
+      };
+      mockLogger = createLogger({ logLevel: LOG_LEVEL.INFO });
+      sinon.stub(mockLogger, 'log');
+      clock = sinon.useFakeTimers(new Date());
+      cmabService = createCmabService({
+        decisionProvider: decisionProvider,
+        cacheTimeout: 1000,
+        logger: mockLogger,
+      });
+    });
+
+    afterEach(function() {
+      mockLogger.log.restore();
+      clock.restore();
+    });
+
+    describe('#fetchDecision', function() {
+      it('should request the decision with only the attributes configured on the rule', async function() {
+        var variationId = await cmabService.fetchDecision(configObj, rule, createUser({ gender: 'f', testvar: 'a' }));
+        assert.strictEqual(variationId, '10418510624');
+        sinon.assert.calledOnce(decisionProvider.getDecision);
+        sinon.assert.calledWithExactly(decisionProvider.getDecision, {
+          ruleId: '10420810910',
+          ruleKey: 'exp_no_audience',
+          userId: 'user1',
+          attributes: { gender: 'f' },
+          variationIds: ['10418551353', '10418510624'],
+        });
+      });
+
+      it('should reuse the cached decision while the filtered attributes are unchanged', async function() {
+        await cmabService.fetchDecision(configObj, rule, createUser({ gender: 'f', testvar: 'a' }));
+        var variationId = await cmabService.fetchDecision(configObj, rule, createUser({ gender: 'f', testvar: 'b' }));
+        assert.strictEqual(variationId, '10418510624');
+        sinon.assert.calledOnce(decisionProvider.getDecision);
+      });
+
+      it('should request a new decision when the filtered attributes change', async function() {
+        await cmabService.fetchDecision(configObj, rule, createUser({ gender: 'f' }));
+        await cmabService.fetchDecision(configObj, rule, createUser({ gender: 'm' }));
+        sinon.assert.calledTwice(decisionProvider.getDecision);
+      });
+
+      it('should request a new decision when the cached decision expires', async function() {
+        await cmabService.fetchDecision(configObj, rule, createUser({ gender: 'f' }));
+        clock.tick(1001);
+        await cmabService.fetchDecision(configObj, rule, createUser({ gender: 'f' }));
+        sinon.assert.calledTwice(decisionProvider.getDecision);
+      });
+
+      it('should log an error and return null when the decision provider rejects', async function() {
+        decisionProvider.getDecision.rejects(new Error('timeout'));
+        var variationId = await cmabService.fetchDecision(configObj, rule, createUser({}));
+        assert.isNull(variationId);
+        sinon.assert.calledWithExactly(
+          mockLogger.log,
+          LOG_LEVEL.ERROR,
+          '%s: Failed to fetch CMAB decision for user %s and experiment %s: %s',
+          'CMAB_SERVICE',
+          'user1',
+          'exp_no_audience',
+          'timeout'
+        );
+        assert.isNull(cmabService.getCachedDecision(configObj, rule, createUser({})));
+      });
+
+      it('should log an error and return null when the decision provider returns an unknown variation', async function() {
+        decisionProvider.getDecision.resolves('unknown_variation_id');
+        var variationId = await cmabService.fetchDecision(configObj, rule, createUser({}));
+        assert.isNull(variationId);
+        sinon.assert.calledWith(mockLogger.log, LOG_LEVEL.ERROR);
+        assert.isNull(cmabService.getCachedDecision(configObj, rule, createUser({})));
+      });
+    });
+
+    describe('#getCachedDecision', function() {
+      it('should return null when no decision was fetched', function() {
+        assert.isNull(cmabService.getCachedDecision(configObj, rule, createUser({})));
+        sinon.assert.notCalled(decisionProvider.getDecision);
+      });
+
+      it('should return the fetched decision', async function() {
+        await cmabService.fetchDecision(configObj, rule, createUser({ gender: 'f' }));
+        assert.strictEqual(cmabService.getCachedDecision(configObj, rule, createUser({ gender: 'f' })), '10418510624');
+        assert.isNull(cmabService.getCachedDecision(configObj, rule, createUser({ gender: 'm' })));
+      });
+    });
+
+    describe('#reset', function() {
+      it('should remove all cached decisions', async function() {
+        await cmabService.fetchDecision(configObj, rule, createUser({}));
+        cmabService.reset();
+        assert.isNull(cmabService.getCachedDecision(configObj, rule, createUser({})));
+      });
+    });
+  });
+
+  describe('LocalCmabDecisionProvider', function() {
+    var decisionProvider = new LocalCmabDecisionProvider();
+    var request = {
+      ruleId: 'rule_id',
+      ruleKey: 'rule_key',
+      userId: 'user1',
+      attributes: {},
+      variationIds: ['a', 'b', 'c'],
+    };
+
+    it('should return the same variation for the same user and rule', async function() {
+      var first = await decisionProvider.getDecision(request);
+      var second = await decisionProvider.getDecision(request);
+      assert.include(request.variationIds, first);
+      assert.strictEqual(first, second);
+    });
+
+    it('should reject when the rule has no variations', async function() {
+      var error;
+      try {
+        await decisionProvider.getDecision(Object.assign({}, request, { variationIds: [] }));
+      } catch (ex) {
+        error = ex;
+      }
+      assert.instanceOf(error, Error);
+    });
+  });
+});
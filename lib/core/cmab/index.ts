@@ -0,0 +1,200 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { LogHandler } from '../../modules/logging';
+import { ERROR_MESSAGES, LOG_LEVEL, LOG_MESSAGES } from '../../utils/enums';
+import { ICache, LRUCache } from '../../utils/lru_cache';
+import { Experiment, OptimizelyUserContext, UserAttributes } from '../../shared_types';
+import { ProjectConfig } from '../project_config';
+
+const MODULE_NAME = 'CMAB_SERVICE';
+
+export const DEFAULT_CMAB_CACHE_SIZE = 1000;
+export const DEFAULT_CMAB_CACHE_TIMEOUT = 30 * 60 * 1000;
+
+/**
+ * Describes the rule and the user a CMAB decision is requested for.
+ * Only the attributes the rule is configured to use are included.
+ */
+export interface CmabDecisionRequest {
+  ruleId: string;
+  ruleKey: string;
+  userId: string;
+  attributes: UserAttributes;
+  variationIds: string[];
+}
+
+/**
+ * Chooses the variation of a CMAB rule for a user, usually by calling a remote decisioning service.
+ * getDecision resolves to the ID of one of the variations in the request.
+ */
+export interface CmabDecisionProvider {
+  getDecision(request: CmabDecisionRequest): Promise<string>;
+}
+
+export interface CmabCacheValue {
+  attributesHash: string;
+  variationId: string;
+}
+
+export interface CmabServiceOptions {
+  decisionProvider: CmabDecisionProvider;
+  cache: ICache<string, CmabCacheValue>;
+  logger: LogHandler;
+}
+
+/**
+ * Fetches CMAB decisions from a decision provider and caches them per user and rule.
+ * A cached decision is only reused while the attributes sent to the provider stay the same.
+ */
+export class CmabService {
+  private decisionProvider: CmabDecisionProvider;
+  private cache: ICache<string, CmabCacheValue>;
+  private logger: LogHandler;
+
+  constructor(options: CmabServiceOptions) {
+    this.decisionProvider = options.decisionProvider;
+    this.cache = options.cache;
+    this.logger = options.logger;
+  }
+
+  /**
+   * Returns the decision for the user and rule, requesting it from the decision provider if it is not cached.
+   * @param  {ProjectConfig}            configObj   The parsed project configuration object
+   * @param  {Experiment}               rule        A rule with CMAB settings
+   * @param  {OptimizelyUserContext}    user        A user context
+   * @return {Promise<string|null>}     ID of the variation chosen for the user, null if it could not be fetched
+   */
+  async fetchDecision(configObj: ProjectConfig, rule: Experiment, user: OptimizelyUserContext): Promise<string | null> {
+    const cachedVariationId = this.getCachedDecision(configObj, rule, user);
+    if (cachedVariationId !== null) {
+      return cachedVariationId;
+    }
+
+    const userId = user.getUserId();
+    const attributes = this.filterAttributes(configObj, rule, user);
+    let variationId: string;
+    try {
+      variationId = await this.decisionProvider.getDecision({
+        ruleId: rule.id,
+        ruleKey: rule.key,
+        userId,
+        attributes,
+        variationIds: rule.variations.map(variation => variation.id),
+      });
+    } catch (ex) {
+      this.logger.log(LOG_LEVEL.ERROR, ERROR_MESSAGES.CMAB_FETCH_FAILED, MODULE_NAME, userId, rule.key, ex.message);
+      return null;
+    }
+
+    if (!rule.variations.some(variation => variation.id === variationId)) {
+      this.logger.log(LOG_LEVEL.ERROR, ERROR_MESSAGES.CMAB_INVALID_VARIATION, MODULE_NAME, variationId, rule.key);
+      return null;
+    }
+
+    this.logger.log(LOG_LEVEL.DEBUG, LOG_MESSAGES.CMAB_DECISION_FETCHED, MODULE_NAME, variationId, rule.key, userId);
+    this.cache.save({
+      key: this.makeCacheKey(userId, rule.id),
+      value: {
+        attributesHash: hashAttributes(attributes),
+        variationId,
+      },
+    });
+
+    return variationId;
+  }
+
+  /**
+   * Returns the cached decision for the user and rule without calling the decision provider.
+   * @param  {ProjectConfig}            configObj   The parsed project configuration object
+   * @param  {Experiment}               rule        A rule with CMAB settings
+   * @param  {OptimizelyUserContext}    user        A user context
+   * @return {string|null}              ID of the cached variation, null if there is no valid cached decision
+   */
+  getCachedDecision(configObj: ProjectConfig, rule: Experiment, user: OptimizelyUserContext): string | null {
+    const cachedValue = this.cache.lookup(this.makeCacheKey(user.getUserId(), rule.id));
+    if (!cachedValue || cachedValue.attributesHash !== hashAttributes(this.filterAttributes(configObj, rule, user))) {
+      return null;
+    }
+
+    return cachedValue.variationId;
+  }
+
+  /**
+   * Removes all cached decisions
+   */
+  reset(): void {
+    this.cache.reset();
+  }
+
+  makeCacheKey(userId: string, ruleId: string): string {
+    return `${userId.length}-${userId}-${ruleId}`;
+  }
+
+  /**
+   * Picks the user attributes the rule is configured to send to the decision provider
+   * @param  {ProjectConfig}            configObj   The parsed project configuration object
+   * @param  {Experiment}               rule        A rule with CMAB settings
+   * @param  {OptimizelyUserContext}    user        A user context
+   * @return {UserAttributes}
+   */
+  private filterAttributes(configObj: ProjectConfig, rule: Experiment, user: OptimizelyUserContext): UserAttributes {
+    const userAttributes = user.getAttributes();
+    const attributeIds = rule.cmab ? rule.cmab.attributeIds : [];
+    const filteredAttributes: UserAttributes = {};
+    (configObj.attributes || []).forEach(attribute => {
+      if (attributeIds.indexOf(attribute.id) !== -1 && userAttributes.hasOwnProperty(attribute.key)) {
+        filteredAttributes[attribute.key] = userAttributes[attribute.key];
+      }
+    });
+
+    return filteredAttributes;
+  }
+}
+
+/**
+ * Serializes attributes independently of their insertion order
+ * @param  {UserAttributes} attributes
+ * @return {string}
+ */
+function hashAttributes(attributes: UserAttributes): string {
+  return JSON.stringify(Object.keys(attributes).sort().map(key => [key, attributes[key]]));
+}
+
+/**
+ * Creates an instance of the CmabService.
+ * @param  {CmabDecisionProvider}   decisionProvider  Provider of CMAB decisions
+ * @param  {number}                 cacheSize         Maximum number of cached decisions
+ * @param  {number}                 cacheTimeout      Milliseconds a cached decision stays valid
+ * @param  {LogHandler}             logger
+ * @return {CmabService}            An instance of the CmabService
+ */
+export function createCmabService({
+  decisionProvider,
+  cacheSize = DEFAULT_CMAB_CACHE_SIZE,
+  cacheTimeout = DEFAULT_CMAB_CACHE_TIMEOUT,
+  logger,
+}: {
+  decisionProvider: CmabDecisionProvider;
+  cacheSize?: number;
+  cacheTimeout?: number;
+  logger: LogHandler;
+}): CmabService {
+  return new CmabService({
+    decisionProvider,
+    cache: new LRUCache<string, CmabCacheValue>({ maxSize: cacheSize, timeout: cacheTimeout }),
+    logger,
+  });
+}
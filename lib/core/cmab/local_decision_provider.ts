@@ -0,0 +1,36 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { _generateBucketValue } from '../bucketer';
+import { CmabDecisionProvider, CmabDecisionRequest } from './';
+
+const MAX_BUCKET_VALUE = 10000;
+
+/**
+ * Local stand-in for a remote CMAB decisioning service.
+ * Spreads users evenly and deterministically across the variations of a rule,
+ * which makes it suitable for tests and offline evaluation.
+ */
+export class LocalCmabDecisionProvider implements CmabDecisionProvider {
+  getDecision({ ruleId, userId, variationIds }: CmabDecisionRequest): Promise<string> {
+    if (variationIds.length === 0) {
+      return Promise.reject(new Error(`Rule ${ruleId} has no variations`));
+    }
+
+    const bucketValue = _generateBucketValue(`${userId}${ruleId}`);
+    const index = Math.floor((bucketValue * variationIds.length) / MAX_BUCKET_VALUE);
+    return Promise.resolve(variationIds[index]);
+  }
+}
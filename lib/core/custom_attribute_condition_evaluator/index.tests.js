@@ -1240,4 +1240,452 @@ describe('lib/core/custom_attribute_condition_evaluator', function() {
       }
     });
   });
+
+  describe('semver range match type', function() {
+    var semverRangeCondition = {
+      match: 'semver_range',
+      name: 'app_version',
+      type: 'custom_attribute',
+      value: '^2.3.0 || ~1.4',
+    };
+
+    it('should return true if the user-provided version is in the condition range', function() {
+      ['2.3.0', '2.9.1', '1.4.7', 'v1.4'].forEach(function(version) {
+        assert.isTrue(
+          customAttributeEvaluator.evaluate(semverRangeCondition, getMockUserContext({ app_version: version })),
+          version
+        );
+      });
+    });
+
+    it('should return false if the user-provided version is not in the condition range', function() {
+      ['2.2.9', '3.0.0', '1.5.0', '2.4.0-beta.1'].forEach(function(version) {
+        assert.isFalse(
+          customAttributeEvaluator.evaluate(semverRangeCondition, getMockUserContext({ app_version: version })),
+          version
+        );
+      });
+    });
+
+    it('should log and return null if the user-provided version is invalid', function() {
+      var result = customAttributeEvaluator.evaluate(semverRangeCondition, getMockUserContext({ app_version: '2.x' }));
+      assert.isNull(result);
+      sinon.assert.calledOnce(stubLogHandler.log);
+      assert.strictEqual(stubLogHandler.log.args[0][0], LOG_LEVEL.WARNING);
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.INVALID_SEMANTIC_VERSION, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(semverRangeCondition), 'app_version')
+      );
+    });
+
+    it('should log and return null if the user-provided value is not a string', function() {
+      var result = customAttributeEvaluator.evaluate(semverRangeCondition, getMockUserContext({ app_version: 2 }));
+      assert.isNull(result);
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.UNEXPECTED_TYPE, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(semverRangeCondition), 'number', 'app_version')
+      );
+    });
+
+    it('should log and return null if the condition value is not a valid range', function() {
+      [10, '>=1.2.0 <', null].forEach(function(value) {
+        var invalidCondition = {
+          match: 'semver_range',
+          name: 'app_version',
+          type: 'custom_attribute',
+          value: value,
+        };
+        stubLogHandler.log.reset();
+        assert.isNull(customAttributeEvaluator.evaluate(invalidCondition, getMockUserContext({ app_version: '1.2.0' })));
+        sinon.assert.calledOnce(stubLogHandler.log);
+        assert.strictEqual(
+          stubLogHandler.log.args[0][1],
+          sprintf(LOG_MESSAGES.UNEXPECTED_CONDITION_VALUE, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(invalidCondition))
+        );
+      });
+    });
+  });
+
+  describe('contains any match type', function() {
+    var containsAnyCondition = {
+      match: 'contains_any',
+      name: 'entitlements',
+      type: 'custom_attribute',
+      value: ['pro', 'beta', 42],
+    };
+
+    it('should return true if the user-provided array contains any of the condition values', function() {
+      assert.isTrue(
+        customAttributeEvaluator.evaluate(containsAnyCondition, getMockUserContext({ entitlements: ['basic', 'beta'] }))
+      );
+      assert.isTrue(
+        customAttributeEvaluator.evaluate(containsAnyCondition, getMockUserContext({ entitlements: [42] }))
+      );
+    });
+
+    it('should return false if the user-provided array contains none of the condition values', function() {
+      assert.isFalse(
+        customAttributeEvaluator.evaluate(containsAnyCondition, getMockUserContext({ entitlements: ['basic', '42'] }))
+      );
+      assert.isFalse(customAttributeEvaluator.evaluate(containsAnyCondition, getMockUserContext({ entitlements: [] })));
+    });
+
+    it('should log and return null if the user-provided value is not an array of strings and numbers', function() {
+      var result = customAttributeEvaluator.evaluate(containsAnyCondition, getMockUserContext({ entitlements: 'pro' }));
+      assert.isNull(result);
+      sinon.assert.calledOnce(stubLogHandler.log);
+      assert.strictEqual(stubLogHandler.log.args[0][0], LOG_LEVEL.WARNING);
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.UNEXPECTED_TYPE, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(containsAnyCondition), 'string', 'entitlements')
+      );
+      assert.isNull(
+        customAttributeEvaluator.evaluate(containsAnyCondition, getMockUserContext({ entitlements: [{ plan: 'pro' }] }))
+      );
+    });
+
+    it('should log and return null if the user-provided value is null', function() {
+      var result = customAttributeEvaluator.evaluate(containsAnyCondition, getMockUserContext({ entitlements: null }));
+      assert.isNull(result);
+      sinon.assert.calledOnce(stubLogHandler.log);
+      assert.strictEqual(stubLogHandler.log.args[0][0], LOG_LEVEL.DEBUG);
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.UNEXPECTED_TYPE_NULL, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(containsAnyCondition), 'entitlements')
+      );
+    });
+
+    it('should log and return null if the condition value is not an array of strings and numbers', function() {
+      var invalidCondition = {
+        match: 'contains_any',
+        name: 'entitlements',
+        type: 'custom_attribute',
+        value: 'pro',
+      };
+      var result = customAttributeEvaluator.evaluate(invalidCondition, getMockUserContext({ entitlements: ['pro'] }));
+      assert.isNull(result);
+      sinon.assert.calledOnce(stubLogHandler.log);
+      assert.strictEqual(stubLogHandler.log.args[0][0], LOG_LEVEL.WARNING);
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.UNEXPECTED_CONDITION_VALUE, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(invalidCondition))
+      );
+    });
+
+    it('should log and return null if the user-provided value is missing', function() {
+      var result = customAttributeEvaluator.evaluate(containsAnyCondition, getMockUserContext({}));
+      assert.isNull(result);
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.MISSING_ATTRIBUTE_VALUE, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(containsAnyCondition), 'entitlements')
+      );
+    });
+  });
+
+  describe('contains all match type', function() {
+    var containsAllCondition = {
+      match: 'contains_all',
+      name: 'entitlements',
+      type: 'custom_attribute',
+      value: ['pro', 'beta'],
+    };
+
+    it('should return true if the user-provided array contains all of the condition values', function() {
+      assert.isTrue(
+        customAttributeEvaluator.evaluate(
+          containsAllCondition,
+          getMockUserContext({ entitlements: ['beta', 'basic', 'pro'] })
+        )
+      );
+    });
+
+    it('should return false if the user-provided array is missing any of the condition values', function() {
+      assert.isFalse(
+        customAttributeEvaluator.evaluate(containsAllCondition, getMockUserContext({ entitlements: ['pro', 'basic'] }))
+      );
+    });
+
+    it('should log and return null if the user-provided value is not an array', function() {
+      var result = customAttributeEvaluator.evaluate(containsAllCondition, getMockUserContext({ entitlements: 10 }));
+      assert.isNull(result);
+      sinon.assert.calledOnce(stubLogHandler.log);
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.UNEXPECTED_TYPE, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(containsAllCondition), 'number', 'entitlements')
+      );
+    });
+
+    it('should log and return null if the condition value contains values other than strings and numbers', function() {
+      var invalidCondition = {
+        match: 'contains_all',
+        name: 'entitlements',
+        type: 'custom_attribute',
+        value: ['pro', true],
+      };
+      assert.isNull(
+        customAttributeEvaluator.evaluate(invalidCondition, getMockUserContext({ entitlements: ['pro'] }))
+      );
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.UNEXPECTED_CONDITION_VALUE, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(invalidCondition))
+      );
+    });
+  });
+
+  describe('in match type', function() {
+    var inCondition = {
+      match: 'in',
+      name: 'country',
+      type: 'custom_attribute',
+      value: ['us', 'ca', 1],
+    };
+
+    it('should return true if the user-provided value is one of the condition values', function() {
+      assert.isTrue(customAttributeEvaluator.evaluate(inCondition, getMockUserContext({ country: 'ca' })));
+      assert.isTrue(customAttributeEvaluator.evaluate(inCondition, getMockUserContext({ country: 1 })));
+    });
+
+    it('should return false if the user-provided value is none of the condition values', function() {
+      assert.isFalse(customAttributeEvaluator.evaluate(inCondition, getMockUserContext({ country: 'fr' })));
+      assert.isFalse(customAttributeEvaluator.evaluate(inCondition, getMockUserContext({ country: '1' })));
+    });
+
+    it('should log and return null if the user-provided value is not a string or a number', function() {
+      var result = customAttributeEvaluator.evaluate(inCondition, getMockUserContext({ country: ['us'] }));
+      assert.isNull(result);
+      sinon.assert.calledOnce(stubLogHandler.log);
+      assert.strictEqual(stubLogHandler.log.args[0][0], LOG_LEVEL.WARNING);
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.UNEXPECTED_TYPE, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(inCondition), 'object', 'country')
+      );
+    });
+
+    it('should log and return null if the user-provided number value is out of bounds', function() {
+      var result = customAttributeEvaluator.evaluate(inCondition, getMockUserContext({ country: Math.pow(2, 53) + 2 }));
+      assert.isNull(result);
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.OUT_OF_BOUNDS, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(inCondition), 'country')
+      );
+    });
+
+    it('should log and return null if the condition value is not an array', function() {
+      var invalidCondition = {
+        match: 'in',
+        name: 'country',
+        type: 'custom_attribute',
+        value: 'us',
+      };
+      assert.isNull(customAttributeEvaluator.evaluate(invalidCondition, getMockUserContext({ country: 'us' })));
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.UNEXPECTED_CONDITION_VALUE, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(invalidCondition))
+      );
+    });
+  });
+
+  describe('date time before match type', function() {
+    var dateTimeBeforeCondition = {
+      match: 'datetime_before',
+      name: 'signed_up_at',
+      type: 'custom_attribute',
+      value: '2024-05-01T00:00:00Z',
+    };
+
+    it('should return true if the user-provided date time is before the condition date time', function() {
+      assert.isTrue(
+        customAttributeEvaluator.evaluate(dateTimeBeforeCondition, getMockUserContext({ signed_up_at: '2024-04-30T23:59:59Z' }))
+      );
+      assert.isTrue(
+        customAttributeEvaluator.evaluate(dateTimeBeforeCondition, getMockUserContext({ signed_up_at: Date.UTC(2024, 3, 1) }))
+      );
+    });
+
+    it('should compare date times with different UTC offsets', function() {
+      assert.isTrue(
+        customAttributeEvaluator.evaluate(dateTimeBeforeCondition, getMockUserContext({ signed_up_at: '2024-05-01T01:00:00+02:00' }))
+      );
+      assert.isFalse(
+        customAttributeEvaluator.evaluate(dateTimeBeforeCondition, getMockUserContext({ signed_up_at: '2024-04-30T20:00:00-04:00' }))
+      );
+    });
+
+    it('should return false if the user-provided date time is the same as or after the condition date time', function() {
+      assert.isFalse(
+        customAttributeEvaluator.evaluate(dateTimeBeforeCondition, getMockUserContext({ signed_up_at: '2024-05-01' }))
+      );
+      assert.isFalse(
+        customAttributeEvaluator.evaluate(dateTimeBeforeCondition, getMockUserContext({ signed_up_at: '2024-06-01' }))
+      );
+    });
+
+    it('should log and return null if the user-provided value is not a valid date time', function() {
+      var result = customAttributeEvaluator.evaluate(dateTimeBeforeCondition, getMockUserContext({ signed_up_at: 'yesterday' }));
+      assert.isNull(result);
+      sinon.assert.calledOnce(stubLogHandler.log);
+      assert.strictEqual(stubLogHandler.log.args[0][0], LOG_LEVEL.WARNING);
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.INVALID_DATE_TIME, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(dateTimeBeforeCondition), 'signed_up_at')
+      );
+    });
+
+    it('should log and return null if the user-provided value is not a string or a number', function() {
+      var result = customAttributeEvaluator.evaluate(dateTimeBeforeCondition, getMockUserContext({ signed_up_at: true }));
+      assert.isNull(result);
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.UNEXPECTED_TYPE, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(dateTimeBeforeCondition), 'boolean', 'signed_up_at')
+      );
+    });
+
+    it('should log and return null if the user-provided value is null', function() {
+      var result = customAttributeEvaluator.evaluate(dateTimeBeforeCondition, getMockUserContext({ signed_up_at: null }));
+      assert.isNull(result);
+      assert.strictEqual(stubLogHandler.log.args[0][0], LOG_LEVEL.DEBUG);
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.UNEXPECTED_TYPE_NULL, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(dateTimeBeforeCondition), 'signed_up_at')
+      );
+    });
+
+    it('should log and return null if the condition value is not a valid date time', function() {
+      var invalidCondition = {
+        match: 'datetime_before',
+        name: 'signed_up_at',
+        type: 'custom_attribute',
+        value: '2024-02-30',
+      };
+      var result = customAttributeEvaluator.evaluate(invalidCondition, getMockUserContext({ signed_up_at: '2024-01-01' }));
+      assert.isNull(result);
+      sinon.assert.calledOnce(stubLogHandler.log);
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.UNEXPECTED_CONDITION_VALUE, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(invalidCondition))
+      );
+    });
+  });
+
+  describe('date time after match type', function() {
+    var now = function() {
+      return Date.UTC(2024, 4, 31);
+    };
+    var signedUpRecentlyCondition = {
+      match: 'datetime_after',
+      name: 'signed_up_at',
+      type: 'custom_attribute',
+      value: '-P30D',
+    };
+
+    it('should return true if the user-provided date time is after the condition date time', function() {
+      var condition = {
+        match: 'datetime_after',
+        name: 'signed_up_at',
+        type: 'custom_attribute',
+        value: 1714521600000,
+      };
+      assert.isTrue(
+        customAttributeEvaluator.evaluate(condition, getMockUserContext({ signed_up_at: '2024-05-01T00:00:00.001Z' }))
+      );
+      assert.isFalse(
+        customAttributeEvaluator.evaluate(condition, getMockUserContext({ signed_up_at: '2024-05-01T00:00:00Z' }))
+      );
+    });
+
+    it('should evaluate condition values relative to the provided clock', function() {
+      assert.isTrue(
+        customAttributeEvaluator.evaluate(signedUpRecentlyCondition, getMockUserContext({ signed_up_at: '2024-05-15' }), now)
+      );
+      assert.isFalse(
+        customAttributeEvaluator.evaluate(signedUpRecentlyCondition, getMockUserContext({ signed_up_at: '2024-04-15' }), now)
+      );
+    });
+
+    it('should evaluate condition values relative to the system clock by default', function() {
+      assert.isTrue(
+        customAttributeEvaluator.evaluate(signedUpRecentlyCondition, getMockUserContext({ signed_up_at: Date.now() - 1000 }))
+      );
+      assert.isFalse(
+        customAttributeEvaluator.evaluate(
+          signedUpRecentlyCondition,
+          getMockUserContext({ signed_up_at: Date.now() - 31 * 24 * 60 * 60 * 1000 })
+        )
+      );
+    });
+  });
+
+  describe('date time between match type', function() {
+    var dateTimeBetweenCondition = {
+      match: 'datetime_between',
+      name: 'renewed_at',
+      type: 'custom_attribute',
+      value: ['2024-05-01T00:00:00Z', '2024-06-01T00:00:00Z'],
+    };
+
+    it('should return true if the user-provided date time is within the condition range, including its bounds', function() {
+      ['2024-05-01T00:00:00Z', '2024-05-15', '2024-06-01T02:00:00+02:00'].forEach(function(renewedAt) {
+        assert.isTrue(
+          customAttributeEvaluator.evaluate(dateTimeBetweenCondition, getMockUserContext({ renewed_at: renewedAt })),
+          renewedAt
+        );
+      });
+    });
+
+    it('should return false if the user-provided date time is outside of the condition range', function() {
+      ['2024-04-30T23:59:59.999Z', '2024-06-01T00:00:00.001Z'].forEach(function(renewedAt) {
+        assert.isFalse(
+          customAttributeEvaluator.evaluate(dateTimeBetweenCondition, getMockUserContext({ renewed_at: renewedAt })),
+          renewedAt
+        );
+      });
+    });
+
+    it('should accept ranges relative to now', function() {
+      var condition = {
+        match: 'datetime_between',
+        name: 'renewed_at',
+        type: 'custom_attribute',
+        value: ['-P7D', 'PT0S'],
+      };
+      var now = function() {
+        return Date.UTC(2024, 4, 31);
+      };
+      assert.isTrue(customAttributeEvaluator.evaluate(condition, getMockUserContext({ renewed_at: '2024-05-25' }), now));
+      assert.isFalse(customAttributeEvaluator.evaluate(condition, getMockUserContext({ renewed_at: '2024-05-20' }), now));
+    });
+
+    it('should log and return null if the condition value is not a list of two date times', function() {
+      [
+        '2024-05-01T00:00:00Z',
+        ['2024-05-01T00:00:00Z'],
+        ['2024-05-01T00:00:00Z', 'soon'],
+        ['2024-05-01', '2024-05-02', '2024-05-03'],
+      ].forEach(function(value) {
+        var invalidCondition = {
+          match: 'datetime_between',
+          name: 'renewed_at',
+          type: 'custom_attribute',
+          value: value,
+        };
+        stubLogHandler.log.reset();
+        assert.isNull(customAttributeEvaluator.evaluate(invalidCondition, getMockUserContext({ renewed_at: '2024-05-02' })));
+        sinon.assert.calledOnce(stubLogHandler.log);
+        assert.strictEqual(
+          stubLogHandler.log.args[0][1],
+          sprintf(LOG_MESSAGES.UNEXPECTED_CONDITION_VALUE, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(invalidCondition))
+        );
+      });
+    });
+
+    it('should log and return null if the user-provided value is not a valid date time', function() {
+      assert.isNull(
+        customAttributeEvaluator.evaluate(dateTimeBetweenCondition, getMockUserContext({ renewed_at: '2024-05' }))
+      );
+      assert.strictEqual(
+        stubLogHandler.log.args[0][1],
+        sprintf(LOG_MESSAGES.INVALID_DATE_TIME, 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR', JSON.stringify(dateTimeBetweenCondition), 'renewed_at')
+      );
+    });
+  });
 });
@@ -18,7 +18,9 @@ import { Condition, OptimizelyUserContext } from '../../shared_types';
 
 import fns from '../../utils/fns';
 import { LOG_MESSAGES } from '../../utils/enums';
-import { compareVersion } from '../../utils/semantic_version';
+import { compareVersion, isVersionInRange, parseSemanticVersion, parseVersionRange } from '../../utils/semantic_version';
+import { isArrayAttributeValueValid } from '../../utils/attributes_validator';
+import { parseDateTime, resolveDateTime } from '../../utils/date_time';
 
 const MODULE_NAME = 'CUSTOM_ATTRIBUTE_CONDITION_EVALUATOR';
 
@@ -35,9 +37,16 @@ const SEMVER_GREATER_OR_EQUAL_THAN_MATCH_TYPE = 'semver_ge';
 const SEMVER_GREATER_THAN_MATCH_TYPE = 'semver_gt';
 const SEMVER_LESS_OR_EQUAL_THAN_MATCH_TYPE = 'semver_le';
 const SEMVER_LESS_THAN_MATCH_TYPE = 'semver_lt';
+const SEMVER_RANGE_MATCH_TYPE = 'semver_range';
 const SUBSTRING_MATCH_TYPE = 'substring';
-
-const MATCH_TYPES = [
+const CONTAINS_ANY_MATCH_TYPE = 'contains_any';
+const CONTAINS_ALL_MATCH_TYPE = 'contains_all';
+const IN_MATCH_TYPE = 'in';
+const DATETIME_BEFORE_MATCH_TYPE = 'datetime_before';
+const DATETIME_AFTER_MATCH_TYPE = 'datetime_after';
+const DATETIME_BETWEEN_MATCH_TYPE = 'datetime_between';
+
+export const MATCH_TYPES = [
   EXACT_MATCH_TYPE,
   EXISTS_MATCH_TYPE,
   GREATER_THAN_MATCH_TYPE,
@@ -49,10 +58,17 @@ const MATCH_TYPES = [
   SEMVER_LESS_THAN_MATCH_TYPE,
   SEMVER_LESS_OR_EQUAL_THAN_MATCH_TYPE,
   SEMVER_GREATER_THAN_MATCH_TYPE,
-  SEMVER_GREATER_OR_EQUAL_THAN_MATCH_TYPE
+  SEMVER_GREATER_OR_EQUAL_THAN_MATCH_TYPE,
+  SEMVER_RANGE_MATCH_TYPE,
+  CONTAINS_ANY_MATCH_TYPE,
+  CONTAINS_ALL_MATCH_TYPE,
+  IN_MATCH_TYPE,
+  DATETIME_BEFORE_MATCH_TYPE,
+  DATETIME_AFTER_MATCH_TYPE,
+  DATETIME_BETWEEN_MATCH_TYPE,
 ];
 
-type ConditionEvaluator = (condition: Condition, user: OptimizelyUserContext) => boolean | null;
+type ConditionEvaluator = (condition: Condition, user: OptimizelyUserContext, now: () => number) => boolean | null;
 
 const EVALUATORS_BY_MATCH_TYPE: { [conditionType: string]: ConditionEvaluator | undefined } = {};
 EVALUATORS_BY_MATCH_TYPE[EXACT_MATCH_TYPE] = exactEvaluator;
@@ -67,17 +83,30 @@ EVALUATORS_BY_MATCH_TYPE[SEMVER_GREATER_THAN_MATCH_TYPE] = semverGreaterThanEval
 EVALUATORS_BY_MATCH_TYPE[SEMVER_GREATER_OR_EQUAL_THAN_MATCH_TYPE] = semverGreaterThanOrEqualEvaluator;
 EVALUATORS_BY_MATCH_TYPE[SEMVER_LESS_THAN_MATCH_TYPE] = semverLessThanEvaluator;
 EVALUATORS_BY_MATCH_TYPE[SEMVER_LESS_OR_EQUAL_THAN_MATCH_TYPE] = semverLessThanOrEqualEvaluator;
+EVALUATORS_BY_MATCH_TYPE[SEMVER_RANGE_MATCH_TYPE] = semverRangeEvaluator;
+EVALUATORS_BY_MATCH_TYPE[CONTAINS_ANY_MATCH_TYPE] = containsAnyEvaluator;
+EVALUATORS_BY_MATCH_TYPE[CONTAINS_ALL_MATCH_TYPE] = containsAllEvaluator;
+EVALUATORS_BY_MATCH_TYPE[IN_MATCH_TYPE] = inEvaluator;
+EVALUATORS_BY_MATCH_TYPE[DATETIME_BEFORE_MATCH_TYPE] = dateTimeBeforeEvaluator;
+EVALUATORS_BY_MATCH_TYPE[DATETIME_AFTER_MATCH_TYPE] = dateTimeAfterEvaluator;
+EVALUATORS_BY_MATCH_TYPE[DATETIME_BETWEEN_MATCH_TYPE] = dateTimeBetweenEvaluator;
 
 /**
  * Given a custom attribute audience condition and user attributes, evaluate the
  * condition against the attributes.
  * @param  {Condition}              condition
  * @param  {OptimizelyUserContext}  user
+ * @param  {() => number}           now         (Optional) returns the current time in milliseconds since the epoch,
+ *                                              used by date time conditions relative to now
  * @return {?boolean}               true/false if the given user attributes match/don't match the given condition,
  *                                  null if the given user attributes and condition can't be evaluated
  * TODO: Change to accept and object with named properties
  */
-export function evaluate(condition: Condition, user: OptimizelyUserContext): boolean | null {
+export function evaluate(
+  condition: Condition,
+  user: OptimizelyUserContext,
+  now: () => number = fns.getTimestamp
+): boolean | null {
   const userAttributes = user.getAttributes();
   const conditionMatch = condition.match;
   if (typeof conditionMatch !== 'undefined' && MATCH_TYPES.indexOf(conditionMatch) === -1) {
@@ -100,7 +129,7 @@ export function evaluate(condition: Condition, user: OptimizelyUserContext): boo
     evaluatorForMatch = EVALUATORS_BY_MATCH_TYPE[conditionMatch] || exactEvaluator;
   }
 
-  return evaluatorForMatch(condition, user);
+  return evaluatorForMatch(condition, user, now);
 }
 
 /**
@@ -465,3 +494,297 @@ function semverLessThanOrEqualEvaluator(condition: Condition, user: OptimizelyUs
   return result <= 0;
 
 }
+
+/**
+ * Evaluate the given version range match condition for the given user attributes. The condition
+ * value is an npm style range, such as ^2.3.0, ~1.4, >=1.2.0 <2.0.0 or unions of ranges separated by ||.
+ * @param  {Condition}              condition
+ * @param  {OptimizelyUserContext}  user
+ * @returns {?Boolean}              true if the user attribute version is in the condition range,
+ *                                  false if it is not,
+ *                                  null if the condition value isn't a valid range or the user attribute
+ *                                  value isn't a valid version
+ */
+function semverRangeEvaluator(condition: Condition, user: OptimizelyUserContext): boolean | null {
+  const userAttributes = user.getAttributes();
+  const conditionName = condition.name;
+  const userValue = userAttributes[conditionName];
+  const conditionValue = condition.value;
+
+  const range = typeof conditionValue === 'string' ? parseVersionRange(conditionValue) : null;
+  if (!range) {
+    logger.warn(
+      LOG_MESSAGES.UNEXPECTED_CONDITION_VALUE, MODULE_NAME, JSON.stringify(condition)
+    );
+    return null;
+  }
+
+  if (userValue === null) {
+    logger.debug(
+      LOG_MESSAGES.UNEXPECTED_TYPE_NULL, MODULE_NAME, JSON.stringify(condition), conditionName
+    );
+    return null;
+  }
+
+  if (typeof userValue !== 'string') {
+    logger.warn(
+      LOG_MESSAGES.UNEXPECTED_TYPE, MODULE_NAME, JSON.stringify(condition), typeof userValue, conditionName
+    );
+    return null;
+  }
+
+  const version = parseSemanticVersion(userValue);
+  if (!version) {
+    logger.warn(
+      LOG_MESSAGES.INVALID_SEMANTIC_VERSION, MODULE_NAME, JSON.stringify(condition), conditionName
+    );
+    return null;
+  }
+
+  return isVersionInRange(version, range);
+}
+
+/**
+ * Validate user and condition values for conditions matching an array attribute against a list
+ * @param  {Condition}              condition
+ * @param  {OptimizelyUserContext}  user
+ * @returns {boolean}               true if both the condition value and the user attribute value are
+ *                                  arrays of strings and numbers, false otherwise
+ */
+function validateValuesForListCondition(condition: Condition, user: OptimizelyUserContext): boolean {
+  const userAttributes = user.getAttributes();
+  const conditionName = condition.name;
+  const userValue = userAttributes[conditionName];
+
+  if (!isArrayAttributeValueValid(condition.value)) {
+    logger.warn(
+      LOG_MESSAGES.UNEXPECTED_CONDITION_VALUE, MODULE_NAME, JSON.stringify(condition)
+    );
+    return false;
+  }
+
+  if (userValue === null) {
+    logger.debug(
+      LOG_MESSAGES.UNEXPECTED_TYPE_NULL, MODULE_NAME, JSON.stringify(condition), conditionName
+    );
+    return false;
+  }
+
+  if (!isArrayAttributeValueValid(userValue)) {
+    logger.warn(
+      LOG_MESSAGES.UNEXPECTED_TYPE, MODULE_NAME, JSON.stringify(condition), typeof userValue, conditionName
+    );
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Evaluate the given contains any match condition for the given user attributes
+ * @param  {Condition}              condition
+ * @param  {OptimizelyUserContext}  user
+ * @returns {?Boolean}              true if the user attribute array contains at least one of the condition values,
+ *                                  false if it contains none of them,
+ *                                  null if the condition value or the user attribute value isn't an array of
+ *                                  strings and numbers
+ */
+function containsAnyEvaluator(condition: Condition, user: OptimizelyUserContext): boolean | null {
+  if (!validateValuesForListCondition(condition, user)) {
+    return null;
+  }
+  const userValue = user.getAttributes()[condition.name] as Array<string | number>;
+  const conditionValue = condition.value as Array<string | number>;
+  return conditionValue.some(item => userValue.indexOf(item) !== -1);
+}
+
+/**
+ * Evaluate the given contains all match condition for the given user attributes
+ * @param  {Condition}              condition
+ * @param  {OptimizelyUserContext}  user
+ * @returns {?Boolean}              true if the user attribute array contains every condition value,
+ *                                  false if any of them is missing,
+ *                                  null if the condition value or the user attribute value isn't an array of
+ *                                  strings and numbers
+ */
+function containsAllEvaluator(condition: Condition, user: OptimizelyUserContext): boolean | null {
+  if (!validateValuesForListCondition(condition, user)) {
+    return null;
+  }
+  const userValue = user.getAttributes()[condition.name] as Array<string | number>;
+  const conditionValue = condition.value as Array<string | number>;
+  return conditionValue.every(item => userValue.indexOf(item) !== -1);
+}
+
+/**
+ * Evaluate the given in match condition for the given user attributes
+ * @param  {Condition}              condition
+ * @param  {OptimizelyUserContext}  user
+ * @returns {?Boolean}              true if the user attribute value is one of the condition values,
+ *                                  false if it is none of them,
+ *                                  null if the condition value isn't an array of strings and numbers or the
+ *                                  user attribute value isn't a string or a number
+ */
+function inEvaluator(condition: Condition, user: OptimizelyUserContext): boolean | null {
+  const userAttributes = user.getAttributes();
+  const conditionName = condition.name;
+  const userValue = userAttributes[conditionName];
+  const conditionValue = condition.value;
+
+  if (!isArrayAttributeValueValid(conditionValue)) {
+    logger.warn(
+      LOG_MESSAGES.UNEXPECTED_CONDITION_VALUE, MODULE_NAME, JSON.stringify(condition)
+    );
+    return null;
+  }
+
+  if (userValue === null) {
+    logger.debug(
+      LOG_MESSAGES.UNEXPECTED_TYPE_NULL, MODULE_NAME, JSON.stringify(condition), conditionName
+    );
+    return null;
+  }
+
+  if (typeof userValue !== 'string' && !fns.isNumber(userValue)) {
+    logger.warn(
+      LOG_MESSAGES.UNEXPECTED_TYPE, MODULE_NAME, JSON.stringify(condition), typeof userValue, conditionName
+    );
+    return null;
+  }
+
+  if (fns.isNumber(userValue) && !fns.isSafeInteger(userValue)) {
+    logger.warn(
+      LOG_MESSAGES.OUT_OF_BOUNDS, MODULE_NAME, JSON.stringify(condition), conditionName
+    );
+    return null;
+  }
+
+  return (conditionValue as Array<string | number>).indexOf(userValue as string | number) !== -1;
+}
+
+/**
+ * Parse the user attribute value of the given date time condition
+ * @param  {Condition}              condition
+ * @param  {OptimizelyUserContext}  user
+ * @returns {?number}               the user attribute date time in milliseconds since the epoch,
+ *                                  null if the user attribute value isn't an ISO-8601 string or a number
+ */
+function getUserDateTime(condition: Condition, user: OptimizelyUserContext): number | null {
+  const userAttributes = user.getAttributes();
+  const conditionName = condition.name;
+  const userValue = userAttributes[conditionName];
+
+  if (userValue === null) {
+    logger.debug(
+      LOG_MESSAGES.UNEXPECTED_TYPE_NULL, MODULE_NAME, JSON.stringify(condition), conditionName
+    );
+    return null;
+  }
+
+  if (typeof userValue !== 'string' && !fns.isNumber(userValue)) {
+    logger.warn(
+      LOG_MESSAGES.UNEXPECTED_TYPE, MODULE_NAME, JSON.stringify(condition), typeof userValue, conditionName
+    );
+    return null;
+  }
+
+  const userDateTime = parseDateTime(userValue);
+  if (userDateTime === null) {
+    logger.warn(
+      LOG_MESSAGES.INVALID_DATE_TIME, MODULE_NAME, JSON.stringify(condition), conditionName
+    );
+  }
+  return userDateTime;
+}
+
+/**
+ * Compare the user attribute date time of the given condition to its condition value
+ * @param  {Condition}              condition
+ * @param  {OptimizelyUserContext}  user
+ * @param  {() => number}           now
+ * @returns {?number}               the difference between the user attribute and the condition date times,
+ *                                  null if either of them isn't a valid date time
+ */
+function compareDateTime(condition: Condition, user: OptimizelyUserContext, now: () => number): number | null {
+  const conditionDateTime = resolveDateTime(condition.value, now);
+  if (conditionDateTime === null) {
+    logger.warn(
+      LOG_MESSAGES.UNEXPECTED_CONDITION_VALUE, MODULE_NAME, JSON.stringify(condition)
+    );
+    return null;
+  }
+
+  const userDateTime = getUserDateTime(condition, user);
+  if (userDateTime === null) {
+    return null;
+  }
+  return userDateTime - conditionDateTime;
+}
+
+/**
+ * Evaluate the given date time before match condition for the given user attributes.
+ * Date times are ISO-8601 strings or milliseconds since the epoch, condition values can
+ * also be ISO-8601 durations relative to now, such as -P30D for 30 days ago.
+ * @param  {Condition}              condition
+ * @param  {OptimizelyUserContext}  user
+ * @param  {() => number}           now
+ * @returns {?Boolean}              true if the user attribute date time is before the condition date time,
+ *                                  false if it is the same or after it,
+ *                                  null if either of them isn't a valid date time
+ */
+function dateTimeBeforeEvaluator(condition: Condition, user: OptimizelyUserContext, now: () => number): boolean | null {
+  const result = compareDateTime(condition, user, now);
+  if (result === null) {
+    return null;
+  }
+  return result < 0;
+}
+
+/**
+ * Evaluate the given date time after match condition for the given user attributes.
+ * Date times are ISO-8601 strings or milliseconds since the epoch, condition values can
+ * also be ISO-8601 durations relative to now, such as -P30D for 30 days ago.
+ * @param  {Condition}              condition
+ * @param  {OptimizelyUserContext}  user
+ * @param  {() => number}           now
+ * @returns {?Boolean}              true if the user attribute date time is after the condition date time,
+ *                                  false if it is the same or before it,
+ *                                  null if either of them isn't a valid date time
+ */
+function dateTimeAfterEvaluator(condition: Condition, user: OptimizelyUserContext, now: () => number): boolean | null {
+  const result = compareDateTime(condition, user, now);
+  if (result === null) {
+    return null;
+  }
+  return result > 0;
+}
+
+/**
+ * Evaluate the given date time between match condition for the given user attributes.
+ * The condition value is a list of the start and end date times, which are included in the range.
+ * @param  {Condition}              condition
+ * @param  {OptimizelyUserContext}  user
+ * @param  {() => number}           now
+ * @returns {?Boolean}              true if the user attribute date time is within the condition range,
+ *                                  false if it is outside of it,
+ *                                  null if the condition value isn't a list of two valid date times or the
+ *                                  user attribute value isn't a valid date time
+ */
+function dateTimeBetweenEvaluator(condition: Condition, user: OptimizelyUserContext, now: () => number): boolean | null {
+  const conditionValue = condition.value;
+  const range = Array.isArray(conditionValue) && conditionValue.length === 2
+    ? conditionValue.map(value => resolveDateTime(value, now))
+    : [];
+
+  if (range.length !== 2 || range[0] === null || range[1] === null) {
+    logger.warn(
+      LOG_MESSAGES.UNEXPECTED_CONDITION_VALUE, MODULE_NAME, JSON.stringify(condition)
+    );
+    return null;
+  }
+
+  const userDateTime = getUserDateTime(condition, user);
+  if (userDateTime === null) {
+    return null;
+  }
+  return range[0] <= userDateTime && userDateTime <= range[1];
+}
@@ -0,0 +1,210 @@
+/****************************************************************************
+ * Copyright 2026, Optimizely, Inc. and contributors                        *
+ *                                                                          *
+ * Licensed under the Apache License, Version 2.0 (the "License");          *
+ * you may not use this file except in compliance with the License.         *
+ * You may obtain a copy of the License at                                  *
+ *                                                                          *
+ *    http://www.apache.org/licenses/LICENSE-2.0                            *
+ *                                                                          *
+ * Unless required by applicable law or agreed to in writing, software      *
+ * distributed under the License is distributed on an "AS IS" BASIS,        *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. *
+ * See the License for the specific language governing permissions and      *
+ * limitations under the License.                                           *
+ ***************************************************************************/
+import sinon from 'sinon';
+import { assert } from 'chai';
+
+import { createDecisionAuditLog, REDACTED_ATTRIBUTE_VALUE } from './';
+import { LOG_LEVEL, DECISION_NOTIFICATION_TYPES } from '../../utils/enums';
+import { createLogger } from '../../plugins/logger';
+
+describe('lib/core/decision_audit', function() {
+  describe('DecisionAuditLog', function() {
+    var mockLogger;
+    var sink;
+    var clock;
+    var configObj = { revision: '42' };
+    var flagNotification = {
+      type: DECISION_NOTIFICATION_TYPES.FLAG,
+      userId: 'user1',
+      attributes: { email: 'user1@example.com', plan: 'pro' },
+      decisionInfo: {
+        flagKey: 'flag_1',
+        enabled: true,
+        variationKey: 'variation_1',
+        ruleKey: 'rule_1',
+        variables: {},
+        reasons: [],
+        decisionEventDispatched: true,
+      },
+    };
+
+    beforeEach(function() {
+      mockLogger = createLogger({ logLevel: LOG_LEVEL.INFO });
+      sinon.stub(mockLogger, 'log');
+      sink = { write: sinon.stub() };
+      clock = sinon.useFakeTimers(new Date('2024-05-01T00:00:00Z').getTime());
+    });
+
+    afterEach(function() {
+      mockLogger.log.restore();
+      clock.restore();
+    });
+
+    it('should write a record of a flag decision to all sinks', function() {
+      var otherSink = { write: sinon.stub() };
+      var auditLog = createDecisionAuditLog({ sinks: [sink, otherSink] }, mockLogger);
+      auditLog.record(configObj, flagNotification, [['%s: User %s is in variation %s.', 'DECISION_SERVICE', 'user1', 'variation_1']]);
+
+      sinon.assert.calledOnce(sink.write);
+      var record = sink.write.args[0][0];
+      assert.deepEqual(record, {
+        timestamp: new Date('2024-05-01T00:00:00Z').getTime(),
+        type: 'flag',
+        userIdHash: record.userIdHash,
+        attributes: { email: 'user1@example.com', plan: 'pro' },
+        flagKey: 'flag_1',
+        ruleKey: 'rule_1',
+        variationKey: 'variation_1',
+        enabled: true,
+        variableKey: null,
+        reasons: ['DECISION_SERVICE: User user1 is in variation variation_1.'],
+        revision: '42',
+      });
+      assert.notEqual(record.userIdHash, 'user1');
+      sinon.assert.calledWithExactly(otherSink.write, record);
+    });
+
+    it('should map the decision info of feature variable and experiment decisions', function() {
+      var auditLog = createDecisionAuditLog({ sinks: [sink] }, mockLogger);
+      auditLog.record(configObj, {
+        type: DECISION_NOTIFICATION_TYPES.FEATURE_VARIABLE,
+        userId: 'user1',
+        attributes: {},
+        decisionInfo: {
+          featureKey: 'feature_1',
+          featureEnabled: true,
+          source: 'feature-test',
+          variableKey: 'color',
+          variableValue: 'red',
+          variableType: 'string',
+          sourceInfo: { experimentKey: 'exp_1', variationKey: 'variation_1' },
+        },
+      }, []);
+      auditLog.record(configObj, {
+        type: DECISION_NOTIFICATION_TYPES.AB_TEST,
+        userId: 'user1',
+        attributes: {},
+        decisionInfo: { experimentKey: 'exp_2', variationKey: null },
+      }, []);
+
+      var variableRecord = sink.write.args[0][0];
+      assert.strictEqual(variableRecord.flagKey, 'feature_1');
+      assert.strictEqual(variableRecord.ruleKey, 'exp_1');
+      assert.strictEqual(variableRecord.variationKey, 'variation_1');
+      assert.strictEqual(variableRecord.enabled, true);
+      assert.strictEqual(variableRecord.variableKey, 'color');
+
+      var experimentRecord = sink.write.args[1][0];
+      assert.strictEqual(experimentRecord.flagKey, null);
+      assert.strictEqual(experimentRecord.ruleKey, 'exp_2');
+      assert.strictEqual(experimentRecord.variationKey, null);
+      assert.strictEqual(experimentRecord.enabled, null);
+    });
+
+    it('should redact the values of the listed attributes', function() {
+      var auditLog = createDecisionAuditLog({ sinks: [sink], redactAttributes: ['email'] }, mockLogger);
+      auditLog.record(configObj, flagNotification, []);
+      assert.deepEqual(sink.write.args[0][0].attributes, { email: REDACTED_ATTRIBUTE_VALUE, plan: 'pro' });
+    });
+
+    it('should redact the values of all attributes', function() {
+      var auditLog = createDecisionAuditLog({ sinks: [sink], redactAttributes: true }, mockLogger);
+      auditLog.record(configObj, flagNotification, []);
+      assert.deepEqual(sink.write.args[0][0].attributes, {
+        email: REDACTED_ATTRIBUTE_VALUE,
+        plan: REDACTED_ATTRIBUTE_VALUE,
+      });
+      assert.strictEqual(flagNotification.attributes.email, 'user1@example.com');
+    });
+
+    it('should hash user ids with the provided function', function() {
+      var auditLog = createDecisionAuditLog({
+        sinks: [sink],
+        hashUserId: function(userId) {
+          return 'hashed-' + userId;
+        },
+      }, mockLogger);
+      auditLog.record(configObj, flagNotification, []);
+      assert.strictEqual(sink.write.args[0][0].userIdHash, 'hashed-user1');
+    });
+
+    it('should sample decisions per user', function() {
+      var auditLog = createDecisionAuditLog({ sinks: [sink], sampleRate: 0.5 }, mockLogger);
+      var sampledUsers = {};
+      for (var i = 0; i < 200; i++) {
+        var userId = 'user' + i;
+        auditLog.record(configObj, Object.assign({}, flagNotification, { userId: userId }), []);
+        auditLog.record(configObj, Object.assign({}, flagNotification, { userId: userId }), []);
+      }
+      sink.write.args.forEach(function(args) {
+        sampledUsers[args[0].userIdHash] = (sampledUsers[args[0].userIdHash] || 0) + 1;
+      });
+      var sampledUserCount = Object.keys(sampledUsers).length;
+      assert.isAbove(sampledUserCount, 50);
+      assert.isBelow(sampledUserCount, 150);
+      Object.keys(sampledUsers).forEach(function(userIdHash) {
+        assert.strictEqual(sampledUsers[userIdHash], 2);
+      });
+    });
+
+    it('should not write any record when the sample rate is 0', function() {
+      var auditLog = createDecisionAuditLog({ sinks: [sink], sampleRate: 0 }, mockLogger);
+      auditLog.record(configObj, flagNotification, []);
+      sinon.assert.notCalled(sink.write);
+    });
+
+    it('should log an error and keep writing to other sinks when a sink throws', function() {
+      var failingSink = { write: sinon.stub().throws(new Error('disk full')) };
+      var auditLog = createDecisionAuditLog({ sinks: [failingSink, sink] }, mockLogger);
+      auditLog.record(configObj, flagNotification, []);
+      sinon.assert.calledOnce(sink.write);
+      sinon.assert.calledWithExactly(
+        mockLogger.log,
+        LOG_LEVEL.ERROR,
+        '%s: Failed to write decision audit record: %s',
+        'DECISION_AUDIT_LOG',
+        'disk full'
+      );
+    });
+
+    it('should close the sinks which can be closed and stop writing records', function() {
+      var closableSink = { write: sinon.stub(), close: sinon.stub().returns(Promise.resolve()) };
+      var auditLog = createDecisionAuditLog({ sinks: [sink, closableSink] }, mockLogger);
+      return auditLog.close().then(function() {
+        sinon.assert.calledOnce(closableSink.close);
+        auditLog.record(configObj, flagNotification, []);
+        sinon.assert.notCalled(sink.write);
+        sinon.assert.notCalled(closableSink.write);
+      });
+    });
+
+    it('should log an error and close the other sinks when a sink fails to close', function() {
+      var failingSink = { write: sinon.stub(), close: sinon.stub().returns(Promise.reject(new Error('disk full'))) };
+      var closableSink = { write: sinon.stub(), close: sinon.stub() };
+      var auditLog = createDecisionAuditLog({ sinks: [failingSink, closableSink] }, mockLogger);
+      return auditLog.close().then(function() {
+        sinon.assert.calledOnce(closableSink.close);
+        sinon.assert.calledWithExactly(
+          mockLogger.log,
+          LOG_LEVEL.ERROR,
+          '%s: Failed to close decision audit sink: %s',
+          'DECISION_AUDIT_LOG',
+          'disk full'
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import murmurhash from 'murmurhash';
+
+import { LogHandler } from '../../modules/logging';
+import { sprintf } from '../../utils/fns';
+import { DECISION_NOTIFICATION_TYPES, ERROR_MESSAGES, LOG_LEVEL } from '../../utils/enums';
+import { ListenerPayload, UserAttributes } from '../../shared_types';
+import { ProjectConfig } from '../project_config';
+
+const MODULE_NAME = 'DECISION_AUDIT_LOG';
+const HASH_SEED = 1;
+const MAX_SAMPLING_VALUE = 10000;
+
+export const REDACTED_ATTRIBUTE_VALUE = '[REDACTED]';
+
+/**
+ * A decision made by the SDK, in the shape stored by decision audit sinks
+ */
+export interface DecisionAuditRecord {
+  // milliseconds since the epoch
+  timestamp: number;
+  // one of DECISION_NOTIFICATION_TYPES
+  type: string;
+  userIdHash: string;
+  attributes: UserAttributes;
+  flagKey: string | null;
+  ruleKey: string | null;
+  variationKey: string | null;
+  enabled: boolean | null;
+  variableKey: string | null;
+  reasons: string[];
+  revision: string;
+}
+
+export interface DecisionAuditSink {
+  write(record: DecisionAuditRecord): void;
+  // flushes and releases the resources of the sink, called when the Optimizely instance is closed
+  close?(): Promise<void> | void;
+}
+
+export interface DecisionAuditOptions {
+  sinks: DecisionAuditSink[];
+  // fraction of users, from 0 to 1, whose decisions are recorded. Defaults to 1
+  sampleRate?: number;
+  // true to redact the values of all attributes, or the keys of the attributes to redact
+  redactAttributes?: boolean | string[];
+  // replaces the default non-cryptographic hash of user IDs
+  hashUserId?: (userId: string) => string;
+}
+
+/**
+ * The payload of a DECISION notification
+ */
+export interface DecisionNotificationPayload extends ListenerPayload {
+  type: string;
+  // eslint-disable-next-line  @typescript-eslint/no-explicit-any
+  decisionInfo: { [key: string]: any };
+}
+
+/**
+ * Records the decisions sent as DECISION notifications into decision audit sinks.
+ * Sampling is done per user, so all decisions of a sampled user are recorded.
+ */
+export class DecisionAuditLog {
+  private sinks: DecisionAuditSink[];
+  private sampleRate: number;
+  private redactAttributes: boolean | string[];
+  private hashUserId: (userId: string) => string;
+  private logger: LogHandler;
+  private closed = false;
+
+  constructor(options: DecisionAuditOptions, logger: LogHandler) {
+    this.sinks = options.sinks;
+    this.sampleRate = typeof options.sampleRate === 'number' ? Math.min(Math.max(options.sampleRate, 0), 1) : 1;
+    this.redactAttributes = options.redactAttributes || false;
+    this.hashUserId = options.hashUserId || defaultHashUserId;
+    this.logger = logger;
+  }
+
+  /**
+   * Writes a decision to all sinks, unless the user is not sampled
+   * @param  {ProjectConfig|null}             configObj     The project config the decision was made with
+   * @param  {DecisionNotificationPayload}    notification  The DECISION notification sent for the decision
+   * @param  {Array<Array<string|number>>}    reasons       The decide reasons of the decision
+   */
+  record(
+    configObj: ProjectConfig | null,
+    notification: DecisionNotificationPayload,
+    reasons: (string | number)[][]
+  ): void {
+    if (this.closed || !this.isSampled(notification.userId)) {
+      return;
+    }
+
+    const record: DecisionAuditRecord = {
+      timestamp: new Date().getTime(),
+      type: notification.type,
+      userIdHash: this.hashUserId(notification.userId),
+      attributes: this.redact(notification.attributes || {}),
+      ...getDecisionFields(notification),
+      reasons: reasons.map(reason => sprintf(reason[0] as string, ...reason.slice(1))),
+      revision: configObj ? configObj.revision : '',
+    };
+
+    this.sinks.forEach(sink => {
+      try {
+        sink.write(record);
+      } catch (ex) {
+        this.logger.log(LOG_LEVEL.ERROR, ERROR_MESSAGES.DECISION_AUDIT_SINK_FAILED, MODULE_NAME, ex.message);
+      }
+    });
+  }
+
+  /**
+   * Closes all sinks which can be closed. No record is written after this is called.
+   * @return {Promise<void>}  Fulfilled when all sinks are closed, failures to close a sink are logged
+   */
+  close(): Promise<void> {
+    this.closed = true;
+    return Promise.all(
+      this.sinks.map(sink => {
+        if (!sink.close) {
+          return;
+        }
+        return Promise.resolve()
+          .then(() => sink.close && sink.close())
+          .catch(ex => {
+            this.logger.log(LOG_LEVEL.ERROR, ERROR_MESSAGES.DECISION_AUDIT_SINK_CLOSE_FAILED, MODULE_NAME, ex.message);
+          });
+      })
+    ).then(() => undefined);
+  }
+
+  private isSampled(userId: string): boolean {
+    if (this.sampleRate >= 1) {
+      return true;
+    }
+    const samplingValue = murmurhash.v3(userId, HASH_SEED) % MAX_SAMPLING_VALUE;
+    return samplingValue < this.sampleRate * MAX_SAMPLING_VALUE;
+  }
+
+  private redact(attributes: UserAttributes): UserAttributes {
+    if (this.redactAttributes === false) {
+      return { ...attributes };
+    }
+    const redactedAttributes: UserAttributes = {};
+    Object.keys(attributes).forEach(key => {
+      const shouldRedact = this.redactAttributes === true ||
+        (Array.isArray(this.redactAttributes) && this.redactAttributes.indexOf(key) !== -1);
+      redactedAttributes[key] = shouldRedact ? REDACTED_ATTRIBUTE_VALUE : attributes[key];
+    });
+    return redactedAttributes;
+  }
+}
+
+function defaultHashUserId(userId: string): string {
+  return murmurhash.v3(userId, HASH_SEED).toString(16);
+}
+
+/**
+ * Extracts the flag, rule and variation of a decision from the decisionInfo of its DECISION notification,
+ * whose shape depends on the notification type
+ * @param  {DecisionNotificationPayload}  notification
+ * @return {Object}
+ */
+function getDecisionFields(
+  notification: DecisionNotificationPayload
+): Pick<DecisionAuditRecord, 'flagKey' | 'ruleKey' | 'variationKey' | 'enabled' | 'variableKey'> {
+  const decisionInfo = notification.decisionInfo;
+  switch (notification.type) {
+    case DECISION_NOTIFICATION_TYPES.FLAG:
+      return {
+        flagKey: decisionInfo.flagKey,
+        ruleKey: decisionInfo.ruleKey,
+        variationKey: decisionInfo.variationKey,
+        enabled: decisionInfo.enabled,
+        variableKey: null,
+      };
+    case DECISION_NOTIFICATION_TYPES.AB_TEST:
+    case DECISION_NOTIFICATION_TYPES.FEATURE_TEST:
+      return {
+        flagKey: null,
+        ruleKey: decisionInfo.experimentKey,
+        variationKey: decisionInfo.variationKey,
+        enabled: null,
+        variableKey: null,
+      };
+    default: {
+      // feature, feature-variable and all-feature-variables
+      const sourceInfo = decisionInfo.sourceInfo || {};
+      return {
+        flagKey: decisionInfo.featureKey,
+        ruleKey: sourceInfo.experimentKey || null,
+        variationKey: sourceInfo.variationKey || null,
+        enabled: decisionInfo.featureEnabled,
+        variableKey: decisionInfo.variableKey || null,
+      };
+    }
+  }
+}
+
+/**
+ * Creates an instance of the DecisionAuditLog.
+ * @param  {DecisionAuditOptions}   options
+ * @param  {LogHandler}             logger
+ * @return {DecisionAuditLog}       An instance of the DecisionAuditLog
+ */
+export function createDecisionAuditLog(options: DecisionAuditOptions, logger: LogHandler): DecisionAuditLog {
+  return new DecisionAuditLog(options, logger);
+}
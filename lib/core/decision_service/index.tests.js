@@ -19,10 +19,13 @@ import cloneDeep from 'lodash/cloneDeep';
 import { sprintf } from '../../utils/fns';
 
 import { createDecisionService } from './';
+import { createCmabService } from '../cmab';
+import { DecisionTraceRecorder } from '../decision_trace';
 import * as bucketer from '../bucketer';
 import {
   LOG_LEVEL,
   DECISION_SOURCES,
+  DECISION_TRACE_RULE_RESULTS,
 } from '../../utils/enums';
 import { createLogger } from '../../plugins/logger';
 import { createForwardingEventProcessor } from '../../plugins/event_processor/forwarding_event_processor';
@@ -37,6 +40,8 @@ import * as jsonSchemaValidator from '../../utils/json_schema_validator';
 import {
   getTestProjectConfig,
   getTestProjectConfigWithFeatures,
+  getTestDecideProjectConfigWithHoldouts,
+  getTestDecideProjectConfigWithCmab,
 } from '../../tests/test_data';
 
 var testData = getTestProjectConfig();
@@ -617,6 +622,369 @@ describe('lib/core/decision_service', function() {
           });
         });
       });
+
+      describe('when a user profile tracker is provided', function() {
+        var userProfileServiceInstance;
+        var fakeDecisionResponse = {
+          result: '111128',
+          reasons: [],
+        };
+
+        beforeEach(function() {
+          userProfileServiceInstance = {
+            lookup: sinon.stub(),
+            save: sinon.stub(),
+          };
+          decisionServiceInstance = createDecisionService({
+            logger: mockLogger,
+            userProfileService: userProfileServiceInstance,
+          });
+          experiment = configObj.experimentIdMap['111127'];
+          user = new OptimizelyUserContext({
+            shouldIdentifyUser: false,
+            optimizely: {},
+            userId: 'decision_service_user',
+          });
+        });
+
+        it('should return the variation stored in the tracker without looking up the user profile', function() {
+          var userProfileTracker = {
+            userProfile: {
+              '111127': {
+                variation_id: '111128',
+              },
+            },
+            isProfileUpdated: false,
+          };
+
+          assert.strictEqual(
+            'control',
+            decisionServiceInstance.getVariation(configObj, experiment, user, {}, userProfileTracker).result
+          );
+          sinon.assert.notCalled(userProfileServiceInstance.lookup);
+          sinon.assert.notCalled(bucketerStub);
+          assert.isFalse(userProfileTracker.isProfileUpdated);
+        });
+
+        it('should record a new bucketing decision in the tracker instead of saving it', function() {
+          bucketerStub.returns(fakeDecisionResponse);
+          var userProfileTracker = {
+            userProfile: {},
+            isProfileUpdated: false,
+          };
+
+          assert.strictEqual(
+            'control',
+            decisionServiceInstance.getVariation(configObj, experiment, user, {}, userProfileTracker).result
+          );
+          sinon.assert.notCalled(userProfileServiceInstance.lookup);
+          sinon.assert.notCalled(userProfileServiceInstance.save);
+          assert.deepEqual(userProfileTracker, {
+            userProfile: {
+              '111127': {
+                variation_id: '111128',
+              },
+            },
+            isProfileUpdated: true,
+          });
+        });
+      });
+    });
+
+    describe('#loadUserProfileTracker', function() {
+      var userProfileServiceInstance;
+
+      beforeEach(function() {
+        userProfileServiceInstance = {
+          lookup: sinon.stub(),
+          save: sinon.stub(),
+        };
+        decisionServiceInstance = createDecisionService({
+          logger: mockLogger,
+          userProfileService: userProfileServiceInstance,
+        });
+      });
+
+      it('should look up the user profile once and merge it with the attribute experiment bucket map', function() {
+        userProfileServiceInstance.lookup.returns({
+          user_id: 'decision_service_user',
+          experiment_bucket_map: {
+            '111127': {
+              variation_id: '111128',
+            },
+          },
+        });
+        user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: {},
+          userId: 'decision_service_user',
+          attributes: {
+            $opt_experiment_bucket_map: {
+              '122227': {
+                variation_id: '122228',
+              },
+            },
+          },
+        });
+
+        var userProfileTracker = decisionServiceInstance.loadUserProfileTracker(user);
+        sinon.assert.calledOnce(userProfileServiceInstance.lookup);
+        sinon.assert.calledWithExactly(userProfileServiceInstance.lookup, 'decision_service_user');
+        assert.deepEqual(userProfileTracker, {
+          userProfile: {
+            '111127': {
+              variation_id: '111128',
+            },
+            '122227': {
+              variation_id: '122228',
+            },
+          },
+          isProfileUpdated: false,
+        });
+      });
+
+      it('should not look up the user profile if IGNORE_USER_PROFILE_SERVICE is passed in decide options', function() {
+        user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: {},
+          userId: 'decision_service_user',
+        });
+
+        var userProfileTracker = decisionServiceInstance.loadUserProfileTracker(user, {
+          IGNORE_USER_PROFILE_SERVICE: true,
+        });
+        sinon.assert.notCalled(userProfileServiceInstance.lookup);
+        assert.deepEqual(userProfileTracker, { userProfile: {}, isProfileUpdated: false });
+      });
+    });
+
+    describe('#saveUserProfileTracker', function() {
+      var userProfileServiceInstance;
+
+      beforeEach(function() {
+        userProfileServiceInstance = {
+          lookup: sinon.stub(),
+          save: sinon.stub(),
+        };
+        decisionServiceInstance = createDecisionService({
+          logger: mockLogger,
+          userProfileService: userProfileServiceInstance,
+        });
+      });
+
+      it('should save the user profile once if it was updated', function() {
+        decisionServiceInstance.saveUserProfileTracker('decision_service_user', {
+          userProfile: {
+            '111127': {
+              variation_id: '111128',
+            },
+          },
+          isProfileUpdated: true,
+        });
+        sinon.assert.calledOnce(userProfileServiceInstance.save);
+        sinon.assert.calledWithExactly(userProfileServiceInstance.save, {
+          user_id: 'decision_service_user',
+          experiment_bucket_map: {
+            '111127': {
+              variation_id: '111128',
+            },
+          },
+        });
+      });
+
+      it('should not save the user profile if it was not updated', function() {
+        decisionServiceInstance.saveUserProfileTracker('decision_service_user', {
+          userProfile: {},
+          isProfileUpdated: false,
+        });
+        sinon.assert.notCalled(userProfileServiceInstance.save);
+      });
+
+      it('should log an error message if "save" throws an error', function() {
+        userProfileServiceInstance.save.throws(new Error('I am an error'));
+        decisionServiceInstance.saveUserProfileTracker('decision_service_user', {
+          userProfile: {},
+          isProfileUpdated: true,
+        });
+        assert.strictEqual(
+          buildLogMessageFromArgs(mockLogger.log.lastCall.args),
+          'DECISION_SERVICE: Error while saving user profile for user ID "decision_service_user": I am an error.'
+        );
+      });
+    });
+
+    describe('#loadUserProfileTrackerAsync', function() {
+      var userProfileServiceAsyncInstance;
+
+      beforeEach(function() {
+        userProfileServiceAsyncInstance = {
+          lookup: sinon.stub(),
+          save: sinon.stub(),
+        };
+        decisionServiceInstance = createDecisionService({
+          logger: mockLogger,
+          userProfileServiceAsync: userProfileServiceAsyncInstance,
+        });
+      });
+
+      it('should look up the user profile with the async user profile service', async function() {
+        userProfileServiceAsyncInstance.lookup.resolves({
+          user_id: 'decision_service_user',
+          experiment_bucket_map: {
+            '111127': {
+              variation_id: '111128',
+            },
+          },
+        });
+        user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: {},
+          userId: 'decision_service_user',
+          attributes: {
+            $opt_experiment_bucket_map: {
+              '122227': {
+                variation_id: '122228',
+              },
+            },
+          },
+        });
+
+        var userProfileTracker = await decisionServiceInstance.loadUserProfileTrackerAsync(user);
+        sinon.assert.calledOnce(userProfileServiceAsyncInstance.lookup);
+        sinon.assert.calledWithExactly(userProfileServiceAsyncInstance.lookup, 'decision_service_user');
+        assert.deepEqual(userProfileTracker, {
+          userProfile: {
+            '111127': {
+              variation_id: '111128',
+            },
+            '122227': {
+              variation_id: '122228',
+            },
+          },
+          isProfileUpdated: false,
+        });
+      });
+
+      it('should log an error and return an empty profile if "lookup" rejects', async function() {
+        userProfileServiceAsyncInstance.lookup.rejects(new Error('I am an error'));
+        user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: {},
+          userId: 'decision_service_user',
+        });
+
+        var userProfileTracker = await decisionServiceInstance.loadUserProfileTrackerAsync(user);
+        assert.deepEqual(userProfileTracker, { userProfile: {}, isProfileUpdated: false });
+        assert.strictEqual(
+          buildLogMessageFromArgs(mockLogger.log.lastCall.args),
+          'DECISION_SERVICE: Error while looking up user profile for user ID "decision_service_user": I am an error.'
+        );
+      });
+
+      it('should not look up the user profile if IGNORE_USER_PROFILE_SERVICE is passed in decide options', async function() {
+        user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: {},
+          userId: 'decision_service_user',
+        });
+
+        var userProfileTracker = await decisionServiceInstance.loadUserProfileTrackerAsync(user, {
+          IGNORE_USER_PROFILE_SERVICE: true,
+        });
+        sinon.assert.notCalled(userProfileServiceAsyncInstance.lookup);
+        assert.deepEqual(userProfileTracker, { userProfile: {}, isProfileUpdated: false });
+      });
+
+      it('should fall back to the synchronous user profile service', async function() {
+        var userProfileServiceInstance = {
+          lookup: sinon.stub().returns({
+            user_id: 'decision_service_user',
+            experiment_bucket_map: {
+              '111127': {
+                variation_id: '111128',
+              },
+            },
+          }),
+          save: sinon.stub(),
+        };
+        decisionServiceInstance = createDecisionService({
+          logger: mockLogger,
+          userProfileService: userProfileServiceInstance,
+        });
+        user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: {},
+          userId: 'decision_service_user',
+        });
+
+        var userProfileTracker = await decisionServiceInstance.loadUserProfileTrackerAsync(user);
+        sinon.assert.calledOnce(userProfileServiceInstance.lookup);
+        sinon.assert.calledWithExactly(userProfileServiceInstance.lookup, 'decision_service_user');
+        assert.deepEqual(userProfileTracker.userProfile, {
+          '111127': {
+            variation_id: '111128',
+          },
+        });
+      });
+    });
+
+    describe('#saveUserProfileTrackerAsync', function() {
+      var userProfileServiceAsyncInstance;
+
+      beforeEach(function() {
+        userProfileServiceAsyncInstance = {
+          lookup: sinon.stub(),
+          save: sinon.stub().resolves(),
+        };
+        decisionServiceInstance = createDecisionService({
+          logger: mockLogger,
+          userProfileServiceAsync: userProfileServiceAsyncInstance,
+        });
+      });
+
+      it('should save the user profile once with the async user profile service', async function() {
+        await decisionServiceInstance.saveUserProfileTrackerAsync('decision_service_user', {
+          userProfile: {
+            '111127': {
+              variation_id: '111128',
+            },
+          },
+          isProfileUpdated: true,
+        });
+        sinon.assert.calledOnce(userProfileServiceAsyncInstance.save);
+        sinon.assert.calledWithExactly(userProfileServiceAsyncInstance.save, {
+          user_id: 'decision_service_user',
+          experiment_bucket_map: {
+            '111127': {
+              variation_id: '111128',
+            },
+          },
+        });
+        assert.strictEqual(
+          buildLogMessageFromArgs(mockLogger.log.lastCall.args),
+          'DECISION_SERVICE: Saved user profile for user "decision_service_user".'
+        );
+      });
+
+      it('should not save the user profile if it was not updated', async function() {
+        await decisionServiceInstance.saveUserProfileTrackerAsync('decision_service_user', {
+          userProfile: {},
+          isProfileUpdated: false,
+        });
+        sinon.assert.notCalled(userProfileServiceAsyncInstance.save);
+      });
+
+      it('should log an error message if "save" rejects', async function() {
+        userProfileServiceAsyncInstance.save.rejects(new Error('I am an error'));
+        await decisionServiceInstance.saveUserProfileTrackerAsync('decision_service_user', {
+          userProfile: {},
+          isProfileUpdated: true,
+        });
+        assert.strictEqual(
+          buildLogMessageFromArgs(mockLogger.log.lastCall.args),
+          'DECISION_SERVICE: Error while saving user profile for user ID "decision_service_user": I am an error.'
+        );
+      });
     });
 
     describe('buildBucketerParams', function() {
@@ -1229,6 +1597,131 @@ describe('lib/core/decision_service', function() {
     });
   });
 
+  describe('CMAB rules', function() {
+    var configObj;
+    var decisionService;
+    var decisionProvider;
+    var mockLogger = createLogger({ logLevel: LOG_LEVEL.INFO });
+    var user;
+
+    beforeEach(function() {
+      sinon.stub(mockLogger, 'log');
+      configObj = projectConfig.createProjectConfig(getTestDecideProjectConfigWithCmab());
+      decisionProvider = {
+        getDecision: sinon.stub().resolves('10418510624'),
+      };
+      decisionService = createDecisionService({
+        cmabService: createCmabService({ decisionProvider: decisionProvider, logger: mockLogger }),
+        logger: mockLogger,
+      });
+      user = new OptimizelyUserContext({
+        shouldIdentifyUser: false,
+        optimizely: {},
+        userId: 'user1',
+        attributes: { gender: 'f' },
+      });
+    });
+
+    afterEach(function() {
+      mockLogger.log.restore();
+    });
+
+    it('should return no variation with a reason when the decision was not fetched', function() {
+      var decision = decisionService.getVariation(configObj, configObj.experimentKeyMap.exp_no_audience, user);
+      assert.isNull(decision.result);
+      assert.deepInclude(decision.reasons, [
+        '%s: No CMAB decision was fetched for user %s and experiment %s. Use the async decide APIs for flags with CMAB rules.',
+        'DECISION_SERVICE',
+        'user1',
+        'exp_no_audience',
+      ]);
+      sinon.assert.notCalled(decisionProvider.getDecision);
+    });
+
+    it('should return the variation chosen by the decision provider once the decision is fetched', async function() {
+      await decisionService.fetchCmabDecisionsAsync(configObj, configObj.featureKeyMap.feature_2, user);
+      sinon.assert.calledOnce(decisionProvider.getDecision);
+
+      var decision = decisionService.getVariation(configObj, configObj.experimentKeyMap.exp_no_audience, user);
+      assert.strictEqual(decision.result, 'variation_no_traffic');
+    });
+
+    it('should reuse the audience results of the fetch when deciding', async function() {
+      sinon.spy(decisionService.audienceEvaluator, 'evaluate');
+      var audienceResults = await decisionService.fetchCmabDecisionsAsync(
+        configObj,
+        configObj.featureKeyMap.feature_2,
+        user
+      );
+      assert.isTrue(audienceResults['10420810910'].result);
+      sinon.assert.calledOnce(decisionService.audienceEvaluator.evaluate);
+
+      var decision = decisionService.getVariation(
+        configObj,
+        configObj.experimentKeyMap.exp_no_audience,
+        user,
+        {},
+        undefined,
+        undefined,
+        audienceResults
+      );
+      assert.strictEqual(decision.result, 'variation_no_traffic');
+      assert.deepInclude(decision.reasons, audienceResults['10420810910'].reasons[1]);
+      sinon.assert.calledOnce(decisionService.audienceEvaluator.evaluate);
+    });
+
+    it('should not request a decision when the user is not in the CMAB traffic', async function() {
+      var datafile = getTestDecideProjectConfigWithCmab();
+      datafile.experiments.forEach(function(experiment) {
+        if (experiment.cmab) {
+          experiment.cmab.trafficAllocation = 0;
+        }
+      });
+      configObj = projectConfig.createProjectConfig(datafile);
+      await decisionService.fetchCmabDecisionsAsync(configObj, configObj.featureKeyMap.feature_2, user);
+      sinon.assert.notCalled(decisionProvider.getDecision);
+
+      var decision = decisionService.getVariation(configObj, configObj.experimentKeyMap.exp_no_audience, user);
+      assert.isNull(decision.result);
+    });
+
+    it('should ignore stored variations and not save the user profile for CMAB rules', async function() {
+      var userProfileService = {
+        lookup: sinon.stub().returns({
+          user_id: 'user1',
+          experiment_bucket_map: {
+            '10420810910': { variation_id: '10418551353' },
+          },
+        }),
+        save: sinon.stub(),
+      };
+      decisionService = createDecisionService({
+        userProfileService: userProfileService,
+        cmabService: createCmabService({ decisionProvider: decisionProvider, logger: mockLogger }),
+        logger: mockLogger,
+      });
+      await decisionService.fetchCmabDecisionsAsync(configObj, configObj.featureKeyMap.feature_2, user);
+
+      var decision = decisionService.getVariation(configObj, configObj.experimentKeyMap.exp_no_audience, user);
+      assert.strictEqual(decision.result, 'variation_no_traffic');
+      sinon.assert.notCalled(userProfileService.save);
+    });
+
+    it('should return no variation with a reason when no CMAB service is configured', async function() {
+      decisionService = createDecisionService({ logger: mockLogger });
+      await decisionService.fetchCmabDecisionsAsync(configObj, configObj.featureKeyMap.feature_2, user);
+
+      var decision = decisionService.getVariation(configObj, configObj.experimentKeyMap.exp_no_audience, user);
+      assert.isNull(decision.result);
+      assert.deepInclude(decision.reasons, [
+        '%s: No CMAB decision provider is configured. User %s is in no variation of experiment %s.',
+        'DECISION_SERVICE',
+        'user1',
+        'exp_no_audience',
+      ]);
+    });
+  });
+
   describe('feature management', function() {
     describe('#getVariationForFeature', function() {
       var configObj;
@@ -1498,7 +1991,10 @@ describe('lib/core/decision_service', function() {
               configObj,
               experiment,
               user,
-              {}
+              {},
+              undefined,
+              undefined,
+              undefined
             );
           });
         });
@@ -2647,6 +3143,227 @@ describe('lib/core/decision_service', function() {
           );
         });
       });
+
+      describe('feature subject to holdouts', function() {
+        var holdoutConfigObj;
+        beforeEach(function() {
+          holdoutConfigObj = projectConfig.createProjectConfig(getTestDecideProjectConfigWithHoldouts());
+        });
+
+        it('returns the holdout variation with source holdout when the user is in a global holdout', function() {
+          user = new OptimizelyUserContext({
+            shouldIdentifyUser: false,
+            optimizely: {},
+            userId: 'user1',
+            attributes: { age: 20 },
+          });
+          var feature = holdoutConfigObj.featureKeyMap.feature_2;
+          var decision = decisionServiceInstance.getVariationForFeature(holdoutConfigObj, feature, user).result;
+          assert.deepEqual(decision, {
+            experiment: holdoutConfigObj.holdoutIdMap.holdout_global_id,
+            variation: holdoutConfigObj.variationIdMap.holdout_global_variation_id,
+            decisionSource: DECISION_SOURCES.HOLDOUT,
+          });
+          sinon.assert.calledWithExactly(
+            mockLogger.log,
+            LOG_LEVEL.INFO,
+            '%s: User %s is in variation %s of holdout %s.',
+            'DECISION_SERVICE', 'user1', 'holdout_global_off', 'holdout_global'
+          );
+        });
+
+        it('evaluates the next holdout when the user does not meet the audience conditions of a holdout', function() {
+          user = new OptimizelyUserContext({
+            shouldIdentifyUser: false,
+            optimizely: {},
+            userId: 'user1',
+            attributes: { age: 10, country: 'US' },
+          });
+          var feature = holdoutConfigObj.featureKeyMap.feature_2;
+          var decision = decisionServiceInstance.getVariationForFeature(holdoutConfigObj, feature, user).result;
+          assert.strictEqual(decision.experiment.key, 'holdout_included');
+          assert.strictEqual(decision.variation.key, 'holdout_included_off');
+          assert.strictEqual(decision.decisionSource, DECISION_SOURCES.HOLDOUT);
+          sinon.assert.calledWithExactly(
+            mockLogger.log,
+            LOG_LEVEL.INFO,
+            '%s: User %s does not meet conditions for holdout %s.',
+            'DECISION_SERVICE', 'user1', 'holdout_global'
+          );
+        });
+
+        it('falls through to experiments when the user is in no holdout', function() {
+          user = new OptimizelyUserContext({
+            shouldIdentifyUser: false,
+            optimizely: {},
+            userId: 'user1',
+            attributes: { age: 10 },
+          });
+          var feature = holdoutConfigObj.featureKeyMap.feature_2;
+          var decision = decisionServiceInstance.getVariationForFeature(holdoutConfigObj, feature, user).result;
+          assert.strictEqual(decision.experiment.key, 'exp_no_audience');
+          assert.strictEqual(decision.variation.key, 'variation_with_traffic');
+          assert.strictEqual(decision.decisionSource, DECISION_SOURCES.FEATURE_TEST);
+        });
+
+        it('skips holdouts that are not running', function() {
+          user = new OptimizelyUserContext({
+            shouldIdentifyUser: false,
+            optimizely: {},
+            userId: 'user1',
+            attributes: { age: 10 },
+          });
+          var feature = holdoutConfigObj.featureKeyMap.feature_1;
+          var decision = decisionServiceInstance.getVariationForFeature(holdoutConfigObj, feature, user).result;
+          assert.notStrictEqual(decision.decisionSource, DECISION_SOURCES.HOLDOUT);
+          sinon.assert.calledWithExactly(
+            mockLogger.log,
+            LOG_LEVEL.INFO,
+            '%s: Holdout %s is not running.',
+            'DECISION_SERVICE', 'holdout_draft'
+          );
+        });
+
+        it('does not apply a global holdout to a flag it excludes', function() {
+          user = new OptimizelyUserContext({
+            shouldIdentifyUser: false,
+            optimizely: {},
+            userId: 'user1',
+            attributes: { age: 20 },
+          });
+          var feature = holdoutConfigObj.featureKeyMap.feature_3;
+          var decision = decisionServiceInstance.getVariationForFeature(holdoutConfigObj, feature, user).result;
+          assert.deepEqual(decision, {
+            experiment: null,
+            variation: null,
+            decisionSource: DECISION_SOURCES.ROLLOUT,
+          });
+        });
+
+        it('returns no holdout variation when the user is not bucketed into the holdout traffic', function() {
+          var datafile = getTestDecideProjectConfigWithHoldouts();
+          datafile.holdouts[0].trafficAllocation = [];
+          holdoutConfigObj = projectConfig.createProjectConfig(datafile);
+          user = new OptimizelyUserContext({
+            shouldIdentifyUser: false,
+            optimizely: {},
+            userId: 'user1',
+            attributes: { age: 20 },
+          });
+          var feature = holdoutConfigObj.featureKeyMap.feature_2;
+          var decision = decisionServiceInstance.getVariationForFeature(holdoutConfigObj, feature, user).result;
+          assert.strictEqual(decision.decisionSource, DECISION_SOURCES.FEATURE_TEST);
+          sinon.assert.calledWithExactly(
+            mockLogger.log,
+            LOG_LEVEL.INFO,
+            '%s: User %s is not in holdout %s.',
+            'DECISION_SERVICE', 'user1', 'holdout_global'
+          );
+        });
+      });
+
+      describe('with a decision trace', function() {
+        var feature;
+        var trace;
+        var testAudienceCondition = { type: 'custom_attribute', name: 'test_attribute', value: 'test_value' };
+
+        beforeEach(function() {
+          feature = configObj.featureKeyMap.shared_feature;
+          trace = new DecisionTraceRecorder('shared_feature', 'user1');
+        });
+
+        it('records every rule considered with its audiences and bucketing', function() {
+          user = new OptimizelyUserContext({
+            shouldIdentifyUser: false,
+            optimizely: {},
+            userId: 'user1',
+          });
+          var decision = decisionServiceInstance.getVariationForFeature(configObj, feature, user, {}, undefined, trace);
+          assert.strictEqual(decision.result.variation.key, '599057');
+
+          var rules = trace.getTrace().rules;
+          assert.deepEqual(rules, [
+            {
+              ruleId: '599028',
+              ruleKey: 'test_shared_feature',
+              decisionSource: DECISION_SOURCES.FEATURE_TEST,
+              audienceConditions: {
+                conditions: ['594017'],
+                result: false,
+                audiences: [
+                  {
+                    id: '594017',
+                    name: 'test_audience',
+                    conditions: ['and', ['or', ['or', testAudienceCondition]]],
+                    result: null,
+                    leaves: [{ condition: testAudienceCondition, result: null }],
+                  },
+                ],
+              },
+              result: DECISION_TRACE_RULE_RESULTS.AUDIENCE_MISMATCH,
+              variationKey: null,
+            },
+            {
+              ruleId: '599056',
+              ruleKey: '599056',
+              decisionSource: DECISION_SOURCES.ROLLOUT,
+              audienceConditions: { conditions: [], result: true, audiences: [] },
+              bucketing: {
+                bucketingId: 'user1',
+                bucketValue: bucketer._generateBucketValue('user1599056'),
+                variationId: '599057',
+              },
+              result: DECISION_TRACE_RULE_RESULTS.BUCKETED,
+              variationKey: '599057',
+            },
+          ]);
+        });
+
+        it('records a forced decision of a rule', function() {
+          user = new OptimizelyUserContext({
+            shouldIdentifyUser: false,
+            optimizely: {},
+            userId: 'user1',
+          });
+          user.setForcedDecision({ flagKey: 'shared_feature', ruleKey: 'test_shared_feature' }, { variationKey: 'control' });
+          decisionServiceInstance.getVariationForFeature(configObj, feature, user, {}, undefined, trace);
+
+          var rules = trace.getTrace().rules;
+          assert.lengthOf(rules, 1);
+          assert.deepEqual(rules[0].forcedDecision, { variationKey: 'control', valid: true });
+          assert.strictEqual(rules[0].result, DECISION_TRACE_RULE_RESULTS.FORCED_DECISION);
+          assert.strictEqual(rules[0].variationKey, 'control');
+        });
+
+        it('records holdouts before the rules of the flag', function() {
+          var holdoutConfigObj = projectConfig.createProjectConfig(getTestDecideProjectConfigWithHoldouts());
+          user = new OptimizelyUserContext({
+            shouldIdentifyUser: false,
+            optimizely: {},
+            userId: 'user1',
+            attributes: { age: 10, country: 'US' },
+          });
+          decisionServiceInstance.getVariationForFeature(
+            holdoutConfigObj,
+            holdoutConfigObj.featureKeyMap.feature_2,
+            user,
+            {},
+            undefined,
+            trace
+          );
+
+          var rules = trace.getTrace().rules;
+          assert.deepEqual(
+            rules.map(function(rule) {
+              return [rule.ruleKey, rule.decisionSource, rule.result, rule.variationKey];
+            }),
+            [
+              ['holdout_global', DECISION_SOURCES.HOLDOUT, DECISION_TRACE_RULE_RESULTS.AUDIENCE_MISMATCH, null],
+              ['holdout_included', DECISION_SOURCES.HOLDOUT, DECISION_TRACE_RULE_RESULTS.BUCKETED, 'holdout_included_off'],
+            ]
+          );
+        });
+      });
     });
 
     describe('getVariationForRollout', function() {
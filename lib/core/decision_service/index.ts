@@ -17,11 +17,12 @@ import { LogHandler } from '../../modules/logging';
 import { sprintf } from '../../utils/fns';
 
 import fns from '../../utils/fns';
-import { bucket } from '../bucketer';
+import { bucket, BucketerResponse } from '../bucketer';
 import {
   AUDIENCE_EVALUATION_TYPES,
   CONTROL_ATTRIBUTES,
   DECISION_SOURCES,
+  DECISION_TRACE_RULE_RESULTS,
   ERROR_MESSAGES,
   LOG_LEVEL,
   LOG_MESSAGES,
@@ -32,6 +33,7 @@ import {
   getExperimentFromId,
   getExperimentFromKey,
   getFlagVariationByKey,
+  getHoldoutsForFlag,
   getTrafficAllocation,
   getVariationIdFromExperimentAndVariationKey,
   getVariationFromId,
@@ -40,22 +42,30 @@ import {
   ProjectConfig,
 } from '../project_config';
 import { AudienceEvaluator, createAudienceEvaluator } from '../audience_evaluator';
+import { CmabService } from '../cmab';
+import { AudienceTrace, BucketingTrace, DecisionTraceRecorder } from '../decision_trace';
 import * as stringValidator from '../../utils/string_value_validator';
 import {
   BucketerParams,
+  ConditionEvaluator,
   DecisionResponse,
   Experiment,
   ExperimentBucketMap,
   FeatureFlag,
+  Holdout,
   OptimizelyDecideOption,
   OptimizelyUserContext,
   UserAttributes,
   UserProfile,
   UserProfileService,
+  UserProfileServiceAsync,
   Variation,
 } from '../../shared_types';
 
 const MODULE_NAME = 'DECISION_SERVICE';
+const HOLDOUT_RUNNING_STATUS = 'Running';
+// placeholder entity for the share of traffic of a CMAB rule that is decided by the CMAB decision provider
+const CMAB_TRAFFIC_ENTITY_ID = '$';
 
 export interface DecisionObj {
   experiment: Experiment | null;
@@ -65,10 +75,30 @@ export interface DecisionObj {
 
 interface DecisionServiceOptions {
   userProfileService: UserProfileService | null;
+  userProfileServiceAsync?: UserProfileServiceAsync | null;
+  cmabService?: CmabService | null;
   logger: LogHandler;
   UNSTABLE_conditionEvaluators: unknown;
+  clock?: () => number;
+  conditionEvaluators?: ConditionEvaluator[];
 }
 
+/**
+ * Holds a user profile that was looked up once ahead of a batch of decisions.
+ * New bucketing decisions made during the batch are recorded in userProfile and
+ * isProfileUpdated is set, so the profile can be saved once the batch is complete.
+ */
+export interface UserProfileTracker {
+  userProfile: ExperimentBucketMap;
+  isProfileUpdated: boolean;
+}
+
+/**
+ * The results of the audience checks of CMAB rules made while fetching their decisions, by rule ID.
+ * They are reused by the decisions made right after the fetch instead of evaluating the audiences again.
+ */
+export type CmabAudienceResults = { [ruleId: string]: DecisionResponse<boolean> };
+
 interface DeliveryRuleResponse<T, K> extends DecisionResponse<T> {
   skipToEveryoneElse: K;
 }
@@ -93,12 +123,20 @@ export class DecisionService {
   private audienceEvaluator: AudienceEvaluator;
   private forcedVariationMap: { [key: string]: { [id: string]: string } };
   private userProfileService: UserProfileService | null;
+  private userProfileServiceAsync: UserProfileServiceAsync | null;
+  private cmabService: CmabService | null;
 
   constructor(options: DecisionServiceOptions) {
-    this.audienceEvaluator = createAudienceEvaluator(options.UNSTABLE_conditionEvaluators);
+    this.audienceEvaluator = createAudienceEvaluator(
+      options.UNSTABLE_conditionEvaluators,
+      options.clock,
+      options.conditionEvaluators
+    );
     this.forcedVariationMap = {};
     this.logger = options.logger;
     this.userProfileService = options.userProfileService || null;
+    this.userProfileServiceAsync = options.userProfileServiceAsync || null;
+    this.cmabService = options.cmabService || null;
   }
 
   /**
@@ -107,6 +145,11 @@ export class DecisionService {
    * @param  {Experiment}                             experiment
    * @param  {OptimizelyUserContext}                  user              A user context
    * @param  {[key: string]: boolean}                 options           Optional map of decide options
+   * @param  {UserProfileTracker}                     userProfileTracker  Optional user profile loaded ahead of a batch of decisions.
+   *                                                                    When provided, the profile is neither looked up nor saved here.
+   * @param  {DecisionTraceRecorder}                  trace             Optional recorder of the decision trace, with the experiment
+   *                                                                    started as its current rule
+   * @param  {CmabAudienceResults}                    cmabAudienceResults  Optional audience results of CMAB rules from fetchCmabDecisionsAsync
    * @return {DecisionResponse<string|null>}          DecisionResponse containing the variation the user is bucketed into
    *                                                                    and the decide reasons.
    */
@@ -114,7 +157,10 @@ export class DecisionService {
     configObj: ProjectConfig,
     experiment: Experiment,
     user: OptimizelyUserContext,
-    options: { [key: string]: boolean } = {}
+    options: { [key: string]: boolean } = {},
+    userProfileTracker?: UserProfileTracker,
+    trace?: DecisionTraceRecorder,
+    cmabAudienceResults?: CmabAudienceResults
   ): DecisionResponse<string | null> {
     const userId = user.getUserId();
     const attributes = user.getAttributes();
@@ -125,6 +171,7 @@ export class DecisionService {
     if (!this.checkIfExperimentIsActive(configObj, experimentKey)) {
       this.logger.log(LOG_LEVEL.INFO, LOG_MESSAGES.EXPERIMENT_NOT_RUNNING, MODULE_NAME, experimentKey);
       decideReasons.push([LOG_MESSAGES.EXPERIMENT_NOT_RUNNING, MODULE_NAME, experimentKey]);
+      trace?.endRule(DECISION_TRACE_RULE_RESULTS.NOT_RUNNING, null);
       return {
         result: null,
         reasons: decideReasons,
@@ -135,6 +182,8 @@ export class DecisionService {
     const forcedVariationKey = decisionForcedVariation.result;
 
     if (forcedVariationKey) {
+      trace?.recordRule({ forcedVariationKey });
+      trace?.endRule(DECISION_TRACE_RULE_RESULTS.FORCED_VARIATION, forcedVariationKey);
       return {
         result: forcedVariationKey,
         reasons: decideReasons,
@@ -144,14 +193,19 @@ export class DecisionService {
     decideReasons.push(...decisionWhitelistedVariation.reasons);
     let variation = decisionWhitelistedVariation.result;
     if (variation) {
+      trace?.recordRule({ whitelistedVariationKey: variation.key });
+      trace?.endRule(DECISION_TRACE_RULE_RESULTS.WHITELISTED, variation.key);
       return {
         result: variation.key,
         reasons: decideReasons,
       };
     }
 
-    const shouldIgnoreUPS = options[OptimizelyDecideOption.IGNORE_USER_PROFILE_SERVICE];
-    const experimentBucketMap = this.resolveExperimentBucketMap(userId, attributes);
+    // variations of CMAB rules are chosen by the CMAB decision provider, so they are never sticky
+    const shouldIgnoreUPS = options[OptimizelyDecideOption.IGNORE_USER_PROFILE_SERVICE] || !!experiment.cmab;
+    const experimentBucketMap = userProfileTracker
+      ? userProfileTracker.userProfile
+      : this.resolveExperimentBucketMap(userId, attributes);
 
     // check for sticky bucketing if decide options do not include shouldIgnoreUPS
     if (!shouldIgnoreUPS) {
@@ -172,6 +226,8 @@ export class DecisionService {
           experimentKey,
           userId,
         ]);
+        trace?.recordRule({ storedVariationKey: variation.key });
+        trace?.endRule(DECISION_TRACE_RULE_RESULTS.USER_PROFILE, variation.key);
         return {
           result: variation.key,
           reasons: decideReasons,
@@ -179,13 +235,18 @@ export class DecisionService {
       }
     }
 
-    // Perform regular targeting and bucketing
-    const decisionifUserIsInAudience = this.checkIfUserIsInAudience(
+    // Perform regular targeting and bucketing. The audiences of a CMAB rule were already evaluated when its
+    // decision was fetched, unless a trace is requested, which records the result of each audience
+    const prefetchedAudienceResult = experiment.cmab && !trace && cmabAudienceResults
+      ? cmabAudienceResults[experiment.id]
+      : undefined;
+    const decisionifUserIsInAudience = prefetchedAudienceResult || this.checkIfUserIsInAudience(
       configObj,
       experiment,
       AUDIENCE_EVALUATION_TYPES.EXPERIMENT,
       user,
-      ''
+      '',
+      trace
     );
     decideReasons.push(...decisionifUserIsInAudience.reasons);
     if (!decisionifUserIsInAudience.result) {
@@ -202,15 +263,27 @@ export class DecisionService {
         userId,
         experimentKey,
       ]);
+      trace?.endRule(DECISION_TRACE_RULE_RESULTS.AUDIENCE_MISMATCH, null);
       return {
         result: null,
         reasons: decideReasons,
       };
     }
 
+    if (experiment.cmab) {
+      const decisionCmabVariation = this.getVariationForCmabRule(configObj, experiment, user, bucketingId);
+      decideReasons.push(...decisionCmabVariation.reasons);
+      trace?.endRule(DECISION_TRACE_RULE_RESULTS.CMAB, decisionCmabVariation.result);
+      return {
+        result: decisionCmabVariation.result,
+        reasons: decideReasons,
+      };
+    }
+
     const bucketerParams = this.buildBucketerParams(configObj, experiment, bucketingId, userId);
     const decisionVariation = bucket(bucketerParams);
     decideReasons.push(...decisionVariation.reasons);
+    trace?.recordRule({ bucketing: getBucketingTrace(bucketingId, decisionVariation) });
     const variationId = decisionVariation.result;
     if (variationId) {
       variation = configObj.variationIdMap[variationId];
@@ -229,6 +302,7 @@ export class DecisionService {
         userId,
         experimentKey,
       ]);
+      trace?.endRule(DECISION_TRACE_RULE_RESULTS.NOT_BUCKETED, null);
       return {
         result: null,
         reasons: decideReasons,
@@ -252,15 +326,150 @@ export class DecisionService {
     ]);
     // persist bucketing if decide options do not include shouldIgnoreUPS
     if (!shouldIgnoreUPS) {
-      this.saveUserProfile(experiment, variation, userId, experimentBucketMap);
+      if (userProfileTracker) {
+        this.updateUserProfileTracker(experiment, variation, userProfileTracker);
+      } else {
+        this.saveUserProfile(experiment, variation, userId, experimentBucketMap);
+      }
     }
 
+    trace?.endRule(DECISION_TRACE_RULE_RESULTS.BUCKETED, variation.key);
     return {
       result: variation.key,
       reasons: decideReasons,
     };
   }
 
+  /**
+   * Returns the variation of a CMAB rule chosen for the user by the CMAB decision provider.
+   * Only decisions fetched ahead of time with fetchCmabDecisionsAsync are available here.
+   * @param  {ProjectConfig}                  configObj     The parsed project configuration object
+   * @param  {Experiment}                     rule          A rule with CMAB settings
+   * @param  {OptimizelyUserContext}          user          A user context
+   * @param  {string}                         bucketingId   ID to bucket user into
+   * @return {DecisionResponse<string|null>}  DecisionResponse containing the variation key, or null, and the decide reasons
+   */
+  private getVariationForCmabRule(
+    configObj: ProjectConfig,
+    rule: Experiment,
+    user: OptimizelyUserContext,
+    bucketingId: string
+  ): DecisionResponse<string | null> {
+    const decideReasons: (string | number)[][] = [];
+    const userId = user.getUserId();
+    let variation: Variation | undefined;
+
+    const decisionInCmabTraffic = this.checkIfUserIsInCmabTraffic(configObj, rule, bucketingId, userId);
+    decideReasons.push(...decisionInCmabTraffic.reasons);
+    if (!decisionInCmabTraffic.result) {
+      this.logger.log(LOG_LEVEL.DEBUG, LOG_MESSAGES.USER_HAS_NO_VARIATION, MODULE_NAME, userId, rule.key);
+      decideReasons.push([LOG_MESSAGES.USER_HAS_NO_VARIATION, MODULE_NAME, userId, rule.key]);
+      return {
+        result: null,
+        reasons: decideReasons,
+      };
+    }
+
+    if (!this.cmabService) {
+      this.logger.log(LOG_LEVEL.INFO, LOG_MESSAGES.CMAB_NOT_CONFIGURED, MODULE_NAME, userId, rule.key);
+      decideReasons.push([LOG_MESSAGES.CMAB_NOT_CONFIGURED, MODULE_NAME, userId, rule.key]);
+      return {
+        result: null,
+        reasons: decideReasons,
+      };
+    }
+
+    const variationId = this.cmabService.getCachedDecision(configObj, rule, user);
+    if (variationId !== null) {
+      variation = fns.find(rule.variations, ruleVariation => ruleVariation.id === variationId);
+    }
+    if (!variation) {
+      this.logger.log(LOG_LEVEL.INFO, LOG_MESSAGES.CMAB_DECISION_NOT_FETCHED, MODULE_NAME, userId, rule.key);
+      decideReasons.push([LOG_MESSAGES.CMAB_DECISION_NOT_FETCHED, MODULE_NAME, userId, rule.key]);
+      return {
+        result: null,
+        reasons: decideReasons,
+      };
+    }
+
+    this.logger.log(LOG_LEVEL.INFO, LOG_MESSAGES.USER_HAS_VARIATION, MODULE_NAME, userId, variation.key, rule.key);
+    decideReasons.push([LOG_MESSAGES.USER_HAS_VARIATION, MODULE_NAME, userId, variation.key, rule.key]);
+    return {
+      result: variation.key,
+      reasons: decideReasons,
+    };
+  }
+
+  /**
+   * Checks whether the user falls into the share of traffic of a CMAB rule that is decided by the CMAB decision provider
+   * @param  {ProjectConfig}              configObj     The parsed project configuration object
+   * @param  {Experiment}                 rule          A rule with CMAB settings
+   * @param  {string}                     bucketingId   ID to bucket user into
+   * @param  {string}                     userId        ID of user to be bucketed
+   * @return {DecisionResponse<boolean>}  DecisionResponse containing result true if the user is in the CMAB traffic and the decide reasons
+   */
+  private checkIfUserIsInCmabTraffic(
+    configObj: ProjectConfig,
+    rule: Experiment,
+    bucketingId: string,
+    userId: string
+  ): DecisionResponse<boolean> {
+    const bucketerParams = this.buildBucketerParams(configObj, rule, bucketingId, userId);
+    bucketerParams.trafficAllocationConfig = [{
+      entityId: CMAB_TRAFFIC_ENTITY_ID,
+      endOfRange: rule.cmab ? rule.cmab.trafficAllocation : 0,
+    }];
+    bucketerParams.validateEntity = false;
+    const decisionBucket = bucket(bucketerParams);
+
+    return {
+      result: decisionBucket.result === CMAB_TRAFFIC_ENTITY_ID,
+      reasons: decisionBucket.reasons,
+    };
+  }
+
+  /**
+   * Fetches the CMAB decisions the user needs for the experiment rules of a feature, so that they are
+   * available to the synchronous decision flow. Only rules that are running and whose audience and
+   * traffic checks the user passes are requested from the CMAB decision provider.
+   * @param  {ProjectConfig}            configObj   The parsed project configuration object
+   * @param  {FeatureFlag}              feature     A feature flag object from project configuration
+   * @param  {OptimizelyUserContext}    user        A user context
+   * @return {Promise<CmabAudienceResults>}         The results of the audience checks made, by rule ID
+   */
+  async fetchCmabDecisionsAsync(
+    configObj: ProjectConfig,
+    feature: FeatureFlag,
+    user: OptimizelyUserContext
+  ): Promise<CmabAudienceResults> {
+    const audienceResults: CmabAudienceResults = {};
+    const cmabService = this.cmabService;
+    if (!cmabService) {
+      return audienceResults;
+    }
+
+    const userId = user.getUserId();
+    const bucketingId = this.getBucketingId(userId, user.getAttributes());
+    const cmabRules = feature.experimentIds
+      .map(experimentId => configObj.experimentIdMap[experimentId])
+      .filter(rule => {
+        if (!rule || !rule.cmab || !this.checkIfExperimentIsActive(configObj, rule.key)) {
+          return false;
+        }
+        audienceResults[rule.id] = this.checkIfUserIsInAudience(
+          configObj,
+          rule,
+          AUDIENCE_EVALUATION_TYPES.EXPERIMENT,
+          user,
+          ''
+        );
+        return audienceResults[rule.id].result && this.checkIfUserIsInCmabTraffic(configObj, rule, bucketingId, userId).result;
+      });
+
+    await Promise.all(cmabRules.map(rule => cmabService.fetchDecision(configObj, rule, user)));
+    return audienceResults;
+  }
+
   /**
    * Merges attributes from attributes[STICKY_BUCKETING_KEY] and userProfileService
    * @param  {string}               userId
@@ -278,6 +487,138 @@ export class DecisionService {
     return fns.assign({}, userProfile.experiment_bucket_map, attributeExperimentBucketMap);
   }
 
+  /**
+   * Looks up the user profile once so that it can be shared by a batch of decisions.
+   * The lookup is skipped when the decide options include IGNORE_USER_PROFILE_SERVICE.
+   * @param  {OptimizelyUserContext}          user      A user context
+   * @param  {[key: string]: boolean}         options   Map of decide options
+   * @return {UserProfileTracker}             A tracker holding the user's experiment_bucket_map
+   */
+  loadUserProfileTracker(
+    user: OptimizelyUserContext,
+    options: { [key: string]: boolean } = {}
+  ): UserProfileTracker {
+    const userProfileTracker: UserProfileTracker = {
+      userProfile: {},
+      isProfileUpdated: false,
+    };
+
+    if (!options[OptimizelyDecideOption.IGNORE_USER_PROFILE_SERVICE]) {
+      userProfileTracker.userProfile = this.resolveExperimentBucketMap(user.getUserId(), user.getAttributes());
+    }
+
+    return userProfileTracker;
+  }
+
+  /**
+   * Saves the user profile held by the tracker to userProfileService if any decision in the batch updated it.
+   * @param  {string}               userId
+   * @param  {UserProfileTracker}   userProfileTracker
+   */
+  saveUserProfileTracker(userId: string, userProfileTracker: UserProfileTracker): void {
+    if (!this.userProfileService || !userProfileTracker.isProfileUpdated) {
+      return;
+    }
+
+    try {
+      this.userProfileService.save({
+        user_id: userId,
+        experiment_bucket_map: userProfileTracker.userProfile,
+      });
+
+      this.logger.log(LOG_LEVEL.INFO, LOG_MESSAGES.SAVED_USER_PROFILE, MODULE_NAME, userId);
+    } catch (ex: unknown) {
+      this.logger.log(
+        LOG_LEVEL.ERROR,
+        ERROR_MESSAGES.USER_PROFILE_SAVE_ERROR,
+        MODULE_NAME,
+        userId,
+        ex instanceof Error ? ex.message : String(ex),
+      );
+    }
+  }
+
+  /**
+   * Merges attributes from attributes[STICKY_BUCKETING_KEY] and the user profile returned
+   * by userProfileServiceAsync, falling back to userProfileService when no async service is set
+   * @param  {string}                         userId
+   * @param  {UserAttributes}                 attributes
+   * @return {Promise<ExperimentBucketMap>}   finalized copy of experiment_bucket_map
+   */
+  private async resolveExperimentBucketMapAsync(
+    userId: string,
+    attributes?: UserAttributes
+  ): Promise<ExperimentBucketMap> {
+    attributes = attributes || {};
+
+    const userProfile = await this.getUserProfileAsync(userId) || {} as UserProfile;
+    const attributeExperimentBucketMap = attributes[CONTROL_ATTRIBUTES.STICKY_BUCKETING_KEY];
+    return fns.assign({}, userProfile.experiment_bucket_map, attributeExperimentBucketMap);
+  }
+
+  /**
+   * Looks up the user profile once so that it can be shared by a batch of decisions.
+   * The lookup is skipped when the decide options include IGNORE_USER_PROFILE_SERVICE.
+   * @param  {OptimizelyUserContext}          user      A user context
+   * @param  {[key: string]: boolean}         options   Map of decide options
+   * @return {Promise<UserProfileTracker>}    A tracker holding the user's experiment_bucket_map
+   */
+  async loadUserProfileTrackerAsync(
+    user: OptimizelyUserContext,
+    options: { [key: string]: boolean } = {}
+  ): Promise<UserProfileTracker> {
+    const userProfileTracker: UserProfileTracker = {
+      userProfile: {},
+      isProfileUpdated: false,
+    };
+
+    if (!options[OptimizelyDecideOption.IGNORE_USER_PROFILE_SERVICE]) {
+      userProfileTracker.userProfile = await this.resolveExperimentBucketMapAsync(
+        user.getUserId(),
+        user.getAttributes()
+      );
+    }
+
+    return userProfileTracker;
+  }
+
+  /**
+   * Saves the user profile held by the tracker if any decision in the batch updated it.
+   * @param  {string}               userId
+   * @param  {UserProfileTracker}   userProfileTracker
+   * @return {Promise<void>}
+   */
+  async saveUserProfileTrackerAsync(userId: string, userProfileTracker: UserProfileTracker): Promise<void> {
+    if (!userProfileTracker.isProfileUpdated) {
+      return;
+    }
+
+    const userProfile = {
+      user_id: userId,
+      experiment_bucket_map: userProfileTracker.userProfile,
+    };
+
+    try {
+      if (this.userProfileServiceAsync) {
+        await this.userProfileServiceAsync.save(userProfile);
+      } else if (this.userProfileService) {
+        this.userProfileService.save(userProfile);
+      } else {
+        return;
+      }
+
+      this.logger.log(LOG_LEVEL.INFO, LOG_MESSAGES.SAVED_USER_PROFILE, MODULE_NAME, userId);
+    } catch (ex: unknown) {
+      this.logger.log(
+        LOG_LEVEL.ERROR,
+        ERROR_MESSAGES.USER_PROFILE_SAVE_ERROR,
+        MODULE_NAME,
+        userId,
+        ex instanceof Error ? ex.message : String(ex),
+      );
+    }
+  }
+
   /**
    * Checks whether the experiment is running
    * @param  {ProjectConfig}  configObj     The parsed project configuration object
@@ -355,6 +696,7 @@ export class DecisionService {
    * @param  {string}                       userId               ID of user
    * @param  {UserAttributes}               attributes           Optional parameter for user's attributes
    * @param  {string}                       loggingKey           String representing experiment key or rollout rule. To be used in log messages only.
+   * @param  {DecisionTraceRecorder}        trace                Optional recorder of the decision trace, which the audiences are recorded into
    * @return {DecisionResponse<boolean>}    DecisionResponse     DecisionResponse containing result true if user meets audience conditions and
    *                                                             the decide reasons.
    */
@@ -364,6 +706,7 @@ export class DecisionService {
     evaluationAttribute: string,
     user: OptimizelyUserContext,
     loggingKey?: string | number,
+    trace?: DecisionTraceRecorder,
   ): DecisionResponse<boolean> {
     const decideReasons: (string | number)[][] = [];
     const experimentAudienceConditions = getExperimentAudienceConditions(configObj, experiment.id);
@@ -383,7 +726,19 @@ export class DecisionService {
       loggingKey || experiment.key,
       JSON.stringify(experimentAudienceConditions),
     ]);
-    const result = this.audienceEvaluator.evaluate(experimentAudienceConditions, audiencesById, user);
+    const audienceTraces: AudienceTrace[] | undefined = trace ? [] : undefined;
+    const result = this.audienceEvaluator.evaluate(
+      experimentAudienceConditions,
+      audiencesById,
+      user,
+      configObj,
+      audienceTraces
+    );
+    if (trace && audienceTraces) {
+      trace.recordRule({
+        audienceConditions: { conditions: experimentAudienceConditions, result, audiences: audienceTraces },
+      });
+    }
     this.logger.log(
       LOG_LEVEL.INFO,
       LOG_MESSAGES.AUDIENCE_EVALUATION_RESULT_COMBINED,
@@ -497,6 +852,49 @@ export class DecisionService {
     return null;
   }
 
+  /**
+   * Get the user profile with the given user ID from userProfileServiceAsync,
+   * falling back to userProfileService when no async service is set
+   * @param  {string} userId
+   * @return {Promise<UserProfile|null>} the stored user profile or null if one isn't found
+   */
+  private async getUserProfileAsync(userId: string): Promise<UserProfile | null> {
+    if (!this.userProfileServiceAsync) {
+      return this.getUserProfile(userId);
+    }
+
+    try {
+      return await this.userProfileServiceAsync.lookup(userId);
+    } catch (ex: unknown) {
+      this.logger.log(
+        LOG_LEVEL.ERROR,
+        ERROR_MESSAGES.USER_PROFILE_LOOKUP_ERROR,
+        MODULE_NAME,
+        userId,
+        ex instanceof Error ? ex.message : String(ex),
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Records the bucketing decision in the user profile tracker, to be saved at the end of the batch
+   * @param {Experiment}          experiment
+   * @param {Variation}           variation
+   * @param {UserProfileTracker}  userProfileTracker
+   */
+  private updateUserProfileTracker(
+    experiment: Experiment,
+    variation: Variation,
+    userProfileTracker: UserProfileTracker
+  ): void {
+    userProfileTracker.userProfile[experiment.id] = {
+      variation_id: variation.id
+    };
+    userProfileTracker.isProfileUpdated = true;
+  }
+
   /**
    * Saves the bucketing decision to the user profile
    * @param {Experiment}          experiment
@@ -542,12 +940,15 @@ export class DecisionService {
    * an object representing a decision and decide reasons. If the user was bucketed into
    * a variation for the given feature and attributes, the decision object will have variation and
    * experiment properties (both objects), as well as a decisionSource property.
-   * decisionSource indicates whether the decision was due to a rollout or an
-   * experiment.
+   * decisionSource indicates whether the decision was due to a holdout, a rollout or an
+   * experiment. Holdouts are evaluated before any experiment or rollout rule of the feature.
    * @param   {ProjectConfig}               configObj         The parsed project configuration object
    * @param   {FeatureFlag}                 feature           A feature flag object from project configuration
    * @param   {OptimizelyUserContext}       user              A user context
    * @param   {[key: string]: boolean}      options           Map of decide options
+   * @param   {UserProfileTracker}          userProfileTracker  Optional user profile loaded ahead of a batch of decisions
+   * @param   {DecisionTraceRecorder}       trace             Optional recorder of the decision trace, which every rule considered is recorded into
+   * @param   {CmabAudienceResults}         cmabAudienceResults  Optional audience results of CMAB rules from fetchCmabDecisionsAsync
    * @return  {DecisionResponse}            DecisionResponse  DecisionResponse containing an object with experiment, variation, and decisionSource
    *                                                          properties and decide reasons. If the user was not bucketed into a variation, the variation
    *                                                          property in decision object is null.
@@ -556,11 +957,34 @@ export class DecisionService {
     configObj: ProjectConfig,
     feature: FeatureFlag,
     user: OptimizelyUserContext,
-    options: { [key: string]: boolean } = {}
+    options: { [key: string]: boolean } = {},
+    userProfileTracker?: UserProfileTracker,
+    trace?: DecisionTraceRecorder,
+    cmabAudienceResults?: CmabAudienceResults
   ): DecisionResponse<DecisionObj> {
 
     const decideReasons: (string | number)[][] = [];
-    const decisionVariation = this.getVariationForFeatureExperiment(configObj, feature, user, options);
+    const holdouts = getHoldoutsForFlag(configObj, feature.key);
+    for (let index = 0; index < holdouts.length; index++) {
+      const holdoutDecision = this.getVariationForHoldout(configObj, holdouts[index], user, trace);
+      decideReasons.push(...holdoutDecision.reasons);
+      if (holdoutDecision.result.variation !== null) {
+        return {
+          result: holdoutDecision.result,
+          reasons: decideReasons,
+        };
+      }
+    }
+
+    const decisionVariation = this.getVariationForFeatureExperiment(
+      configObj,
+      feature,
+      user,
+      options,
+      userProfileTracker,
+      trace,
+      cmabAudienceResults
+    );
     decideReasons.push(...decisionVariation.reasons);
     const experimentDecision = decisionVariation.result;
 
@@ -571,7 +995,7 @@ export class DecisionService {
       };
     }
 
-    const decisionRolloutVariation = this.getVariationForRollout(configObj, feature, user);
+    const decisionRolloutVariation = this.getVariationForRollout(configObj, feature, user, trace);
     decideReasons.push(...decisionRolloutVariation.reasons);
     const rolloutDecision = decisionRolloutVariation.result;
     const userId = user.getUserId();
@@ -592,11 +1016,111 @@ export class DecisionService {
     };
   }
 
+  /**
+   * Buckets the user into the given holdout if the holdout is running and the user meets its audience conditions.
+   * @param   {ProjectConfig}               configObj         The parsed project configuration object
+   * @param   {Holdout}                     holdout           A holdout the feature is subject to
+   * @param   {OptimizelyUserContext}       user              A user context
+   * @param   {DecisionTraceRecorder}       trace             Optional recorder of the decision trace
+   * @return  {DecisionResponse<DecisionObj>}                 DecisionResponse containing a decision with the holdout and the holdout
+   *                                                          variation the user is bucketed into, or a null variation, and the decide reasons.
+   */
+  private getVariationForHoldout(
+    configObj: ProjectConfig,
+    holdout: Holdout,
+    user: OptimizelyUserContext,
+    trace?: DecisionTraceRecorder,
+  ): DecisionResponse<DecisionObj> {
+    const decideReasons: (string | number)[][] = [];
+    const userId = user.getUserId();
+    const decisionObj: DecisionObj = {
+      experiment: holdout,
+      variation: null,
+      decisionSource: DECISION_SOURCES.HOLDOUT,
+    };
+    trace?.startRule(holdout, DECISION_SOURCES.HOLDOUT);
+
+    if (holdout.status !== HOLDOUT_RUNNING_STATUS) {
+      this.logger.log(LOG_LEVEL.INFO, LOG_MESSAGES.HOLDOUT_NOT_RUNNING, MODULE_NAME, holdout.key);
+      decideReasons.push([LOG_MESSAGES.HOLDOUT_NOT_RUNNING, MODULE_NAME, holdout.key]);
+      trace?.endRule(DECISION_TRACE_RULE_RESULTS.NOT_RUNNING, null);
+      return {
+        result: decisionObj,
+        reasons: decideReasons,
+      };
+    }
+
+    const decisionifUserIsInAudience = this.checkIfUserIsInAudience(
+      configObj,
+      holdout,
+      AUDIENCE_EVALUATION_TYPES.HOLDOUT,
+      user,
+      undefined,
+      trace,
+    );
+    decideReasons.push(...decisionifUserIsInAudience.reasons);
+    if (!decisionifUserIsInAudience.result) {
+      this.logger.log(
+        LOG_LEVEL.INFO,
+        LOG_MESSAGES.USER_DOESNT_MEET_CONDITIONS_FOR_HOLDOUT,
+        MODULE_NAME,
+        userId,
+        holdout.key,
+      );
+      decideReasons.push([LOG_MESSAGES.USER_DOESNT_MEET_CONDITIONS_FOR_HOLDOUT, MODULE_NAME, userId, holdout.key]);
+      trace?.endRule(DECISION_TRACE_RULE_RESULTS.AUDIENCE_MISMATCH, null);
+      return {
+        result: decisionObj,
+        reasons: decideReasons,
+      };
+    }
+
+    // holdouts are not part of experimentIdMap, so the bucketer is given maps that only contain the holdout itself
+    const bucketingId = this.getBucketingId(userId, user.getAttributes());
+    const bucketerParams: BucketerParams = {
+      bucketingId,
+      experimentId: holdout.id,
+      experimentKey: holdout.key,
+      experimentIdMap: { [holdout.id]: holdout },
+      experimentKeyMap: { [holdout.key]: holdout },
+      groupIdMap: configObj.groupIdMap,
+      logger: this.logger,
+      trafficAllocationConfig: holdout.trafficAllocation,
+      userId,
+      variationIdMap: configObj.variationIdMap,
+    };
+    const decisionVariation = bucket(bucketerParams);
+    decideReasons.push(...decisionVariation.reasons);
+    trace?.recordRule({ bucketing: getBucketingTrace(bucketingId, decisionVariation) });
+    const variationId = decisionVariation.result;
+    const variation = variationId ? getVariationFromId(configObj, variationId) : null;
+    if (variation) {
+      this.logger.log(LOG_LEVEL.INFO, LOG_MESSAGES.USER_IN_HOLDOUT, MODULE_NAME, userId, variation.key, holdout.key);
+      decideReasons.push([LOG_MESSAGES.USER_IN_HOLDOUT, MODULE_NAME, userId, variation.key, holdout.key]);
+      decisionObj.variation = variation;
+    } else {
+      this.logger.log(LOG_LEVEL.INFO, LOG_MESSAGES.USER_NOT_IN_HOLDOUT, MODULE_NAME, userId, holdout.key);
+      decideReasons.push([LOG_MESSAGES.USER_NOT_IN_HOLDOUT, MODULE_NAME, userId, holdout.key]);
+    }
+    trace?.endRule(
+      variation ? DECISION_TRACE_RULE_RESULTS.BUCKETED : DECISION_TRACE_RULE_RESULTS.NOT_BUCKETED,
+      variation ? variation.key : null
+    );
+
+    return {
+      result: decisionObj,
+      reasons: decideReasons,
+    };
+  }
+
   private getVariationForFeatureExperiment(
     configObj: ProjectConfig,
     feature: FeatureFlag,
     user: OptimizelyUserContext,
-    options: { [key: string]: boolean } = {}
+    options: { [key: string]: boolean } = {},
+    userProfileTracker?: UserProfileTracker,
+    trace?: DecisionTraceRecorder,
+    cmabAudienceResults?: CmabAudienceResults
   ): DecisionResponse<DecisionObj> {
 
     const decideReasons: (string | number)[][] = [];
@@ -611,7 +1135,16 @@ export class DecisionService {
       for (index = 0; index < feature.experimentIds.length; index++) {
         const experiment = getExperimentFromId(configObj, feature.experimentIds[index], this.logger);
         if (experiment) {
-          decisionVariation = this.getVariationFromExperimentRule(configObj, feature.key, experiment, user, options);
+          decisionVariation = this.getVariationFromExperimentRule(
+            configObj,
+            feature.key,
+            experiment,
+            user,
+            options,
+            userProfileTracker,
+            trace,
+            cmabAudienceResults
+          );
           decideReasons.push(...decisionVariation.reasons);
           variationKey = decisionVariation.result;
           if (variationKey) {
@@ -654,6 +1187,7 @@ export class DecisionService {
     configObj: ProjectConfig,
     feature: FeatureFlag,
     user: OptimizelyUserContext,
+    trace?: DecisionTraceRecorder,
   ): DecisionResponse<DecisionObj> {
     const decideReasons: (string | number)[][] = [];
     let decisionObj: DecisionObj;
@@ -718,7 +1252,7 @@ export class DecisionService {
     let rolloutRule;
     let index = 0;
     while (index < rolloutRules.length) {
-      decisionVariation = this.getVariationFromDeliveryRule(configObj, feature.key, rolloutRules, index, user);
+      decisionVariation = this.getVariationFromDeliveryRule(configObj, feature.key, rolloutRules, index, user, trace);
       decideReasons.push(...decisionVariation.reasons);
       variation = decisionVariation.result;
       skipToEveryoneElse = decisionVariation.skipToEveryoneElse;
@@ -782,13 +1316,15 @@ export class DecisionService {
    * @param     {OptimizelyUserContext} user                 A Optimizely User Context.
    * @param     {string}                flagKey              A flagKey.
    * @param     {ruleKey}               ruleKey              A ruleKey (optional).
+   * @param     {DecisionTraceRecorder} trace                Optional recorder of the decision trace (optional).
    * @return    {DecisionResponse<Variation|null>}  DecisionResponse object containing valid variation object and decide reasons.
    */
   findValidatedForcedDecision(
     config: ProjectConfig,
     user: OptimizelyUserContext,
     flagKey: string,
-    ruleKey?: string
+    ruleKey?: string,
+    trace?: DecisionTraceRecorder
   ): DecisionResponse<Variation | null> {
 
     const decideReasons: (string | number)[][] = [];
@@ -799,6 +1335,7 @@ export class DecisionService {
     if (config && forcedDecision) {
       variationKey = forcedDecision.variationKey;
       variation = getFlagVariationByKey(config, flagKey, variationKey);
+      trace?.recordForcedDecision({ variationKey, valid: !!variation });
       if (variation) {
         if (ruleKey) {
           this.logger.log(
@@ -1108,22 +1645,35 @@ export class DecisionService {
     flagKey: string,
     rule: Experiment,
     user: OptimizelyUserContext,
-    options: { [key: string]: boolean } = {}
+    options: { [key: string]: boolean } = {},
+    userProfileTracker?: UserProfileTracker,
+    trace?: DecisionTraceRecorder,
+    cmabAudienceResults?: CmabAudienceResults
   ): DecisionResponse<string | null> {
     const decideReasons: (string | number)[][] = [];
+    trace?.startRule(rule, DECISION_SOURCES.FEATURE_TEST);
 
     // check forced decision first
-    const forcedDecisionResponse = this.findValidatedForcedDecision(configObj, user, flagKey, rule.key);
+    const forcedDecisionResponse = this.findValidatedForcedDecision(configObj, user, flagKey, rule.key, trace);
     decideReasons.push(...forcedDecisionResponse.reasons);
 
     const forcedVariation = forcedDecisionResponse.result;
     if (forcedVariation) {
+      trace?.endRule(DECISION_TRACE_RULE_RESULTS.FORCED_DECISION, forcedVariation.key);
       return {
         result: forcedVariation.key,
         reasons: decideReasons,
       };
     }
-    const decisionVariation = this.getVariation(configObj, rule, user, options);
+    const decisionVariation = this.getVariation(
+      configObj,
+      rule,
+      user,
+      options,
+      userProfileTracker,
+      trace,
+      cmabAudienceResults
+    );
     decideReasons.push(...decisionVariation.reasons);
     const variationKey = decisionVariation.result;
 
@@ -1138,18 +1688,21 @@ export class DecisionService {
     flagKey: string,
     rules: Experiment[],
     ruleIndex: number,
-    user: OptimizelyUserContext
+    user: OptimizelyUserContext,
+    trace?: DecisionTraceRecorder
   ): DeliveryRuleResponse<Variation | null, boolean> {
     const decideReasons: (string | number)[][] = [];
     let skipToEveryoneElse = false;
 
     // check forced decision first
     const rule = rules[ruleIndex];
-    const forcedDecisionResponse = this.findValidatedForcedDecision(configObj, user, flagKey, rule.key);
+    trace?.startRule(rule, DECISION_SOURCES.ROLLOUT);
+    const forcedDecisionResponse = this.findValidatedForcedDecision(configObj, user, flagKey, rule.key, trace);
     decideReasons.push(...forcedDecisionResponse.reasons);
 
     const forcedVariation = forcedDecisionResponse.result;
     if (forcedVariation) {
+      trace?.endRule(DECISION_TRACE_RULE_RESULTS.FORCED_DECISION, forcedVariation.key);
       return {
         result: forcedVariation,
         reasons: decideReasons,
@@ -1172,7 +1725,8 @@ export class DecisionService {
       rule,
       AUDIENCE_EVALUATION_TYPES.RULE,
       user,
-      loggingKey
+      loggingKey,
+      trace
     );
     decideReasons.push(...decisionifUserIsInAudience.reasons);
     if (decisionifUserIsInAudience.result) {
@@ -1193,6 +1747,7 @@ export class DecisionService {
       bucketerParams = this.buildBucketerParams(configObj, rule, bucketingId, userId);
       decisionVariation = bucket(bucketerParams);
       decideReasons.push(...decisionVariation.reasons);
+      trace?.recordRule({ bucketing: getBucketingTrace(bucketingId, decisionVariation) });
       bucketerVariationId = decisionVariation.result;
       if (bucketerVariationId) {
         bucketedVariation = getVariationFromId(configObj, bucketerVariationId);
@@ -1245,6 +1800,15 @@ export class DecisionService {
       ]);
     }
 
+    if (decisionifUserIsInAudience.result) {
+      trace?.endRule(
+        bucketedVariation ? DECISION_TRACE_RULE_RESULTS.BUCKETED : DECISION_TRACE_RULE_RESULTS.NOT_BUCKETED,
+        bucketedVariation ? bucketedVariation.key : null
+      );
+    } else {
+      trace?.endRule(DECISION_TRACE_RULE_RESULTS.AUDIENCE_MISMATCH, null);
+    }
+
     return {
       result: bucketedVariation,
       reasons: decideReasons,
@@ -1253,6 +1817,20 @@ export class DecisionService {
   }
 }
 
+/**
+ * Builds the trace of bucketing a user into a rule
+ * @param  {string}             bucketingId       ID the user was bucketed with
+ * @param  {BucketerResponse}   bucketerResponse  Response of the bucketer
+ * @return {BucketingTrace}
+ */
+function getBucketingTrace(bucketingId: string, bucketerResponse: BucketerResponse): BucketingTrace {
+  return {
+    bucketingId,
+    bucketValue: typeof bucketerResponse.bucketValue === 'number' ? bucketerResponse.bucketValue : null,
+    variationId: bucketerResponse.result,
+  };
+}
+
 /**
  * Creates an instance of the DecisionService.
  * @param  {DecisionServiceOptions}     options       Configuration options
@@ -0,0 +1,166 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import fns from '../../utils/fns';
+import { DECISION_TRACE_RULE_RESULTS } from '../../utils/enums';
+import { Experiment } from '../../shared_types';
+
+/**
+ * A leaf condition of an audience and the result of evaluating it for the user
+ */
+export interface ConditionTrace {
+  condition: unknown;
+  // null if the condition could not be evaluated
+  result: boolean | null;
+}
+
+/**
+ * An audience evaluated for the user. Conditions which were not needed to
+ * decide the result of the audience are not evaluated, so they are not in leaves.
+ */
+export interface AudienceTrace {
+  id: string;
+  name: string;
+  conditions: unknown;
+  result: boolean | null;
+  leaves: ConditionTrace[];
+}
+
+/**
+ * The audience conditions of a rule, combining audience IDs, and the audiences evaluated to decide them
+ */
+export interface AudienceConditionsTrace {
+  conditions: unknown;
+  result: boolean;
+  audiences: AudienceTrace[];
+}
+
+export interface BucketingTrace {
+  bucketingId: string;
+  // null if the user was bucketed into another experiment of the mutually exclusive group of the rule
+  bucketValue: number | null;
+  // ID of the variation the user was bucketed into, null if outside the traffic allocation
+  variationId: string | null;
+}
+
+export interface ForcedDecisionTrace {
+  variationKey: string;
+  // false if the variation is not a variation of the flag, in which case the forced decision is ignored
+  valid: boolean;
+}
+
+/**
+ * A rule considered for the decision, in the order rules were considered
+ */
+export interface RuleTrace {
+  ruleId: string;
+  ruleKey: string;
+  // one of DECISION_SOURCES
+  decisionSource: string;
+  forcedDecision?: ForcedDecisionTrace;
+  forcedVariationKey?: string;
+  whitelistedVariationKey?: string;
+  storedVariationKey?: string;
+  audienceConditions?: AudienceConditionsTrace;
+  bucketing?: BucketingTrace;
+  // one of DECISION_TRACE_RULE_RESULTS
+  result: string;
+  variationKey: string | null;
+}
+
+/**
+ * A machine readable trace of how a flag was decided for a user
+ */
+export interface OptimizelyDecisionTrace {
+  flagKey: string;
+  userId: string;
+  // forced decision set on the user context for the flag itself, rather than one of its rules
+  forcedDecision: ForcedDecisionTrace | null;
+  rules: RuleTrace[];
+  outcome: {
+    // one of DECISION_SOURCES
+    decisionSource: string;
+    ruleKey: string | null;
+    variationKey: string | null;
+    enabled: boolean;
+  };
+}
+
+/**
+ * Records the steps of a decision into an OptimizelyDecisionTrace. Steps are recorded
+ * into the rule which was started last, or into the flag before any rule was started.
+ */
+export class DecisionTraceRecorder {
+  private trace: OptimizelyDecisionTrace;
+  private currentRule: RuleTrace | null = null;
+
+  constructor(flagKey: string, userId: string) {
+    this.trace = {
+      flagKey,
+      userId,
+      forcedDecision: null,
+      rules: [],
+      outcome: {
+        decisionSource: '',
+        ruleKey: null,
+        variationKey: null,
+        enabled: false,
+      },
+    };
+  }
+
+  startRule(rule: Experiment, decisionSource: string): void {
+    this.currentRule = {
+      ruleId: rule.id,
+      ruleKey: rule.key,
+      decisionSource,
+      result: DECISION_TRACE_RULE_RESULTS.NOT_BUCKETED,
+      variationKey: null,
+    };
+    this.trace.rules.push(this.currentRule);
+  }
+
+  recordForcedDecision(forcedDecision: ForcedDecisionTrace): void {
+    if (this.currentRule) {
+      this.currentRule.forcedDecision = forcedDecision;
+    } else {
+      this.trace.forcedDecision = forcedDecision;
+    }
+  }
+
+  /**
+   * Records steps of the current rule
+   * @param  {Partial<RuleTrace>}   ruleTrace   The fields of the rule trace to set
+   */
+  recordRule(ruleTrace: Partial<RuleTrace>): void {
+    if (this.currentRule) {
+      fns.assign(this.currentRule, ruleTrace);
+    }
+  }
+
+  /**
+   * Concludes the current rule, if any
+   * @param  {string}         result          One of DECISION_TRACE_RULE_RESULTS
+   * @param  {string|null}    variationKey    Key of the variation the rule resulted in
+   */
+  endRule(result: string, variationKey: string | null): void {
+    this.recordRule({ result, variationKey });
+    this.currentRule = null;
+  }
+
+  getTrace(outcome: OptimizelyDecisionTrace['outcome']): OptimizelyDecisionTrace {
+    return { ...this.trace, outcome };
+  }
+}
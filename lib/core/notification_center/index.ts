@@ -15,7 +15,13 @@
  */
 import { LogHandler, ErrorHandler } from '../../modules/logging';
 import { objectValues } from '../../utils/fns';
-import { NotificationListener, ListenerPayload } from '../../shared_types';
+import {
+  NotificationListener,
+  ListenerPayload,
+  DatafileSourceChangedPayload,
+  DatafileVerificationFailedPayload,
+} from '../../shared_types';
+import { ProjectConfigDiff } from '../project_config/config_diff';
 
 import {
   LOG_LEVEL,
@@ -202,9 +208,13 @@ export class NotificationCenter {
    * @param {string} notificationType One of NOTIFICATION_TYPES
    * @param {Object} notificationData Will be passed to callbacks called
    */
+  sendNotifications(notificationType: string, notificationData: ProjectConfigDiff): void;
+  sendNotifications(notificationType: string, notificationData: DatafileVerificationFailedPayload): void;
+  sendNotifications(notificationType: string, notificationData: DatafileSourceChangedPayload): void;
+  sendNotifications<T extends ListenerPayload>(notificationType: string, notificationData?: T): void;
   sendNotifications<T extends ListenerPayload>(
     notificationType: string,
-    notificationData?: T
+    notificationData?: T | ProjectConfigDiff | DatafileVerificationFailedPayload | DatafileSourceChangedPayload
   ): void {
     try {
       (this.notificationListeners[notificationType] || []).forEach(
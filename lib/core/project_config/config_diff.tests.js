@@ -0,0 +1,200 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { assert } from 'chai';
+import { find } from 'lodash';
+
+import { diffProjectConfigs } from './config_diff';
+import { createProjectConfig } from './';
+import testData from '../../tests/test_data';
+
+describe('lib/core/project_config/config_diff', function() {
+  describe('diffProjectConfigs', function() {
+    var previousDatafile;
+    var datafile;
+
+    beforeEach(function() {
+      previousDatafile = testData.getTestProjectConfigWithFeatures();
+      datafile = testData.getTestProjectConfigWithFeatures();
+      datafile.revision = '36';
+    });
+
+    it('should return an empty diff for project configs with the same entities', function() {
+      var diff = diffProjectConfigs(createProjectConfig(previousDatafile), createProjectConfig(datafile));
+      assert.deepEqual(diff, {
+        previousRevision: previousDatafile.revision,
+        revision: '36',
+        flagsAdded: [],
+        flagsRemoved: [],
+        rulesReordered: [],
+        trafficAllocationChanges: [],
+        ruleAudienceChanges: [],
+        variableDefaultChanges: [],
+        audienceChanges: [],
+      });
+    });
+
+    it('should report all flags and audiences as added when there is no previous project config', function() {
+      var configObj = createProjectConfig(datafile);
+      var diff = diffProjectConfigs(null, configObj);
+      assert.isNull(diff.previousRevision);
+      assert.deepEqual(diff.flagsAdded, datafile.featureFlags.map(function(flag) {
+        return flag.key;
+      }));
+      assert.deepEqual(diff.audienceChanges, [
+        {
+          audienceId: '11160',
+          audienceName: 'Test attribute users 3',
+          previousConditions: null,
+          conditions: configObj.audiencesById['11160'].conditions,
+        },
+        {
+          audienceId: '594017',
+          audienceName: 'test_audience',
+          previousConditions: null,
+          conditions: configObj.audiencesById['594017'].conditions,
+        },
+      ]);
+      assert.deepEqual(diff.rulesReordered, []);
+      assert.deepEqual(diff.trafficAllocationChanges, []);
+    });
+
+    it('should report added and removed flags', function() {
+      datafile.featureFlags = datafile.featureFlags.filter(function(flag) {
+        return flag.key !== 'unused_flag';
+      });
+      datafile.featureFlags.push({
+        key: 'new_flag',
+        id: '700001',
+        rolloutId: '',
+        experimentIds: [],
+        variables: [],
+      });
+      var diff = diffProjectConfigs(createProjectConfig(previousDatafile), createProjectConfig(datafile));
+      assert.deepEqual(diff.flagsAdded, ['new_flag']);
+      assert.deepEqual(diff.flagsRemoved, ['unused_flag']);
+    });
+
+    it('should report flags whose rules were reordered', function() {
+      var flag = find(datafile.featureFlags, { key: 'test_feature_in_multiple_experiments' });
+      flag.experimentIds = ['111136', '111134', '111135'];
+      var diff = diffProjectConfigs(createProjectConfig(previousDatafile), createProjectConfig(datafile));
+      assert.deepEqual(diff.rulesReordered, [
+        {
+          flagKey: 'test_feature_in_multiple_experiments',
+          previousRuleKeys: ['test_experiment3', 'test_experiment4', 'test_experiment5', '594060', '594066'],
+          ruleKeys: ['test_experiment5', 'test_experiment3', 'test_experiment4', '594060', '594066'],
+        },
+      ]);
+    });
+
+    it('should report traffic allocation changes of experiment and delivery rules', function() {
+      find(datafile.experiments, { id: '594098' }).trafficAllocation = [
+        { entityId: '594096', endOfRange: 2000 },
+        { entityId: '594097', endOfRange: 10000 },
+      ];
+      var rollout = find(datafile.rollouts, { id: '594030' });
+      find(rollout.experiments, { id: '594031' }).trafficAllocation = [];
+      var diff = diffProjectConfigs(createProjectConfig(previousDatafile), createProjectConfig(datafile));
+      assert.deepEqual(diff.trafficAllocationChanges, [
+        {
+          flagKey: 'test_feature',
+          ruleId: '594031',
+          ruleKey: '594031',
+          previousTrafficAllocation: find(previousDatafile.rollouts, { id: '594030' }).experiments[0].trafficAllocation,
+          trafficAllocation: [],
+        },
+        {
+          flagKey: 'test_feature_for_experiment',
+          ruleId: '594098',
+          ruleKey: 'testing_my_feature',
+          previousTrafficAllocation: [
+            { endOfRange: 5000, entityId: '594096' },
+            { endOfRange: 10000, entityId: '594097' },
+          ],
+          trafficAllocation: [
+            { entityId: '594096', endOfRange: 2000 },
+            { entityId: '594097', endOfRange: 10000 },
+          ],
+        },
+      ]);
+    });
+
+    it('should report variable default value changes', function() {
+      var flag = find(datafile.featureFlags, { key: 'test_feature' });
+      find(flag.variables, { key: 'lasers' }).defaultValue = '500';
+      var diff = diffProjectConfigs(createProjectConfig(previousDatafile), createProjectConfig(datafile));
+      assert.deepEqual(diff.variableDefaultChanges, [
+        {
+          flagKey: 'test_feature',
+          variableKey: 'lasers',
+          previousDefaultValue: '400',
+          defaultValue: '500',
+        },
+      ]);
+    });
+
+    it('should report edited, added and removed audiences', function() {
+      datafile.audiences[0].conditions = '["and", ["or", ["or", {"type": "custom_attribute", "name": "test_attribute", "value": "other_value"}]]]';
+      datafile.audiences.splice(1, 1);
+      datafile.audiences.push({ id: '700002', name: 'new_audience', conditions: '["or"]' });
+      var previousConfigObj = createProjectConfig(previousDatafile);
+      var configObj = createProjectConfig(datafile);
+      var diff = diffProjectConfigs(previousConfigObj, configObj);
+      assert.deepEqual(diff.audienceChanges, [
+        {
+          audienceId: '594017',
+          audienceName: 'test_audience',
+          previousConditions: previousConfigObj.audiencesById['594017'].conditions,
+          conditions: configObj.audiencesById['594017'].conditions,
+        },
+        {
+          audienceId: '700002',
+          audienceName: 'new_audience',
+          previousConditions: null,
+          conditions: ['or'],
+        },
+        {
+          audienceId: '11160',
+          audienceName: 'Test attribute users 3',
+          previousConditions: previousConfigObj.audiencesById['11160'].conditions,
+          conditions: null,
+        },
+      ]);
+    });
+
+    it('should report changes to the audiences of rules', function() {
+      find(datafile.experiments, { id: '599028' }).audienceIds = [];
+      find(datafile.experiments, { id: '111134' }).audienceConditions = ['and', '11160', '594017'];
+      var diff = diffProjectConfigs(createProjectConfig(previousDatafile), createProjectConfig(datafile));
+      assert.deepEqual(diff.ruleAudienceChanges, [
+        {
+          flagKey: 'test_feature_in_multiple_experiments',
+          ruleId: '111134',
+          ruleKey: 'test_experiment3',
+          previousAudienceConditions: ['or', '11160'],
+          audienceConditions: ['and', '11160', '594017'],
+        },
+        {
+          flagKey: 'shared_feature',
+          ruleId: '599028',
+          ruleKey: 'test_shared_feature',
+          previousAudienceConditions: ['594017'],
+          audienceConditions: [],
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { Audience, Experiment, FeatureFlag, TrafficAllocation } from '../../shared_types';
+import { ProjectConfig } from './';
+
+export interface RuleOrderChange {
+  flagKey: string;
+  previousRuleKeys: string[];
+  ruleKeys: string[];
+}
+
+export interface TrafficAllocationChange {
+  // null for experiments which are not a rule of any flag
+  flagKey: string | null;
+  ruleId: string;
+  ruleKey: string;
+  previousTrafficAllocation: TrafficAllocation[];
+  trafficAllocation: TrafficAllocation[];
+}
+
+export interface RuleAudienceChange {
+  // null for experiments which are not a rule of any flag
+  flagKey: string | null;
+  ruleId: string;
+  ruleKey: string;
+  previousAudienceConditions: Array<string | string[]>;
+  audienceConditions: Array<string | string[]>;
+}
+
+export interface VariableDefaultChange {
+  flagKey: string;
+  variableKey: string;
+  previousDefaultValue: string;
+  defaultValue: string;
+}
+
+export interface AudienceChange {
+  audienceId: string;
+  audienceName: string;
+  previousConditions: unknown[] | string | null;
+  conditions: unknown[] | string | null;
+}
+
+/**
+ * The changes between two project configs. This is also the payload of the
+ * OPTIMIZELY_CONFIG_UPDATE notification.
+ */
+export interface ProjectConfigDiff {
+  // null when there was no previous project config
+  previousRevision: string | null;
+  revision: string;
+  flagsAdded: string[];
+  flagsRemoved: string[];
+  // flags whose ordered list of rules changed, including rules being added or removed
+  rulesReordered: RuleOrderChange[];
+  trafficAllocationChanges: TrafficAllocationChange[];
+  ruleAudienceChanges: RuleAudienceChange[];
+  variableDefaultChanges: VariableDefaultChange[];
+  // audiences added, removed or whose conditions changed. Conditions are null for
+  // the side on which the audience does not exist
+  audienceChanges: AudienceChange[];
+}
+
+interface IndexedRule {
+  flagKey: string | null;
+  rule: Experiment;
+}
+
+/**
+ * Index the rules and experiments of a project config by id, along with the key of
+ * the flag each of them belongs to
+ * @param  {ProjectConfig}                    configObj
+ * @return {{ [id: string]: IndexedRule }}
+ */
+function indexRules(configObj: ProjectConfig): { [id: string]: IndexedRule } {
+  const rulesById: { [id: string]: IndexedRule } = {};
+  Object.keys(configObj.flagRulesMap || {}).forEach(flagKey => {
+    configObj.flagRulesMap[flagKey].forEach(rule => {
+      // rollouts can be shared between flags, a rule is attributed to the first of them
+      if (!rulesById[rule.id]) {
+        rulesById[rule.id] = { flagKey, rule };
+      }
+    });
+  });
+  (configObj.experiments || []).forEach(experiment => {
+    if (!rulesById[experiment.id]) {
+      rulesById[experiment.id] = { flagKey: null, rule: experiment };
+    }
+  });
+  return rulesById;
+}
+
+function getRuleKeys(configObj: ProjectConfig, flagKey: string): string[] {
+  return (configObj.flagRulesMap[flagKey] || []).map(rule => rule.key);
+}
+
+// rules without audienceConditions are targeted by their audienceIds
+function getAudienceConditions(rule: Experiment): Array<string | string[]> {
+  return rule.audienceConditions || rule.audienceIds || [];
+}
+
+function isEqual(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compute the changes between two project configs: flags added and removed, changes to
+ * the rules of flags and their order, traffic allocation changes, variable default value
+ * changes and audience edits. Rules and audiences are matched by id, flags and variables by key.
+ * @param  {ProjectConfig|null}   previousConfigObj   The project config before the change, or null if there was none
+ * @param  {ProjectConfig}        configObj           The project config after the change
+ * @return {ProjectConfigDiff}
+ */
+export function diffProjectConfigs(
+  previousConfigObj: ProjectConfig | null,
+  configObj: ProjectConfig
+): ProjectConfigDiff {
+  const diff: ProjectConfigDiff = {
+    previousRevision: previousConfigObj ? previousConfigObj.revision : null,
+    revision: configObj.revision,
+    flagsAdded: [],
+    flagsRemoved: [],
+    rulesReordered: [],
+    trafficAllocationChanges: [],
+    ruleAudienceChanges: [],
+    variableDefaultChanges: [],
+    audienceChanges: [],
+  };
+
+  const previousFeatureKeyMap: { [key: string]: FeatureFlag } = previousConfigObj ? previousConfigObj.featureKeyMap : {};
+  const featureKeyMap = configObj.featureKeyMap || {};
+
+  Object.keys(featureKeyMap).forEach(flagKey => {
+    const previousFlag = previousFeatureKeyMap[flagKey];
+    if (!previousFlag) {
+      diff.flagsAdded.push(flagKey);
+      return;
+    }
+
+    if (previousConfigObj) {
+      const previousRuleKeys = getRuleKeys(previousConfigObj, flagKey);
+      const ruleKeys = getRuleKeys(configObj, flagKey);
+      if (!isEqual(previousRuleKeys, ruleKeys)) {
+        diff.rulesReordered.push({ flagKey, previousRuleKeys, ruleKeys });
+      }
+    }
+
+    featureKeyMap[flagKey].variables.forEach(variable => {
+      const previousVariable = previousFlag.variableKeyMap[variable.key];
+      if (previousVariable && previousVariable.defaultValue !== variable.defaultValue) {
+        diff.variableDefaultChanges.push({
+          flagKey,
+          variableKey: variable.key,
+          previousDefaultValue: previousVariable.defaultValue,
+          defaultValue: variable.defaultValue,
+        });
+      }
+    });
+  });
+
+  Object.keys(previousFeatureKeyMap).forEach(flagKey => {
+    if (!featureKeyMap[flagKey]) {
+      diff.flagsRemoved.push(flagKey);
+    }
+  });
+
+  if (previousConfigObj) {
+    const previousRulesById = indexRules(previousConfigObj);
+    const rulesById = indexRules(configObj);
+    Object.keys(rulesById).forEach(ruleId => {
+      const previousRule = previousRulesById[ruleId];
+      if (!previousRule) {
+        return;
+      }
+      const { flagKey, rule } = rulesById[ruleId];
+      if (!isEqual(previousRule.rule.trafficAllocation, rule.trafficAllocation)) {
+        diff.trafficAllocationChanges.push({
+          flagKey,
+          ruleId,
+          ruleKey: rule.key,
+          previousTrafficAllocation: previousRule.rule.trafficAllocation,
+          trafficAllocation: rule.trafficAllocation,
+        });
+      }
+      const previousAudienceConditions = getAudienceConditions(previousRule.rule);
+      const audienceConditions = getAudienceConditions(rule);
+      if (!isEqual(previousAudienceConditions, audienceConditions)) {
+        diff.ruleAudienceChanges.push({
+          flagKey,
+          ruleId,
+          ruleKey: rule.key,
+          previousAudienceConditions,
+          audienceConditions,
+        });
+      }
+    });
+  }
+
+  const previousAudiencesById: { [id: string]: Audience } = previousConfigObj ? previousConfigObj.audiencesById : {};
+  const audiencesById = configObj.audiencesById || {};
+  Object.keys(audiencesById).forEach(audienceId => {
+    const audience = audiencesById[audienceId];
+    const previousAudience = previousAudiencesById[audienceId];
+    if (!previousAudience || !isEqual(previousAudience.conditions, audience.conditions)) {
+      diff.audienceChanges.push({
+        audienceId,
+        audienceName: audience.name,
+        previousConditions: previousAudience ? previousAudience.conditions : null,
+        conditions: audience.conditions,
+      });
+    }
+  });
+  Object.keys(previousAudiencesById).forEach(audienceId => {
+    if (!audiencesById[audienceId]) {
+      diff.audienceChanges.push({
+        audienceId,
+        audienceName: previousAudiencesById[audienceId].name,
+        previousConditions: previousAudiencesById[audienceId].conditions,
+        conditions: null,
+      });
+    }
+  });
+
+  return diff;
+}
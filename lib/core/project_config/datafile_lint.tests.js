@@ -0,0 +1,338 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { assert } from 'chai';
+
+import { lintDatafile } from './datafile_lint';
+import { DATAFILE_LINT_RULES, DATAFILE_LINT_SEVERITIES } from '../../utils/enums';
+
+var createRule = function(id, audienceIds, variationIds, endsOfRange) {
+  return {
+    id: id,
+    key: id,
+    layerId: 'layer_' + id,
+    status: 'Running',
+    audienceIds: audienceIds,
+    forcedVariations: {},
+    variations: variationIds.map(function(variationId) {
+      return { id: variationId, key: variationId, featureEnabled: true, variables: [] };
+    }),
+    trafficAllocation: variationIds.map(function(variationId, index) {
+      return { entityId: variationId, endOfRange: endsOfRange[index] };
+    }),
+  };
+};
+
+var createDatafile = function() {
+  var experiment = createRule('exp', ['adults'], ['control', 'treatment'], [5000, 10000]);
+  experiment.variations[0].variables = [{ id: 'count_id', value: '1' }];
+  experiment.variations[1].variables = [{ id: 'count_id', value: '2' }];
+  return {
+    version: '4',
+    revision: '1',
+    projectId: 'project',
+    accountId: 'account',
+    attributes: [{ id: 'age_id', key: 'age' }],
+    audiences: [
+      {
+        id: 'adults',
+        name: 'Adults',
+        conditions: '["and", {"type": "custom_attribute", "name": "age", "match": "ge", "value": 18}]',
+      },
+      {
+        id: '$opt_dummy_audience',
+        name: 'Optimizely-Generated Audience for Backwards Compatibility',
+        conditions: '["or", {"type": "custom_attribute", "name": "$opt_dummy_attribute", "value": "impossible_value"}]',
+      },
+    ],
+    typedAudiences: [
+      {
+        id: 'seniors',
+        name: 'Seniors',
+        conditions: ['and', { type: 'custom_attribute', name: 'age', match: 'ge', value: 65 }],
+      },
+    ],
+    events: [{ id: 'purchase_id', key: 'purchase', experimentIds: ['exp'] }],
+    experiments: [experiment],
+    groups: [],
+    rollouts: [
+      {
+        id: 'rollout',
+        experiments: [
+          createRule('seniors_rule', ['seniors'], ['seniors_on'], [10000]),
+          createRule('everyone_else', [], ['everyone_else_on'], [10000]),
+        ],
+      },
+    ],
+    featureFlags: [
+      {
+        id: 'flag_id',
+        key: 'flag',
+        experimentIds: ['exp'],
+        rolloutId: 'rollout',
+        variables: [
+          { id: 'count_id', key: 'count', type: 'integer', defaultValue: '0' },
+          { id: 'ratio_id', key: 'ratio', type: 'double', defaultValue: '0.5' },
+          { id: 'on_id', key: 'on', type: 'boolean', defaultValue: 'false' },
+          { id: 'settings_id', key: 'settings', type: 'string', subType: 'json', defaultValue: '{"a":1}' },
+          { id: 'label_id', key: 'label', type: 'string', defaultValue: 'hello' },
+        ],
+      },
+    ],
+  };
+};
+
+var getIssues = function(datafile, rule) {
+  return lintDatafile(datafile).filter(function(issue) {
+    return issue.rule === rule;
+  });
+};
+
+describe('lib/core/project_config/datafile_lint', function() {
+  it('should not report any issue for a valid datafile', function() {
+    assert.deepEqual(lintDatafile(createDatafile()), []);
+    assert.deepEqual(lintDatafile(JSON.stringify(createDatafile())), []);
+  });
+
+  it('should report a datafile which cannot be parsed or has an unsupported version', function() {
+    var issues = lintDatafile('{"version": ');
+    assert.lengthOf(issues, 1);
+    assert.include(issues[0], {
+      rule: DATAFILE_LINT_RULES.INVALID_DATAFILE,
+      severity: DATAFILE_LINT_SEVERITIES.ERROR,
+      path: '',
+    });
+
+    var datafile = createDatafile();
+    datafile.version = '5';
+    assert.strictEqual(lintDatafile(datafile)[0].rule, DATAFILE_LINT_RULES.INVALID_DATAFILE);
+  });
+
+  it('should report rules referencing unknown audiences', function() {
+    var datafile = createDatafile();
+    datafile.experiments[0].audienceConditions = ['or', 'adults', ['not', 'teens']];
+    datafile.rollouts[0].experiments[0].audienceIds = ['retirees'];
+
+    assert.deepEqual(getIssues(datafile, DATAFILE_LINT_RULES.UNKNOWN_AUDIENCE), [
+      {
+        rule: DATAFILE_LINT_RULES.UNKNOWN_AUDIENCE,
+        severity: DATAFILE_LINT_SEVERITIES.ERROR,
+        path: 'experiments[0]',
+        message: 'Rule exp references unknown audience teens',
+      },
+      {
+        rule: DATAFILE_LINT_RULES.UNKNOWN_AUDIENCE,
+        severity: DATAFILE_LINT_SEVERITIES.ERROR,
+        path: 'rollouts[0].experiments[0]',
+        message: 'Rule seniors_rule references unknown audience retirees',
+      },
+    ]);
+  });
+
+  it('should report traffic allocations and forced variations referencing unknown variations', function() {
+    var datafile = createDatafile();
+    datafile.experiments[0].trafficAllocation[1].entityId = 'deleted';
+    datafile.experiments[0].forcedVariations = { qa_user: 'treatment', other_user: 'deleted_key' };
+
+    var issues = getIssues(datafile, DATAFILE_LINT_RULES.UNKNOWN_VARIATION);
+    assert.deepEqual(
+      issues.map(function(issue) {
+        return [issue.path, issue.message];
+      }),
+      [
+        ['experiments[0].trafficAllocation[1]', 'Rule exp allocates traffic to unknown variation deleted'],
+        ['experiments[0].forcedVariations', 'Rule exp forces user other_user into unknown variation deleted_key'],
+      ]
+    );
+  });
+
+  it('should report audiences referencing undeclared attributes or with invalid conditions', function() {
+    var datafile = createDatafile();
+    datafile.typedAudiences[0].conditions = [
+      'and',
+      { type: 'custom_attribute', name: 'age', match: 'ge', value: 65 },
+      ['or', { type: 'custom_attribute', name: 'country', match: 'exact', value: 'US' }],
+      { type: 'custom_attribute', name: '$opt_user_agent', match: 'substring', value: 'Chrome' },
+      { type: 'third_party_dimension', name: 'odp.audiences', match: 'qualified', value: 'segment' },
+    ];
+    datafile.audiences[0].conditions = '["and", {';
+
+    assert.deepEqual(getIssues(datafile, DATAFILE_LINT_RULES.UNDECLARED_ATTRIBUTE), [
+      {
+        rule: DATAFILE_LINT_RULES.UNDECLARED_ATTRIBUTE,
+        severity: DATAFILE_LINT_SEVERITIES.WARNING,
+        path: 'typedAudiences[0]',
+        message: 'Audience Seniors (seniors) references undeclared attribute country',
+      },
+    ]);
+    assert.deepEqual(getIssues(datafile, DATAFILE_LINT_RULES.INVALID_AUDIENCE_CONDITIONS), [
+      {
+        rule: DATAFILE_LINT_RULES.INVALID_AUDIENCE_CONDITIONS,
+        severity: DATAFILE_LINT_SEVERITIES.ERROR,
+        path: 'audiences[0]',
+        message: 'Conditions of audience Adults (adults) are not valid JSON',
+      },
+    ]);
+  });
+
+  it('should report traffic allocation ranges out of bounds or out of order', function() {
+    var datafile = createDatafile();
+    datafile.experiments[0].trafficAllocation = [
+      { entityId: 'control', endOfRange: 6000 },
+      { entityId: 'treatment', endOfRange: 4000 },
+      { entityId: '', endOfRange: 12000 },
+    ];
+
+    assert.deepEqual(
+      getIssues(datafile, DATAFILE_LINT_RULES.INVALID_TRAFFIC_ALLOCATION).map(function(issue) {
+        return [issue.path, issue.message];
+      }),
+      [
+        ['experiments[0].trafficAllocation[1]', 'End of range 4000 is lower than the end of the previous range 6000'],
+        ['experiments[0].trafficAllocation[2]', 'End of range 12000 is not between 0 and 10000'],
+      ]
+    );
+  });
+
+  it('should report group traffic allocated to experiments which are not in the group', function() {
+    var datafile = createDatafile();
+    var experiment = datafile.experiments.pop();
+    experiment.groupId = 'group';
+    datafile.groups = [
+      {
+        id: 'group',
+        policy: 'random',
+        experiments: [experiment],
+        trafficAllocation: [
+          { entityId: 'exp', endOfRange: 5000 },
+          { entityId: 'other_exp', endOfRange: 10000 },
+        ],
+      },
+    ];
+
+    var issues = lintDatafile(datafile);
+    assert.deepEqual(issues, [
+      {
+        rule: DATAFILE_LINT_RULES.INVALID_TRAFFIC_ALLOCATION,
+        severity: DATAFILE_LINT_SEVERITIES.ERROR,
+        path: 'groups[0].trafficAllocation[1]',
+        message: 'Group group allocates traffic to experiment other_exp which is not in the group',
+      },
+    ]);
+  });
+
+  it('should report delivery rules after a delivery rule without audiences, except the last one', function() {
+    var datafile = createDatafile();
+    datafile.rollouts[0].experiments.splice(0, 0, createRule('everyone_first', [], ['on'], [1000]));
+
+    // users of everyone_first who are not bucketed skip to everyone_else
+    assert.deepEqual(getIssues(datafile, DATAFILE_LINT_RULES.UNREACHABLE_RULE), [
+      {
+        rule: DATAFILE_LINT_RULES.UNREACHABLE_RULE,
+        severity: DATAFILE_LINT_SEVERITIES.WARNING,
+        path: 'rollouts[0].experiments[1]',
+        message: 'Rule seniors_rule of flag flag is never evaluated, rule everyone_first targets every user before it',
+      },
+    ]);
+
+    // unless everyone_first buckets every user
+    datafile.rollouts[0].experiments[0].trafficAllocation[0].endOfRange = 10000;
+    assert.deepEqual(
+      getIssues(datafile, DATAFILE_LINT_RULES.UNREACHABLE_RULE).map(function(issue) {
+        return [issue.path, issue.message];
+      }),
+      [
+        [
+          'rollouts[0].experiments[1]',
+          'Rule seniors_rule of flag flag is never evaluated, rule everyone_first targets every user before it',
+        ],
+        [
+          'rollouts[0].experiments[2]',
+          'Rule everyone_else of flag flag is never evaluated, rule everyone_first targets every user before it',
+        ],
+      ]
+    );
+  });
+
+  it('should report rules after an experiment rule without audiences allocating all the traffic', function() {
+    var datafile = createDatafile();
+    datafile.experiments[0].audienceIds = [];
+    assert.deepEqual(
+      getIssues(datafile, DATAFILE_LINT_RULES.UNREACHABLE_RULE).map(function(issue) {
+        return issue.path;
+      }),
+      ['rollouts[0].experiments[0]', 'rollouts[0].experiments[1]']
+    );
+
+    // users outside the traffic allocation fall through to the delivery rules
+    datafile.experiments[0].trafficAllocation[1].endOfRange = 9000;
+    assert.deepEqual(getIssues(datafile, DATAFILE_LINT_RULES.UNREACHABLE_RULE), []);
+
+    // paused experiments are skipped
+    datafile.experiments[0].trafficAllocation[1].endOfRange = 10000;
+    datafile.experiments[0].status = 'Paused';
+    assert.deepEqual(getIssues(datafile, DATAFILE_LINT_RULES.UNREACHABLE_RULE), []);
+  });
+
+  it('should report events and audiences which are not used', function() {
+    var datafile = createDatafile();
+    datafile.events.push({ id: 'signup_id', key: 'signup', experimentIds: [] });
+    datafile.events.push({ id: 'click_id', key: 'click', experimentIds: ['deleted_exp'] });
+    datafile.rollouts[0].experiments[0].audienceIds = ['adults'];
+
+    assert.deepEqual(
+      getIssues(datafile, DATAFILE_LINT_RULES.UNUSED_EVENT).map(function(issue) {
+        return [issue.path, issue.message];
+      }),
+      [
+        ['events[1]', 'Event signup is not used by any experiment'],
+        ['events[2]', 'Event click is not used by any experiment'],
+      ]
+    );
+    assert.deepEqual(getIssues(datafile, DATAFILE_LINT_RULES.UNUSED_AUDIENCE), [
+      {
+        rule: DATAFILE_LINT_RULES.UNUSED_AUDIENCE,
+        severity: DATAFILE_LINT_SEVERITIES.WARNING,
+        path: 'typedAudiences[0]',
+        message: 'Audience Seniors (seniors) is not used by any rule',
+      },
+    ]);
+  });
+
+  it('should report variable values which do not match the type of the variable', function() {
+    var datafile = createDatafile();
+    var variables = datafile.featureFlags[0].variables;
+    variables[0].defaultValue = '1.5';
+    variables[1].defaultValue = 'half';
+    variables[2].defaultValue = 'yes';
+    variables[3].defaultValue = '{a:1}';
+    variables.push({ id: 'date_id', key: 'date', type: 'date', defaultValue: '2024-01-01' });
+    datafile.experiments[0].variations[1].variables[0].value = 'two';
+
+    assert.deepEqual(
+      getIssues(datafile, DATAFILE_LINT_RULES.INVALID_VARIABLE_VALUE).map(function(issue) {
+        return [issue.path, issue.message];
+      }),
+      [
+        ['featureFlags[0].variables[0]', 'Value "1.5" of variable count is not a valid integer'],
+        ['featureFlags[0].variables[1]', 'Value "half" of variable ratio is not a valid double'],
+        ['featureFlags[0].variables[2]', 'Value "yes" of variable on is not a valid boolean'],
+        ['featureFlags[0].variables[3]', 'Value "{a:1}" of variable settings is not a valid json'],
+        ['featureFlags[0].variables[5]', 'Variable date has an unknown type date'],
+        ['experiments[0].variations[1].variables[0]', 'Value "two" of variable count is not a valid integer'],
+      ]
+    );
+  });
+});
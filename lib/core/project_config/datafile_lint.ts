@@ -0,0 +1,494 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import configValidator from '../../utils/config_validator';
+import { DATAFILE_LINT_RULES, DATAFILE_LINT_SEVERITIES, FEATURE_VARIABLE_TYPES } from '../../utils/enums';
+import { DEFAULT_OPERATOR_TYPES } from '../condition_tree_evaluator';
+import {
+  Audience,
+  Experiment,
+  FeatureFlag,
+  FeatureVariable,
+  Group,
+  Holdout,
+  Rollout,
+  TrafficAllocation,
+} from '../../shared_types';
+
+const DUMMY_AUDIENCE_ID = '$opt_dummy_audience';
+const RESERVED_ATTRIBUTE_PREFIX = '$opt_';
+const MAX_TRAFFIC_VALUE = 10000;
+
+export interface DatafileLintIssue {
+  // one of DATAFILE_LINT_RULES
+  rule: string;
+  // one of DATAFILE_LINT_SEVERITIES
+  severity: string;
+  // location of the problem in the datafile, e.g. rollouts[0].experiments[1].trafficAllocation[0]
+  path: string;
+  message: string;
+}
+
+interface LintableDatafile {
+  experiments?: Experiment[];
+  groups?: Group[];
+  rollouts?: Rollout[];
+  holdouts?: Holdout[];
+  featureFlags?: FeatureFlag[];
+  audiences?: Audience[];
+  typedAudiences?: Audience[];
+  attributes?: Array<{ id: string; key: string }>;
+  events?: Array<{ id: string; key: string; experimentIds: string[] }>;
+}
+
+interface LintedRule {
+  rule: Experiment;
+  path: string;
+}
+
+function createIssue(rule: string, severity: string, path: string, message: string): DatafileLintIssue {
+  return { rule, severity, path, message };
+}
+
+/**
+ * Collect the audience IDs of audience conditions, e.g. ['and', '1', ['or', '2', '3']]
+ * @param  {unknown}    audienceConditions
+ * @return {string[]}
+ */
+function getAudienceIds(audienceConditions: unknown): string[] {
+  if (Array.isArray(audienceConditions)) {
+    return audienceConditions.reduce(
+      (audienceIds: string[], condition: unknown) => audienceIds.concat(getAudienceIds(condition)),
+      []
+    );
+  }
+  if (typeof audienceConditions === 'string' && DEFAULT_OPERATOR_TYPES.indexOf(audienceConditions) === -1) {
+    return [audienceConditions];
+  }
+  return [];
+}
+
+// rules without audienceConditions are targeted by their audienceIds
+function getRuleAudienceIds(rule: Experiment): string[] {
+  return getAudienceIds(rule.audienceConditions !== undefined ? rule.audienceConditions : rule.audienceIds);
+}
+
+/**
+ * Collect the leaf conditions of audience conditions, e.g. ['and', { name: 'age', ... }]
+ * @param  {unknown}    conditions
+ * @return {Array<{ [key: string]: unknown }>}
+ */
+function getConditionLeaves(conditions: unknown): Array<{ [key: string]: unknown }> {
+  if (Array.isArray(conditions)) {
+    return conditions.reduce(
+      (leaves: Array<{ [key: string]: unknown }>, condition: unknown) => leaves.concat(getConditionLeaves(condition)),
+      []
+    );
+  }
+  if (typeof conditions === 'object' && conditions !== null) {
+    return [conditions as { [key: string]: unknown }];
+  }
+  return [];
+}
+
+/**
+ * Check that a value, as stored in the datafile, can be parsed as the declared type of a variable
+ * @param  {string}         value
+ * @param  {FeatureVariable} variable
+ * @return {boolean|null}   null if the declared type is unknown
+ */
+function isValidVariableValue(value: unknown, variable: FeatureVariable): boolean | null {
+  const type = variable.type === FEATURE_VARIABLE_TYPES.STRING && variable.subType === FEATURE_VARIABLE_TYPES.JSON
+    ? FEATURE_VARIABLE_TYPES.JSON
+    : variable.type;
+  if (typeof value !== 'string') {
+    return false;
+  }
+  switch (type) {
+    case FEATURE_VARIABLE_TYPES.BOOLEAN:
+      return value === 'true' || value === 'false';
+    case FEATURE_VARIABLE_TYPES.INTEGER:
+      return /^-?\d+$/.test(value);
+    case FEATURE_VARIABLE_TYPES.DOUBLE:
+      return value.trim() !== '' && isFinite(Number(value));
+    case FEATURE_VARIABLE_TYPES.JSON:
+      try {
+        JSON.parse(value);
+        return true;
+      } catch (ex) {
+        return false;
+      }
+    case FEATURE_VARIABLE_TYPES.STRING:
+      return true;
+    default:
+      return null;
+  }
+}
+
+function lintVariableValue(value: unknown, variable: FeatureVariable, path: string, issues: DatafileLintIssue[]): void {
+  const isValid = isValidVariableValue(value, variable);
+  if (isValid === null) {
+    issues.push(createIssue(
+      DATAFILE_LINT_RULES.INVALID_VARIABLE_VALUE,
+      DATAFILE_LINT_SEVERITIES.ERROR,
+      path,
+      `Variable ${variable.key} has an unknown type ${variable.type}`
+    ));
+  } else if (!isValid) {
+    issues.push(createIssue(
+      DATAFILE_LINT_RULES.INVALID_VARIABLE_VALUE,
+      DATAFILE_LINT_SEVERITIES.ERROR,
+      path,
+      `Value ${JSON.stringify(value)} of variable ${variable.key} is not a valid ${variable.subType || variable.type}`
+    ));
+  }
+}
+
+/**
+ * Check that traffic allocation ranges are in bounds and in ascending order, and that they allocate
+ * traffic to known entities. An empty entity ID allocates traffic to no entity.
+ * @param  {TrafficAllocation[]}      trafficAllocation
+ * @param  {string}                   path
+ * @param  {(entityId) => boolean}    isKnownEntity
+ * @param  {(entry, path) => void}    reportUnknownEntity
+ * @param  {DatafileLintIssue[]}      issues
+ */
+function lintTrafficAllocation(
+  trafficAllocation: TrafficAllocation[],
+  path: string,
+  isKnownEntity: (entityId: string) => boolean,
+  reportUnknownEntity: (entry: TrafficAllocation, path: string) => void,
+  issues: DatafileLintIssue[]
+): void {
+  let previousEndOfRange = 0;
+  (trafficAllocation || []).forEach((entry, index) => {
+    const entryPath = `${path}[${index}]`;
+    if (entry.entityId && !isKnownEntity(entry.entityId)) {
+      reportUnknownEntity(entry, entryPath);
+    }
+    if (typeof entry.endOfRange !== 'number' || entry.endOfRange < 0 || entry.endOfRange > MAX_TRAFFIC_VALUE) {
+      issues.push(createIssue(
+        DATAFILE_LINT_RULES.INVALID_TRAFFIC_ALLOCATION,
+        DATAFILE_LINT_SEVERITIES.ERROR,
+        entryPath,
+        `End of range ${entry.endOfRange} is not between 0 and ${MAX_TRAFFIC_VALUE}`
+      ));
+      return;
+    }
+    if (entry.endOfRange < previousEndOfRange) {
+      issues.push(createIssue(
+        DATAFILE_LINT_RULES.INVALID_TRAFFIC_ALLOCATION,
+        DATAFILE_LINT_SEVERITIES.ERROR,
+        entryPath,
+        `End of range ${entry.endOfRange} is lower than the end of the previous range ${previousEndOfRange}`
+      ));
+    }
+    previousEndOfRange = Math.max(previousEndOfRange, entry.endOfRange);
+  });
+}
+
+function lintRule(
+  { rule, path }: LintedRule,
+  audienceIdMap: { [id: string]: boolean },
+  issues: DatafileLintIssue[]
+): void {
+  const audienceIds = getAudienceIds(rule.audienceIds).concat(getAudienceIds(rule.audienceConditions));
+  audienceIds.forEach(audienceId => {
+    if (!audienceIdMap[audienceId]) {
+      issues.push(createIssue(
+        DATAFILE_LINT_RULES.UNKNOWN_AUDIENCE,
+        DATAFILE_LINT_SEVERITIES.ERROR,
+        path,
+        `Rule ${rule.key} references unknown audience ${audienceId}`
+      ));
+    }
+  });
+
+  const variations = rule.variations || [];
+  lintTrafficAllocation(
+    rule.trafficAllocation,
+    `${path}.trafficAllocation`,
+    entityId => variations.some(variation => variation.id === entityId),
+    (entry, entryPath) => {
+      issues.push(createIssue(
+        DATAFILE_LINT_RULES.UNKNOWN_VARIATION,
+        DATAFILE_LINT_SEVERITIES.ERROR,
+        entryPath,
+        `Rule ${rule.key} allocates traffic to unknown variation ${entry.entityId}`
+      ));
+    },
+    issues
+  );
+
+  const forcedVariations = rule.forcedVariations || {};
+  Object.keys(forcedVariations).forEach(userId => {
+    const variationKey = forcedVariations[userId];
+    if (!variations.some(variation => variation.key === variationKey)) {
+      issues.push(createIssue(
+        DATAFILE_LINT_RULES.UNKNOWN_VARIATION,
+        DATAFILE_LINT_SEVERITIES.ERROR,
+        `${path}.forcedVariations`,
+        `Rule ${rule.key} forces user ${userId} into unknown variation ${variationKey}`
+      ));
+    }
+  });
+}
+
+/**
+ * Whether a rule allocates all of its traffic to variations, so that every user it targets is bucketed
+ * @param  {Experiment}   rule
+ * @return {boolean}
+ */
+function allocatesAllTraffic(rule: Experiment): boolean {
+  const trafficAllocation = rule.trafficAllocation || [];
+  return (
+    trafficAllocation.length > 0 &&
+    trafficAllocation.every(entry => !!entry.entityId) &&
+    trafficAllocation[trafficAllocation.length - 1].endOfRange >= MAX_TRAFFIC_VALUE
+  );
+}
+
+/**
+ * Whether a rule targets every user which reaches it, so that the rules after it are never evaluated.
+ * A delivery rule without audiences does, except for the last delivery rule, which users meeting the
+ * audience conditions of a delivery rule but not bucketed skip to. An experiment rule needs to allocate
+ * all the traffic too.
+ * @param  {Experiment}   rule
+ * @param  {boolean}      isDeliveryRule
+ * @return {boolean}
+ */
+function targetsEveryUser(rule: Experiment, isDeliveryRule: boolean): boolean {
+  if (rule.status !== 'Running' || getRuleAudienceIds(rule).length > 0) {
+    return false;
+  }
+  if (isDeliveryRule) {
+    return true;
+  }
+  return !rule.groupId && !rule.cmab && allocatesAllTraffic(rule);
+}
+
+function lintAudiences(
+  audiences: Audience[],
+  path: string,
+  attributeKeyMap: { [key: string]: boolean },
+  issues: DatafileLintIssue[]
+): void {
+  audiences.forEach((audience, index) => {
+    if (audience.id === DUMMY_AUDIENCE_ID) {
+      return;
+    }
+    const audiencePath = `${path}[${index}]`;
+    let conditions: unknown = audience.conditions;
+    if (typeof conditions === 'string') {
+      try {
+        conditions = JSON.parse(conditions);
+      } catch (ex) {
+        issues.push(createIssue(
+          DATAFILE_LINT_RULES.INVALID_AUDIENCE_CONDITIONS,
+          DATAFILE_LINT_SEVERITIES.ERROR,
+          audiencePath,
+          `Conditions of audience ${audience.name} (${audience.id}) are not valid JSON`
+        ));
+        return;
+      }
+    }
+    getConditionLeaves(conditions).forEach(leaf => {
+      if (
+        leaf.type === 'custom_attribute' &&
+        typeof leaf.name === 'string' &&
+        leaf.name.indexOf(RESERVED_ATTRIBUTE_PREFIX) !== 0 &&
+        !attributeKeyMap[leaf.name]
+      ) {
+        issues.push(createIssue(
+          DATAFILE_LINT_RULES.UNDECLARED_ATTRIBUTE,
+          DATAFILE_LINT_SEVERITIES.WARNING,
+          audiencePath,
+          `Audience ${audience.name} (${audience.id}) references undeclared attribute ${leaf.name}`
+        ));
+      }
+    });
+  });
+}
+
+/**
+ * Report semantic problems of a datafile which its JSON schema does not catch: references to
+ * unknown audiences and variations, audiences referencing undeclared attributes, invalid traffic
+ * allocations, rules which are never evaluated, unused events and audiences, and variable values
+ * not matching their declared type.
+ * @param  {string|object}          datafile
+ * @return {DatafileLintIssue[]}    issues, in the order of the checks. Empty if there is no problem.
+ */
+export function lintDatafile(datafile: string | object): DatafileLintIssue[] {
+  let datafileObj: LintableDatafile;
+  try {
+    datafileObj = configValidator.validateDatafile(datafile);
+  } catch (ex) {
+    return [createIssue(DATAFILE_LINT_RULES.INVALID_DATAFILE, DATAFILE_LINT_SEVERITIES.ERROR, '', ex.message)];
+  }
+  if (typeof datafileObj !== 'object' || datafileObj === null || Array.isArray(datafileObj)) {
+    return [createIssue(
+      DATAFILE_LINT_RULES.INVALID_DATAFILE,
+      DATAFILE_LINT_SEVERITIES.ERROR,
+      '',
+      'The datafile is not a JSON object'
+    )];
+  }
+
+  const issues: DatafileLintIssue[] = [];
+
+  const audienceIdMap: { [id: string]: boolean } = {};
+  (datafileObj.audiences || []).concat(datafileObj.typedAudiences || []).forEach(audience => {
+    audienceIdMap[audience.id] = true;
+  });
+  const attributeKeyMap: { [key: string]: boolean } = {};
+  (datafileObj.attributes || []).forEach(attribute => {
+    attributeKeyMap[attribute.key] = true;
+  });
+
+  // experiments and delivery rules, with their location in the datafile
+  const experimentsById: { [id: string]: LintedRule } = {};
+  const rules: LintedRule[] = [];
+  (datafileObj.experiments || []).forEach((experiment, index) => {
+    experimentsById[experiment.id] = { rule: experiment, path: `experiments[${index}]` };
+  });
+  (datafileObj.groups || []).forEach((group, groupIndex) => {
+    const groupPath = `groups[${groupIndex}]`;
+    (group.experiments || []).forEach((experiment, index) => {
+      experimentsById[experiment.id] = { rule: experiment, path: `${groupPath}.experiments[${index}]` };
+    });
+    lintTrafficAllocation(
+      group.trafficAllocation,
+      `${groupPath}.trafficAllocation`,
+      entityId => (group.experiments || []).some(experiment => experiment.id === entityId),
+      (entry, entryPath) => {
+        issues.push(createIssue(
+          DATAFILE_LINT_RULES.INVALID_TRAFFIC_ALLOCATION,
+          DATAFILE_LINT_SEVERITIES.ERROR,
+          entryPath,
+          `Group ${group.id} allocates traffic to experiment ${entry.entityId} which is not in the group`
+        ));
+      },
+      issues
+    );
+  });
+  Object.keys(experimentsById).forEach(experimentId => rules.push(experimentsById[experimentId]));
+
+  const rolloutsById: { [id: string]: { rollout: Rollout; path: string } } = {};
+  (datafileObj.rollouts || []).forEach((rollout, rolloutIndex) => {
+    const rolloutPath = `rollouts[${rolloutIndex}]`;
+    rolloutsById[rollout.id] = { rollout, path: rolloutPath };
+    (rollout.experiments || []).forEach((rule, index) => {
+      rules.push({ rule, path: `${rolloutPath}.experiments[${index}]` });
+    });
+  });
+  (datafileObj.holdouts || []).forEach((holdout, index) => {
+    rules.push({ rule: holdout, path: `holdouts[${index}]` });
+  });
+
+  rules.forEach(lintedRule => lintRule(lintedRule, audienceIdMap, issues));
+
+  lintAudiences(datafileObj.audiences || [], 'audiences', attributeKeyMap, issues);
+  lintAudiences(datafileObj.typedAudiences || [], 'typedAudiences', attributeKeyMap, issues);
+
+  const variablesById: { [id: string]: FeatureVariable } = {};
+  (datafileObj.featureFlags || []).forEach((flag, flagIndex) => {
+    const flagPath = `featureFlags[${flagIndex}]`;
+    (flag.variables || []).forEach((variable, index) => {
+      variablesById[variable.id] = variable;
+      lintVariableValue(variable.defaultValue, variable, `${flagPath}.variables[${index}]`, issues);
+    });
+
+    // rules of the flag in the order they are evaluated
+    const flagRules: Array<LintedRule & { isDeliveryRule: boolean }> = [];
+    (flag.experimentIds || []).forEach(experimentId => {
+      if (experimentsById[experimentId]) {
+        flagRules.push({ ...experimentsById[experimentId], isDeliveryRule: false });
+      }
+    });
+    const rollout = rolloutsById[flag.rolloutId];
+    if (rollout) {
+      (rollout.rollout.experiments || []).forEach((rule, index) => {
+        flagRules.push({ rule, path: `${rollout.path}.experiments[${index}]`, isDeliveryRule: true });
+      });
+    }
+    let targetingRule: Experiment | null = null;
+    flagRules.forEach(({ rule, path, isDeliveryRule }, index) => {
+      if (targetingRule) {
+        const isSkippedTo = isDeliveryRule && index === flagRules.length - 1 && !allocatesAllTraffic(targetingRule);
+        if (!isSkippedTo) {
+          issues.push(createIssue(
+            DATAFILE_LINT_RULES.UNREACHABLE_RULE,
+            DATAFILE_LINT_SEVERITIES.WARNING,
+            path,
+            `Rule ${rule.key} of flag ${flag.key} is never evaluated, rule ${targetingRule.key} targets every user before it`
+          ));
+        }
+      } else if (targetsEveryUser(rule, isDeliveryRule)) {
+        targetingRule = rule;
+      }
+    });
+  });
+
+  rules.forEach(({ rule, path }) => {
+    (rule.variations || []).forEach((variation, variationIndex) => {
+      (variation.variables || []).forEach((variationVariable, index) => {
+        const variable = variablesById[variationVariable.id];
+        if (variable) {
+          lintVariableValue(
+            variationVariable.value,
+            variable,
+            `${path}.variations[${variationIndex}].variables[${index}]`,
+            issues
+          );
+        }
+      });
+    });
+  });
+
+  (datafileObj.events || []).forEach((event, index) => {
+    if (!(event.experimentIds || []).some(experimentId => !!experimentsById[experimentId])) {
+      issues.push(createIssue(
+        DATAFILE_LINT_RULES.UNUSED_EVENT,
+        DATAFILE_LINT_SEVERITIES.WARNING,
+        `events[${index}]`,
+        `Event ${event.key} is not used by any experiment`
+      ));
+    }
+  });
+
+  const usedAudienceIds: { [id: string]: boolean } = {};
+  rules.forEach(({ rule }) => {
+    getAudienceIds(rule.audienceIds).concat(getAudienceIds(rule.audienceConditions)).forEach(audienceId => {
+      usedAudienceIds[audienceId] = true;
+    });
+  });
+  const reportedAudienceIds: { [id: string]: boolean } = {};
+  [{ audiences: datafileObj.audiences || [], path: 'audiences' },
+    { audiences: datafileObj.typedAudiences || [], path: 'typedAudiences' }].forEach(({ audiences, path }) => {
+    audiences.forEach((audience, index) => {
+      if (audience.id !== DUMMY_AUDIENCE_ID && !usedAudienceIds[audience.id] && !reportedAudienceIds[audience.id]) {
+        reportedAudienceIds[audience.id] = true;
+        issues.push(createIssue(
+          DATAFILE_LINT_RULES.UNUSED_AUDIENCE,
+          DATAFILE_LINT_SEVERITIES.WARNING,
+          `${path}[${index}]`,
+          `Audience ${audience.name} (${audience.id}) is not used by any rule`
+        ));
+      }
+    });
+  });
+
+  return issues;
+}
@@ -274,6 +274,57 @@ describe('lib/core/project_config', function() {
         assert.deepEqual(feature3VariationsKeys, []);
       });
     });
+
+    describe('holdouts', function() {
+      var configObj;
+      beforeEach(function() {
+        configObj = projectConfig.createProjectConfig(testDatafile.getTestDecideProjectConfigWithHoldouts());
+      });
+
+      it('should populate holdoutIdMap', function() {
+        assert.deepEqual(Object.keys(configObj.holdoutIdMap), [
+          'holdout_global_id',
+          'holdout_included_id',
+          'holdout_draft_id',
+        ]);
+        assert.deepEqual(configObj.holdoutIdMap.holdout_global_id.variationKeyMap, {
+          holdout_global_off: configObj.holdoutIdMap.holdout_global_id.variations[0],
+        });
+      });
+
+      it('should add holdout variations to variationIdMap without adding holdouts to experimentIdMap', function() {
+        assert.strictEqual(configObj.variationIdMap.holdout_global_variation_id.key, 'holdout_global_off');
+        assert.isUndefined(configObj.experimentIdMap.holdout_global_id);
+      });
+
+      it('should populate flagHoldoutsMap with global holdouts first, then included holdouts', function() {
+        var getHoldoutKeys = function(flagKey) {
+          return configObj.flagHoldoutsMap[flagKey].map(function(holdout) {
+            return holdout.key;
+          });
+        };
+        assert.deepEqual(getHoldoutKeys('feature_1'), ['holdout_global', 'holdout_draft']);
+        assert.deepEqual(getHoldoutKeys('feature_2'), ['holdout_global', 'holdout_included']);
+        assert.deepEqual(getHoldoutKeys('feature_3'), ['holdout_included']);
+      });
+
+      it('should default includedFlags and excludedFlags to empty arrays', function() {
+        var datafile = testDatafile.getTestDecideProjectConfigWithHoldouts();
+        delete datafile.holdouts[0].includedFlags;
+        delete datafile.holdouts[0].excludedFlags;
+        configObj = projectConfig.createProjectConfig(datafile);
+        assert.deepEqual(configObj.holdoutIdMap.holdout_global_id.includedFlags, []);
+        assert.deepEqual(configObj.holdoutIdMap.holdout_global_id.excludedFlags, []);
+        assert.strictEqual(configObj.flagHoldoutsMap.feature_3[0].key, 'holdout_global');
+      });
+
+      it('should not populate any holdouts when the datafile has none', function() {
+        configObj = projectConfig.createProjectConfig(testDatafile.getTestDecideProjectConfig());
+        assert.deepEqual(configObj.holdouts, []);
+        assert.deepEqual(configObj.holdoutIdMap, {});
+        assert.deepEqual(configObj.flagHoldoutsMap.feature_1, []);
+      });
+    });
   });
 
   describe('projectConfig helper methods', function() {
@@ -307,6 +358,11 @@ describe('lib/core/project_config', function() {
       assert.strictEqual(projectConfig.getLayerId(configObj, '111127'), '4');
     });
 
+    it('should retrieve layer ID for a holdout in getLayerId', function() {
+      var holdoutConfigObj = projectConfig.createProjectConfig(testDatafile.getTestDecideProjectConfigWithHoldouts());
+      assert.strictEqual(projectConfig.getLayerId(holdoutConfigObj, 'holdout_global_id'), 'holdout_global_layer_id');
+    });
+
     it('should throw error for invalid experiment key in getLayerId', function() {
       assert.throws(function() {
         projectConfig.getLayerId(configObj, 'invalidExperimentKey');
@@ -701,6 +757,11 @@ describe('lib/core/project_config', function() {
         ]);
       });
 
+      it('should retrieve audiences for a holdout', function() {
+        configObj = projectConfig.createProjectConfig(testDatafile.getTestDecideProjectConfigWithHoldouts());
+        assert.deepEqual(projectConfig.getExperimentAudienceConditions(configObj, 'holdout_global_id'), ['age_18']);
+      });
+
       it('should return experiment audienceConditions if experiment has audienceConditions', function() {
         configObj = projectConfig.createProjectConfig(testDatafile.getTypedAudiencesConfig());
         // audience_combinations_experiment has both audienceConditions and audienceIds
@@ -714,6 +775,21 @@ describe('lib/core/project_config', function() {
       });
     });
 
+    describe('#getHoldoutsForFlag', function() {
+      it('should return the holdouts that apply to the flag', function() {
+        configObj = projectConfig.createProjectConfig(testDatafile.getTestDecideProjectConfigWithHoldouts());
+        assert.deepEqual(projectConfig.getHoldoutsForFlag(configObj, 'feature_2'), [
+          configObj.holdoutIdMap.holdout_global_id,
+          configObj.holdoutIdMap.holdout_included_id,
+        ]);
+      });
+
+      it('should return an empty array for an unknown flag', function() {
+        configObj = projectConfig.createProjectConfig(testDatafile.getTestDecideProjectConfigWithHoldouts());
+        assert.deepEqual(projectConfig.getHoldoutsForFlag(configObj, 'invalid_flag'), []);
+      });
+    });
+
     describe('#isFeatureExperiment', function() {
       it('returns true for a feature test', function() {
         var config = projectConfig.createProjectConfig(testDatafile.getTestProjectConfigWithFeatures());
@@ -25,6 +25,7 @@ import {
   FeatureFlag,
   FeatureVariable,
   Group,
+  Holdout,
   OptimizelyVariation,
   Rollout,
   TrafficAllocation,
@@ -92,6 +93,9 @@ export interface ProjectConfig {
   integrations: Integration[];
   integrationKeyMap?: { [key: string]: Integration };
   odpIntegrationConfig: OdpIntegrationConfig;
+  holdouts: Holdout[];
+  holdoutIdMap: { [id: string]: Holdout };
+  flagHoldoutsMap: { [key: string]: Holdout[] };
 }
 
 const EXPERIMENT_RUNNING_STATUS = 'Running';
@@ -124,6 +128,12 @@ function createMutationSafeDatafileCopy(datafile: any): ProjectConfig {
     });
     return rolloutCopy;
   });
+  datafileCopy.holdouts = (datafile.holdouts || []).map((holdout: Holdout) => {
+    const holdoutCopy = assign({}, holdout);
+    holdoutCopy.includedFlags = holdout.includedFlags || [];
+    holdoutCopy.excludedFlags = holdout.excludedFlags || [];
+    return holdoutCopy;
+  });
 
   datafileCopy.environmentKey = datafile.environmentKey ?? '';
   datafileCopy.sdkKey = datafile.sdkKey ?? '';
@@ -260,6 +270,35 @@ export const createProjectConfig = function(datafileObj?: JSON, datafileStr: str
     });
   });
 
+  projectConfig.holdoutIdMap = keyBy(projectConfig.holdouts, 'id');
+  projectConfig.holdouts.forEach(holdout => {
+    holdout.variationKeyMap = keyBy(holdout.variations, 'key');
+
+    assign(projectConfig.variationIdMap, keyBy(holdout.variations, 'id'));
+    holdout.variations.forEach(variation => {
+      if (variation.variables) {
+        projectConfig.variationVariableUsageMap[variation.id] = keyBy(variation.variables, 'id');
+      }
+    });
+  });
+
+  // holdouts that apply to each flag
+  // - global holdouts (no included flags) apply to every flag they do not exclude
+  // - global holdouts are evaluated before holdouts that include the flag explicitly
+  projectConfig.flagHoldoutsMap = {};
+
+  const globalHoldouts = projectConfig.holdouts.filter(holdout => holdout.includedFlags.length === 0);
+  (projectConfig.featureFlags || []).forEach(featureFlag => {
+    const flagHoldouts = globalHoldouts.filter(holdout => holdout.excludedFlags.indexOf(featureFlag.id) === -1);
+    projectConfig.holdouts.forEach(holdout => {
+      if (holdout.includedFlags.indexOf(featureFlag.id) !== -1) {
+        flagHoldouts.push(holdout);
+      }
+    });
+
+    projectConfig.flagHoldoutsMap[featureFlag.key] = flagHoldouts;
+  });
+
   // all rules (experiment rules and delivery rules) for each flag
   projectConfig.flagRulesMap = {};
 
@@ -345,14 +384,24 @@ export const getExperimentId = function(projectConfig: ProjectConfig, experiment
 };
 
 /**
- * Get layer ID for the provided experiment key
+ * Get the experiment or holdout with the provided ID
+ * @param  {ProjectConfig}    projectConfig   Object representing project configuration
+ * @param  {string}           experimentId    ID of the experiment or holdout
+ * @return {Experiment|undefined}             Experiment or holdout object, undefined if neither exists
+ */
+function getExperimentOrHoldoutFromId(projectConfig: ProjectConfig, experimentId: string): Experiment | undefined {
+  return projectConfig.experimentIdMap[experimentId] || (projectConfig.holdoutIdMap || {})[experimentId];
+}
+
+/**
+ * Get layer ID for the provided experiment or holdout ID
  * @param  {ProjectConfig}    projectConfig   Object representing project configuration
  * @param  {string}           experimentId    Experiment ID for which layer ID is to be determined
  * @return {string}                           Layer ID corresponding to the provided experiment key
  * @throws If experiment key is not in datafile
  */
 export const getLayerId = function(projectConfig: ProjectConfig, experimentId: string): string {
-  const experiment = projectConfig.experimentIdMap[experimentId];
+  const experiment = getExperimentOrHoldoutFromId(projectConfig, experimentId);
   if (!experiment) {
     throw new Error(sprintf(ERROR_MESSAGES.INVALID_EXPERIMENT_ID, MODULE_NAME, experimentId));
   }
@@ -443,7 +492,7 @@ export const isRunning = function(projectConfig: ProjectConfig, experimentKey: s
 };
 
 /**
- * Get audience conditions for the experiment
+ * Get audience conditions for the experiment or holdout
  * @param  {ProjectConfig}  projectConfig   Object representing project configuration
  * @param  {string}         experimentId    Experiment id for which audience conditions are to be determined
  * @return {Array<string|string[]>}         Audience conditions for the experiment - can be an array of audience IDs, or a
@@ -455,7 +504,7 @@ export const getExperimentAudienceConditions = function(
   projectConfig: ProjectConfig,
   experimentId: string
 ): Array<string | string[]> {
-  const experiment = projectConfig.experimentIdMap[experimentId];
+  const experiment = getExperimentOrHoldoutFromId(projectConfig, experimentId);
   if (!experiment) {
     throw new Error(sprintf(ERROR_MESSAGES.INVALID_EXPERIMENT_ID, MODULE_NAME, experimentId));
   }
@@ -841,6 +890,16 @@ export const tryCreatingProjectConfig = function(
   };
 };
 
+/**
+ * Get the holdouts that apply to the provided flag, in the order they should be evaluated
+ * @param  {ProjectConfig}   projectConfig   Object representing project configuration
+ * @param  {string}          flagKey         Key of the feature flag
+ * @return {Holdout[]}                       Holdouts the flag is subject to
+ */
+export const getHoldoutsForFlag = function(projectConfig: ProjectConfig, flagKey: string): Holdout[] {
+  return (projectConfig.flagHoldoutsMap || {})[flagKey] || [];
+};
+
 /**
  * Get the send flag decisions value
  * @param  {ProjectConfig}   projectConfig
@@ -872,6 +931,7 @@ export default {
   getVariableValueForVariation,
   getTypeCastValue,
   getSendFlagDecisionsValue,
+  getHoldoutsForFlag,
   getAudiencesById,
   getAudienceSegments,
   eventWithKeyExists,
@@ -269,6 +269,43 @@ describe('lib/core/project_config/project_config_manager', function() {
         sinon.assert.calledTwice(onUpdateSpy);
       });
 
+      it('passes the changes from the previous project config to onUpdate listeners', async function() {
+        datafileManager.HttpPollingDatafileManager.returns({
+          start: sinon.stub(),
+          stop: sinon.stub(),
+          get: sinon.stub().returns(JSON.stringify(testData.getTestProjectConfigWithFeatures())),
+          on: sinon.stub().returns(function() {}),
+          onReady: sinon.stub().returns(Promise.resolve()),
+        });
+        var manager = projectConfigManager.createProjectConfigManager({
+          sdkKey: '12345',
+          datafileManager: createHttpPollingDatafileManager('12345', logger),
+        });
+        var onUpdateSpy = sinon.spy();
+        manager.onUpdate(onUpdateSpy);
+        await manager.onReady();
+        var initialDiff = onUpdateSpy.getCall(0).args[1];
+        assert.isNull(initialDiff.previousRevision);
+        assert.include(initialDiff.flagsAdded, 'test_feature');
+
+        var fakeDatafileManager = datafileManager.HttpPollingDatafileManager.getCall(0).returnValue;
+        var updateListener = fakeDatafileManager.on.getCall(0).args[1];
+        var newDatafile = testData.getTestProjectConfigWithFeatures();
+        newDatafile.revision = '36';
+        newDatafile.featureFlags = newDatafile.featureFlags.filter(function(flag) {
+          return flag.key !== 'unused_flag';
+        });
+        fakeDatafileManager.get.returns(newDatafile);
+        updateListener({ datafile: newDatafile });
+
+        await Promise.resolve();
+        var diff = onUpdateSpy.getCall(1).args[1];
+        assert.strictEqual(diff.previousRevision, testData.getTestProjectConfigWithFeatures().revision);
+        assert.strictEqual(diff.revision, '36');
+        assert.deepEqual(diff.flagsAdded, []);
+        assert.deepEqual(diff.flagsRemoved, ['unused_flag']);
+      });
+
       it('can remove onUpdate listeners using the function returned from onUpdate', async function() {
         datafileManager.HttpPollingDatafileManager.returns({
           start: sinon.stub(),
@@ -456,6 +493,306 @@ describe('lib/core/project_config/project_config_manager', function() {
       });
     });
 
+    describe('with a datafile verifier', function() {
+      var datafile;
+      var fakeDatafileManager;
+      var datafileVerifier;
+
+      beforeEach(function() {
+        datafile = JSON.stringify(testData.getTestProjectConfigWithFeatures());
+        fakeDatafileManager = {
+          start: sinon.stub(),
+          stop: sinon.stub(),
+          get: sinon.stub().returns(datafile),
+          getSignature: sinon.stub().returns('valid_signature'),
+          on: sinon.stub().returns(function() {}),
+          onReady: sinon.stub().returns(Promise.resolve()),
+        };
+        datafileVerifier = {
+          verify: sinon.spy(function(datafile, signature) {
+            return signature === 'valid_signature';
+          }),
+        };
+      });
+
+      it('uses a datafile of the datafile manager with a valid signature', async function() {
+        var manager = projectConfigManager.createProjectConfigManager({
+          sdkKey: '12345',
+          datafileManager: fakeDatafileManager,
+          datafileVerifier: datafileVerifier,
+        });
+        assert.deepEqual(await manager.onReady(), { success: true });
+        sinon.assert.calledWithExactly(datafileVerifier.verify, datafile, 'valid_signature');
+        assert.strictEqual(manager.getConfig().revision, '35');
+      });
+
+      it('rejects a datafile of the datafile manager without a signature and calls verification failure listeners', async function() {
+        fakeDatafileManager.getSignature.returns(undefined);
+        var manager = projectConfigManager.createProjectConfigManager({
+          sdkKey: '12345',
+          datafileManager: fakeDatafileManager,
+          datafileVerifier: datafileVerifier,
+        });
+        var onVerificationFailureSpy = sinon.spy();
+        manager.onVerificationFailure(onVerificationFailureSpy);
+
+        var reason = sprintf(ERROR_MESSAGES.DATAFILE_SIGNATURE_MISSING, 'PROJECT_CONFIG_MANAGER');
+        assert.deepEqual(await manager.onReady(), { success: false, reason: reason });
+        sinon.assert.notCalled(datafileVerifier.verify);
+        sinon.assert.calledWithExactly(onVerificationFailureSpy, { reason: reason });
+        assert.isNull(manager.getConfig());
+      });
+
+      it('keeps the current config when the datafile manager emits a datafile with an invalid signature', async function() {
+        var manager = projectConfigManager.createProjectConfigManager({
+          sdkKey: '12345',
+          datafileManager: fakeDatafileManager,
+          datafileVerifier: datafileVerifier,
+        });
+        await manager.onReady();
+        var onUpdateSpy = sinon.spy();
+        manager.onUpdate(onUpdateSpy);
+        var onVerificationFailureSpy = sinon.spy();
+        manager.onVerificationFailure(onVerificationFailureSpy);
+
+        var newDatafile = testData.getTestProjectConfigWithFeatures();
+        newDatafile.revision = '36';
+        fakeDatafileManager.get.returns(JSON.stringify(newDatafile));
+        fakeDatafileManager.getSignature.returns('tampered_signature');
+        fakeDatafileManager.on.getCall(0).args[1]({ datafile: JSON.stringify(newDatafile) });
+        await Promise.resolve();
+
+        sinon.assert.calledWithExactly(onVerificationFailureSpy, {
+          reason: sprintf(ERROR_MESSAGES.DATAFILE_SIGNATURE_INVALID, 'PROJECT_CONFIG_MANAGER'),
+        });
+        sinon.assert.notCalled(onUpdateSpy);
+        assert.strictEqual(manager.getConfig().revision, '35');
+      });
+
+      it('rejects a datafile when the verifier throws', async function() {
+        datafileVerifier.verify = sinon.stub().throws(new Error('verification error'));
+        var manager = projectConfigManager.createProjectConfigManager({
+          sdkKey: '12345',
+          datafileManager: fakeDatafileManager,
+          datafileVerifier: datafileVerifier,
+        });
+        assert.deepEqual(await manager.onReady(), {
+          success: false,
+          reason: sprintf(ERROR_MESSAGES.DATAFILE_SIGNATURE_INVALID, 'PROJECT_CONFIG_MANAGER'),
+        });
+      });
+    });
+
+    describe('with a datafile manager having several sources', function() {
+      var fakeDatafileManager;
+
+      beforeEach(function() {
+        fakeDatafileManager = {
+          start: sinon.stub(),
+          stop: sinon.stub(),
+          get: sinon.stub().returns(JSON.stringify(testData.getTestProjectConfigWithFeatures())),
+          getActiveSource: sinon.stub().returns('mirror'),
+          onSourceChange: sinon.stub().returns(function() {}),
+          on: sinon.stub().returns(function() {}),
+          onReady: sinon.stub().returns(Promise.resolve()),
+        };
+      });
+
+      it('fulfills its onReady promise with the source which provided the datafile', async function() {
+        var manager = projectConfigManager.createProjectConfigManager({
+          sdkKey: '12345',
+          datafileManager: fakeDatafileManager,
+        });
+        assert.deepEqual(await manager.onReady(), { success: true, datafileSource: 'mirror' });
+      });
+
+      it('calls source change listeners when the datafile manager changes sources', function() {
+        var manager = projectConfigManager.createProjectConfigManager({
+          sdkKey: '12345',
+          datafileManager: fakeDatafileManager,
+        });
+        var onSourceChangeSpy = sinon.spy();
+        var dispose = manager.onDatafileSourceChange(onSourceChangeSpy);
+        var payload = { source: 'cdn', previousSource: 'mirror', sources: [] };
+
+        fakeDatafileManager.onSourceChange.getCall(0).args[0](payload);
+        sinon.assert.calledOnce(onSourceChangeSpy);
+        sinon.assert.calledWithExactly(onSourceChangeSpy, payload);
+
+        dispose();
+        fakeDatafileManager.onSourceChange.getCall(0).args[0](payload);
+        sinon.assert.calledOnce(onSourceChangeSpy);
+      });
+    });
+
+    it('uses a datafile manager when constructed without sdkKey', async function() {
+      var fakeDatafileManager = {
+        start: sinon.stub(),
+        stop: sinon.stub(),
+        get: sinon.stub().returns(JSON.stringify(testData.getTestProjectConfigWithFeatures())),
+        on: sinon.stub().returns(function() {}),
+        onReady: sinon.stub().returns(Promise.resolve()),
+      };
+      var manager = projectConfigManager.createProjectConfigManager({
+        datafileManager: fakeDatafileManager,
+      });
+      assert.deepEqual(await manager.onReady(), { success: true });
+      sinon.assert.calledOnce(fakeDatafileManager.start);
+      assert.strictEqual(manager.getConfig().revision, '35');
+    });
+
+    describe('with datafiles of different revisions', function() {
+      var fakeDatafileManager;
+      var manager;
+
+      var createDatafile = function(revision) {
+        var datafile = testData.getTestProjectConfigWithFeatures();
+        datafile.revision = revision;
+        return JSON.stringify(datafile);
+      };
+
+      var emitDatafile = async function(datafile, signature) {
+        fakeDatafileManager.get.returns(datafile);
+        fakeDatafileManager.getSignature.returns(signature);
+        fakeDatafileManager.on.getCall(0).args[1]({ datafile: datafile });
+        await Promise.resolve();
+      };
+
+      beforeEach(async function() {
+        fakeDatafileManager = {
+          start: sinon.stub(),
+          stop: sinon.stub(),
+          get: sinon.stub().returns(createDatafile('35')),
+          getSignature: sinon.stub().returns('signature_35'),
+          persistDatafile: sinon.stub(),
+          on: sinon.stub().returns(function() {}),
+          onReady: sinon.stub().returns(Promise.resolve()),
+        };
+        manager = projectConfigManager.createProjectConfigManager({
+          sdkKey: '12345',
+          datafileManager: fakeDatafileManager,
+        });
+        await manager.onReady();
+      });
+
+      it('persists datafiles of the datafile manager once they are used', async function() {
+        sinon.assert.calledOnce(fakeDatafileManager.persistDatafile);
+        sinon.assert.calledWithExactly(fakeDatafileManager.persistDatafile, createDatafile('35'), 'signature_35', null);
+
+        await emitDatafile(createDatafile('36'), 'signature_36');
+        assert.strictEqual(manager.getConfig().revision, '36');
+        sinon.assert.calledTwice(fakeDatafileManager.persistDatafile);
+        sinon.assert.calledWithExactly(fakeDatafileManager.persistDatafile, createDatafile('36'), 'signature_36', null);
+
+        await emitDatafile('{"invalid": "datafile"}');
+        sinon.assert.calledTwice(fakeDatafileManager.persistDatafile);
+      });
+
+      it('ignores datafiles with an older revision than the current one', async function() {
+        var onUpdateSpy = sinon.spy();
+        manager.onUpdate(onUpdateSpy);
+
+        await emitDatafile(createDatafile('34'));
+        await Promise.resolve();
+
+        assert.strictEqual(manager.getConfig().revision, '35');
+        sinon.assert.notCalled(onUpdateSpy);
+        sinon.assert.calledOnce(fakeDatafileManager.persistDatafile);
+        sinon.assert.calledWithExactly(
+          stubLogHandler.log,
+          logging.LogLevel.WARNING,
+          sprintf(LOG_MESSAGES.OLDER_DATAFILE_REVISION_IGNORED, 'PROJECT_CONFIG_MANAGER', '34', '35')
+        );
+      });
+
+      it('rolls back to the previous config until a newer revision than the rolled back one is received', async function() {
+        await emitDatafile(createDatafile('36'), 'signature_36');
+        await Promise.resolve();
+        var onUpdateSpy = sinon.spy();
+        manager.onUpdate(onUpdateSpy);
+
+        assert.isNull(manager.rollback());
+        assert.strictEqual(manager.getConfig().revision, '35');
+        sinon.assert.calledWithExactly(fakeDatafileManager.persistDatafile, createDatafile('35'), 'signature_35', '36');
+        await Promise.resolve();
+        sinon.assert.calledOnce(onUpdateSpy);
+        assert.strictEqual(onUpdateSpy.getCall(0).args[0].revision, '35');
+
+        await emitDatafile(createDatafile('36'), 'signature_36');
+        assert.strictEqual(manager.getConfig().revision, '35');
+
+        await emitDatafile(createDatafile('37'), 'signature_37');
+        assert.strictEqual(manager.getConfig().revision, '37');
+        sinon.assert.calledWithExactly(fakeDatafileManager.persistDatafile, createDatafile('37'), 'signature_37', null);
+      });
+
+      it('keeps ignoring the rolled back revision after a restart', async function() {
+        fakeDatafileManager.getRolledBackRevision = sinon.stub().returns('36');
+        fakeDatafileManager.on = sinon.stub().returns(function() {});
+        manager = projectConfigManager.createProjectConfigManager({
+          sdkKey: '12345',
+          datafileManager: fakeDatafileManager,
+        });
+        await manager.onReady();
+        assert.strictEqual(manager.getConfig().revision, '35');
+        sinon.assert.calledWithExactly(fakeDatafileManager.persistDatafile, createDatafile('35'), 'signature_35', '36');
+
+        await emitDatafile(createDatafile('36'), 'signature_36');
+        assert.strictEqual(manager.getConfig().revision, '35');
+
+        await emitDatafile(createDatafile('37'), 'signature_37');
+        assert.strictEqual(manager.getConfig().revision, '37');
+        sinon.assert.calledWithExactly(fakeDatafileManager.persistDatafile, createDatafile('37'), 'signature_37', null);
+      });
+
+      it('only ignores the rolled back revision when revisions are not numeric', async function() {
+        await emitDatafile(createDatafile('b'), 'signature_b');
+        assert.strictEqual(manager.getConfig().revision, 'b');
+        assert.isNull(manager.rollback());
+        assert.strictEqual(manager.getConfig().revision, '35');
+
+        await emitDatafile(createDatafile('b'), 'signature_b');
+        assert.strictEqual(manager.getConfig().revision, '35');
+
+        await emitDatafile(createDatafile('c'), 'signature_c');
+        assert.strictEqual(manager.getConfig().revision, 'c');
+      });
+
+      it('uses datafiles of the same or an older revision when the datafile manager ignores revisions', async function() {
+        fakeDatafileManager.ignoresRevision = sinon.stub().returns(true);
+        var onUpdateSpy = sinon.spy();
+        manager.onUpdate(onUpdateSpy);
+
+        var datafile = testData.getTestProjectConfigWithFeatures();
+        datafile.attributes.push({ id: 'new_attribute_id', key: 'new_attribute' });
+        await emitDatafile(JSON.stringify(datafile));
+        assert.strictEqual(manager.getConfig().revision, '35');
+        assert.isDefined(manager.getConfig().attributeKeyMap.new_attribute);
+
+        await emitDatafile(createDatafile('34'));
+        assert.strictEqual(manager.getConfig().revision, '34');
+
+        // a datafile which did not change is not used again
+        await emitDatafile(createDatafile('34'));
+        await Promise.resolve();
+        sinon.assert.calledTwice(onUpdateSpy);
+      });
+
+      it('returns an error from rollback when there is no previous config', async function() {
+        var error = manager.rollback();
+        assert.strictEqual(
+          error.message,
+          sprintf(ERROR_MESSAGES.NO_PREVIOUS_DATAFILE_REVISION, 'PROJECT_CONFIG_MANAGER')
+        );
+        assert.strictEqual(manager.getConfig().revision, '35');
+
+        await emitDatafile(createDatafile('36'));
+        assert.isNull(manager.rollback());
+        assert.isNotNull(manager.rollback());
+        assert.strictEqual(manager.getConfig().revision, '35');
+      });
+    });
+
     describe('test caching of optimizely config', function() {
       beforeEach(function() {
         sinon.stub(optimizelyConfig, 'createOptimizelyConfig');
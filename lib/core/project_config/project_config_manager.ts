@@ -16,10 +16,18 @@
 import { getLogger } from '../../modules/logging';
 import { sprintf } from '../../utils/fns';
 
-import { ERROR_MESSAGES } from '../../utils/enums';
+import { ERROR_MESSAGES, LOG_MESSAGES } from '../../utils/enums';
 import { createOptimizelyConfig } from '../optimizely_config';
-import { OnReadyResult, OptimizelyConfig, DatafileManager } from '../../shared_types';
+import {
+  OnReadyResult,
+  OptimizelyConfig,
+  DatafileManager,
+  DatafileVerifier,
+  DatafileVerificationFailedPayload,
+  DatafileSourceChangedPayload,
+} from '../../shared_types';
 import { ProjectConfig, toDatafile, tryCreatingProjectConfig } from '../project_config';
+import { diffProjectConfigs, ProjectConfigDiff } from '../project_config/config_diff';
 import { scheduleMicrotaskOrTimeout } from '../../utils/microtask';
 
 const logger = getLogger();
@@ -34,6 +42,7 @@ interface ProjectConfigManagerConfig {
   };
   sdkKey?: string;
   datafileManager?: DatafileManager;
+  datafileVerifier?: DatafileVerifier;
 }
 
 /**
@@ -51,26 +60,53 @@ function getErrorMessage(maybeError: Error | null, defaultMessage?: string): str
   return defaultMessage || 'Unknown error';
 }
 
+/**
+ * Compare two datafile revisions. Revisions are numbers incremented on each
+ * publish of the project, so revisions which are not numeric can't be compared.
+ * @param  {string}       revision
+ * @param  {string}       otherRevision
+ * @return {number|null}  negative if revision is older than otherRevision, positive if it is newer,
+ *                        0 if they are the same, or null if they can't be compared
+ */
+function compareRevisions(revision: string, otherRevision: string): number | null {
+  if (!/^\d+$/.test(revision) || !/^\d+$/.test(otherRevision)) {
+    return null;
+  }
+  return parseInt(revision, 10) - parseInt(otherRevision, 10);
+}
+
 /**
  * ProjectConfigManager provides project config objects via its methods
  * getConfig and onUpdate. It uses a DatafileManager to fetch datafiles. It is
  * responsible for parsing and validating datafiles, and converting datafile
- * string into project config objects.
+ * string into project config objects. When a datafile verifier is provided,
+ * datafiles fetched by the DatafileManager are only used if their signature
+ * is valid. Datafiles with an older revision than the current project config
+ * object are ignored, and the previous project config object is kept so that
+ * the current one can be rolled back.
  * @param {ProjectConfigManagerConfig}    config
  */
 export class ProjectConfigManager {
-  private updateListeners: Array<(config: ProjectConfig) => void> = [];
+  private updateListeners: Array<(config: ProjectConfig, diff: ProjectConfigDiff) => void> = [];
+  private verificationFailureListeners: Array<(payload: DatafileVerificationFailedPayload) => void> = [];
+  private sourceChangeListeners: Array<(payload: DatafileSourceChangedPayload) => void> = [];
   private configObj: ProjectConfig | null = null;
+  private configSignature: string | undefined;
+  private previousConfigObj: ProjectConfig | null = null;
+  private previousConfigSignature: string | undefined;
+  private rolledBackRevision: string | null = null;
   private optimizelyConfigObj: OptimizelyConfig | null = null;
   private readyPromise: Promise<OnReadyResult>;
   public jsonSchemaValidator: { validate(jsonObject: unknown): boolean } | undefined;
   public datafileManager: DatafileManager | null = null;
+  private datafileVerifier: DatafileVerifier | undefined;
 
   constructor(config: ProjectConfigManagerConfig) {
     try {
       this.jsonSchemaValidator = config.jsonSchemaValidator;
+      this.datafileVerifier = config.datafileVerifier;
 
-      if (!config.datafile && !config.sdkKey) {
+      if (!config.datafile && !config.sdkKey && !config.datafileManager) {
         const datafileAndSdkKeyMissingError = new Error(
           sprintf(ERROR_MESSAGES.DATAFILE_AND_SDK_KEY_MISSING, MODULE_NAME)
         );
@@ -87,7 +123,7 @@ export class ProjectConfigManager {
         handleNewDatafileException = this.handleNewDatafile(config.datafile);
       }
 
-      if (config.sdkKey && config.datafileManager) {
+      if (config.datafileManager) {
         this.datafileManager = config.datafileManager;
         this.datafileManager.start();
 
@@ -95,6 +131,9 @@ export class ProjectConfigManager {
           .onReady()
           .then(this.onDatafileManagerReadyFulfill.bind(this), this.onDatafileManagerReadyReject.bind(this));
         this.datafileManager.on('update', this.onDatafileManagerUpdate.bind(this));
+        if (this.datafileManager.onSourceChange) {
+          this.datafileManager.onSourceChange(this.onDatafileManagerSourceChange.bind(this));
+        }
       } else if (this.configObj) {
         this.readyPromise = Promise.resolve({
           success: true,
@@ -124,13 +163,21 @@ export class ProjectConfigManager {
    */
   private onDatafileManagerReadyFulfill(): OnReadyResult {
     if (this.datafileManager) {
-      const newDatafileError = this.handleNewDatafile(this.datafileManager.get());
+      if (this.rolledBackRevision === null && this.datafileManager.getRolledBackRevision) {
+        // a revision rolled back before a restart is still ignored
+        this.rolledBackRevision = this.datafileManager.getRolledBackRevision();
+      }
+      const newDatafileError = this.handleDatafileManagerDatafile(this.datafileManager);
       if (newDatafileError) {
         return {
           success: false,
           reason: getErrorMessage(newDatafileError),
         };
       }
+      const datafileSource = this.datafileManager.getActiveSource ? this.datafileManager.getActiveSource() : null;
+      if (datafileSource) {
+        return { success: true, datafileSource };
+      }
       return { success: true };
     }
 
@@ -162,8 +209,79 @@ export class ProjectConfigManager {
    */
   private onDatafileManagerUpdate(): void {
     if (this.datafileManager) {
-      this.handleNewDatafile(this.datafileManager.get());
+      this.handleDatafileManagerDatafile(this.datafileManager);
+    }
+  }
+
+  /**
+   * Respond to datafile manager's source change event, when the datafile manager has several
+   * sources, by calling own registered source change listeners
+   * @param   {DatafileSourceChangedPayload}   payload
+   */
+  private onDatafileManagerSourceChange(payload: DatafileSourceChangedPayload): void {
+    this.sourceChangeListeners.forEach(listener => listener(payload));
+  }
+
+  /**
+   * Handle the current datafile of the datafile manager, verifying its signature first
+   * when a datafile verifier is provided. A datafile which becomes the current project
+   * config object is persisted by the datafile manager as the last known good datafile, along with
+   * the rolled back revision.
+   * @param   {DatafileManager}   datafileManager
+   * @returns {Error|null}        error or null
+   */
+  private handleDatafileManagerDatafile(datafileManager: DatafileManager): Error | null {
+    const datafile = datafileManager.get();
+    const signature = datafileManager.getSignature ? datafileManager.getSignature() : undefined;
+    if (this.datafileVerifier) {
+      const verificationError = this.verifyDatafile(this.datafileVerifier, datafile, signature);
+      if (verificationError) {
+        return verificationError;
+      }
+    }
+    const currentConfigObj = this.configObj;
+    const ignoreRevision = datafileManager.ignoresRevision ? datafileManager.ignoresRevision() : false;
+    const error = this.handleNewDatafile(datafile, signature, ignoreRevision);
+    if (!error && this.configObj !== currentConfigObj && datafileManager.persistDatafile) {
+      datafileManager.persistDatafile(datafile, signature, this.rolledBackRevision);
+    }
+    return error;
+  }
+
+  /**
+   * Verify the signature of a datafile. If the signature is missing or invalid, the error is
+   * logged, verification failure listeners are called and the error is returned.
+   * @param   {DatafileVerifier}      datafileVerifier
+   * @param   {string}                datafile
+   * @param   {string|undefined}      signature
+   * @returns {Error|null}            error or null
+   */
+  private verifyDatafile(
+    datafileVerifier: DatafileVerifier,
+    datafile: string,
+    signature: string | undefined
+  ): Error | null {
+    let error: Error | null = null;
+    if (!signature) {
+      error = new Error(sprintf(ERROR_MESSAGES.DATAFILE_SIGNATURE_MISSING, MODULE_NAME));
+    } else {
+      let isValid = false;
+      try {
+        isValid = datafileVerifier.verify(datafile, signature) === true;
+      } catch (ex) {
+        logger.error(ex);
+      }
+      if (!isValid) {
+        error = new Error(sprintf(ERROR_MESSAGES.DATAFILE_SIGNATURE_INVALID, MODULE_NAME));
+      }
     }
+
+    if (error) {
+      logger.error(error);
+      const payload: DatafileVerificationFailedPayload = { reason: error.message };
+      this.verificationFailureListeners.forEach(listener => listener(payload));
+    }
+    return error;
   }
 
   /**
@@ -171,12 +289,21 @@ export class ProjectConfigManager {
    * the new config object's revision is newer than the current one, sets/updates the project config
    * and optimizely config object instance variables and returns null for the error. If unsuccessful,
    * the project config and optimizely config objects will not be updated, and the error is returned.
+   * A new config object whose revision is older than the current one, or does not supersede a rolled back
+   * one, is ignored without an error. With ignoreRevision, the new config object replaces the current
+   * one whenever its datafile is different.
    * @param   {string | object}        newDatafile
+   * @param   {string=}                signature
+   * @param   {boolean=}               ignoreRevision
    * @returns {Error|null}    error or null
    */
-  // TODO[OASIS-6649]: Don't use object type
-  // eslint-disable-next-line  @typescript-eslint/ban-types
-  private handleNewDatafile(newDatafile: string | object): Error | null {
+  private handleNewDatafile(
+    // TODO[OASIS-6649]: Don't use object type
+    // eslint-disable-next-line  @typescript-eslint/ban-types
+    newDatafile: string | object,
+    signature?: string,
+    ignoreRevision = false
+  ): Error | null {
     const { configObj, error } = tryCreatingProjectConfig({
       datafile: newDatafile,
       jsonSchemaValidator: this.jsonSchemaValidator,
@@ -185,20 +312,121 @@ export class ProjectConfigManager {
 
     if (error) {
       logger.error(error);
-    } else {
-      const oldRevision = this.configObj ? this.configObj.revision : 'null';
-      if (configObj && oldRevision !== configObj.revision) {
-        this.configObj = configObj;
-        this.optimizelyConfigObj = null;
-        scheduleMicrotaskOrTimeout(() => {
-          this.updateListeners.forEach(listener => listener(configObj));
-        }) 
+    } else if (configObj && this.isNewConfig(configObj, ignoreRevision)) {
+      if (ignoreRevision || this.supersedesRolledBackRevision(configObj.revision)) {
+        this.rolledBackRevision = null;
       }
+      this.activateConfig(configObj, signature);
     }
 
     return error;
   }
 
+  /**
+   * Returns true if a new config object must replace the current one: its revision is not the
+   * current one and is not ignored, or with ignoreRevision, its datafile is not the current one
+   * @param   {ProjectConfig}   configObj
+   * @param   {boolean}         ignoreRevision
+   * @returns {boolean}
+   */
+  private isNewConfig(configObj: ProjectConfig, ignoreRevision: boolean): boolean {
+    if (ignoreRevision) {
+      return !this.configObj || toDatafile(this.configObj) !== toDatafile(configObj);
+    }
+    const oldRevision = this.configObj ? this.configObj.revision : 'null';
+    return oldRevision !== configObj.revision && !this.isIgnoredRevision(configObj.revision);
+  }
+
+  /**
+   * Returns true if a new config object with the given revision must not replace the current one:
+   * its revision is older than the current one, or the current one was rolled back and the new
+   * revision does not supersede the rolled back one. Without a current config object, as on a start
+   * after a rollback, the datafile rolled back to is used.
+   * @param   {string}    revision
+   * @returns {boolean}
+   */
+  private isIgnoredRevision(revision: string): boolean {
+    if (this.rolledBackRevision !== null && this.configObj) {
+      if (!this.supersedesRolledBackRevision(revision)) {
+        logger.info(LOG_MESSAGES.ROLLED_BACK_DATAFILE_REVISION_IGNORED, MODULE_NAME, revision, this.rolledBackRevision);
+        return true;
+      }
+      return false;
+    }
+
+    if (this.configObj) {
+      const comparison = compareRevisions(revision, this.configObj.revision);
+      if (comparison !== null && comparison < 0) {
+        logger.warn(LOG_MESSAGES.OLDER_DATAFILE_REVISION_IGNORED, MODULE_NAME, revision, this.configObj.revision);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Returns true if a revision supersedes the rolled back revision: it is newer than the rolled back
+   * one. Revisions which are not numeric can't be ordered, so any revision other than the rolled back
+   * one supersedes it, instead of every later datafile being ignored.
+   * @param   {string}    revision
+   * @returns {boolean}
+   */
+  private supersedesRolledBackRevision(revision: string): boolean {
+    if (this.rolledBackRevision === null) {
+      return true;
+    }
+    const comparison = compareRevisions(revision, this.rolledBackRevision);
+    return comparison === null ? revision !== this.rolledBackRevision : comparison > 0;
+  }
+
+  /**
+   * Make a config object the current one, keeping the current one as the previous config object,
+   * and call the update listeners with the changes
+   * @param   {ProjectConfig}       configObj
+   * @param   {string|undefined}    signature   signature of the datafile of the config object
+   */
+  private activateConfig(configObj: ProjectConfig, signature: string | undefined): void {
+    const diff = diffProjectConfigs(this.configObj, configObj);
+    this.previousConfigObj = this.configObj;
+    this.previousConfigSignature = this.configSignature;
+    this.configObj = configObj;
+    this.configSignature = signature;
+    this.optimizelyConfigObj = null;
+    scheduleMicrotaskOrTimeout(() => {
+      this.updateListeners.forEach(listener => listener(configObj, diff));
+    });
+  }
+
+  /**
+   * Roll the current project config object back to the previous one, which is persisted by the
+   * datafile manager as the last known good datafile along with the rolled back revision, so that a
+   * rollback survives a restart. Until a revision superseding the rolled back one is received,
+   * datafiles are ignored. Only one revision can be rolled back.
+   * @returns {Error|null}    error if there is no previous project config object, or null
+   */
+  rollback(): Error | null {
+    const currentConfigObj = this.configObj;
+    const previousConfigObj = this.previousConfigObj;
+    if (!currentConfigObj || !previousConfigObj) {
+      return new Error(sprintf(ERROR_MESSAGES.NO_PREVIOUS_DATAFILE_REVISION, MODULE_NAME));
+    }
+
+    const previousConfigSignature = this.previousConfigSignature;
+    this.rolledBackRevision = currentConfigObj.revision;
+    this.activateConfig(previousConfigObj, previousConfigSignature);
+    this.previousConfigObj = null;
+    this.previousConfigSignature = undefined;
+    if (this.datafileManager && this.datafileManager.persistDatafile) {
+      this.datafileManager.persistDatafile(
+        toDatafile(previousConfigObj),
+        previousConfigSignature,
+        this.rolledBackRevision
+      );
+    }
+    logger.info(LOG_MESSAGES.ROLLED_BACK_DATAFILE, MODULE_NAME, currentConfigObj.revision, previousConfigObj.revision);
+    return null;
+  }
+
   /**
    * Returns the current project config object, or null if no project config object
    * is available
@@ -227,7 +455,7 @@ export class ProjectConfigManager {
    * Failure can be caused by the following:
    * - At least one of sdkKey or datafile is not provided in the constructor argument
    * - The provided datafile was invalid
-   * - The datafile provided by the datafile manager was invalid
+   * - The datafile provided by the datafile manager was invalid, or its signature was missing or invalid
    * - The datafile manager failed to fetch a datafile
    *
    * The returned Promise is fulfilled with a result object containing these
@@ -245,12 +473,13 @@ export class ProjectConfigManager {
 
   /**
    * Add a listener for project config updates. The listener will be called
-   * whenever this instance has a new project config object available.
+   * whenever this instance has a new project config object available, with the
+   * changes from the previous project config object.
    * Returns a dispose function that removes the subscription
    * @param  {Function} listener
    * @return {Function}
    */
-  onUpdate(listener: (config: ProjectConfig) => void): () => void {
+  onUpdate(listener: (config: ProjectConfig, diff: ProjectConfigDiff) => void): () => void {
     this.updateListeners.push(listener);
     return () => {
       const index = this.updateListeners.indexOf(listener);
@@ -261,13 +490,48 @@ export class ProjectConfigManager {
   }
 
   /**
-   * Stop the internal datafile manager and remove all update listeners
+   * Add a listener for datafiles rejected because their signature is missing or invalid.
+   * Returns a dispose function that removes the subscription
+   * @param  {Function} listener
+   * @return {Function}
+   */
+  onVerificationFailure(listener: (payload: DatafileVerificationFailedPayload) => void): () => void {
+    this.verificationFailureListeners.push(listener);
+    return () => {
+      const index = this.verificationFailureListeners.indexOf(listener);
+      if (index > -1) {
+        this.verificationFailureListeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Add a listener for changes of the source providing the datafiles, when the datafile
+   * manager has several sources.
+   * Returns a dispose function that removes the subscription
+   * @param  {Function} listener
+   * @return {Function}
+   */
+  onDatafileSourceChange(listener: (payload: DatafileSourceChangedPayload) => void): () => void {
+    this.sourceChangeListeners.push(listener);
+    return () => {
+      const index = this.sourceChangeListeners.indexOf(listener);
+      if (index > -1) {
+        this.sourceChangeListeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Stop the internal datafile manager and remove all update, verification failure and source change listeners
    */
   stop(): void {
     if (this.datafileManager) {
       this.datafileManager.stop();
     }
     this.updateListeners = [];
+    this.verificationFailureListeners = [];
+    this.sourceChangeListeners = [];
   }
 }
 
@@ -276,6 +276,79 @@ var schemaDefinition = {
       type: 'string',
       required: true,
     },
+    holdouts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            required: true,
+          },
+          key: {
+            type: 'string',
+            required: true,
+          },
+          status: {
+            type: 'string',
+            required: true,
+          },
+          variations: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'string',
+                  required: true,
+                },
+                key: {
+                  type: 'string',
+                  required: true,
+                },
+              },
+            },
+            required: true,
+          },
+          trafficAllocation: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                entityId: {
+                  type: 'string',
+                  required: true,
+                },
+                endOfRange: {
+                  type: 'integer',
+                  required: true,
+                },
+              },
+            },
+            required: true,
+          },
+          audienceIds: {
+            type: 'array',
+            items: {
+              type: 'string',
+            },
+            required: true,
+          },
+          includedFlags: {
+            type: 'array',
+            items: {
+              type: 'string',
+            },
+          },
+          excludedFlags: {
+            type: 'array',
+            items: {
+              type: 'string',
+            },
+          },
+        },
+      },
+    },
     integrations: {
       type: 'array',
       items: {
@@ -0,0 +1,158 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import sinon from 'sinon';
+import { assert } from 'chai';
+
+import { createShadowEvaluator } from './';
+import { createDecisionService } from '../decision_service';
+import { createProjectConfig } from '../project_config';
+import OptimizelyUserContext from '../../optimizely_user_context';
+import { ERROR_MESSAGES, LOG_LEVEL } from '../../utils/enums';
+import { createLogger } from '../../plugins/logger';
+import testData from '../../tests/test_data';
+
+describe('lib/core/shadow_evaluation', function() {
+  describe('ShadowEvaluator', function() {
+    var mockLogger;
+    var decisionService;
+    var liveConfig;
+    var user;
+    var liveDecision;
+
+    beforeEach(function() {
+      mockLogger = createLogger({ logLevel: LOG_LEVEL.INFO });
+      sinon.stub(mockLogger, 'log');
+      decisionService = createDecisionService({ logger: mockLogger });
+      liveConfig = createProjectConfig(testData.getTestDecideProjectConfig());
+      user = new OptimizelyUserContext({
+        optimizely: {},
+        userId: 'tester',
+        attributes: { country: 'CA' },
+        shouldIdentifyUser: false,
+      });
+      liveDecision = {
+        flagKey: 'feature_1',
+        variationKey: '18257766532',
+        enabled: true,
+        ruleKey: '18322080788',
+        variables: { i_42: 42, d_4_2: 4.2, b_true: true, s_foo: 'foo', j_1: null, i_1: 'invalid' },
+        userContext: user,
+        reasons: [],
+      };
+    });
+
+    afterEach(function() {
+      mockLogger.log.restore();
+    });
+
+    it('should return null when the candidate datafile decides the flag the same way', function() {
+      var shadowEvaluator = createShadowEvaluator(
+        { datafile: testData.getTestDecideProjectConfig() },
+        decisionService,
+        mockLogger
+      );
+      assert.isNull(shadowEvaluator.evaluate(liveConfig, liveDecision, user, {}));
+    });
+
+    it('should return the mismatch when the candidate datafile decides another variable value', function() {
+      var datafile = testData.getTestDecideProjectConfig();
+      datafile.revision = '242';
+      datafile.featureFlags[0].variables[0].defaultValue = '43';
+      var shadowEvaluator = createShadowEvaluator({ datafile: datafile }, decisionService, mockLogger);
+
+      var mismatch = shadowEvaluator.evaluate(liveConfig, liveDecision, user, {});
+      assert.deepEqual(mismatch, {
+        flagKey: 'feature_1',
+        userId: 'tester',
+        attributes: { country: 'CA' },
+        liveDecision: {
+          variationKey: '18257766532',
+          enabled: true,
+          ruleKey: '18322080788',
+          variables: liveDecision.variables,
+        },
+        candidateDecision: {
+          variationKey: '18257766532',
+          enabled: true,
+          ruleKey: '18322080788',
+          variables: Object.assign({}, liveDecision.variables, { i_42: 43 }),
+        },
+        liveRevision: '241',
+        candidateRevision: '242',
+      });
+    });
+
+    it('should not compare variables excluded from the decision', function() {
+      var datafile = testData.getTestDecideProjectConfig();
+      datafile.featureFlags[0].variables[0].defaultValue = '43';
+      var shadowEvaluator = createShadowEvaluator({ datafile: datafile }, decisionService, mockLogger);
+
+      liveDecision.variables = {};
+      assert.isNull(shadowEvaluator.evaluate(liveConfig, liveDecision, user, { EXCLUDE_VARIABLES: true }));
+    });
+
+    it('should return null when the flag is not in the candidate datafile', function() {
+      var datafile = testData.getTestDecideProjectConfig();
+      datafile.featureFlags.splice(0, 1);
+      var shadowEvaluator = createShadowEvaluator({ datafile: datafile }, decisionService, mockLogger);
+      assert.isNull(shadowEvaluator.evaluate(liveConfig, liveDecision, user, {}));
+    });
+
+    it('should not evaluate decide calls which are not sampled', function() {
+      var datafile = testData.getTestDecideProjectConfig();
+      datafile.featureFlags[0].variables[0].defaultValue = '43';
+      var shadowEvaluator = createShadowEvaluator({ datafile: datafile, sampleRate: 0 }, decisionService, mockLogger);
+      sinon.spy(decisionService, 'getVariationForFeature');
+
+      assert.isNull(shadowEvaluator.evaluate(liveConfig, liveDecision, user, {}));
+      sinon.assert.notCalled(decisionService.getVariationForFeature);
+    });
+
+    it('should replace the candidate config with the one of a valid candidate datafile only', function() {
+      var shadowEvaluator = createShadowEvaluator(
+        { datafile: testData.getTestDecideProjectConfig() },
+        decisionService,
+        mockLogger
+      );
+      var candidateDatafile = testData.getTestDecideProjectConfig();
+      candidateDatafile.revision = '242';
+
+      assert.isTrue(shadowEvaluator.setCandidateDatafile(candidateDatafile));
+      assert.strictEqual(shadowEvaluator.getCandidateConfig().revision, '242');
+      assert.isFalse(shadowEvaluator.setCandidateDatafile('{"version": '));
+      assert.strictEqual(shadowEvaluator.getCandidateConfig().revision, '242');
+      sinon.assert.calledWith(
+        mockLogger.log,
+        LOG_LEVEL.ERROR,
+        ERROR_MESSAGES.INVALID_SHADOW_DATAFILE,
+        'SHADOW_EVALUATION'
+      );
+    });
+
+    it('should log an error and never evaluate when the candidate datafile is invalid', function() {
+      var shadowEvaluator = createShadowEvaluator({ datafile: '{"version": ' }, decisionService, mockLogger);
+
+      assert.isNull(shadowEvaluator.getCandidateConfig());
+      sinon.assert.calledWith(
+        mockLogger.log,
+        LOG_LEVEL.ERROR,
+        ERROR_MESSAGES.INVALID_SHADOW_DATAFILE,
+        'SHADOW_EVALUATION'
+      );
+      assert.isNull(shadowEvaluator.evaluate(liveConfig, liveDecision, user, {}));
+    });
+  });
+});
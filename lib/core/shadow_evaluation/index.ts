@@ -0,0 +1,229 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { LogHandler } from '../../modules/logging';
+import { DECISION_SOURCES, ERROR_MESSAGES, LOG_LEVEL } from '../../utils/enums';
+import { ExperimentBucketMap, ListenerPayload, OptimizelyDecideOption, OptimizelyDecision } from '../../shared_types';
+import OptimizelyUserContext from '../../optimizely_user_context';
+import { DecisionObj, DecisionService, UserProfileTracker } from '../decision_service';
+import { getFeatureEnabledFromVariation } from '../decision';
+import { getTypeCastValue, getVariableValueForVariation, ProjectConfig, tryCreatingProjectConfig } from '../project_config';
+
+const MODULE_NAME = 'SHADOW_EVALUATION';
+
+export interface ShadowEvaluationOptions {
+  // the candidate datafile decisions are compared against
+  // eslint-disable-next-line  @typescript-eslint/ban-types
+  datafile: string | object;
+  // fraction of decide calls, from 0 to 1, which are also evaluated against the candidate datafile. Defaults to 1
+  sampleRate?: number;
+}
+
+/**
+ * The fields of a flag decision compared between the live and the candidate datafile
+ */
+export interface ShadowDecision {
+  variationKey: string | null;
+  enabled: boolean;
+  ruleKey: string | null;
+  variables: { [variableKey: string]: unknown };
+}
+
+/**
+ * The payload of a SHADOW_DECISION_MISMATCH notification
+ */
+export interface ShadowDecisionMismatchPayload extends ListenerPayload {
+  flagKey: string;
+  liveDecision: ShadowDecision;
+  candidateDecision: ShadowDecision;
+  liveRevision: string;
+  candidateRevision: string;
+}
+
+/**
+ * Decides flags against a candidate project config, on a sampled fraction of decide calls, so that
+ * the decisions of a datafile can be compared with the live ones before it is published.
+ * Candidate decisions never send events, and never save the user profile.
+ */
+export class ShadowEvaluator {
+  private candidateConfig: ProjectConfig | null = null;
+  private sampleRate: number;
+  private decisionService: DecisionService;
+  private logger: LogHandler;
+  private jsonSchemaValidator?: { validate(jsonObject: unknown): boolean };
+
+  constructor(
+    options: ShadowEvaluationOptions,
+    decisionService: DecisionService,
+    logger: LogHandler,
+    jsonSchemaValidator?: { validate(jsonObject: unknown): boolean }
+  ) {
+    this.sampleRate = typeof options.sampleRate === 'number' ? Math.min(Math.max(options.sampleRate, 0), 1) : 1;
+    this.decisionService = decisionService;
+    this.logger = logger;
+    this.jsonSchemaValidator = jsonSchemaValidator;
+    this.setCandidateDatafile(options.datafile);
+  }
+
+  getCandidateConfig(): ProjectConfig | null {
+    return this.candidateConfig;
+  }
+
+  /**
+   * Replaces the candidate project config with the one of a new candidate datafile. When the datafile
+   * is invalid, an error is logged and the current candidate project config is kept.
+   * @param  {string|object}  datafile
+   * @return {boolean}        true if the candidate project config was replaced
+   */
+  setCandidateDatafile(
+    // TODO[OASIS-6649]: Don't use object type
+    // eslint-disable-next-line  @typescript-eslint/ban-types
+    datafile: string | object
+  ): boolean {
+    const { configObj, error } = tryCreatingProjectConfig({
+      datafile,
+      jsonSchemaValidator: this.jsonSchemaValidator,
+      logger: this.logger,
+    });
+    if (!configObj) {
+      this.logger.log(LOG_LEVEL.ERROR, ERROR_MESSAGES.INVALID_SHADOW_DATAFILE, MODULE_NAME, error && error.message);
+      return false;
+    }
+    this.candidateConfig = configObj;
+    return true;
+  }
+
+  /**
+   * Decides a flag against the candidate project config when the call is sampled, and compares the
+   * candidate decision with the live one.
+   * @param  {ProjectConfig}              liveConfig           The project config the live decision was made with
+   * @param  {OptimizelyDecision}         liveDecision         The live decision
+   * @param  {OptimizelyUserContext}      user                 The user the flag was decided for
+   * @param  {[key: string]: boolean}     options              Map of decide options of the live decision
+   * @param  {ExperimentBucketMap}        userProfile          (Optional) user profile as it was looked up, before the live
+   *                                                           decision recorded its own bucketing in it
+   * @return {ShadowDecisionMismatchPayload|null}             The mismatch, or null when the call is not sampled,
+   *                                                           the flag is not in the candidate config or the
+   *                                                           decisions are the same
+   */
+  evaluate(
+    liveConfig: ProjectConfig,
+    liveDecision: OptimizelyDecision,
+    user: OptimizelyUserContext,
+    options: { [key: string]: boolean },
+    userProfile?: ExperimentBucketMap
+  ): ShadowDecisionMismatchPayload | null {
+    const candidateConfig = this.candidateConfig;
+    if (!candidateConfig || !this.isSampled()) {
+      return null;
+    }
+
+    const flagKey = liveDecision.flagKey;
+    const feature = candidateConfig.featureKeyMap[flagKey];
+    if (!feature) {
+      return null;
+    }
+
+    // bucketing decisions of the candidate config are recorded in a copy of the user profile, which is never saved
+    const candidateUserProfileTracker: UserProfileTracker = {
+      userProfile: {
+        ...(userProfile || this.decisionService.loadUserProfileTracker(user, options).userProfile),
+      },
+      isProfileUpdated: false,
+    };
+
+    let decisionObj: DecisionObj;
+    const forcedVariation = this.decisionService.findValidatedForcedDecision(candidateConfig, user, flagKey).result;
+    if (forcedVariation) {
+      decisionObj = { experiment: null, variation: forcedVariation, decisionSource: DECISION_SOURCES.FEATURE_TEST };
+    } else {
+      decisionObj = this.decisionService.getVariationForFeature(
+        candidateConfig,
+        feature,
+        user,
+        options,
+        candidateUserProfileTracker
+      ).result;
+    }
+
+    const enabled = getFeatureEnabledFromVariation(decisionObj);
+    const variables: { [variableKey: string]: unknown } = {};
+    if (!options[OptimizelyDecideOption.EXCLUDE_VARIABLES]) {
+      feature.variables.forEach(variable => {
+        const value =
+          enabled && decisionObj.variation
+            ? getVariableValueForVariation(candidateConfig, variable, decisionObj.variation, this.logger)
+            : null;
+        variables[variable.key] = getTypeCastValue(value ?? variable.defaultValue, variable.type, this.logger);
+      });
+    }
+
+    const liveShadowDecision: ShadowDecision = {
+      variationKey: liveDecision.variationKey,
+      enabled: liveDecision.enabled,
+      ruleKey: liveDecision.ruleKey,
+      variables: liveDecision.variables,
+    };
+    const candidateDecision: ShadowDecision = {
+      variationKey: decisionObj.variation?.key ?? null,
+      enabled,
+      ruleKey: decisionObj.experiment?.key ?? null,
+      variables,
+    };
+    if (isSameDecision(liveShadowDecision, candidateDecision)) {
+      return null;
+    }
+
+    return {
+      flagKey,
+      userId: user.getUserId(),
+      attributes: user.getAttributes(),
+      liveDecision: liveShadowDecision,
+      candidateDecision,
+      liveRevision: liveConfig.revision,
+      candidateRevision: candidateConfig.revision,
+    };
+  }
+
+  private isSampled(): boolean {
+    return this.sampleRate >= 1 || Math.random() < this.sampleRate;
+  }
+}
+
+function isSameDecision(decisionA: ShadowDecision, decisionB: ShadowDecision): boolean {
+  return (
+    decisionA.variationKey === decisionB.variationKey &&
+    decisionA.enabled === decisionB.enabled &&
+    decisionA.ruleKey === decisionB.ruleKey &&
+    JSON.stringify(decisionA.variables) === JSON.stringify(decisionB.variables)
+  );
+}
+
+/**
+ * Creates an instance of the ShadowEvaluator.
+ * @param  {ShadowEvaluationOptions}  options
+ * @param  {DecisionService}          decisionService
+ * @param  {LogHandler}               logger
+ * @param  {Object}                   jsonSchemaValidator   (Optional) validator of the candidate datafile
+ * @return {ShadowEvaluator}          An instance of the ShadowEvaluator
+ */
+export function createShadowEvaluator(
+  options: ShadowEvaluationOptions,
+  decisionService: DecisionService,
+  logger: LogHandler,
+  jsonSchemaValidator?: { validate(jsonObject: unknown): boolean }
+): ShadowEvaluator {
+  return new ShadowEvaluator(options, decisionService, logger, jsonSchemaValidator);
+}
@@ -29,15 +29,30 @@ export {
   OptimizelyFeature,
   OptimizelyDecisionContext,
   OptimizelyForcedDecision,
+  UserContextOptions,
   EventTags,
   Event,
   EventDispatcher,
   DatafileOptions,
+  DatafileVerifier,
+  DatafileVerificationFailedPayload,
+  DatafileSourceOptions,
+  DatafileSourceHealth,
+  DatafileSourceChangedPayload,
+  CmabOptions,
+  Condition,
+  ConditionEvaluator,
+  ConditionEvaluatorContext,
   OptimizelyOptions,
   UserProfileService,
+  UserProfileServiceAsync,
   UserProfile,
   ListenerPayload,
   OptimizelyDecision,
+  OptimizelyTypedDecision,
+  OptimizelyTypedVariables,
+  OptimizelyVariableSchema,
+  OptimizelyVariableSchemaEntry,
   OptimizelyUserContext,
   NotificationListener,
   Config,
@@ -48,3 +63,36 @@ export {
   OptimizelySegmentOption,
   ICache,
 } from './shared_types';
+export { CmabDecisionProvider, CmabDecisionRequest } from './core/cmab';
+export { DecisionAuditOptions, DecisionAuditRecord, DecisionAuditSink } from './core/decision_audit';
+export {
+  ShadowDecision,
+  ShadowDecisionMismatchPayload,
+  ShadowEvaluationOptions,
+} from './core/shadow_evaluation';
+export {
+  OptimizelyDecisionTrace,
+  RuleTrace,
+  AudienceConditionsTrace,
+  AudienceTrace,
+  ConditionTrace,
+  BucketingTrace,
+  ForcedDecisionTrace,
+} from './core/decision_trace';
+export {
+  ProjectConfigDiff,
+  RuleOrderChange,
+  TrafficAllocationChange,
+  RuleAudienceChange,
+  VariableDefaultChange,
+  AudienceChange,
+} from './core/project_config/config_diff';
+export {
+  BucketingSimulationOptions,
+  BucketingSimulationResult,
+  SimulatedUser,
+  SimulatedOutcome,
+  SimulatedRuleAllocation,
+  SimulatedVariationAllocation,
+} from './bucketing_simulation';
+export { EventRetryOptions, DeadLetterEntry, DeadLetterStore } from './modules/event_processor';
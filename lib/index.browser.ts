@@ -124,6 +124,8 @@ const createInstance = function(config: Config): Client | null {
       batchSize: eventBatchSize,
       maxQueueSize: config.eventMaxQueueSize || DEFAULT_EVENT_MAX_QUEUE_SIZE,
       notificationCenter,
+      retryOptions: config.eventRetryOptions,
+      deadLetterStore: config.eventDeadLetterStore,
     };
 
     const odpExplicitlyOff = config.odpOptions?.disabled === true;
@@ -13,7 +13,11 @@
  * See the License for the specific language governing permissions and
  * limitations under the License.
  */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { assert } from 'chai';
+import nock from 'nock';
 import sinon from 'sinon';
 import * as eventProcessor from './plugins/event_processor';
 
@@ -23,6 +27,7 @@ import testData from './tests/test_data';
 import * as loggerPlugin from './plugins/logger';
 import optimizelyFactory from './index.node';
 import configValidator from './utils/config_validator';
+import { getFilePendingEventsStores } from './plugins/event_processor/file_pending_events.node';
 
 describe('optimizelyFactory', function() {
   describe('APIs', function() {
@@ -134,6 +139,91 @@ describe('optimizelyFactory', function() {
           );
         });
 
+        it('should pass the event retry options and dead letter store to the event processor', function() {
+          var deadLetterStore = { add: sinon.stub().resolves() };
+          optimizelyFactory.createInstance({
+            datafile: testData.getTestProjectConfigWithFeatures(),
+            errorHandler: fakeErrorHandler,
+            eventDispatcher: fakeEventDispatcher,
+            logger: fakeLogger,
+            eventRetryOptions: { maxRetries: 5 },
+            eventDeadLetterStore: deadLetterStore,
+          });
+          sinon.assert.calledWithExactly(
+            eventProcessorSpy,
+            sinon.match({
+              retryOptions: { maxRetries: 5 },
+              deadLetterStore: deadLetterStore,
+            })
+          );
+        });
+
+        it('should persist dispatched events and send the pending ones once when a pending events file is provided', async function() {
+          var tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimizely-pending-events-'));
+          var filePath = path.join(tmpDir, 'pending_events.log');
+          var request = { url: 'https://logx.optimizely.com/v1/events', httpVerb: 'POST', params: {} };
+          fs.writeFileSync(filePath, JSON.stringify({
+            op: 'set',
+            key: 'uuid1',
+            value: { uuid: 'uuid1', timestamp: 1, request: request },
+          }) + '\n');
+          var eventDispatcher = { dispatchEvent: sinon.stub() };
+          var config = {
+            datafile: testData.getTestProjectConfigWithFeatures(),
+            errorHandler: fakeErrorHandler,
+            eventDispatcher: eventDispatcher,
+            logger: fakeLogger,
+            pendingEventsFilePath: filePath,
+          };
+          try {
+            optimizelyFactory.createInstance(config);
+            optimizelyFactory.createInstance(config);
+            sinon.assert.calledOnce(eventDispatcher.dispatchEvent);
+            sinon.assert.calledWith(eventDispatcher.dispatchEvent, request);
+            assert.notStrictEqual(eventProcessorSpy.args[0][0].dispatcher, eventDispatcher);
+            assert.strictEqual(eventProcessorSpy.args[0][0].queueStore, eventProcessorSpy.args[1][0].queueStore);
+
+            eventDispatcher.dispatchEvent.args[0][1]({ statusCode: 200 });
+            await getFilePendingEventsStores(filePath).batches.flush();
+            optimizelyFactory.__internalResetRetryState();
+            optimizelyFactory.createInstance(config);
+            sinon.assert.calledOnce(eventDispatcher.dispatchEvent);
+          } finally {
+            optimizelyFactory.__internalResetRetryState();
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+          }
+        });
+
+        it('should persist queued events and send them when created again after a restart', async function() {
+          var tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimizely-pending-events-'));
+          var filePath = path.join(tmpDir, 'pending_events.log');
+          var eventDispatcher = { dispatchEvent: sinon.stub() };
+          var config = {
+            datafile: testData.getTestProjectConfigWithFeatures(),
+            errorHandler: fakeErrorHandler,
+            eventDispatcher: eventDispatcher,
+            eventBatchSize: 10,
+            logger: fakeLogger,
+            pendingEventsFilePath: filePath,
+          };
+          try {
+            var optlyInstance = optimizelyFactory.createInstance(config);
+            optlyInstance.track('item_bought', 'user1');
+            sinon.assert.notCalled(eventDispatcher.dispatchEvent);
+            await getFilePendingEventsStores(filePath).queuedEvents.flush();
+            assert.include(fs.readFileSync(filePath + '.queue', 'utf8'), 'item_bought');
+
+            // simulate a restart of the process, without flushing the queue
+            optimizelyFactory.__internalResetRetryState();
+            optimizelyFactory.createInstance(config);
+            sinon.assert.calledOnce(eventDispatcher.dispatchEvent);
+            assert.equal(eventDispatcher.dispatchEvent.args[0][0].params.visitors[0].visitor_id, 'user1');
+          } finally {
+            optimizelyFactory.__internalResetRetryState();
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+          }
+        });
+
         it('should use provided event flush interval when valid', function() {
           optimizelyFactory.createInstance({
             datafile: testData.getTestProjectConfigWithFeatures(),
@@ -197,6 +287,81 @@ describe('optimizelyFactory', function() {
           );
         });
       });
+
+      describe('datafile sources', function() {
+        var tmpDir;
+
+        beforeEach(function() {
+          tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimizely-datafile-sources-'));
+        });
+
+        afterEach(function() {
+          nock.cleanAll();
+          fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        it('should use the next source when a source fails and report it in the onReady result', async function() {
+          nock('https://cdn.example.com')
+            .get('/datafiles/SDK_KEY.json')
+            .reply(500);
+          var filePath = path.join(tmpDir, 'datafile.json');
+          fs.writeFileSync(filePath, JSON.stringify(testData.getTestProjectConfigWithFeatures()));
+
+          var optlyInstance = optimizelyFactory.createInstance({
+            sdkKey: 'SDK_KEY',
+            datafileOptions: {
+              autoUpdate: false,
+              sources: [
+                { name: 'cdn', urlTemplate: 'https://cdn.example.com/datafiles/%s.json' },
+                { name: 'file', filePath: filePath },
+              ],
+            },
+            odpOptions: { disabled: true },
+            errorHandler: fakeErrorHandler,
+            eventDispatcher: fakeEventDispatcher,
+            logger: fakeLogger,
+          });
+          try {
+            assert.deepEqual(await optlyInstance.onReady(), { success: true, datafileSource: 'file' });
+            assert.strictEqual(optlyInstance.getProjectConfig().revision, '35');
+          } finally {
+            await optlyInstance.close();
+          }
+        });
+
+        it('should load the datafile from a local file without an SDK key and reload it when the file changes', async function() {
+          var filePath = path.join(tmpDir, 'datafile.json');
+          var datafile = testData.getTestProjectConfigWithFeatures();
+          fs.writeFileSync(filePath, JSON.stringify(datafile));
+
+          var optlyInstance = optimizelyFactory.createInstance({
+            datafileOptions: { filePath: filePath },
+            odpOptions: { disabled: true },
+            errorHandler: fakeErrorHandler,
+            eventDispatcher: fakeEventDispatcher,
+            logger: fakeLogger,
+          });
+          try {
+            assert.deepEqual(await optlyInstance.onReady(), { success: true });
+            assert.strictEqual(optlyInstance.getProjectConfig().revision, '35');
+
+            var configUpdate = new Promise(function(resolve) {
+              optlyInstance.notificationCenter.addNotificationListener(
+                enums.NOTIFICATION_TYPES.OPTIMIZELY_CONFIG_UPDATE,
+                resolve
+              );
+            });
+            // files edited by hand keep their revision
+            datafile.attributes.push({ id: 'new_attribute_id', key: 'new_attribute' });
+            fs.writeFileSync(filePath, JSON.stringify(datafile));
+            await configUpdate;
+            assert.strictEqual(optlyInstance.getProjectConfig().revision, '35');
+            assert.isDefined(optlyInstance.getProjectConfig().attributeKeyMap.new_attribute);
+          } finally {
+            await optlyInstance.close();
+          }
+        });
+      });
     });
   });
 });
@@ -25,8 +25,19 @@ import eventProcessorConfigValidator from './utils/event_processor_config_valida
 import { createNotificationCenter } from './core/notification_center';
 import { createEventProcessor } from './plugins/event_processor';
 import { OptimizelyDecideOption, Client, Config } from './shared_types';
-import { createHttpPollingDatafileManager } from './plugins/datafile_manager/http_polling_datafile_manager';
+import {
+  createFileDatafileManager,
+  createHttpPollingDatafileManager,
+} from './plugins/datafile_manager/http_polling_datafile_manager';
 import { NodeOdpManager } from './plugins/odp_manager/index.node';
+import { createFileDecisionAuditSink } from './plugins/decision_audit_sink/index.node';
+import {
+  FilePendingEventsDispatcher,
+  resetFilePendingEventsStores,
+} from './plugins/event_processor/file_pending_events.node';
+import { createClientRegistry } from './client_registry/index.node';
+import { createDatafileSignatureVerifier } from './plugins/datafile_verifier/index.node';
+import { lintDatafile } from './core/project_config/datafile_lint';
 import * as commonExports from './common_exports';
 
 const logger = getLogger();
@@ -36,6 +47,9 @@ const DEFAULT_EVENT_BATCH_SIZE = 10;
 const DEFAULT_EVENT_FLUSH_INTERVAL = 30000; // Unit is ms, default is 30s
 const DEFAULT_EVENT_MAX_QUEUE_SIZE = 10000;
 
+// pending events files whose events were already sent again by this process
+let retriedPendingEventsFiles: { [filePath: string]: boolean } = {};
+
 /**
  * Creates an instance of the Optimizely class
  * @param  {Config} config
@@ -92,22 +106,48 @@ const createInstance = function(config: Config): Client | null {
     const errorHandler = getErrorHandler();
     const notificationCenter = createNotificationCenter({ logger: logger, errorHandler: errorHandler });
 
+    let eventDispatcher = config.eventDispatcher || defaultEventDispatcher;
+    let pendingEventsDispatcher: FilePendingEventsDispatcher | undefined;
+    if (config.pendingEventsFilePath) {
+      pendingEventsDispatcher = new FilePendingEventsDispatcher({
+        eventDispatcher,
+        filePath: config.pendingEventsFilePath,
+      });
+      eventDispatcher = pendingEventsDispatcher;
+    }
+
     const eventProcessorConfig = {
-      dispatcher: config.eventDispatcher || defaultEventDispatcher,
+      dispatcher: eventDispatcher,
       flushInterval: eventFlushInterval,
       batchSize: eventBatchSize,
       maxQueueSize: config.eventMaxQueueSize || DEFAULT_EVENT_MAX_QUEUE_SIZE,
       notificationCenter,
+      retryOptions: config.eventRetryOptions,
+      deadLetterStore: config.eventDeadLetterStore,
+      queueStore: pendingEventsDispatcher && pendingEventsDispatcher.queueStore,
     };
 
     const eventProcessor = createEventProcessor(eventProcessorConfig);
 
+    if (pendingEventsDispatcher && !retriedPendingEventsFiles[pendingEventsDispatcher.filePath]) {
+      pendingEventsDispatcher.sendPendingEvents(request => eventProcessor.dispatchPendingBatch(request));
+      retriedPendingEventsFiles[pendingEventsDispatcher.filePath] = true;
+    }
+
     const odpExplicitlyOff = config.odpOptions?.disabled === true;
     if (odpExplicitlyOff) {
       logger.info(enums.LOG_MESSAGES.ODP_DISABLED);
     }
 
-    const { clientEngine, clientVersion } = config;
+    const { clientEngine, clientVersion, datafileOptions } = config;
+
+    let datafileManager;
+    if (config.sdkKey) {
+      datafileManager = createHttpPollingDatafileManager(config.sdkKey, logger, config.datafile, datafileOptions);
+    } else if (datafileOptions && datafileOptions.filePath) {
+      // a local datafile file does not need an SDK key
+      datafileManager = createFileDatafileManager(datafileOptions.filePath, datafileOptions.autoUpdate, logger, true);
+    }
 
     const optimizelyOptions = {
       clientEngine: enums.NODE_CLIENT_ENGINE,
@@ -115,9 +155,7 @@ const createInstance = function(config: Config): Client | null {
       eventProcessor,
       logger,
       errorHandler,
-      datafileManager: config.sdkKey
-        ? createHttpPollingDatafileManager(config.sdkKey, logger, config.datafile, config.datafileOptions)
-        : undefined,
+      datafileManager,
       notificationCenter,
       isValidInstance,
       odpManager: odpExplicitlyOff ? undefined
@@ -132,6 +170,11 @@ const createInstance = function(config: Config): Client | null {
   }
 };
 
+const __internalResetRetryState = function(): void {
+  retriedPendingEventsFiles = {};
+  resetFilePendingEventsStores();
+};
+
 /**
  * Entry point into the Optimizely Node testing SDK
  */
@@ -143,7 +186,12 @@ export {
   setLogHandler as setLogger,
   setLogLevel,
   createInstance,
+  __internalResetRetryState,
   OptimizelyDecideOption,
+  createFileDecisionAuditSink,
+  createClientRegistry,
+  createDatafileSignatureVerifier,
+  lintDatafile,
 };
 
 export * from './common_exports';
@@ -157,7 +205,14 @@ export default {
   setLogger: setLogHandler,
   setLogLevel,
   createInstance,
+  __internalResetRetryState,
   OptimizelyDecideOption,
+  createFileDecisionAuditSink,
+  createClientRegistry,
+  createDatafileSignatureVerifier,
+  lintDatafile,
 };
 
 export * from './export_types';
+export { ClientRegistry, ClientRegistryOptions, RegistryClientConfig } from './client_registry/index.node';
+export { DatafileLintIssue } from './core/project_config/datafile_lint';
@@ -0,0 +1,421 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { getLogger } from '../logging';
+import {
+  CompositeDatafileManagerConfig,
+  DatafileManager,
+  DatafileSourceChange,
+  DatafileSourceChangeListener,
+  DatafileSourceHealth,
+  DatafileSourceStatus,
+  DatafileUpdate,
+} from './datafileManager';
+import EventEmitter, { Disposer } from './eventEmitter';
+import { DEFAULT_SOURCE_TIMEOUT } from './config';
+
+const logger = getLogger('CompositeDatafileManager');
+
+const UPDATE_EVT = 'update';
+
+interface SourceState {
+  name: string;
+  createDatafileManager: () => DatafileManager;
+  // manager of the last start of the source, null until the source is started
+  datafileManager: DatafileManager | null;
+  status: DatafileSourceStatus;
+  reason?: string;
+  isStarted: boolean;
+  // true once the source provided a datafile since it was started
+  isReady: boolean;
+  timeout: ReturnType<typeof setTimeout> | null;
+  disposeUpdateListener: Disposer | null;
+  disposeSyncResultListener: Disposer | null;
+}
+
+/**
+ * Gets the datafile from the first of several sources able to provide one, such as the CDN, an internal
+ * mirror, a local file and a default datafile. Sources are tried in order: the next source is started
+ * when a source fails or does not provide a datafile within the source timeout. Sources which were
+ * tried keep running, so that a more preferred source providing a datafile later replaces the active one,
+ * and less preferred sources are then stopped. Only the updates of the active source are emitted.
+ * The health of the sources which provided a datafile follows the result of their syncs: when the active
+ * source becomes unhealthy, the next source is tried, and a more preferred source becoming healthy again
+ * replaces the active one.
+ * Each start of a source creates a new datafile manager, so that a source which is started again is
+ * ready once it provides a new datafile, rather than with the datafile it provided before being stopped.
+ */
+export default class CompositeDatafileManager implements DatafileManager {
+  private readonly sources: SourceState[];
+
+  private readonly sourceTimeout: number;
+
+  private activeSourceIndex: number;
+
+  private currentDatafile: string;
+
+  private readonly readyPromise: Promise<void>;
+
+  private isReadyPromiseSettled: boolean;
+
+  private readyPromiseResolver: () => void;
+
+  private readyPromiseRejecter: (err: Error) => void;
+
+  private readonly emitter: EventEmitter;
+
+  private sourceChangeListeners: DatafileSourceChangeListener[];
+
+  private isStarted: boolean;
+
+  constructor(config: CompositeDatafileManagerConfig) {
+    this.sources = config.sources.map(source => ({
+      name: source.name,
+      createDatafileManager: source.createDatafileManager,
+      datafileManager: null,
+      status: 'idle' as DatafileSourceStatus,
+      isStarted: false,
+      isReady: false,
+      timeout: null,
+      disposeUpdateListener: null,
+      disposeSyncResultListener: null,
+    }));
+
+    this.sourceTimeout =
+      typeof config.sourceTimeout === 'number' && config.sourceTimeout >= 0
+        ? config.sourceTimeout
+        : DEFAULT_SOURCE_TIMEOUT;
+
+    this.activeSourceIndex = -1;
+    this.currentDatafile = '';
+
+    this.readyPromiseResolver = (): void => {};
+    this.readyPromiseRejecter = (): void => {};
+    this.readyPromise = new Promise((resolve, reject) => {
+      this.readyPromiseResolver = resolve;
+      this.readyPromiseRejecter = reject;
+    });
+    this.isReadyPromiseSettled = false;
+
+    this.emitter = new EventEmitter();
+    this.sourceChangeListeners = [];
+    this.isStarted = false;
+  }
+
+  get(): string {
+    return this.currentDatafile;
+  }
+
+  // Return the detached signature of the datafile of the active source
+  getSignature(): string | undefined {
+    const activeManager = this.getActiveDatafileManager();
+    if (activeManager && activeManager.getSignature) {
+      return activeManager.getSignature();
+    }
+    return undefined;
+  }
+
+  // Let the active source save a datafile which was activated, if it persists datafiles
+  persistDatafile(datafile: string, signature?: string, rolledBackRevision?: string | null): void {
+    const activeManager = this.getActiveDatafileManager();
+    if (activeManager && activeManager.persistDatafile) {
+      activeManager.persistDatafile(datafile, signature, rolledBackRevision);
+    }
+  }
+
+  // Return the rolled back revision saved by the active source, if it persists datafiles
+  getRolledBackRevision(): string | null {
+    const activeManager = this.getActiveDatafileManager();
+    if (activeManager && activeManager.getRolledBackRevision) {
+      return activeManager.getRolledBackRevision();
+    }
+    return null;
+  }
+
+  // Return whether the datafile of the active source replaces the current one whatever its revision
+  ignoresRevision(): boolean {
+    const activeManager = this.getActiveDatafileManager();
+    return !!activeManager && !!activeManager.ignoresRevision && activeManager.ignoresRevision();
+  }
+
+  // Return the name of the source providing the datafile, or null if no source provided a datafile yet
+  getActiveSource(): string | null {
+    const activeSource = this.getActiveSourceState();
+    return activeSource ? activeSource.name : null;
+  }
+
+  getSourceHealth(): DatafileSourceHealth[] {
+    return this.sources.map(source => {
+      const health: DatafileSourceHealth = { name: source.name, status: source.status };
+      if (source.reason) {
+        health.reason = source.reason;
+      }
+      return health;
+    });
+  }
+
+  start(): void {
+    if (this.isStarted) {
+      return;
+    }
+    logger.debug('Datafile manager started');
+    this.isStarted = true;
+    if (this.sources.length === 0) {
+      this.rejectReadyPromise(new Error('No datafile sources'));
+      return;
+    }
+    this.startSource(0);
+  }
+
+  stop(): Promise<void> {
+    logger.debug('Datafile manager stopped');
+    this.isStarted = false;
+    this.emitter.removeAllListeners();
+    this.sourceChangeListeners = [];
+    return Promise.all(
+      this.sources.map((source, index) => (source.isStarted ? this.stopSource(index) : Promise.resolve()))
+    ).then(() => {});
+  }
+
+  onReady(): Promise<void> {
+    return this.readyPromise;
+  }
+
+  on(eventName: string, listener: (datafileUpdate: DatafileUpdate) => void): Disposer {
+    return this.emitter.on(eventName, listener);
+  }
+
+  // Add a listener called whenever another source becomes the active source
+  onSourceChange(listener: DatafileSourceChangeListener): Disposer {
+    this.sourceChangeListeners.push(listener);
+    return (): void => {
+      const index = this.sourceChangeListeners.indexOf(listener);
+      if (index > -1) {
+        this.sourceChangeListeners.splice(index, 1);
+      }
+    };
+  }
+
+  private getActiveSourceState(): SourceState | null {
+    return this.activeSourceIndex > -1 ? this.sources[this.activeSourceIndex] : null;
+  }
+
+  private getActiveDatafileManager(): DatafileManager | null {
+    const activeSource = this.getActiveSourceState();
+    return activeSource ? activeSource.datafileManager : null;
+  }
+
+  private startSource(index: number): void {
+    const source = this.sources[index];
+    logger.debug('Trying datafile source %s', source.name);
+    source.status = 'pending';
+    source.reason = undefined;
+    source.isStarted = true;
+    source.isReady = false;
+    const datafileManager = source.createDatafileManager();
+    source.datafileManager = datafileManager;
+    source.disposeUpdateListener = datafileManager.on(UPDATE_EVT, () => {
+      this.onSourceUpdate(index);
+    });
+    if (datafileManager.onSyncResult) {
+      source.disposeSyncResultListener = datafileManager.onSyncResult(error => {
+        this.onSourceSyncResult(index, error);
+      });
+    }
+    source.timeout = setTimeout(() => {
+      source.timeout = null;
+      this.onSourceFailed(index, `Datafile source did not provide a datafile within ${this.sourceTimeout} ms`);
+    }, this.sourceTimeout);
+    datafileManager.start();
+    datafileManager.onReady().then(
+      () => {
+        // the source may have been stopped and started again with another manager in the meantime
+        if (source.datafileManager === datafileManager) {
+          this.onSourceReady(index);
+        }
+      },
+      err => {
+        if (source.datafileManager === datafileManager) {
+          this.onSourceFailed(index, err instanceof Error ? err.message : String(err));
+        }
+      }
+    );
+  }
+
+  private stopSource(index: number): Promise<void> {
+    const source = this.sources[index];
+    source.isStarted = false;
+    if (source.timeout) {
+      clearTimeout(source.timeout);
+      source.timeout = null;
+    }
+    if (source.disposeUpdateListener) {
+      source.disposeUpdateListener();
+      source.disposeUpdateListener = null;
+    }
+    if (source.disposeSyncResultListener) {
+      source.disposeSyncResultListener();
+      source.disposeSyncResultListener = null;
+    }
+    return source.datafileManager ? source.datafileManager.stop() : Promise.resolve();
+  }
+
+  private onSourceReady(index: number): void {
+    const source = this.sources[index];
+    if (!this.isStarted || !source.isStarted) {
+      return;
+    }
+
+    if (source.timeout) {
+      clearTimeout(source.timeout);
+      source.timeout = null;
+    }
+    source.status = 'healthy';
+    source.reason = undefined;
+    source.isReady = true;
+    const activeSource = this.getActiveSourceState();
+    if (!activeSource || index < this.activeSourceIndex || activeSource.status === 'unhealthy') {
+      this.activateSource(index);
+    }
+  }
+
+  private onSourceFailed(index: number, reason: string): void {
+    const source = this.sources[index];
+    if (!this.isStarted || !source.isStarted || source.status === 'healthy') {
+      return;
+    }
+
+    if (source.timeout) {
+      clearTimeout(source.timeout);
+      source.timeout = null;
+    }
+    source.status = 'unhealthy';
+    source.reason = reason;
+    logger.warn('Datafile source %s is unhealthy: %s', source.name, reason);
+
+    const activeSource = this.getActiveSourceState();
+    if (activeSource && activeSource.status !== 'unhealthy') {
+      return;
+    }
+    this.startNextSource(index);
+    if (!this.isReadyPromiseSettled && this.sources.every(s => s.status === 'unhealthy')) {
+      this.rejectReadyPromise(new Error('Failed to become ready'));
+    }
+  }
+
+  // Update the health of a source which provided a datafile from the result of its last sync
+  private onSourceSyncResult(index: number, error: Error | null): void {
+    const source = this.sources[index];
+    if (!this.isStarted || !source.isStarted || !source.isReady) {
+      return;
+    }
+
+    if (error) {
+      if (source.status === 'healthy') {
+        source.status = 'unhealthy';
+        source.reason = error.message;
+        logger.warn('Datafile source %s is unhealthy: %s', source.name, error.message);
+        if (index === this.activeSourceIndex) {
+          this.startNextSource(index);
+        }
+      }
+      return;
+    }
+
+    if (source.status === 'unhealthy') {
+      source.status = 'healthy';
+      source.reason = undefined;
+      logger.info('Datafile source %s is healthy again', source.name);
+      if (index < this.activeSourceIndex) {
+        this.activateSource(index);
+      } else if (index === this.activeSourceIndex) {
+        this.stopLessPreferredSources(index);
+      }
+    }
+  }
+
+  private startNextSource(index: number): void {
+    const nextIndex = index + 1;
+    if (nextIndex < this.sources.length && this.sources[nextIndex].status === 'idle') {
+      this.startSource(nextIndex);
+    }
+  }
+
+  private onSourceUpdate(index: number): void {
+    const activeManager = this.getActiveDatafileManager();
+    if (!this.isStarted || index !== this.activeSourceIndex || !activeManager) {
+      return;
+    }
+    this.updateDatafile(activeManager.get());
+  }
+
+  // Make a source the active one, and stop the less preferred sources
+  private activateSource(index: number): void {
+    const previousSource = this.getActiveSourceState();
+    const source = this.sources[index];
+    // only started sources, which have a datafile manager, are activated
+    if (!source.datafileManager) {
+      return;
+    }
+    this.activeSourceIndex = index;
+    logger.info('Using datafile source %s', source.name);
+    this.stopLessPreferredSources(index);
+    this.updateDatafile(source.datafileManager.get());
+
+    const sourceChange: DatafileSourceChange = {
+      source: source.name,
+      previousSource: previousSource ? previousSource.name : null,
+      sources: this.getSourceHealth(),
+    };
+    this.sourceChangeListeners.forEach(listener => listener(sourceChange));
+  }
+
+  // Stop the sources less preferred than the given one, which are idle again
+  private stopLessPreferredSources(index: number): void {
+    for (let i = index + 1; i < this.sources.length; i++) {
+      const lessPreferredSource = this.sources[i];
+      if (lessPreferredSource.isStarted) {
+        lessPreferredSource.status = 'idle';
+        lessPreferredSource.reason = undefined;
+        this.stopSource(i);
+      }
+    }
+  }
+
+  // Make the given datafile current, resolving the ready promise if this is the first datafile
+  // and emitting an update otherwise
+  private updateDatafile(datafile: string): void {
+    this.currentDatafile = datafile;
+    if (!this.isReadyPromiseSettled) {
+      this.resolveReadyPromise();
+    } else {
+      const datafileUpdate: DatafileUpdate = {
+        datafile,
+      };
+      this.emitter.emit(UPDATE_EVT, datafileUpdate);
+    }
+  }
+
+  private resolveReadyPromise(): void {
+    this.readyPromiseResolver();
+    this.isReadyPromiseSettled = true;
+  }
+
+  private rejectReadyPromise(err: Error): void {
+    this.readyPromiseRejecter(err);
+    this.isReadyPromiseSettled = true;
+  }
+}
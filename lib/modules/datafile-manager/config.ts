@@ -31,3 +31,10 @@ export const DEFAULT_AUTHENTICATED_URL_TEMPLATE = `https://config.optimizely.com
 export const BACKOFF_BASE_WAIT_SECONDS_BY_ERROR_COUNT = [0, 8, 16, 32, 64, 128, 256, 512];
 
 export const REQUEST_TIMEOUT_MS = 60 * 1000; // 1 minute
+
+const DEFAULT_SOURCE_TIMEOUT_SECONDS = 5;
+/** Time (5 seconds in milliseconds) a source of a composite datafile manager is given before the next source is tried. */
+export const DEFAULT_SOURCE_TIMEOUT = DEFAULT_SOURCE_TIMEOUT_SECONDS * 1000;
+
+/** Time (in milliseconds) without further changes of a watched datafile file before it is reloaded. */
+export const DEFAULT_FILE_DEBOUNCE_INTERVAL = 100;
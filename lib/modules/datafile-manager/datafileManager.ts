@@ -14,6 +14,7 @@
  * limitations under the License.
  */
 import PersistentKeyValueCache from '../../plugins/key_value_cache/persistentKeyValueCache';
+import { NodeRequestAgent } from '../../utils/http_request_handler/node_request_handler';
 
 export interface DatafileUpdate {
   datafile: string;
@@ -23,6 +24,11 @@ export interface DatafileUpdateListener {
   (datafileUpdate: DatafileUpdate): void;
 }
 
+export interface DatafileSyncResultListener {
+  /** Called with null when a sync succeeded, even if the datafile did not change, or with the error of a failed sync. */
+  (error: Error | null): void;
+}
+
 // TODO: Replace this with the one from js-sdk-models
 interface Managed {
   start(): void;
@@ -32,10 +38,45 @@ interface Managed {
 
 export interface DatafileManager extends Managed {
   get: () => string;
+  getSignature?: () => string | undefined;
+  persistDatafile?: (datafile: string, signature?: string, rolledBackRevision?: string | null) => void;
+  getRolledBackRevision?: () => string | null;
+  getActiveSource?: () => string | null;
+  onSourceChange?: (listener: DatafileSourceChangeListener) => () => void;
+  onSyncResult?: (listener: DatafileSyncResultListener) => () => void;
+  ignoresRevision?: () => boolean;
   on: (eventName: string, listener: DatafileUpdateListener) => () => void;
   onReady: () => Promise<void>;
 }
 
+/**
+ * Status of a source of a CompositeDatafileManager:
+ * - idle: the source was not tried yet
+ * - pending: the source was started and has not provided a datafile yet
+ * - healthy: the source provided a datafile, and its last sync succeeded
+ * - unhealthy: the source failed or timed out before providing a datafile, or its last sync failed
+ */
+export type DatafileSourceStatus = 'idle' | 'pending' | 'healthy' | 'unhealthy';
+
+export interface DatafileSourceHealth {
+  name: string;
+  status: DatafileSourceStatus;
+  /** Reason the source is unhealthy. */
+  reason?: string;
+}
+
+export interface DatafileSourceChange {
+  /** Name of the source providing the datafile. */
+  source: string;
+  /** Name of the source which provided the datafile before, or null for the first datafile. */
+  previousSource: string | null;
+  sources: DatafileSourceHealth[];
+}
+
+export interface DatafileSourceChangeListener {
+  (change: DatafileSourceChange): void;
+}
+
 export interface DatafileManagerConfig {
   autoUpdate?: boolean;
   datafile?: string;
@@ -44,8 +85,53 @@ export interface DatafileManagerConfig {
   updateInterval?: number;
   urlTemplate?: string;
   cache?: PersistentKeyValueCache;
+  /** Name added to the cache keys, so that datafile managers with the same SDK key do not share their cached datafile. */
+  cacheName?: string;
+  /** Name of the response header carrying the detached signature of the datafile. */
+  signatureHeader?: string;
+  /** URL template of a sidecar file holding the detached signature of the datafile, %s is replaced with the SDK key. */
+  signatureUrlTemplate?: string;
 }
 
 export interface NodeDatafileManagerConfig extends DatafileManagerConfig {
   datafileAccessToken?: string;
+  /** Agent managing the connections of the datafile requests, instead of the global agent. */
+  agent?: NodeRequestAgent;
+}
+
+export interface DatafileSource {
+  name: string;
+  /** Creates the datafile manager of the source, called each time the source is started. */
+  createDatafileManager: () => DatafileManager;
+}
+
+export interface CompositeDatafileManagerConfig {
+  /** Sources of the datafile, from the most to the least preferred. */
+  sources: DatafileSource[];
+  /** Milliseconds a source is given to provide a datafile before the next source is tried. */
+  sourceTimeout?: number;
+}
+
+export interface FileDatafileManagerConfig {
+  /** Path of the datafile. */
+  filePath: string;
+  /** When true (the default), the file is watched and the datafile is reloaded whenever the file changes. */
+  autoUpdate?: boolean;
+  /** Milliseconds without further changes of the file before it is reloaded. */
+  debounceInterval?: number;
+  /** Returns true if a datafile read from the file can be used. Defaults to checking that it is a JSON object. */
+  validateDatafile?: (datafile: string) => boolean;
+  /**
+   * When true, the datafiles of the file are used whatever their revision, as the file can be edited by hand
+   * without changing the revision. Defaults to false, which a file used as a fallback source should keep,
+   * so that it does not replace a newer datafile.
+   */
+  ignoreRevision?: boolean;
+}
+
+export interface StreamingDatafileManagerConfig extends NodeDatafileManagerConfig {
+  /** URL template of the Server-Sent Events endpoint announcing datafile updates, %s is replaced with the SDK key. */
+  streamUrlTemplate: string;
+  /** Milliseconds the stream may stay silent before it is considered disconnected. Defaults to 60 seconds. */
+  streamIdleTimeout?: number;
 }
@@ -0,0 +1,108 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const DEFAULT_EVENT_NAME = 'message';
+
+export interface StreamEvent {
+  event: string;
+  data: string;
+  id?: string;
+}
+
+export interface EventStreamHandlers {
+  // Called once the server accepted the stream request
+  onOpen(): void;
+  onEvent(event: StreamEvent): void;
+  // Called once when the stream ends, with the error that ended it if any.
+  // Not called when the stream is closed through EventStream.close.
+  onClose(err?: Error): void;
+}
+
+export interface EventStream {
+  close(): void;
+}
+
+/**
+ * Incrementally parses a Server-Sent Events stream (https://html.spec.whatwg.org/multipage/server-sent-events.html)
+ * and calls onEvent for each dispatched event. Chunks may split lines and events at any point.
+ */
+export class EventStreamParser {
+  private buffer = '';
+
+  private eventName = '';
+
+  private dataLines: string[] = [];
+
+  private lastEventId?: string;
+
+  constructor(private readonly onEvent: (event: StreamEvent) => void) {}
+
+  write(chunk: string): void {
+    this.buffer += chunk;
+    // A trailing \r may be the first half of a \r\n split across chunks,
+    // so the line it ends is kept in the buffer until the next chunk
+    const endsWithCarriageReturn = this.buffer.charAt(this.buffer.length - 1) === '\r';
+    const lines = (endsWithCarriageReturn ? this.buffer.slice(0, -1) : this.buffer).split(/\r\n|\r|\n/);
+    // The last element is an incomplete line or an empty string
+    this.buffer = (lines.pop() || '') + (endsWithCarriageReturn ? '\r' : '');
+    lines.forEach(line => this.processLine(line));
+  }
+
+  private processLine(line: string): void {
+    if (line === '') {
+      this.dispatchEvent();
+      return;
+    }
+    if (line.charAt(0) === ':') {
+      // comment, usually a keep-alive
+      return;
+    }
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.substring(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.substring(colonIndex + 1);
+    if (value.charAt(0) === ' ') {
+      value = value.substring(1);
+    }
+
+    switch (field) {
+      case 'event':
+        this.eventName = value;
+        break;
+      case 'data':
+        this.dataLines.push(value);
+        break;
+      case 'id':
+        this.lastEventId = value;
+        break;
+      default:
+        // retry and unknown fields are ignored
+        break;
+    }
+  }
+
+  private dispatchEvent(): void {
+    if (this.dataLines.length > 0) {
+      this.onEvent({
+        event: this.eventName || DEFAULT_EVENT_NAME,
+        data: this.dataLines.join('\n'),
+        id: this.lastEventId,
+      });
+    }
+    this.eventName = '';
+    this.dataLines = [];
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getLogger } from '../logging';
+import { DatafileManager, DatafileUpdate, FileDatafileManagerConfig } from './datafileManager';
+import EventEmitter, { Disposer } from './eventEmitter';
+import { DEFAULT_FILE_DEBOUNCE_INTERVAL } from './config';
+
+const logger = getLogger('FileDatafileManager');
+
+const UPDATE_EVT = 'update';
+
+function isJsonObject(datafile: string): boolean {
+  try {
+    const datafileObj = JSON.parse(datafile);
+    return typeof datafileObj === 'object' && datafileObj !== null && !Array.isArray(datafileObj);
+  } catch (ex) {
+    return false;
+  }
+}
+
+/**
+ * Reads the datafile from a local file when started. The ready promise is rejected if the file can't be read,
+ * or if its datafile is not valid.
+ * With autoUpdate, the directory of the file is watched, so that the file is reloaded whenever it is written
+ * or replaced, once it has not changed for the debounce interval. A reloaded datafile is only used if it is
+ * valid, and then emitted in an update event like the datafiles fetched by HttpPollingDatafileManager.
+ * With ignoreRevision, the datafiles of the file are used whatever their revision, for a file edited by hand.
+ */
+export default class FileDatafileManager implements DatafileManager {
+  private readonly filePath: string;
+
+  private readonly autoUpdate: boolean;
+
+  private readonly debounceInterval: number;
+
+  private readonly validateDatafile: (datafile: string) => boolean;
+
+  private readonly ignoreRevision: boolean;
+
+  private currentDatafile: string;
+
+  private readonly readyPromise: Promise<void>;
+
+  private isReadyPromiseSettled: boolean;
+
+  private readyPromiseResolver: () => void;
+
+  private readyPromiseRejecter: (err: Error) => void;
+
+  private readonly emitter: EventEmitter;
+
+  private isStarted: boolean;
+
+  private watcher: fs.FSWatcher | null;
+
+  private debounceTimeout: ReturnType<typeof setTimeout> | null;
+
+  constructor(config: FileDatafileManagerConfig) {
+    this.filePath = config.filePath;
+    this.autoUpdate = config.autoUpdate !== false;
+    this.debounceInterval =
+      typeof config.debounceInterval === 'number' && config.debounceInterval >= 0
+        ? config.debounceInterval
+        : DEFAULT_FILE_DEBOUNCE_INTERVAL;
+    this.validateDatafile = config.validateDatafile || isJsonObject;
+    this.ignoreRevision = config.ignoreRevision === true;
+    this.currentDatafile = '';
+
+    this.readyPromiseResolver = (): void => {};
+    this.readyPromiseRejecter = (): void => {};
+    this.readyPromise = new Promise((resolve, reject) => {
+      this.readyPromiseResolver = resolve;
+      this.readyPromiseRejecter = reject;
+    });
+    this.isReadyPromiseSettled = false;
+
+    this.emitter = new EventEmitter();
+    this.isStarted = false;
+    this.watcher = null;
+    this.debounceTimeout = null;
+  }
+
+  get(): string {
+    return this.currentDatafile;
+  }
+
+  ignoresRevision(): boolean {
+    return this.ignoreRevision;
+  }
+
+  start(): void {
+    if (this.isStarted) {
+      return;
+    }
+    logger.debug('Datafile manager started');
+    this.isStarted = true;
+    if (this.autoUpdate) {
+      this.watchFile();
+    }
+    this.loadDatafile();
+  }
+
+  stop(): Promise<void> {
+    logger.debug('Datafile manager stopped');
+    this.isStarted = false;
+    if (this.debounceTimeout) {
+      clearTimeout(this.debounceTimeout);
+      this.debounceTimeout = null;
+    }
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.emitter.removeAllListeners();
+    return Promise.resolve();
+  }
+
+  onReady(): Promise<void> {
+    return this.readyPromise;
+  }
+
+  on(eventName: string, listener: (datafileUpdate: DatafileUpdate) => void): Disposer {
+    return this.emitter.on(eventName, listener);
+  }
+
+  // Watch the directory rather than the file, which keeps working when the file is replaced by a rename
+  private watchFile(): void {
+    const fileName = path.basename(this.filePath);
+    try {
+      this.watcher = fs.watch(path.dirname(this.filePath), { persistent: false }, (eventType, changedFileName) => {
+        if (!changedFileName || changedFileName.toString() === fileName) {
+          this.scheduleReload();
+        }
+      });
+      this.watcher.on('error', (err: Error) => {
+        logger.error('Error watching datafile file %s: %s', this.filePath, err.message);
+      });
+    } catch (ex) {
+      logger.error('Error watching datafile file %s: %s', this.filePath, ex.message);
+    }
+  }
+
+  // Reload the file once it has not changed for the debounce interval, so that a write in progress is not read
+  private scheduleReload(): void {
+    if (this.debounceTimeout) {
+      clearTimeout(this.debounceTimeout);
+    }
+    this.debounceTimeout = setTimeout(() => {
+      this.debounceTimeout = null;
+      this.loadDatafile();
+    }, this.debounceInterval);
+  }
+
+  private loadDatafile(): void {
+    logger.debug('Reading datafile from file %s', this.filePath);
+    fs.promises.readFile(this.filePath, 'utf8').then(
+      datafile => {
+        if (!this.isStarted || (this.isReadyPromiseSettled && datafile === this.currentDatafile)) {
+          return;
+        }
+        if (!this.validateDatafile(datafile)) {
+          logger.error('Ignoring invalid datafile from file %s', this.filePath);
+          this.rejectReadyPromise();
+          return;
+        }
+        logger.info('Updating datafile from file %s', this.filePath);
+        this.updateDatafile(datafile);
+      },
+      err => {
+        if (!this.isStarted) {
+          return;
+        }
+        logger.error('Error reading datafile from file %s: %s', this.filePath, err.message);
+        this.rejectReadyPromise();
+      }
+    );
+  }
+
+  // Make the given datafile current, resolving the ready promise if this is the first datafile
+  // and emitting an update otherwise
+  private updateDatafile(datafile: string): void {
+    this.currentDatafile = datafile;
+    if (!this.isReadyPromiseSettled) {
+      this.readyPromiseResolver();
+      this.isReadyPromiseSettled = true;
+    } else {
+      const datafileUpdate: DatafileUpdate = {
+        datafile,
+      };
+      this.emitter.emit(UPDATE_EVT, datafileUpdate);
+    }
+  }
+
+  // Reject the ready promise if no datafile was loaded yet. With autoUpdate, a valid datafile written
+  // to the file later is still loaded, and emitted in an update event.
+  private rejectReadyPromise(): void {
+    if (!this.isReadyPromiseSettled) {
+      this.readyPromiseRejecter(new Error(`Failed to read datafile file ${this.filePath}`));
+      this.isReadyPromiseSettled = true;
+    }
+  }
+}
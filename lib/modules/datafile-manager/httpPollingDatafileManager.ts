@@ -16,7 +16,7 @@
 
 import { getLogger } from '../logging';
 import { sprintf } from '../../utils/fns';
-import { DatafileManager, DatafileManagerConfig, DatafileUpdate } from './datafileManager';
+import { DatafileManager, DatafileManagerConfig, DatafileSyncResultListener, DatafileUpdate } from './datafileManager';
 import EventEmitter, { Disposer } from './eventEmitter';
 import { AbortableRequest, Response, Headers } from './http';
 import { DEFAULT_UPDATE_INTERVAL, MIN_UPDATE_INTERVAL, DEFAULT_URL_TEMPLATE, UPDATE_INTERVAL_BELOW_MINIMUM_MESSAGE } from './config';
@@ -74,7 +74,9 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
 
   private readonly emitter: EventEmitter;
 
-  private readonly autoUpdate: boolean;
+  private syncResultListeners: DatafileSyncResultListener[];
+
+  protected readonly autoUpdate: boolean;
 
   private readonly updateInterval: number;
 
@@ -96,6 +98,24 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
 
   private sdkKey: string;
 
+  private currentSignature?: string;
+
+  private readonly signatureHeader?: string;
+
+  private readonly signatureUrl?: string;
+
+  private signatureCacheKey: string;
+
+  private rolledBackRevisionCacheKey: string;
+
+  // Revision rolled back by the project config manager, which is persisted along with the datafile rolled back to
+  private rolledBackRevision: string | null;
+
+  private isReadingRolledBackRevision: boolean;
+
+  // Datafile fetched while the rolled back revision was being read from the cache, and its signature
+  private deferredDatafile: { datafile: string; signature?: string } | null;
+
   // When true, this means the update interval timeout fired before the current
   // sync completed. In that case, we should sync again immediately upon
   // completion of the current request, instead of waiting another update
@@ -114,9 +134,20 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
       updateInterval = DEFAULT_UPDATE_INTERVAL,
       urlTemplate = DEFAULT_URL_TEMPLATE,
       cache = noOpKeyValueCache,
+      cacheName,
+      signatureHeader,
+      signatureUrlTemplate,
     } = configWithDefaultsApplied;
     this.cache = cache;
-    this.cacheKey = 'opt-datafile-' + sdkKey;
+    const cacheKeySuffix = cacheName ? sdkKey + '-' + cacheName : sdkKey;
+    this.cacheKey = 'opt-datafile-' + cacheKeySuffix;
+    this.signatureCacheKey = 'opt-datafile-signature-' + cacheKeySuffix;
+    this.rolledBackRevisionCacheKey = 'opt-datafile-rolled-back-revision-' + cacheKeySuffix;
+    this.rolledBackRevision = null;
+    this.isReadingRolledBackRevision = false;
+    this.deferredDatafile = null;
+    this.signatureHeader = signatureHeader;
+    this.signatureUrl = signatureUrlTemplate ? sprintf(signatureUrlTemplate, sdkKey) : undefined;
     this.sdkKey = sdkKey;
     this.isReadyPromiseSettled = false;
     this.readyPromiseResolver = (): void => { };
@@ -141,6 +172,8 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
 
     this.emitter = new EventEmitter();
 
+    this.syncResultListeners = [];
+
     this.autoUpdate = autoUpdate;
 
     this.updateInterval = updateInterval;
@@ -161,6 +194,11 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
     return this.currentDatafile;
   }
 
+  // Return the detached signature of the current datafile, from the response header or the sidecar file
+  getSignature(): string | undefined {
+    return this.currentSignature;
+  }
+
   start(): void {
     if (!this.isStarted) {
       logger.debug('Datafile manager started');
@@ -180,6 +218,7 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
     }
 
     this.emitter.removeAllListeners();
+    this.syncResultListeners = [];
 
     if (this.currentRequest) {
       this.currentRequest.abort();
@@ -197,6 +236,23 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
     return this.emitter.on(eventName, listener);
   }
 
+  // Add a listener called after each sync, with the error of the sync if it failed
+  onSyncResult(listener: DatafileSyncResultListener): Disposer {
+    this.syncResultListeners.push(listener);
+    return (): void => {
+      const index = this.syncResultListeners.indexOf(listener);
+      if (index > -1) {
+        this.syncResultListeners.splice(index, 1);
+      }
+    };
+  }
+
+  private notifySyncResult(error: Error | null): void {
+    if (this.isStarted) {
+      this.syncResultListeners.slice().forEach(listener => listener(error));
+    }
+  }
+
   private onRequestRejected(err: any): void {
     if (!this.isStarted) {
       return;
@@ -211,14 +267,16 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
     } else {
       logger.error('Error fetching datafile');
     }
+    this.notifySyncResult(err instanceof Error ? err : new Error(typeof err === 'string' ? err : 'Error fetching datafile'));
   }
 
-  private onRequestResolved(response: Response): void {
+  private onRequestResolved(response: Response): Promise<void> | void {
     if (!this.isStarted) {
       return;
     }
 
-    if (typeof response.statusCode !== 'undefined' && isSuccessStatusCode(response.statusCode)) {
+    const isSuccess = typeof response.statusCode !== 'undefined' && isSuccessStatusCode(response.statusCode);
+    if (isSuccess) {
       this.backoffController.reset();
     } else {
       this.backoffController.countError();
@@ -227,22 +285,122 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
     this.trySavingLastModified(response.headers);
 
     const datafile = this.getNextDatafileFromResponse(response);
-    if (datafile !== '') {
-      logger.info('Updating datafile from response');
-      this.currentDatafile = datafile;
-      this.cache.set(this.cacheKey, datafile);
-      if (!this.isReadyPromiseSettled) {
-        this.resolveReadyPromise();
+    if (datafile === '') {
+      this.notifySyncResult(isSuccess ? null : new Error(`Datafile fetch request failed with status: ${response.statusCode}`));
+      return;
+    }
+
+    if (this.signatureUrl) {
+      return this.fetchSignature(this.signatureUrl).then(signature => {
+        if (this.isStarted) {
+          logger.info('Updating datafile from response');
+          this.updateDatafile(datafile, signature);
+          this.notifySyncResult(null);
+        }
+      });
+    }
+    logger.info('Updating datafile from response');
+    this.updateDatafile(datafile, this.getSignatureFromHeaders(response.headers));
+    this.notifySyncResult(null);
+  }
+
+  // Return true if the signature of each datafile is fetched along with it
+  protected fetchesSignature(): boolean {
+    return !!(this.signatureHeader || this.signatureUrl);
+  }
+
+  private getSignatureFromHeaders(headers: Headers): string | undefined {
+    if (!this.signatureHeader) {
+      return undefined;
+    }
+    return headers[this.signatureHeader] || headers[this.signatureHeader.toLowerCase()];
+  }
+
+  // Fetch the sidecar file holding the signature of the datafile. The promise is fulfilled with
+  // undefined if the signature can't be fetched.
+  private fetchSignature(signatureUrl: string): Promise<string | undefined> {
+    logger.debug('Making datafile signature request to url %s', signatureUrl);
+    this.currentRequest = this.makeGetRequest(signatureUrl, {});
+    return this.currentRequest.responsePromise.then(
+      response => {
+        if (typeof response.statusCode !== 'undefined' && isSuccessStatusCode(response.statusCode)) {
+          return response.body.trim() || undefined;
+        }
+        logger.error('Datafile signature fetch request failed with status: %s', response.statusCode);
+        return undefined;
+      },
+      err => {
+        if (this.isStarted) {
+          logger.error('Error fetching datafile signature: %s', err instanceof Error ? err.message : err);
+        }
+        return undefined;
+      }
+    );
+  }
+
+  // Make the given datafile current, resolving the ready promise if this is the first datafile
+  // and emitting an update otherwise. The first datafile waits for the rolled back revision to be read.
+  protected updateDatafile(datafile: string, signature?: string): void {
+    if (!this.isReadyPromiseSettled && this.isReadingRolledBackRevision) {
+      this.deferredDatafile = { datafile, signature };
+      return;
+    }
+    this.currentDatafile = datafile;
+    this.currentSignature = signature;
+    if (!this.isReadyPromiseSettled) {
+      this.resolveReadyPromise();
+    } else {
+      const datafileUpdate: DatafileUpdate = {
+        datafile,
+      };
+      NotificationRegistry.getNotificationCenter(this.sdkKey, logger)?.sendNotifications(
+        NOTIFICATION_TYPES.OPTIMIZELY_CONFIG_UPDATE
+      );
+      this.emitter.emit(UPDATE_EVT, datafileUpdate);
+    }
+  }
+
+  // Save a datafile which was activated to the cache, along with its signature, as the last known good datafile
+  // used on the next start. Datafiles are not cached when fetched, so a datafile failing to activate never
+  // replaces the cached one. The revision rolled back by the project config manager, if any, is saved too, so
+  // that it keeps being ignored after a restart.
+  persistDatafile(datafile: string, signature?: string, rolledBackRevision?: string | null): void {
+    const onCacheError = (err: Error): void => {
+      logger.error('Error saving datafile to cache: %s', err.message);
+    };
+    this.cache.set(this.cacheKey, datafile).catch(onCacheError);
+    if (this.fetchesSignature()) {
+      if (signature) {
+        this.cache.set(this.signatureCacheKey, signature).catch(onCacheError);
       } else {
-        const datafileUpdate: DatafileUpdate = {
-          datafile,
-        };
-        NotificationRegistry.getNotificationCenter(this.sdkKey, logger)?.sendNotifications(
-          NOTIFICATION_TYPES.OPTIMIZELY_CONFIG_UPDATE
-        );
-        this.emitter.emit(UPDATE_EVT, datafileUpdate);
+        this.cache.remove(this.signatureCacheKey).catch(onCacheError);
       }
     }
+    if (rolledBackRevision) {
+      this.cache.set(this.rolledBackRevisionCacheKey, rolledBackRevision).catch(onCacheError);
+    } else if (this.rolledBackRevision !== null) {
+      this.cache.remove(this.rolledBackRevisionCacheKey).catch(onCacheError);
+    }
+    this.rolledBackRevision = rolledBackRevision || null;
+  }
+
+  // Return the revision rolled back before the last start, read from the cache before the ready promise is resolved
+  getRolledBackRevision(): string | null {
+    return this.rolledBackRevision;
+  }
+
+  // Return true if another sync should be scheduled after each sync
+  protected shouldPoll(): boolean {
+    return this.autoUpdate;
+  }
+
+  // Fetch the datafile now, or right after the request in flight completes
+  protected requestSync(): void {
+    if (this.currentRequest) {
+      this.syncOnCurrentRequestComplete = true;
+    } else {
+      this.syncDatafile();
+    }
   }
 
   private onRequestComplete(this: HttpPollingDatafileManager): void {
@@ -252,12 +410,12 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
 
     this.currentRequest = null;
 
-    if (!this.isReadyPromiseSettled && !this.autoUpdate) {
+    if (!this.isReadyPromiseSettled && !this.autoUpdate && !this.deferredDatafile) {
       // We will never resolve ready, so reject it
       this.rejectReadyPromise(new Error('Failed to become ready'));
     }
 
-    if (this.autoUpdate && this.syncOnCurrentRequestComplete) {
+    if (this.syncOnCurrentRequestComplete) {
       this.syncDatafile();
     }
     this.syncOnCurrentRequestComplete = false;
@@ -275,8 +433,8 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
     const onRequestComplete = (): void => {
       this.onRequestComplete();
     };
-    const onRequestResolved = (response: Response): void => {
-      this.onRequestResolved(response);
+    const onRequestResolved = (response: Response): Promise<void> | void => {
+      return this.onRequestResolved(response);
     };
     const onRequestRejected = (err: any): void => {
       this.onRequestRejected(err);
@@ -285,7 +443,7 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
       .then(onRequestResolved, onRequestRejected)
       .then(onRequestComplete, onRequestComplete);
 
-    if (this.autoUpdate) {
+    if (this.shouldPoll()) {
       this.scheduleNextUpdate();
     }
   }
@@ -304,12 +462,12 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
     const currentBackoffDelay = this.backoffController.getDelay();
     const nextUpdateDelay = Math.max(currentBackoffDelay, this.updateInterval);
     logger.debug('Scheduling sync in %s ms', nextUpdateDelay);
+    if (this.currentTimeout) {
+      clearTimeout(this.currentTimeout);
+    }
     this.currentTimeout = setTimeout(() => {
-      if (this.currentRequest) {
-        this.syncOnCurrentRequestComplete = true;
-      } else {
-        this.syncDatafile();
-      }
+      this.currentTimeout = null;
+      this.requestSync();
     }, nextUpdateDelay);
   }
 
@@ -336,13 +494,64 @@ export default abstract class HttpPollingDatafileManager implements DatafileMana
     }
   }
 
+  // Use the cached datafile if no datafile was fetched yet. The rolled back revision is read from the cache first:
+  // after a rollback, the cached datafile is the one rolled back to, so it is used even if a datafile was fetched
+  // meanwhile, which then becomes an update.
   setDatafileFromCacheIfAvailable(): void {
-    this.cache.get(this.cacheKey).then(datafile => {
-      if (this.isStarted && !this.isReadyPromiseSettled && datafile) {
-        logger.debug('Using datafile from cache');
-        this.currentDatafile = datafile;
-        this.resolveReadyPromise();
-      }
-    });
+    if (this.cache === noOpKeyValueCache) {
+      return;
+    }
+    this.isReadingRolledBackRevision = true;
+    this.cache
+      .get(this.rolledBackRevisionCacheKey)
+      .then(rolledBackRevision => {
+        this.rolledBackRevision = rolledBackRevision || null;
+      })
+      .catch(err => {
+        logger.error('Error reading datafile from cache: %s', err.message);
+      })
+      .then(() => {
+        this.isReadingRolledBackRevision = false;
+        if (this.rolledBackRevision === null) {
+          this.updateDeferredDatafile();
+          return this.setDatafileFromCache();
+        }
+        return this.setDatafileFromCache().then(() => this.updateDeferredDatafile());
+      });
+  }
+
+  private setDatafileFromCache(): Promise<void> {
+    const onCacheError = (err: Error): void => {
+      logger.error('Error reading datafile from cache: %s', err.message);
+    };
+    return this.cache
+      .get(this.cacheKey)
+      .then((datafile): Promise<void> | void => {
+        if (this.isStarted && !this.isReadyPromiseSettled && datafile) {
+          if (this.fetchesSignature()) {
+            // a cached datafile is only used along with its cached signature
+            return this.cache.get(this.signatureCacheKey).then(signature => {
+              if (this.isStarted && !this.isReadyPromiseSettled && signature) {
+                logger.debug('Using datafile and signature from cache');
+                this.currentDatafile = datafile;
+                this.currentSignature = signature;
+                this.resolveReadyPromise();
+              }
+            });
+          }
+          logger.debug('Using datafile from cache');
+          this.currentDatafile = datafile;
+          this.resolveReadyPromise();
+        }
+      })
+      .catch(onCacheError);
+  }
+
+  private updateDeferredDatafile(): void {
+    const deferredDatafile = this.deferredDatafile;
+    this.deferredDatafile = null;
+    if (this.isStarted && deferredDatafile) {
+      this.updateDatafile(deferredDatafile.datafile, deferredDatafile.signature);
+    }
   }
 }
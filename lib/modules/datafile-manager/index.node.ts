@@ -15,6 +15,22 @@
  */
 
 import NodeDatafileManager from './nodeDatafileManager';
+import StreamingDatafileManager from './streamingDatafileManager';
+import CompositeDatafileManager from './compositeDatafileManager';
+import FileDatafileManager from './fileDatafileManager';
+import StaticDatafileManager from './staticDatafileManager';
 export * from './datafileManager';
-export { NodeDatafileManager as HttpPollingDatafileManager };
-export default { HttpPollingDatafileManager: NodeDatafileManager };
+export {
+  NodeDatafileManager as HttpPollingDatafileManager,
+  StreamingDatafileManager,
+  CompositeDatafileManager,
+  FileDatafileManager,
+  StaticDatafileManager,
+};
+export default {
+  HttpPollingDatafileManager: NodeDatafileManager,
+  StreamingDatafileManager,
+  CompositeDatafileManager,
+  FileDatafileManager,
+  StaticDatafileManager,
+};
@@ -19,12 +19,14 @@ import { makeGetRequest } from './nodeRequest';
 import HttpPollingDatafileManager from './httpPollingDatafileManager';
 import { Headers, AbortableRequest } from './http';
 import { NodeDatafileManagerConfig, DatafileManagerConfig } from './datafileManager';
+import { NodeRequestAgent } from '../../utils/http_request_handler/node_request_handler';
 import { DEFAULT_URL_TEMPLATE, DEFAULT_AUTHENTICATED_URL_TEMPLATE } from './config';
 
 const logger = getLogger('NodeDatafileManager');
 
 export default class NodeDatafileManager extends HttpPollingDatafileManager {
   private accessToken?: string;
+  protected agent?: NodeRequestAgent;
 
   constructor(config: NodeDatafileManagerConfig) {
     const defaultUrlTemplate = config.datafileAccessToken ? DEFAULT_AUTHENTICATED_URL_TEMPLATE : DEFAULT_URL_TEMPLATE;
@@ -33,6 +35,7 @@ export default class NodeDatafileManager extends HttpPollingDatafileManager {
       urlTemplate: config.urlTemplate || defaultUrlTemplate,
     });
     this.accessToken = config.datafileAccessToken;
+    this.agent = config.agent;
   }
 
   protected makeGetRequest(reqUrl: string, headers: Headers): AbortableRequest {
@@ -41,7 +44,7 @@ export default class NodeDatafileManager extends HttpPollingDatafileManager {
       logger.debug('Adding Authorization header with Bearer Token');
       requestHeaders['Authorization'] = `Bearer ${this.accessToken}`;
     }
-    return makeGetRequest(reqUrl, requestHeaders);
+    return makeGetRequest(reqUrl, requestHeaders, this.agent);
   }
 
   protected getConfigDefaults(): Partial<DatafileManagerConfig> {
@@ -0,0 +1,146 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import http from 'http';
+import https from 'https';
+import { Headers } from './http';
+import { EventStream, EventStreamHandlers, EventStreamParser } from './eventStream';
+import { getAgentForProtocol, NodeRequestAgent } from '../../utils/http_request_handler/node_request_handler';
+
+// Shared signature between http.request and https.request
+type ClientRequestCreator = (url: URL, options: http.RequestOptions) => http.ClientRequest;
+
+// Milliseconds without receiving anything, not even a keep-alive comment, after which the stream is considered dead
+export const DEFAULT_STREAM_IDLE_TIMEOUT = 60000;
+
+export interface EventStreamOptions {
+  idleTimeout?: number;
+  // agent of the stream request, or an agent per protocol, instead of the global agent
+  agent?: NodeRequestAgent;
+}
+
+/**
+ * Open a Server-Sent Events stream with a long-lived GET request.
+ * The stream is closed with an error when the connection drops or stays idle for longer than the idle timeout.
+ * The handlers are not called anymore once the returned stream is closed.
+ */
+export function openEventStream(
+  reqUrl: string,
+  headers: Headers,
+  handlers: EventStreamHandlers,
+  options: EventStreamOptions = {}
+): EventStream {
+  const idleTimeout = options.idleTimeout || DEFAULT_STREAM_IDLE_TIMEOUT;
+  let isClosed = false;
+  const close = (err?: Error): void => {
+    if (!isClosed) {
+      isClosed = true;
+      handlers.onClose(err);
+    }
+  };
+  // Report asynchronously, like a failed connection
+  const failToOpen = (err: Error): EventStream => {
+    setTimeout(() => close(err), 0);
+    return {
+      close(): void {
+        isClosed = true;
+      },
+    };
+  };
+
+  let parsedUrl: URL;
+  try {
+    parsedUrl = new URL(reqUrl);
+  } catch (err) {
+    return failToOpen(new Error(`Invalid stream URL: ${reqUrl}`));
+  }
+
+  let requester: ClientRequestCreator;
+  if (parsedUrl.protocol === 'http:') {
+    requester = http.request;
+  } else if (parsedUrl.protocol === 'https:') {
+    requester = https.request;
+  } else {
+    return failToOpen(new Error(`Unsupported protocol: ${parsedUrl.protocol}`));
+  }
+
+  const request = requester(parsedUrl, {
+    method: 'GET',
+    agent: getAgentForProtocol(options.agent, parsedUrl.protocol),
+    headers: {
+      ...headers,
+      accept: 'text/event-stream',
+      'cache-control': 'no-cache',
+    },
+  });
+
+  request.once('response', (incomingMessage: http.IncomingMessage) => {
+    if (isClosed) {
+      return;
+    }
+
+    if (incomingMessage.statusCode !== 200) {
+      incomingMessage.resume();
+      request.abort();
+      close(new Error(`Stream request failed with status: ${incomingMessage.statusCode}`));
+      return;
+    }
+
+    handlers.onOpen();
+
+    const parser = new EventStreamParser(event => {
+      if (!isClosed) {
+        handlers.onEvent(event);
+      }
+    });
+    incomingMessage.setEncoding('utf8');
+    incomingMessage.on('data', (chunk: string) => {
+      if (!isClosed) {
+        parser.write(chunk);
+      }
+    });
+    incomingMessage.on('end', () => close());
+    // without 'end', the connection dropped in the middle of the stream
+    incomingMessage.on('aborted', () => close(new Error('Stream connection was aborted')));
+    incomingMessage.on('error', (err: Error) => close(err));
+    incomingMessage.on('close', () => close(new Error('Stream connection was closed')));
+  });
+
+  // Also covers half-open connections, which never report an error
+  request.setTimeout(idleTimeout, () => {
+    close(new Error(`Stream was idle for ${idleTimeout} ms`));
+    request.abort();
+  });
+
+  request.on('error', (err: unknown) => {
+    if (err instanceof Error) {
+      close(err);
+    } else if (typeof err === 'string') {
+      close(new Error(err));
+    } else {
+      close(new Error('Stream request error'));
+    }
+  });
+
+  request.end();
+
+  return {
+    close(): void {
+      isClosed = true;
+      request.abort();
+    },
+  };
+}
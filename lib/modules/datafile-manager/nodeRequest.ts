@@ -18,6 +18,7 @@ import http from 'http';
 import https from 'https';
 import url from 'url';
 import { Headers, AbortableRequest, Response } from './http';
+import { getAgentForProtocol, NodeRequestAgent } from '../../utils/http_request_handler/node_request_handler';
 import { REQUEST_TIMEOUT_MS } from './config';
 import decompressResponse from 'decompress-response';
 
@@ -115,7 +116,7 @@ function getResponseFromRequest(request: http.ClientRequest): Promise<Response>
   });
 }
 
-export function makeGetRequest(reqUrl: string, headers: Headers): AbortableRequest {
+export function makeGetRequest(reqUrl: string, headers: Headers, agent?: NodeRequestAgent): AbortableRequest {
   // TODO: Use non-legacy URL parsing when we drop support for Node 6
   const parsedUrl = url.parse(reqUrl);
 
@@ -134,6 +135,7 @@ export function makeGetRequest(reqUrl: string, headers: Headers): AbortableReque
   const requestOptions: http.RequestOptions = {
     ...getRequestOptionsFromUrl(parsedUrl),
     method: 'GET',
+    agent: getAgentForProtocol(agent, parsedUrl.protocol),
     headers: {
       ...headers,
       'accept-encoding': 'gzip,deflate',
@@ -0,0 +1,49 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { DatafileManager, DatafileUpdate } from './datafileManager';
+import { Disposer } from './eventEmitter';
+
+/**
+ * Provides a datafile given upfront, such as a default datafile embedded in the application.
+ * It is ready as soon as it is started and never emits updates.
+ */
+export default class StaticDatafileManager implements DatafileManager {
+  private readonly datafile: string;
+
+  constructor(datafile: string) {
+    this.datafile = datafile;
+  }
+
+  get(): string {
+    return this.datafile;
+  }
+
+  start(): void {}
+
+  stop(): Promise<void> {
+    return Promise.resolve();
+  }
+
+  onReady(): Promise<void> {
+    return Promise.resolve();
+  }
+
+  // eslint-disable-next-line @typescript-eslint/no-unused-vars
+  on(_eventName: string, _listener: (datafileUpdate: DatafileUpdate) => void): Disposer {
+    return (): void => {};
+  }
+}
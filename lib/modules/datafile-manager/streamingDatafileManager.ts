@@ -0,0 +1,204 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { getLogger } from '../logging';
+import { sprintf } from '../../utils/fns';
+import { openEventStream } from './nodeEventStream';
+import NodeDatafileManager from './nodeDatafileManager';
+import BackoffController from './backoffController';
+import { Headers } from './http';
+import { EventStream, StreamEvent } from './eventStream';
+import { StreamingDatafileManagerConfig } from './datafileManager';
+
+const logger = getLogger('StreamingDatafileManager');
+
+// The stream event carrying a complete datafile
+export const STREAM_DATAFILE_EVENT = 'datafile';
+
+// The stream event announcing the latest datafile revision, which is then fetched from the datafile URL
+export const STREAM_REVISION_EVENT = 'revision';
+
+/**
+ * Receives datafile updates as they are published through a Server-Sent Events stream.
+ * While the stream is disconnected, the datafile is polled like in NodeDatafileManager,
+ * and reconnection attempts are spaced by a BackoffController.
+ * Without autoUpdate, the stream is not used and the datafile is only fetched once.
+ */
+export default class StreamingDatafileManager extends NodeDatafileManager {
+  private readonly streamUrl: string;
+
+  private readonly streamHeaders: Headers;
+
+  private readonly streamBackoffController: BackoffController;
+
+  private stream: EventStream | null;
+
+  private isStreaming: boolean;
+
+  private isStreamConnected: boolean;
+
+  // When true, the stream was disconnected since it was last connected, so updates may have been missed
+  private hasStreamDropped: boolean;
+
+  private reconnectTimeout: ReturnType<typeof setTimeout> | null;
+
+  private readonly streamIdleTimeout?: number;
+
+  constructor(config: StreamingDatafileManagerConfig) {
+    super(config);
+    this.streamUrl = sprintf(config.streamUrlTemplate, config.sdkKey);
+    this.streamHeaders = {};
+    if (config.datafileAccessToken) {
+      this.streamHeaders['Authorization'] = `Bearer ${config.datafileAccessToken}`;
+    }
+    this.streamBackoffController = new BackoffController();
+    this.stream = null;
+    this.isStreaming = false;
+    this.isStreamConnected = false;
+    this.hasStreamDropped = false;
+    this.reconnectTimeout = null;
+    this.streamIdleTimeout = config.streamIdleTimeout;
+  }
+
+  start(): void {
+    if (this.isStreaming) {
+      return;
+    }
+    super.start();
+    if (this.autoUpdate) {
+      this.isStreaming = true;
+      this.streamBackoffController.reset();
+      this.connectStream();
+    }
+  }
+
+  stop(): Promise<void> {
+    this.isStreaming = false;
+    this.isStreamConnected = false;
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+    if (this.stream) {
+      this.stream.close();
+      this.stream = null;
+    }
+    return super.stop();
+  }
+
+  protected shouldPoll(): boolean {
+    return this.autoUpdate && !this.isStreamConnected;
+  }
+
+  private connectStream(): void {
+    logger.debug('Connecting to datafile stream at %s', this.streamUrl);
+    this.stream = openEventStream(this.streamUrl, this.streamHeaders, {
+      onOpen: () => this.onStreamOpen(),
+      onEvent: (event: StreamEvent) => this.onStreamEvent(event),
+      onClose: (err?: Error) => this.onStreamClose(err),
+    }, { idleTimeout: this.streamIdleTimeout, agent: this.agent });
+  }
+
+  private onStreamOpen(): void {
+    if (!this.isStreaming) {
+      return;
+    }
+
+    logger.info('Datafile stream connected');
+    this.isStreamConnected = true;
+    this.streamBackoffController.reset();
+    if (this.hasStreamDropped) {
+      this.hasStreamDropped = false;
+      // Catch up with updates published while the stream was disconnected
+      this.requestSync();
+    }
+  }
+
+  private onStreamEvent(event: StreamEvent): void {
+    if (!this.isStreaming) {
+      return;
+    }
+
+    switch (event.event) {
+      case STREAM_DATAFILE_EVENT:
+        if (this.fetchesSignature()) {
+          // datafiles pushed on the stream have no signature, so the signed datafile is fetched instead
+          logger.debug('Datafile is available, fetching signed datafile');
+          this.requestSync();
+          break;
+        }
+        try {
+          JSON.parse(event.data);
+        } catch (ex) {
+          logger.error('Ignoring invalid datafile from stream: %s', ex.message);
+          return;
+        }
+        logger.info('Updating datafile from stream');
+        this.updateDatafile(event.data);
+        break;
+      case STREAM_REVISION_EVENT: {
+        const revision = event.data.trim();
+        if (revision !== this.getCurrentRevision()) {
+          logger.debug('Datafile revision %s is available, fetching datafile', revision);
+          this.requestSync();
+        }
+        break;
+      }
+      default:
+        logger.debug('Ignoring datafile stream event: %s', event.event);
+    }
+  }
+
+  private onStreamClose(err?: Error): void {
+    if (!this.isStreaming) {
+      return;
+    }
+
+    if (err) {
+      logger.warn('Datafile stream disconnected: %s', err.message);
+    } else {
+      logger.warn('Datafile stream disconnected');
+    }
+
+    const wasConnected = this.isStreamConnected;
+    this.stream = null;
+    this.isStreamConnected = false;
+    this.hasStreamDropped = true;
+    this.streamBackoffController.countError();
+    if (wasConnected) {
+      // Fall back to polling until the stream is reconnected
+      this.requestSync();
+    }
+    this.scheduleReconnect();
+  }
+
+  private scheduleReconnect(): void {
+    const reconnectDelay = this.streamBackoffController.getDelay();
+    logger.debug('Reconnecting to datafile stream in %s ms', reconnectDelay);
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.connectStream();
+    }, reconnectDelay);
+  }
+
+  private getCurrentRevision(): string | undefined {
+    try {
+      return JSON.parse(this.get()).revision;
+    } catch (ex) {
+      return undefined;
+    }
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { getLogger } from '../logging'
+import { objectValues } from '../../utils/fns'
+
+import { Synchronizer } from './synchronizer'
+import { EventV1Request } from './eventDispatcher'
+import PersistentKeyValueCache from '../../plugins/key_value_cache/persistentKeyValueCache'
+
+const logger = getLogger('DeadLetterStore')
+
+export const DEFAULT_DEAD_LETTER_STORE_KEY = 'fs_optly_dead_letter_events'
+export const DEFAULT_DEAD_LETTER_STORE_MAX_SIZE = 1000
+
+/**
+ * An event batch which could not be dispatched
+ */
+export type DeadLetterEntry = {
+  uuid: string
+  timestamp: number
+  request: EventV1Request
+  // number of dispatch attempts made
+  attempts: number
+  // status code of the last attempt, 0 for network errors
+  statusCode: number
+}
+
+/**
+ * Receives the event batches which failed permanently, so they can be inspected or replayed
+ */
+export interface DeadLetterStore {
+  add(entry: DeadLetterEntry): Promise<void>
+}
+
+/**
+ * A dead letter store keeping entries in a PersistentKeyValueCache, as a single JSON map stored
+ * under one key. When full, the oldest entries are dropped to make room for new ones.
+ */
+export class PersistentDeadLetterStore implements DeadLetterStore {
+  private cache: PersistentKeyValueCache
+  private storeKey: string
+  private maxSize: number
+  private synchronizer: Synchronizer = new Synchronizer()
+
+  constructor({
+    cache,
+    storeKey = DEFAULT_DEAD_LETTER_STORE_KEY,
+    maxSize = DEFAULT_DEAD_LETTER_STORE_MAX_SIZE,
+  }: {
+    cache: PersistentKeyValueCache
+    storeKey?: string
+    maxSize?: number
+  }) {
+    this.cache = cache
+    this.storeKey = storeKey
+    this.maxSize = maxSize
+  }
+
+  async add(entry: DeadLetterEntry): Promise<void> {
+    await this.synchronizer.getLock()
+    try {
+      const entriesMap = await this.getEntriesMap()
+      entriesMap[entry.uuid] = entry
+      const entries = objectValues(entriesMap).sort((a, b) => a.timestamp - b.timestamp)
+      for (let i = 0; i < entries.length - this.maxSize; i++) {
+        logger.warn('Dead letter store is full, dropping event batch %s', entries[i].uuid)
+        delete entriesMap[entries[i].uuid]
+      }
+      await this.cache.set(this.storeKey, JSON.stringify(entriesMap))
+    } finally {
+      this.synchronizer.releaseLock()
+    }
+  }
+
+  async getAll(): Promise<DeadLetterEntry[]> {
+    await this.synchronizer.getLock()
+    try {
+      const entriesMap = await this.getEntriesMap()
+      return objectValues(entriesMap).sort((a, b) => a.timestamp - b.timestamp)
+    } finally {
+      this.synchronizer.releaseLock()
+    }
+  }
+
+  async remove(uuid: string): Promise<void> {
+    await this.synchronizer.getLock()
+    try {
+      const entriesMap = await this.getEntriesMap()
+      delete entriesMap[uuid]
+      await this.cache.set(this.storeKey, JSON.stringify(entriesMap))
+    } finally {
+      this.synchronizer.releaseLock()
+    }
+  }
+
+  async clear(): Promise<void> {
+    await this.synchronizer.getLock()
+    try {
+      await this.cache.remove(this.storeKey)
+    } finally {
+      this.synchronizer.releaseLock()
+    }
+  }
+
+  private async getEntriesMap(): Promise<{ [uuid: string]: DeadLetterEntry }> {
+    const cachedValue = (await this.cache.get(this.storeKey)) || '{}'
+    return JSON.parse(cachedValue)
+  }
+}
+
+/**
+ * Creates a dead letter store keeping entries in the given PersistentKeyValueCache
+ * @param  {PersistentKeyValueCache}    cache
+ * @param  {string}                     storeKey  (Optional) key the entries are stored under
+ * @param  {number}                     maxSize   (Optional) maximum number of entries kept
+ * @return {PersistentDeadLetterStore}
+ */
+export function createPersistentDeadLetterStore(
+  cache: PersistentKeyValueCache,
+  storeKey?: string,
+  maxSize?: number,
+): PersistentDeadLetterStore {
+  return new PersistentDeadLetterStore({ cache, storeKey, maxSize })
+}
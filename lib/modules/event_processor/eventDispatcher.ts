@@ -23,6 +23,8 @@ export type EventDispatcherCallback = (response: EventDispatcherResponse) => voi
 
 export interface EventDispatcher {
   dispatchEvent(event: EventV1Request, callback: EventDispatcherCallback): void
+  // called once a request which failed is given up on and will not be dispatched again
+  discardEvent?(event: EventV1Request): void
 }
 
 export interface EventV1Request {
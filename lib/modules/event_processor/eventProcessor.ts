@@ -17,13 +17,17 @@
 import { Managed } from './managed'
 import { ConversionEvent, ImpressionEvent } from './events'
 import { EventV1Request } from './eventDispatcher'
-import { EventQueue, DefaultEventQueue, SingleEventQueue, EventQueueSink } from './eventQueue'
+import { EventQueue, DefaultEventQueue, SingleEventQueue, EventQueueSink, QueuedEvent } from './eventQueue'
+import { PendingEventsStore } from './pendingEventsStore'
 import { getLogger } from '../logging'
 import { NOTIFICATION_TYPES } from '../../utils/enums'
 import { NotificationSender } from '../../core/notification_center'
 
 export const DEFAULT_FLUSH_INTERVAL = 30000 // Unit is ms - default flush interval is 30s
 export const DEFAULT_BATCH_SIZE = 10
+export const DEFAULT_MAX_RETRIES = 3
+export const DEFAULT_INITIAL_RETRY_BACKOFF = 1000 // Unit is ms
+export const DEFAULT_MAX_RETRY_BACKOFF = 30000 // Unit is ms
 
 const logger = getLogger('EventProcessor')
 
@@ -31,6 +35,13 @@ export type ProcessableEvent = ConversionEvent | ImpressionEvent
 
 export type EventDispatchResult = { result: boolean; event: ProcessableEvent }
 
+export type EventRetryOptions = {
+  // retries after the first attempt, 0 disables retrying
+  maxRetries?: number
+  initialBackoff?: number
+  maxBackoff?: number
+}
+
 export interface EventProcessor extends Managed {
   process(event: ProcessableEvent): void
 }
@@ -57,12 +68,30 @@ export function validateAndGetBatchSize(batchSize: number): number {
   return batchSize
 }
 
+/**
+ * Return true if a dispatch which completed with the given status code may succeed when retried:
+ * network errors, reported with a 0 status code, and server errors
+ */
+export function isRetryableStatusCode(statusCode: number): boolean {
+  return statusCode === 0 || statusCode >= 500
+}
+
+/**
+ * Return the delay before the given retry (starting at 1), picked at random between 0 and an
+ * exponentially growing upper bound so that clients failing together do not retry together
+ */
+export function getRetryBackoff(retryNumber: number, initialBackoff: number, maxBackoff: number): number {
+  const upperBound = Math.min(maxBackoff, initialBackoff * Math.pow(2, retryNumber - 1))
+  return Math.floor(Math.random() * upperBound)
+}
+
 export function getQueue(
   batchSize: number, 
   flushInterval: number, 
   batchComparator: (eventA: ProcessableEvent, eventB: ProcessableEvent) => boolean,
   sink: EventQueueSink<ProcessableEvent>,
-  closingSink?: EventQueueSink<ProcessableEvent>
+  closingSink?: EventQueueSink<ProcessableEvent>,
+  store?: PendingEventsStore<QueuedEvent<ProcessableEvent>>
 ): EventQueue<ProcessableEvent> {
   let queue: EventQueue<ProcessableEvent>
   if (batchSize > 1) {
@@ -72,6 +101,7 @@ export function getQueue(
       sink,
       closingSink,
       batchComparator,
+      store,
     })
   } else {
     queue = new SingleEventQueue({ sink })
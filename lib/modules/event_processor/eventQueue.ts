@@ -17,11 +17,19 @@
 import { getLogger } from '../logging';
 // TODO change this to use Managed from js-sdk-models when available
 import { Managed } from './managed';
+import { PendingEventsStore } from './pendingEventsStore';
+import { uuid, getTimestamp } from '../../utils/fns';
 
 const logger = getLogger('EventProcessor');
 
 export type EventQueueSink<K> = (buffer: K[]) => Promise<any>;
 
+export type QueuedEvent<K> = {
+  uuid: string;
+  timestamp: number;
+  event: K;
+};
+
 export interface EventQueue<K> extends Managed {
   enqueue(event: K): void;
 }
@@ -89,6 +97,10 @@ export class DefaultEventQueue<K> implements EventQueue<K> {
   // together in the same batch
   private batchComparator: (eventA: K, eventB: K) => boolean;
   private started: boolean;
+  // store persisting the buffered events until they are passed to the sink, so that they are not lost
+  // if the process exits before flushing
+  private store?: PendingEventsStore<QueuedEvent<K>>;
+  private bufferIds: string[];
 
   constructor({
     flushInterval,
@@ -96,14 +108,18 @@ export class DefaultEventQueue<K> implements EventQueue<K> {
     sink,
     closingSink,
     batchComparator,
+    store,
   }: {
     flushInterval: number;
     maxQueueSize: number;
     sink: EventQueueSink<K>;
     closingSink?: EventQueueSink<K>;
     batchComparator: (eventA: K, eventB: K) => boolean;
+    store?: PendingEventsStore<QueuedEvent<K>>;
   }) {
     this.buffer = [];
+    this.bufferIds = [];
+    this.store = store;
     this.maxQueueSize = Math.max(maxQueueSize, 1);
     this.sink = sink;
     this.closingSink = closingSink;
@@ -127,6 +143,7 @@ export class DefaultEventQueue<K> implements EventQueue<K> {
     const result = this.closingSink ? this.closingSink(this.buffer) : this.sink(this.buffer);
     this.buffer = [];
     this.timer.stop();
+    this.removeFromStore();
     return result;
   }
 
@@ -148,6 +165,11 @@ export class DefaultEventQueue<K> implements EventQueue<K> {
       this.timer.refresh();
     }
     this.buffer.push(event);
+    if (this.store) {
+      const id = uuid();
+      this.store.set(id, { uuid: id, timestamp: getTimestamp(), event });
+      this.bufferIds.push(id);
+    }
 
     if (this.buffer.length >= this.maxQueueSize) {
       this.flush();
@@ -158,5 +180,15 @@ export class DefaultEventQueue<K> implements EventQueue<K> {
     this.sink(this.buffer);
     this.buffer = [];
     this.timer.stop();
+    this.removeFromStore();
+  }
+
+  // Remove the events passed to the sink from the store, the sink being responsible for them from then on
+  private removeFromStore(): void {
+    if (this.store) {
+      const store = this.store;
+      this.bufferIds.forEach(id => store.remove(id));
+    }
+    this.bufferIds = [];
   }
 }
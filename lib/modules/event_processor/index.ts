@@ -21,3 +21,4 @@ export * from './managed'
 export * from './pendingEventsDispatcher'
 export * from './v1/buildEventV1'
 export * from './v1/v1EventProcessor'
+export * from './deadLetterStore'
@@ -15,6 +15,7 @@
  */
 import { getLogger } from '../logging'
 import { EventDispatcher, EventV1Request, EventDispatcherCallback } from './eventDispatcher'
+import { isRetryableStatusCode } from './eventProcessor'
 import { PendingEventsStore, LocalStorageStore } from './pendingEventsStore'
 import { uuid, getTimestamp } from '../../utils/fns'
 
@@ -29,6 +30,8 @@ export type DispatcherEntry = {
 export class PendingEventsDispatcher implements EventDispatcher {
   protected dispatcher: EventDispatcher
   protected store: PendingEventsStore<DispatcherEntry>
+  // ids of the entries of requests which are still in the store, so that dispatching them again reuses their entry
+  private entryIds = new WeakMap<EventV1Request, string>()
 
   constructor({
     eventDispatcher,
@@ -42,24 +45,43 @@ export class PendingEventsDispatcher implements EventDispatcher {
   }
 
   dispatchEvent(request: EventV1Request, callback: EventDispatcherCallback): void {
+    const entryId = this.entryIds.get(request)
+    const entry = entryId ? this.store.get(entryId) : null
     this.send(
       {
-        uuid: uuid(),
-        timestamp: getTimestamp(),
+        uuid: entry ? entry.uuid : uuid(),
+        timestamp: entry ? entry.timestamp : getTimestamp(),
         request,
       },
       callback,
     )
   }
 
-  sendPendingEvents(): void {
+  discardEvent(request: EventV1Request): void {
+    const entryId = this.entryIds.get(request)
+    if (entryId) {
+      this.entryIds.delete(request)
+      this.store.remove(entryId)
+    }
+  }
+
+  /**
+   * Send the events left in the store. dispatch lets the caller send them with retries, such as through
+   * an event processor, which calls dispatchEvent again with the same request: its entry is then kept.
+   */
+  sendPendingEvents(dispatch?: (request: EventV1Request) => void): void {
     const pendingEvents = this.store.values()
 
     logger.debug('Sending %s pending events from previous page', pendingEvents.length)
 
     pendingEvents.forEach(item => {
       try {
-        this.send(item, () => {})
+        if (dispatch) {
+          this.entryIds.set(item.request, item.uuid)
+          dispatch(item.request)
+        } else {
+          this.send(item, () => {})
+        }
       } catch (e)
         {
           logger.debug(String(e))
@@ -71,7 +93,14 @@ export class PendingEventsDispatcher implements EventDispatcher {
     this.store.set(entry.uuid, entry)
 
     this.dispatcher.dispatchEvent(entry.request, response => {
-      this.store.remove(entry.uuid)
+      // requests failing with a network or server error stay in the store until they are delivered
+      const statusCode = response && response.statusCode
+      if (statusCode !== undefined && isRetryableStatusCode(statusCode)) {
+        this.entryIds.set(entry.request, entry.uuid)
+      } else {
+        this.entryIds.delete(entry.request)
+        this.store.remove(entry.uuid)
+      }
       callback(response)
     })
   }
@@ -16,30 +16,51 @@
 import { getLogger } from '../../logging'
 import { NotificationSender } from '../../../core/notification_center'
 
-import { EventDispatcher } from '../eventDispatcher'
+import { uuid, getTimestamp } from '../../../utils/fns'
+
+import { EventDispatcher, EventV1Request, EventDispatcherResponse } from '../eventDispatcher'
 import {
   getQueue,
+  getRetryBackoff,
+  isRetryableStatusCode,
   EventProcessor,
+  EventRetryOptions,
   ProcessableEvent,
   sendEventNotification,
   validateAndGetBatchSize,
   validateAndGetFlushInterval,
   DEFAULT_BATCH_SIZE,
   DEFAULT_FLUSH_INTERVAL,
+  DEFAULT_INITIAL_RETRY_BACKOFF,
+  DEFAULT_MAX_RETRIES,
+  DEFAULT_MAX_RETRY_BACKOFF,
 } from '../eventProcessor'
-import { EventQueue } from '../eventQueue'
+import { EventQueue, QueuedEvent } from '../eventQueue'
+import { PendingEventsStore } from '../pendingEventsStore'
 import RequestTracker from '../requestTracker'
+import { DeadLetterStore } from '../deadLetterStore'
 import { areEventContextsEqual } from '../events'
 import { formatEvents } from './buildEventV1'
 
 const logger = getLogger('LogTierV1EventProcessor')
 
+type PendingRetry = {
+  timeout: ReturnType<typeof setTimeout>
+  giveUp: () => void
+}
+
 export class LogTierV1EventProcessor implements EventProcessor {
   private dispatcher: EventDispatcher
   private closingDispatcher?: EventDispatcher
   private queue: EventQueue<ProcessableEvent>
   private notificationCenter?: NotificationSender
   private requestTracker: RequestTracker
+  private maxRetries: number
+  private initialRetryBackoff: number
+  private maxRetryBackoff: number
+  private deadLetterStore?: DeadLetterStore
+  private pendingRetries: PendingRetry[] = []
+  private isStopped = false
 
   constructor({
     dispatcher,
@@ -47,17 +68,28 @@ export class LogTierV1EventProcessor implements EventProcessor {
     flushInterval = DEFAULT_FLUSH_INTERVAL,
     batchSize = DEFAULT_BATCH_SIZE,
     notificationCenter,
+    retryOptions = {},
+    deadLetterStore,
+    queueStore,
   }: {
     dispatcher: EventDispatcher
     closingDispatcher?: EventDispatcher
     flushInterval?: number
     batchSize?: number
     notificationCenter?: NotificationSender
+    retryOptions?: EventRetryOptions
+    deadLetterStore?: DeadLetterStore
+    // store persisting the events waiting in the queue to be batched
+    queueStore?: PendingEventsStore<QueuedEvent<ProcessableEvent>>
   }) {
     this.dispatcher = dispatcher
     this.closingDispatcher = closingDispatcher
     this.notificationCenter = notificationCenter
     this.requestTracker = new RequestTracker()
+    this.maxRetries = retryOptions.maxRetries ?? DEFAULT_MAX_RETRIES
+    this.initialRetryBackoff = retryOptions.initialBackoff ?? DEFAULT_INITIAL_RETRY_BACKOFF
+    this.maxRetryBackoff = retryOptions.maxBackoff ?? DEFAULT_MAX_RETRY_BACKOFF
+    this.deadLetterStore = deadLetterStore
     
     flushInterval = validateAndGetFlushInterval(flushInterval)
     batchSize = validateAndGetBatchSize(batchSize)
@@ -67,6 +99,7 @@ export class LogTierV1EventProcessor implements EventProcessor {
       areEventContextsEqual,
       this.drainQueue.bind(this, false),
       this.drainQueue.bind(this, true),
+      queueStore,
     );
   }
 
@@ -83,15 +116,88 @@ export class LogTierV1EventProcessor implements EventProcessor {
       const dispatcher = useClosingDispatcher && this.closingDispatcher
         ? this.closingDispatcher : this.dispatcher;
 
-      dispatcher.dispatchEvent(formattedEvent, () => {
-        resolve()
-      })
+      // batches dispatched while closing are not retried, to not delay closing
+      this.dispatchWithRetries(dispatcher, formattedEvent, !useClosingDispatcher, 1, resolve)
       sendEventNotification(this.notificationCenter, formattedEvent)
     })
     this.requestTracker.trackRequest(reqPromise)
     return reqPromise
   }
 
+  // Dispatch a batch which was built by another processor, such as a batch left undelivered by a previous
+  // process, with the same retries as the batches of this processor
+  dispatchPendingBatch(request: EventV1Request): void {
+    const reqPromise = new Promise<void>(resolve => {
+      this.dispatchWithRetries(this.dispatcher, request, true, 1, resolve)
+    })
+    this.requestTracker.trackRequest(reqPromise)
+  }
+
+  // Dispatch a batch, retrying network errors and server errors with backoff. Batches which fail
+  // permanently are added to the dead letter store. onComplete is called once the batch is
+  // dispatched or given up on.
+  private dispatchWithRetries(
+    dispatcher: EventDispatcher,
+    request: EventV1Request,
+    canRetry: boolean,
+    attempt: number,
+    onComplete: () => void,
+  ): void {
+    dispatcher.dispatchEvent(request, (response?: EventDispatcherResponse) => {
+      // dispatchers which do not report a status code are assumed to have succeeded
+      const statusCode = response && response.statusCode
+      if (statusCode === undefined || (statusCode >= 200 && statusCode < 400)) {
+        onComplete()
+        return
+      }
+
+      if (!canRetry || this.isStopped || attempt > this.maxRetries || !isRetryableStatusCode(statusCode)) {
+        this.addToDeadLetterStore(dispatcher, request, attempt, statusCode).then(onComplete)
+        return
+      }
+
+      const backoff = getRetryBackoff(attempt, this.initialRetryBackoff, this.maxRetryBackoff)
+      logger.warn('Event dispatch failed with status %s, retrying in %s ms', statusCode, backoff)
+      const pendingRetry: PendingRetry = {
+        timeout: setTimeout(() => {
+          this.pendingRetries.splice(this.pendingRetries.indexOf(pendingRetry), 1)
+          this.dispatchWithRetries(dispatcher, request, canRetry, attempt + 1, onComplete)
+        }, backoff),
+        giveUp: () => {
+          this.addToDeadLetterStore(dispatcher, request, attempt, statusCode).then(onComplete)
+        },
+      }
+      this.pendingRetries.push(pendingRetry)
+    })
+  }
+
+  // Once a batch is in the dead letter store, the dispatcher can discard it: batches are only discarded
+  // when they were added, so that a batch which could not be added is dispatched again by the next process
+  private addToDeadLetterStore(
+    dispatcher: EventDispatcher,
+    request: EventV1Request,
+    attempts: number,
+    statusCode: number,
+  ): Promise<void> {
+    logger.error('Event dispatch failed with status %s after %s attempts', statusCode, attempts)
+    if (!this.deadLetterStore) {
+      return Promise.resolve()
+    }
+    return this.deadLetterStore.add({
+      uuid: uuid(),
+      timestamp: getTimestamp(),
+      request,
+      attempts,
+      statusCode,
+    }).then(() => {
+      if (dispatcher.discardEvent) {
+        dispatcher.discardEvent(request)
+      }
+    }).catch(err => {
+      logger.error('Error adding event batch to dead letter store: "%s"', Object(err).message)
+    })
+  }
+
   process(event: ProcessableEvent): void {
     this.queue.enqueue(event)
   }
@@ -101,6 +207,12 @@ export class LogTierV1EventProcessor implements EventProcessor {
   stop(): Promise<any> {
     // swallow - an error stopping this queue shouldn't prevent this from stopping
     try {
+      this.isStopped = true
+      this.pendingRetries.forEach(pendingRetry => {
+        clearTimeout(pendingRetry.timeout)
+        pendingRetry.giveUp()
+      })
+      this.pendingRetries = []
       this.queue.stop()
       return this.requestTracker.onRequestsComplete()
     } catch (e) {
@@ -110,6 +222,7 @@ export class LogTierV1EventProcessor implements EventProcessor {
   }
 
   async start(): Promise<void> {
+    this.isStopped = false
     await this.queue.start()
   }
 }
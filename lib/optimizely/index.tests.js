@@ -33,6 +33,7 @@ import * as logger from '../plugins/logger';
 import * as decisionService from '../core/decision_service';
 import * as jsonSchemaValidator from '../utils/json_schema_validator';
 import * as projectConfig from '../core/project_config';
+import { diffProjectConfigs } from '../core/project_config/config_diff';
 import testData from '../tests/test_data';
 import { createForwardingEventProcessor } from '../plugins/event_processor/forwarding_event_processor';
 import { createEventProcessor } from '../plugins/event_processor';
@@ -44,12 +45,17 @@ var ERROR_MESSAGES = enums.ERROR_MESSAGES;
 var LOG_LEVEL = enums.LOG_LEVEL;
 var LOG_MESSAGES = enums.LOG_MESSAGES;
 var DECISION_SOURCES = enums.DECISION_SOURCES;
+var DECISION_TRACE_RULE_RESULTS = enums.DECISION_TRACE_RULE_RESULTS;
 var DECISION_MESSAGES = enums.DECISION_MESSAGES;
 var DECISION_NOTIFICATION_TYPES = enums.DECISION_NOTIFICATION_TYPES;
 var FEATURE_VARIABLE_TYPES = enums.FEATURE_VARIABLE_TYPES;
 
 var buildLogMessageFromArgs = args => sprintf(args[1], ...args.splice(2));
 
+// Event processors using the node event dispatcher send real requests, which can fail.
+// Retrying them would dispatch again while later tests stub the dispatcher.
+var noEventRetryOptions = { maxRetries: 0 };
+
 describe('lib/optimizely', function() {
   var ProjectConfigManagerStub;
   var globalStubErrorHandler;
@@ -73,6 +79,8 @@ describe('lib/optimizely', function() {
           stop: sinon.stub(),
           getConfig: sinon.stub().returns(currentConfig),
           onUpdate: sinon.stub().returns(function() {}),
+          onVerificationFailure: sinon.stub().returns(function() {}),
+          onDatafileSourceChange: sinon.stub().returns(function() {}),
           onReady: sinon.stub().returns({ then: function() {} }),
         };
       });
@@ -210,8 +218,12 @@ describe('lib/optimizely', function() {
 
           sinon.assert.calledWith(decisionService.createDecisionService, {
             userProfileService: userProfileServiceInstance,
+            userProfileServiceAsync: null,
+            cmabService: null,
             logger: createdLogger,
             UNSTABLE_conditionEvaluators: undefined,
+            clock: undefined,
+            conditionEvaluators: undefined,
           });
 
           var logMessage = buildLogMessageFromArgs(createdLogger.log.args[0]);
@@ -235,8 +247,12 @@ describe('lib/optimizely', function() {
 
           sinon.assert.calledWith(decisionService.createDecisionService, {
             userProfileService: null,
+            userProfileServiceAsync: null,
+            cmabService: null,
             logger: createdLogger,
             UNSTABLE_conditionEvaluators: undefined,
+            clock: undefined,
+            conditionEvaluators: undefined,
           });
 
           var logMessage = buildLogMessageFromArgs(createdLogger.log.args[0]);
@@ -245,6 +261,100 @@ describe('lib/optimizely', function() {
             "USER_PROFILE_SERVICE_VALIDATOR: Provided user profile service instance is in an invalid format: Missing function 'lookup'."
           );
         });
+
+        it('should validate and pass the async user profile service to the decision service', function() {
+          var userProfileServiceAsyncInstance = {
+            lookup: function() {},
+            save: function() {},
+          };
+
+          new Optimizely({
+            clientEngine: 'node-sdk',
+            logger: createdLogger,
+            datafile: testData.getTestProjectConfig(),
+            jsonSchemaValidator: jsonSchemaValidator,
+            userProfileServiceAsync: userProfileServiceAsyncInstance,
+            notificationCenter,
+            eventProcessor,
+          });
+
+          sinon.assert.calledWith(decisionService.createDecisionService, {
+            userProfileService: null,
+            userProfileServiceAsync: userProfileServiceAsyncInstance,
+            cmabService: null,
+            logger: createdLogger,
+            UNSTABLE_conditionEvaluators: undefined,
+            clock: undefined,
+            conditionEvaluators: undefined,
+          });
+
+          var logMessage = buildLogMessageFromArgs(createdLogger.log.args[0]);
+          assert.strictEqual(logMessage, 'OPTIMIZELY: Valid async user profile service provided.');
+        });
+      });
+
+      it('should pass the clock to the decision service', function() {
+        sinon.stub(decisionService, 'createDecisionService');
+        var clock = function() {
+          return 1714521600000;
+        };
+        try {
+          new Optimizely({
+            clientEngine: 'node-sdk',
+            logger: createdLogger,
+            datafile: testData.getTestProjectConfig(),
+            jsonSchemaValidator: jsonSchemaValidator,
+            clock: clock,
+            notificationCenter,
+            eventProcessor,
+          });
+
+          sinon.assert.calledWith(decisionService.createDecisionService, sinon.match({ clock: clock }));
+        } finally {
+          decisionService.createDecisionService.restore();
+        }
+      });
+
+      describe('when a CMAB decision provider is provided', function() {
+        it('should log an error if the decision provider is invalid', function() {
+          new Optimizely({
+            clientEngine: 'node-sdk',
+            logger: createdLogger,
+            datafile: testData.getTestProjectConfig(),
+            jsonSchemaValidator: jsonSchemaValidator,
+            cmab: { decisionProvider: {} },
+            notificationCenter,
+            eventProcessor,
+          });
+
+          sinon.assert.calledWith(
+            createdLogger.log,
+            LOG_LEVEL.ERROR,
+            '%s: Provided CMAB "decisionProvider" is in an invalid format.',
+            'OPTIMIZELY'
+          );
+        });
+      });
+
+      describe('when decision audit options are provided', function() {
+        it('should log an error if the sinks are invalid', function() {
+          new Optimizely({
+            clientEngine: 'node-sdk',
+            logger: createdLogger,
+            datafile: testData.getTestProjectConfig(),
+            jsonSchemaValidator: jsonSchemaValidator,
+            decisionAudit: { sinks: [{}] },
+            notificationCenter,
+            eventProcessor,
+          });
+
+          sinon.assert.calledWith(
+            createdLogger.log,
+            LOG_LEVEL.ERROR,
+            '%s: Provided "decisionAudit" option is in an invalid format.',
+            'OPTIMIZELY'
+          );
+        });
       });
 
       describe('when an sdkKey is provided', function() {
@@ -291,6 +401,7 @@ describe('lib/optimizely', function() {
             jsonSchemaValidator: jsonSchemaValidator,
             sdkKey: '12345',
             datafileManager: datafileManager,
+            datafileVerifier: undefined,
           });
         });
       });
@@ -4536,6 +4647,7 @@ describe('lib/optimizely', function() {
     var notificationCenter = createNotificationCenter({ logger: createdLogger, errorHandler: errorHandler });
     var eventProcessor = createEventProcessor({
       dispatcher: eventDispatcher,
+      retryOptions: noEventRetryOptions,
       batchSize: 1,
       notificationCenter: notificationCenter,
     });
@@ -5667,6 +5779,69 @@ describe('lib/optimizely', function() {
         });
       });
 
+      describe('with INCLUDE_TRACE flag in decide options', function() {
+        beforeEach(function() {
+          optlyInstance = new Optimizely({
+            clientEngine: 'node-sdk',
+            datafile: testData.getTestDecideProjectConfig(),
+            errorHandler: errorHandler,
+            eventDispatcher: eventDispatcher,
+            jsonSchemaValidator: jsonSchemaValidator,
+            logger: createdLogger,
+            isValidInstance: true,
+            eventBatchSize: 1,
+            notificationCenter,
+            eventProcessor,
+          });
+        });
+
+        it('should not include a trace without the option', function() {
+          var user = new OptimizelyUserContext({
+            optimizely: optlyInstance,
+            userId,
+          });
+          var decision = optlyInstance.decide(user, 'feature_1');
+          assert.notProperty(decision, 'trace');
+        });
+
+        it('should include the rules considered and the outcome of the decision', function() {
+          var user = new OptimizelyUserContext({
+            optimizely: optlyInstance,
+            userId,
+          });
+          var decision = optlyInstance.decide(user, 'feature_1', [OptimizelyDecideOption.INCLUDE_TRACE]);
+          var trace = decision.trace;
+          assert.strictEqual(trace.flagKey, 'feature_1');
+          assert.strictEqual(trace.userId, userId);
+          assert.isNull(trace.forcedDecision);
+          assert.strictEqual(trace.rules[0].ruleKey, 'exp_with_audience');
+          assert.strictEqual(trace.rules[0].result, DECISION_TRACE_RULE_RESULTS.AUDIENCE_MISMATCH);
+          assert.isFalse(trace.rules[0].audienceConditions.result);
+
+          var lastRule = trace.rules[trace.rules.length - 1];
+          assert.strictEqual(lastRule.decisionSource, DECISION_SOURCES.ROLLOUT);
+          assert.strictEqual(lastRule.variationKey, decision.variationKey);
+          assert.deepEqual(trace.outcome, {
+            decisionSource: DECISION_SOURCES.ROLLOUT,
+            ruleKey: decision.ruleKey,
+            variationKey: decision.variationKey,
+            enabled: decision.enabled,
+          });
+        });
+
+        it('should include a forced decision of the flag', function() {
+          var user = new OptimizelyUserContext({
+            optimizely: optlyInstance,
+            userId,
+          });
+          user.setForcedDecision({ flagKey: 'feature_1' }, { variationKey: 'b' });
+          var decision = optlyInstance.decide(user, 'feature_1', [OptimizelyDecideOption.INCLUDE_TRACE]);
+          assert.deepEqual(decision.trace.forcedDecision, { variationKey: 'b', valid: true });
+          assert.deepEqual(decision.trace.rules, []);
+          assert.strictEqual(decision.trace.outcome.variationKey, 'b');
+        });
+      });
+
       describe('when user profile service provided', function() {
         var mockUserProfileServiceInstance;
         var optlyInstanceWithUserProfile;
@@ -5796,6 +5971,151 @@ describe('lib/optimizely', function() {
             sinon.assert.notCalled(mockUserProfileServiceInstance.save);
           });
         });
+
+        describe('with decideForKeys and decideAll', function() {
+          beforeEach(function() {
+            mockUserProfileServiceInstance = {
+              lookup: sinon.stub().returns({
+                user_id: userId,
+                experiment_bucket_map: {},
+              }),
+              save: sinon.stub(),
+            };
+            optlyInstanceWithUserProfile = new Optimizely({
+              clientEngine: 'node-sdk',
+              datafile: testData.getTestDecideProjectConfig(),
+              errorHandler: errorHandler,
+              eventDispatcher: eventDispatcher,
+              jsonSchemaValidator: jsonSchemaValidator,
+              userProfileService: mockUserProfileServiceInstance,
+              logger: createdLogger,
+              isValidInstance: true,
+              eventBatchSize: 1,
+              notificationCenter,
+              eventProcessor,
+            });
+          });
+
+          it('should look up the user profile once and save all bucketing decisions once for decideForKeys', function() {
+            var user = new OptimizelyUserContext({
+              optimizely: optlyInstanceWithUserProfile,
+              userId,
+            });
+            var decisionsMap = optlyInstanceWithUserProfile.decideForKeys(user, ['feature_1', 'feature_2', 'feature_3']);
+            assert.equal(decisionsMap['feature_2'].variationKey, 'variation_with_traffic');
+            sinon.assert.calledOnce(mockUserProfileServiceInstance.lookup);
+            sinon.assert.calledOnce(mockUserProfileServiceInstance.save);
+            sinon.assert.calledWithExactly(mockUserProfileServiceInstance.save, {
+              user_id: userId,
+              experiment_bucket_map: {
+                '10420810910': { variation_id: '10418551353' },
+              },
+            });
+          });
+
+          it('should look up the user profile once and save all bucketing decisions once for decideAll', function() {
+            var user = new OptimizelyUserContext({
+              optimizely: optlyInstanceWithUserProfile,
+              userId,
+            });
+            optlyInstanceWithUserProfile.decideAll(user);
+            sinon.assert.calledOnce(mockUserProfileServiceInstance.lookup);
+            sinon.assert.calledOnce(mockUserProfileServiceInstance.save);
+          });
+
+          it('should not save the user profile when no new bucketing decision was made', function() {
+            mockUserProfileServiceInstance.lookup.returns({
+              user_id: userId,
+              experiment_bucket_map: {
+                '10420810910': { variation_id: '10418510624' },
+              },
+            });
+            var user = new OptimizelyUserContext({
+              optimizely: optlyInstanceWithUserProfile,
+              userId,
+            });
+            var decisionsMap = optlyInstanceWithUserProfile.decideForKeys(user, ['feature_2']);
+            assert.equal(decisionsMap['feature_2'].variationKey, 'variation_no_traffic');
+            sinon.assert.calledOnce(mockUserProfileServiceInstance.lookup);
+            sinon.assert.notCalled(mockUserProfileServiceInstance.save);
+          });
+
+          it('should bypass the user profile service with IGNORE_USER_PROFILE_SERVICE', function() {
+            var user = new OptimizelyUserContext({
+              optimizely: optlyInstanceWithUserProfile,
+              userId,
+            });
+            optlyInstanceWithUserProfile.decideAll(user, [OptimizelyDecideOption.IGNORE_USER_PROFILE_SERVICE]);
+            sinon.assert.notCalled(mockUserProfileServiceInstance.lookup);
+            sinon.assert.notCalled(mockUserProfileServiceInstance.save);
+          });
+        });
+      });
+
+      describe('with holdouts in the datafile', function() {
+        beforeEach(function() {
+          optlyInstance = new Optimizely({
+            clientEngine: 'node-sdk',
+            datafile: testData.getTestDecideProjectConfigWithHoldouts(),
+            errorHandler: errorHandler,
+            eventDispatcher: eventDispatcher,
+            jsonSchemaValidator: jsonSchemaValidator,
+            logger: createdLogger,
+            isValidInstance: true,
+            eventBatchSize: 1,
+            notificationCenter,
+            eventProcessor,
+          });
+        });
+
+        it('should return the holdout variation and dispatch an impression event for it', function() {
+          var flagKey = 'feature_2';
+          var user = new OptimizelyUserContext({
+            optimizely: optlyInstance,
+            userId,
+            attributes: { age: 20 },
+          });
+          var decision = optlyInstance.decide(user, flagKey);
+          assert.strictEqual(decision.variationKey, 'holdout_global_off');
+          assert.strictEqual(decision.ruleKey, 'holdout_global');
+          assert.isFalse(decision.enabled);
+          sinon.assert.calledOnce(eventDispatcher.dispatchEvent);
+          var eventDecision = eventDispatcher.dispatchEvent.getCall(0).args[0].params.visitors[0].snapshots[0].decisions[0];
+          assert.deepEqual(eventDecision, {
+            campaign_id: 'holdout_global_layer_id',
+            experiment_id: 'holdout_global_id',
+            variation_id: 'holdout_global_variation_id',
+            metadata: {
+              flag_key: 'feature_2',
+              rule_key: 'holdout_global',
+              rule_type: 'holdout',
+              variation_key: 'holdout_global_off',
+              enabled: false,
+            },
+          });
+        });
+
+        it('should not dispatch an impression event for a holdout with DISABLE_DECISION_EVENT', function() {
+          var user = new OptimizelyUserContext({
+            optimizely: optlyInstance,
+            userId,
+            attributes: { age: 20 },
+          });
+          var decision = optlyInstance.decide(user, 'feature_2', [OptimizelyDecideOption.DISABLE_DECISION_EVENT]);
+          assert.strictEqual(decision.variationKey, 'holdout_global_off');
+          sinon.assert.notCalled(eventDispatcher.dispatchEvent);
+        });
+
+        it('should make the experiment decision when the user is not in any holdout', function() {
+          var user = new OptimizelyUserContext({
+            optimizely: optlyInstance,
+            userId,
+            attributes: { age: 10 },
+          });
+          var decision = optlyInstance.decide(user, 'feature_2');
+          assert.strictEqual(decision.variationKey, 'variation_with_traffic');
+          assert.strictEqual(decision.ruleKey, 'exp_no_audience');
+        });
       });
     });
 
@@ -6097,6 +6417,633 @@ describe('lib/optimizely', function() {
         });
       });
     });
+
+    describe('#decideTyped', function() {
+      var userId = 'tester';
+      var schema;
+
+      beforeEach(function() {
+        optlyInstance = new Optimizely({
+          clientEngine: 'node-sdk',
+          datafile: testData.getTestDecideProjectConfig(),
+          errorHandler: errorHandler,
+          eventDispatcher: eventDispatcher,
+          jsonSchemaValidator: jsonSchemaValidator,
+          logger: createdLogger,
+          isValidInstance: true,
+          eventBatchSize: 1,
+          notificationCenter,
+          eventProcessor,
+        });
+        schema = {
+          i_42: { type: 'integer', defaultValue: 0 },
+          d_4_2: { type: 'double', defaultValue: 0 },
+          b_true: { type: 'boolean', defaultValue: false },
+          s_foo: { type: 'string', defaultValue: '' },
+        };
+        sinon.stub(createdLogger, 'log');
+      });
+
+      afterEach(function() {
+        createdLogger.log.restore();
+      });
+
+      it('should return the variables declared in the schema', function() {
+        var user = optlyInstance.createUserContext(userId);
+        var decision = user.decideTyped('feature_1', schema);
+        assert.deepEqual(decision.variables, { i_42: 42, d_4_2: 4.2, b_true: true, s_foo: 'foo' });
+        assert.strictEqual(decision.flagKey, 'feature_1');
+        assert.deepEqual(decision.reasons, []);
+      });
+
+      it('should return the variables declared in the schema when EXCLUDE_VARIABLES is set', function() {
+        var user = optlyInstance.createUserContext(userId);
+        var decision = user.decideTyped('feature_1', schema, [OptimizelyDecideOption.EXCLUDE_VARIABLES]);
+        assert.deepEqual(decision.variables, { i_42: 42, d_4_2: 4.2, b_true: true, s_foo: 'foo' });
+      });
+
+      it('should return the default value and a reason for a variable missing from the flag', function() {
+        var user = optlyInstance.createUserContext(userId);
+        var decision = user.decideTyped('feature_2', { s_foo: { type: 'string', defaultValue: 'bar' } });
+        assert.deepEqual(decision.variables, { s_foo: 'bar' });
+        assert.deepEqual(decision.reasons, [sprintf(DECISION_MESSAGES.VARIABLE_NOT_IN_FLAG, 's_foo', 'feature_2')]);
+      });
+
+      it('should return the default value and a reason for a variable of another type', function() {
+        var user = optlyInstance.createUserContext(userId);
+        var decision = user.decideTyped('feature_1', { i_42: { type: 'string', defaultValue: 'forty-two' } });
+        assert.deepEqual(decision.variables, { i_42: 'forty-two' });
+        assert.deepEqual(decision.reasons, [
+          sprintf(DECISION_MESSAGES.VARIABLE_TYPE_MISMATCH, 'i_42', 'integer', 'string'),
+        ]);
+      });
+
+      it('should return the default value and a reason for a value which cannot be parsed', function() {
+        var user = optlyInstance.createUserContext(userId);
+        var decision = user.decideTyped('feature_1', { j_1: { type: 'json', defaultValue: { value: 0 } } });
+        assert.deepEqual(decision.variables, { j_1: { value: 0 } });
+        assert.deepEqual(decision.reasons, [sprintf(DECISION_MESSAGES.VARIABLE_VALUE_INVALID, 'j_1')]);
+      });
+
+      it('should return the default value and a reason for a value failing its validator', function() {
+        var user = optlyInstance.createUserContext(userId);
+        var decision = user.decideTyped('feature_1', {
+          i_42: {
+            type: 'integer',
+            defaultValue: 10,
+            validate: function(value) {
+              return value < 20;
+            },
+          },
+          s_foo: {
+            type: 'string',
+            defaultValue: 'bar',
+            validate: function() {
+              throw new Error('validator failed');
+            },
+          },
+        });
+        assert.deepEqual(decision.variables, { i_42: 10, s_foo: 'bar' });
+        assert.deepEqual(decision.reasons, [
+          sprintf(DECISION_MESSAGES.VARIABLE_VALUE_INVALID, 'i_42'),
+          sprintf(DECISION_MESSAGES.VARIABLE_VALUE_INVALID, 's_foo'),
+        ]);
+      });
+
+      it('should return the default values when the flag key is invalid', function() {
+        var user = optlyInstance.createUserContext(userId);
+        var decision = user.decideTyped('invalid_flag_key', schema);
+        assert.deepEqual(decision.variables, { i_42: 0, d_4_2: 0, b_true: false, s_foo: '' });
+        assert.deepEqual(decision.reasons, [sprintf(DECISION_MESSAGES.FLAG_KEY_INVALID, 'invalid_flag_key')]);
+      });
+    });
+
+    describe('async decide APIs', function() {
+      var userId = 'tester';
+      var userProfileServiceAsync;
+
+      beforeEach(function() {
+        userProfileServiceAsync = {
+          lookup: sinon.stub().resolves({
+            user_id: userId,
+            experiment_bucket_map: {},
+          }),
+          save: sinon.stub().resolves(),
+        };
+        optlyInstance = new Optimizely({
+          clientEngine: 'node-sdk',
+          datafile: testData.getTestDecideProjectConfig(),
+          errorHandler: errorHandler,
+          eventDispatcher: eventDispatcher,
+          jsonSchemaValidator: jsonSchemaValidator,
+          userProfileServiceAsync: userProfileServiceAsync,
+          logger: createdLogger,
+          isValidInstance: true,
+          eventBatchSize: 1,
+          notificationCenter,
+          eventProcessor,
+        });
+      });
+
+      describe('#decideAsync', function() {
+        it('should look up and save the user profile through the async user profile service', async function() {
+          var user = optlyInstance.createUserContext(userId);
+          var decision = await user.decideAsync('feature_2');
+          assert.equal(decision.variationKey, 'variation_with_traffic');
+          assert.equal(decision.ruleKey, 'exp_no_audience');
+          assert.isTrue(decision.enabled);
+          sinon.assert.calledOnce(userProfileServiceAsync.lookup);
+          sinon.assert.calledWithExactly(userProfileServiceAsync.lookup, userId);
+          sinon.assert.calledOnce(userProfileServiceAsync.save);
+          sinon.assert.calledWithExactly(userProfileServiceAsync.save, {
+            user_id: userId,
+            experiment_bucket_map: {
+              '10420810910': { variation_id: '10418551353' },
+            },
+          });
+        });
+
+        it('should return the stored variation from the async user profile service', async function() {
+          userProfileServiceAsync.lookup.resolves({
+            user_id: userId,
+            experiment_bucket_map: {
+              '10420810910': { variation_id: '10418510624' },
+            },
+          });
+          var user = optlyInstance.createUserContext(userId);
+          var decision = await user.decideAsync('feature_2');
+          assert.equal(decision.variationKey, 'variation_no_traffic');
+          sinon.assert.notCalled(userProfileServiceAsync.save);
+        });
+
+        it('should not use the async user profile service when IGNORE_USER_PROFILE_SERVICE is set', async function() {
+          var user = optlyInstance.createUserContext(userId);
+          var decision = await user.decideAsync('feature_2', [OptimizelyDecideOption.IGNORE_USER_PROFILE_SERVICE]);
+          assert.equal(decision.variationKey, 'variation_with_traffic');
+          sinon.assert.notCalled(userProfileServiceAsync.lookup);
+          sinon.assert.notCalled(userProfileServiceAsync.save);
+        });
+
+        it('should still return a decision when the async lookup rejects', async function() {
+          userProfileServiceAsync.lookup.rejects(new Error('lookup failed'));
+          var user = optlyInstance.createUserContext(userId);
+          var decision = await user.decideAsync('feature_2');
+          assert.equal(decision.variationKey, 'variation_with_traffic');
+        });
+      });
+
+      describe('#decideForKeysAsync', function() {
+        it('should look up the user profile once and save it once for all keys', async function() {
+          var user = optlyInstance.createUserContext(userId);
+          var decisionsMap = await user.decideForKeysAsync(['feature_1', 'feature_2']);
+          assert.deepEqual(Object.keys(decisionsMap), ['feature_1', 'feature_2']);
+          sinon.assert.calledOnce(userProfileServiceAsync.lookup);
+          sinon.assert.calledOnce(userProfileServiceAsync.save);
+        });
+      });
+
+      describe('#decideAllAsync', function() {
+        it('should decide all flags with a single async lookup and save', async function() {
+          var configObj = optlyInstance.projectConfigManager.getConfig();
+          var allFlagKeysArray = Object.keys(configObj.featureKeyMap);
+          var user = optlyInstance.createUserContext(userId);
+          var decisionsMap = await user.decideAllAsync();
+          assert.deepEqual(Object.keys(decisionsMap), allFlagKeysArray);
+          sinon.assert.calledOnce(userProfileServiceAsync.lookup);
+          sinon.assert.calledOnce(userProfileServiceAsync.save);
+        });
+      });
+    });
+
+    describe('CMAB rules', function() {
+      var userId = 'tester';
+      var decisionProvider;
+
+      beforeEach(function() {
+        decisionProvider = {
+          getDecision: sinon.stub().resolves('10418510624'),
+        };
+        optlyInstance = new Optimizely({
+          clientEngine: 'node-sdk',
+          datafile: testData.getTestDecideProjectConfigWithCmab(),
+          errorHandler: errorHandler,
+          eventDispatcher: eventDispatcher,
+          jsonSchemaValidator: jsonSchemaValidator,
+          cmab: { decisionProvider: decisionProvider },
+          logger: createdLogger,
+          isValidInstance: true,
+          eventBatchSize: 1,
+          notificationCenter,
+          eventProcessor,
+        });
+      });
+
+      it('should decide the variation chosen by the decision provider with decideAsync', async function() {
+        var user = optlyInstance.createUserContext(userId, { gender: 'f' });
+        var decision = await user.decideAsync('feature_2');
+        assert.equal(decision.variationKey, 'variation_no_traffic');
+        assert.equal(decision.ruleKey, 'exp_no_audience');
+        sinon.assert.calledOnce(decisionProvider.getDecision);
+        sinon.assert.calledWithExactly(decisionProvider.getDecision, {
+          ruleId: '10420810910',
+          ruleKey: 'exp_no_audience',
+          userId: userId,
+          attributes: { gender: 'f' },
+          variationIds: ['10418551353', '10418510624'],
+        });
+      });
+
+      it('should fetch the decisions of all keys with decideForKeysAsync', async function() {
+        var user = optlyInstance.createUserContext(userId);
+        var decisionsMap = await user.decideForKeysAsync(['feature_1', 'feature_2']);
+        assert.equal(decisionsMap.feature_2.variationKey, 'variation_no_traffic');
+        sinon.assert.calledOnce(decisionProvider.getDecision);
+      });
+
+      it('should reuse the fetched decision in the synchronous decide', async function() {
+        var user = optlyInstance.createUserContext(userId);
+        await user.decideAsync('feature_2');
+        var decision = user.decide('feature_2');
+        assert.equal(decision.variationKey, 'variation_no_traffic');
+        sinon.assert.calledOnce(decisionProvider.getDecision);
+      });
+
+      it('should explain that the decision was not fetched in the synchronous decide', function() {
+        var user = optlyInstance.createUserContext(userId);
+        var decision = user.decide('feature_2', [OptimizelyDecideOption.INCLUDE_REASONS]);
+        assert.notEqual(decision.ruleKey, 'exp_no_audience');
+        expect(decision.reasons).to.include(
+          sprintf(LOG_MESSAGES.CMAB_DECISION_NOT_FETCHED, 'DECISION_SERVICE', userId, 'exp_no_audience')
+        );
+        sinon.assert.notCalled(decisionProvider.getDecision);
+      });
+
+      it('should log that the decision was not fetched in the synchronous decide APIs without INCLUDE_REASONS', function() {
+        var user = optlyInstance.createUserContext(userId);
+        var notFetchedMessage = sprintf(LOG_MESSAGES.CMAB_DECISION_NOT_FETCHED, 'DECISION_SERVICE', userId, 'exp_no_audience');
+        var logSpy = sinon.spy(createdLogger, 'log');
+        try {
+          assert.deepEqual(user.decide('feature_2').reasons, []);
+          assert.deepEqual(user.decideForKeys(['feature_1', 'feature_2']).feature_2.reasons, []);
+          var logMessages = logSpy.args.map(buildLogMessageFromArgs);
+          assert.lengthOf(
+            logMessages.filter(function(message) {
+              return message === notFetchedMessage;
+            }),
+            2
+          );
+        } finally {
+          logSpy.restore();
+        }
+      });
+
+      it('should evaluate the audiences of a CMAB rule once with decideAsync', async function() {
+        var user = optlyInstance.createUserContext(userId);
+        var decision = await user.decideAsync('feature_2', [OptimizelyDecideOption.INCLUDE_REASONS]);
+        assert.equal(decision.variationKey, 'variation_no_traffic');
+        var audienceResultReasons = decision.reasons.filter(function(reason) {
+          return reason === sprintf(
+            LOG_MESSAGES.AUDIENCE_EVALUATION_RESULT_COMBINED,
+            'DECISION_SERVICE',
+            'experiment',
+            'exp_no_audience',
+            'TRUE'
+          );
+        });
+        assert.lengthOf(audienceResultReasons, 1);
+      });
+    });
+
+    describe('decision audit log', function() {
+      var auditSink;
+
+      beforeEach(function() {
+        auditSink = { write: sinon.stub() };
+        optlyInstance = new Optimizely({
+          clientEngine: 'node-sdk',
+          datafile: testData.getTestDecideProjectConfig(),
+          errorHandler: errorHandler,
+          eventDispatcher: eventDispatcher,
+          jsonSchemaValidator: jsonSchemaValidator,
+          decisionAudit: { sinks: [auditSink], redactAttributes: ['email'] },
+          logger: createdLogger,
+          isValidInstance: true,
+          eventBatchSize: 1,
+          notificationCenter,
+          eventProcessor,
+        });
+      });
+
+      it('should record decide decisions with their reasons and the datafile revision', function() {
+        var user = optlyInstance.createUserContext('tester', { email: 'tester@example.com', gender: 'f' });
+        user.decide('feature_2');
+        sinon.assert.calledOnce(auditSink.write);
+        var record = auditSink.write.args[0][0];
+        assert.strictEqual(record.type, DECISION_NOTIFICATION_TYPES.FLAG);
+        assert.strictEqual(record.flagKey, 'feature_2');
+        assert.strictEqual(record.ruleKey, 'exp_no_audience');
+        assert.strictEqual(record.variationKey, 'variation_with_traffic');
+        assert.isTrue(record.enabled);
+        assert.strictEqual(record.revision, '241');
+        assert.deepEqual(record.attributes, { email: '[REDACTED]', gender: 'f' });
+        assert.notEqual(record.userIdHash, 'tester');
+        assert.include(
+          record.reasons,
+          sprintf(LOG_MESSAGES.USER_HAS_VARIATION, 'DECISION_SERVICE', 'tester', 'variation_with_traffic', 'exp_no_audience')
+        );
+      });
+
+      it('should record activate and getFeatureVariable decisions', function() {
+        optlyInstance.activate('exp_no_audience', 'tester');
+        optlyInstance.getFeatureVariable('feature_1', 'i_42', 'tester');
+        assert.deepEqual(
+          auditSink.write.args.map(function(args) {
+            return args[0].type;
+          }),
+          [DECISION_NOTIFICATION_TYPES.FEATURE_TEST, DECISION_NOTIFICATION_TYPES.FEATURE_VARIABLE]
+        );
+      });
+
+      it('should close the sinks when the instance is closed', function() {
+        auditSink.close = sinon.stub().returns(Promise.resolve());
+        // the event processor is shared by the tests of the decide APIs
+        sinon.stub(eventProcessor, 'stop').returns(Promise.resolve());
+        return optlyInstance.close().then(function(result) {
+          eventProcessor.stop.restore();
+          assert.deepEqual(result, { success: true });
+          sinon.assert.calledOnce(auditSink.close);
+        });
+      });
+    });
+
+    describe('shadow evaluation', function() {
+      var mismatchListener;
+
+      var createInstance = function(shadowEvaluation) {
+        optlyInstance = new Optimizely({
+          clientEngine: 'node-sdk',
+          datafile: testData.getTestDecideProjectConfig(),
+          errorHandler: errorHandler,
+          eventDispatcher: eventDispatcher,
+          jsonSchemaValidator: jsonSchemaValidator,
+          shadowEvaluation: shadowEvaluation,
+          logger: createdLogger,
+          isValidInstance: true,
+          eventBatchSize: 1,
+          notificationCenter,
+          eventProcessor,
+        });
+        mismatchListener = sinon.spy();
+        optlyInstance.notificationCenter.addNotificationListener(
+          NOTIFICATION_TYPES.SHADOW_DECISION_MISMATCH,
+          mismatchListener
+        );
+      };
+
+      var getCandidateDatafile = function() {
+        var datafile = testData.getTestDecideProjectConfig();
+        datafile.revision = '242';
+        datafile.experiments[0].audienceIds = [];
+        return datafile;
+      };
+
+      it('should send a notification when the candidate datafile decides a flag differently', function() {
+        createInstance({ datafile: getCandidateDatafile() });
+        var user = optlyInstance.createUserContext('tester', { country: 'CA' });
+        var decision = user.decide('feature_1');
+
+        assert.strictEqual(decision.ruleKey, '18322080788');
+        sinon.assert.calledOnce(mismatchListener);
+        var payload = mismatchListener.args[0][0];
+        assert.strictEqual(payload.flagKey, 'feature_1');
+        assert.strictEqual(payload.userId, 'tester');
+        assert.deepEqual(payload.attributes, { country: 'CA' });
+        assert.deepEqual(payload.liveDecision, {
+          variationKey: decision.variationKey,
+          enabled: decision.enabled,
+          ruleKey: decision.ruleKey,
+          variables: decision.variables,
+        });
+        assert.strictEqual(payload.candidateDecision.ruleKey, 'exp_with_audience');
+        assert.strictEqual(payload.candidateDecision.variationKey, 'a');
+        assert.isTrue(payload.candidateDecision.enabled);
+        assert.deepEqual(Object.keys(payload.candidateDecision.variables), Object.keys(decision.variables));
+        assert.strictEqual(payload.liveRevision, '241');
+        assert.strictEqual(payload.candidateRevision, '242');
+        // only the live decision sends an impression event
+        sinon.assert.calledOnce(eventDispatcher.dispatchEvent);
+      });
+
+      it('should not send a notification when both datafiles decide a flag the same way', function() {
+        createInstance({ datafile: getCandidateDatafile() });
+        var user = optlyInstance.createUserContext('tester', { gender: 'f' });
+        user.decideAll();
+        sinon.assert.notCalled(mismatchListener);
+      });
+
+      it('should only evaluate the sampled fraction of decide calls', function() {
+        createInstance({ datafile: getCandidateDatafile(), sampleRate: 0.5 });
+        var randomStub = sinon.stub(Math, 'random');
+        try {
+          var user = optlyInstance.createUserContext('tester');
+          randomStub.returns(0.6);
+          user.decide('feature_1');
+          sinon.assert.notCalled(mismatchListener);
+          randomStub.returns(0.4);
+          user.decide('feature_1');
+          sinon.assert.calledOnce(mismatchListener);
+        } finally {
+          randomStub.restore();
+        }
+      });
+
+      it('should not save the bucketing decisions of the candidate datafile in the user profile', function() {
+        var userProfileServiceInstance = { lookup: sinon.stub().returns(null), save: sinon.stub() };
+        optlyInstance = new Optimizely({
+          clientEngine: 'node-sdk',
+          datafile: testData.getTestDecideProjectConfig(),
+          errorHandler: errorHandler,
+          eventDispatcher: eventDispatcher,
+          jsonSchemaValidator: jsonSchemaValidator,
+          shadowEvaluation: { datafile: getCandidateDatafile() },
+          userProfileService: userProfileServiceInstance,
+          logger: createdLogger,
+          isValidInstance: true,
+          notificationCenter,
+          eventProcessor,
+        });
+        var user = optlyInstance.createUserContext('tester');
+        user.decideForKeys(['feature_1']);
+        sinon.assert.notCalled(userProfileServiceInstance.save);
+      });
+
+      it('should look the user profile up once for the live decision and the candidate decision of decide', function() {
+        var userProfileServiceInstance = { lookup: sinon.stub().returns(null), save: sinon.stub() };
+        optlyInstance = new Optimizely({
+          clientEngine: 'node-sdk',
+          datafile: testData.getTestDecideProjectConfig(),
+          errorHandler: errorHandler,
+          eventDispatcher: eventDispatcher,
+          jsonSchemaValidator: jsonSchemaValidator,
+          shadowEvaluation: { datafile: getCandidateDatafile() },
+          userProfileService: userProfileServiceInstance,
+          logger: createdLogger,
+          isValidInstance: true,
+          notificationCenter,
+          eventProcessor,
+        });
+        optlyInstance.createUserContext('tester', { country: 'CA' }).decide('feature_1');
+        sinon.assert.calledOnce(userProfileServiceInstance.lookup);
+      });
+
+      it('should not let the live decision become a stored variation for the candidate datafile', function() {
+        var candidateDatafile = testData.getTestDecideProjectConfig();
+        candidateDatafile.revision = '242';
+        // the candidate moves all the traffic of the experiment to another variation
+        candidateDatafile.experiments[0].trafficAllocation = [{ entityId: '10416523121', endOfRange: 10000 }];
+        var userProfileServiceInstance = { lookup: sinon.stub().returns(null), save: sinon.stub() };
+        optlyInstance = new Optimizely({
+          clientEngine: 'node-sdk',
+          datafile: testData.getTestDecideProjectConfig(),
+          errorHandler: errorHandler,
+          eventDispatcher: eventDispatcher,
+          jsonSchemaValidator: jsonSchemaValidator,
+          shadowEvaluation: { datafile: candidateDatafile },
+          userProfileService: userProfileServiceInstance,
+          logger: createdLogger,
+          isValidInstance: true,
+          notificationCenter,
+          eventProcessor,
+        });
+        mismatchListener = sinon.spy();
+        optlyInstance.notificationCenter.addNotificationListener(
+          NOTIFICATION_TYPES.SHADOW_DECISION_MISMATCH,
+          mismatchListener
+        );
+
+        var decision = optlyInstance.createUserContext('tester', { gender: 'f' }).decide('feature_1');
+        assert.strictEqual(decision.ruleKey, 'exp_with_audience');
+        assert.strictEqual(decision.variationKey, 'a');
+        sinon.assert.calledOnce(mismatchListener);
+        assert.strictEqual(mismatchListener.args[0][0].candidateDecision.ruleKey, 'exp_with_audience');
+        assert.strictEqual(mismatchListener.args[0][0].candidateDecision.variationKey, 'b');
+        // the live decision is still saved
+        sinon.assert.calledOnce(userProfileServiceInstance.save);
+      });
+
+      it('should compare decisions with the candidate datafile set after creation', function() {
+        createInstance({ datafile: testData.getTestDecideProjectConfig() });
+        var user = optlyInstance.createUserContext('tester', { country: 'CA' });
+        user.decide('feature_1');
+        sinon.assert.notCalled(mismatchListener);
+
+        assert.isTrue(optlyInstance.setShadowDatafile(getCandidateDatafile()));
+        user.decide('feature_1');
+        sinon.assert.calledOnce(mismatchListener);
+        assert.strictEqual(mismatchListener.args[0][0].candidateRevision, '242');
+
+        // an invalid candidate datafile does not replace the current one
+        assert.isFalse(optlyInstance.setShadowDatafile('{"version": '));
+        user.decide('feature_1');
+        sinon.assert.calledTwice(mismatchListener);
+      });
+
+      it('should not set a candidate datafile without shadow evaluation', function() {
+        createInstance(undefined);
+        assert.isFalse(optlyInstance.setShadowDatafile(getCandidateDatafile()));
+        optlyInstance.createUserContext('tester', { country: 'CA' }).decide('feature_1');
+        sinon.assert.notCalled(mismatchListener);
+      });
+
+      it('should log an error if the candidate datafile is missing or invalid', function() {
+        sinon.stub(createdLogger, 'log');
+        createInstance({ sampleRate: 1 });
+        sinon.assert.calledWith(
+          createdLogger.log,
+          LOG_LEVEL.ERROR,
+          ERROR_MESSAGES.INVALID_SHADOW_EVALUATION_OPTIONS,
+          'OPTIMIZELY'
+        );
+
+        createInstance({ datafile: '{"version": ' });
+        sinon.assert.calledWith(
+          createdLogger.log,
+          LOG_LEVEL.ERROR,
+          ERROR_MESSAGES.INVALID_SHADOW_DATAFILE,
+          'SHADOW_EVALUATION'
+        );
+        optlyInstance.createUserContext('tester').decide('feature_1');
+        sinon.assert.notCalled(mismatchListener);
+        createdLogger.log.restore();
+      });
+    });
+
+    describe('config pinning', function() {
+      var updatedConfig;
+
+      beforeEach(function() {
+        optlyInstance = new Optimizely({
+          clientEngine: 'node-sdk',
+          datafile: testData.getTestDecideProjectConfig(),
+          errorHandler: errorHandler,
+          eventDispatcher: eventDispatcher,
+          jsonSchemaValidator: jsonSchemaValidator,
+          logger: createdLogger,
+          isValidInstance: true,
+          eventBatchSize: 1,
+          notificationCenter,
+          eventProcessor,
+        });
+        var datafile = testData.getTestDecideProjectConfig();
+        datafile.revision = '242';
+        datafile.experiments[0].audienceIds = [];
+        updatedConfig = projectConfig.createProjectConfig(datafile);
+      });
+
+      it('should decide the flags of a pinned user context with the config pinned at creation', function() {
+        var user = optlyInstance.createUserContext('tester', { country: 'CA' }, { pinConfig: true });
+        optlyInstance.projectConfigManager.getConfig.returns(updatedConfig);
+
+        var decision = user.decide('feature_1');
+        assert.strictEqual(decision.ruleKey, '18322080788');
+        assert.strictEqual(decision.revision, '241');
+        assert.strictEqual(eventDispatcher.dispatchEvent.args[0][0].params.revision, '241');
+
+        var decisions = user.decideForKeys(['feature_1', 'feature_2', 'invalid_flag']);
+        assert.strictEqual(decisions['feature_1'].ruleKey, '18322080788');
+        assert.strictEqual(decisions['feature_1'].revision, '241');
+        assert.strictEqual(decisions['feature_2'].revision, '241');
+        assert.strictEqual(decisions['invalid_flag'].revision, '241');
+
+        var allDecisions = user.decideAll();
+        assert.strictEqual(allDecisions['feature_1'].ruleKey, '18322080788');
+        Object.keys(allDecisions).forEach(function(flagKey) {
+          assert.strictEqual(allDecisions[flagKey].revision, '241');
+        });
+      });
+
+      it('should decide the flags of a user context with the current config when it is not pinned', function() {
+        var user = optlyInstance.createUserContext('tester', { country: 'CA' });
+        optlyInstance.projectConfigManager.getConfig.returns(updatedConfig);
+
+        var decision = user.decide('feature_1');
+        assert.strictEqual(decision.ruleKey, 'exp_with_audience');
+        assert.notProperty(decision, 'revision');
+        assert.strictEqual(eventDispatcher.dispatchEvent.args[0][0].params.revision, '242');
+      });
+
+      it('should send the conversion events of a pinned user context with the pinned config', function() {
+        var trackListener = sinon.spy();
+        optlyInstance.notificationCenter.addNotificationListener(NOTIFICATION_TYPES.TRACK, trackListener);
+        var user = optlyInstance.createUserContext('tester', {}, { pinConfig: true });
+        optlyInstance.projectConfigManager.getConfig.returns(updatedConfig);
+
+        user.trackEvent('event1');
+        sinon.assert.calledOnce(eventDispatcher.dispatchEvent);
+        assert.strictEqual(eventDispatcher.dispatchEvent.args[0][0].params.revision, '241');
+        assert.strictEqual(trackListener.args[0][0].logEvent.params.revision, '241');
+      });
+    });
   });
 
   //tests separated out from APIs because of mock bucketing
@@ -6109,6 +7056,7 @@ describe('lib/optimizely', function() {
     var notificationCenter = createNotificationCenter({ logger: createdLogger, errorHandler: errorHandler });
     var eventProcessor = createEventProcessor({
       dispatcher: eventDispatcher,
+      retryOptions: noEventRetryOptions,
       batchSize: 1,
       notificationCenter: notificationCenter,
     });
@@ -6171,6 +7119,7 @@ describe('lib/optimizely', function() {
     var notificationCenter = createNotificationCenter({ logger: createdLogger, errorHandler: errorHandler });
     var eventProcessor = createEventProcessor({
       dispatcher: eventDispatcher,
+      retryOptions: noEventRetryOptions,
       batchSize: 1,
       notificationCenter: notificationCenter,
     });
@@ -8998,6 +9947,7 @@ describe('lib/optimizely', function() {
     var notificationCenter = createNotificationCenter({ logger: createdLogger, errorHandler: errorHandler });
     var eventProcessor = createEventProcessor({
       dispatcher: eventDispatcher,
+      retryOptions: noEventRetryOptions,
       batchSize: 1,
       notificationCenter: notificationCenter,
     });
@@ -9138,6 +10088,7 @@ describe('lib/optimizely', function() {
     var notificationCenter = createNotificationCenter({ logger: createdLogger, errorHandler: errorHandler });
     var eventProcessor = createEventProcessor({
       dispatcher: eventDispatcher,
+      retryOptions: noEventRetryOptions,
       batchSize: 1,
       notificationCenter: notificationCenter,
     });
@@ -9182,7 +10133,9 @@ describe('lib/optimizely', function() {
         audienceEvaluator.evaluate,
         optlyInstance.projectConfigManager.getConfig().experiments[2].audienceConditions,
         optlyInstance.projectConfigManager.getConfig().audiencesById,
-        sinon.match.any
+        sinon.match.any,
+        optlyInstance.projectConfigManager.getConfig(),
+        undefined
       );
       assert.deepEqual(evalSpy.getCalls()[0].args[2].getAttributes(), { house: 'Welcome to Slytherin!', lasers: 45.5 });
     });
@@ -9200,7 +10153,9 @@ describe('lib/optimizely', function() {
         audienceEvaluator.evaluate,
         optlyInstance.projectConfigManager.getConfig().experiments[2].audienceConditions,
         optlyInstance.projectConfigManager.getConfig().audiencesById,
-        sinon.match.any
+        sinon.match.any,
+        optlyInstance.projectConfigManager.getConfig(),
+        undefined
       );
       assert.deepEqual(evalSpy.getCalls()[0].args[2].getAttributes(), { house: 'Hufflepuff', lasers: 45.5 });
     });
@@ -9231,7 +10186,9 @@ describe('lib/optimizely', function() {
         audienceEvaluator.evaluate,
         optlyInstance.projectConfigManager.getConfig().rollouts[2].experiments[0].audienceConditions,
         optlyInstance.projectConfigManager.getConfig().audiencesById,
-        sinon.match.any
+        sinon.match.any,
+        optlyInstance.projectConfigManager.getConfig(),
+        undefined
       );
       assert.deepEqual(evalSpy.getCalls()[0].args[2].getAttributes(), {
         house: '...Slytherinnn...sss.',
@@ -9250,7 +10207,9 @@ describe('lib/optimizely', function() {
         audienceEvaluator.evaluate,
         optlyInstance.projectConfigManager.getConfig().rollouts[2].experiments[0].audienceConditions,
         optlyInstance.projectConfigManager.getConfig().audiencesById,
-        sinon.match.any
+        sinon.match.any,
+        optlyInstance.projectConfigManager.getConfig(),
+        undefined
       );
       assert.deepEqual(evalSpy.getCalls()[0].args[2].getAttributes(), { house: 'Lannister' });
     });
@@ -9267,7 +10226,9 @@ describe('lib/optimizely', function() {
         audienceEvaluator.evaluate,
         optlyInstance.projectConfigManager.getConfig().experiments[3].audienceConditions,
         optlyInstance.projectConfigManager.getConfig().audiencesById,
-        sinon.match.any
+        sinon.match.any,
+        optlyInstance.projectConfigManager.getConfig(),
+        undefined
       );
       assert.deepEqual(evalSpy.getCalls()[0].args[2].getAttributes(), { house: 'Gryffindor', lasers: 700 });
     });
@@ -9284,7 +10245,9 @@ describe('lib/optimizely', function() {
         audienceEvaluator.evaluate,
         optlyInstance.projectConfigManager.getConfig().experiments[3].audienceConditions,
         optlyInstance.projectConfigManager.getConfig().audiencesById,
-        sinon.match.any
+        sinon.match.any,
+        optlyInstance.projectConfigManager.getConfig(),
+        undefined
       );
       assert.deepEqual(evalSpy.getCalls()[0].args[2].getAttributes(), { house: 'Gryffindor', lasers: 700 });
     });
@@ -9298,7 +10261,9 @@ describe('lib/optimizely', function() {
         audienceEvaluator.evaluate,
         optlyInstance.projectConfigManager.getConfig().experiments[3].audienceConditions,
         optlyInstance.projectConfigManager.getConfig().audiencesById,
-        sinon.match.any
+        sinon.match.any,
+        optlyInstance.projectConfigManager.getConfig(),
+        undefined
       );
       assert.deepEqual(evalSpy.getCalls()[0].args[2].getAttributes(), {});
     });
@@ -9312,7 +10277,9 @@ describe('lib/optimizely', function() {
         audienceEvaluator.evaluate,
         optlyInstance.projectConfigManager.getConfig().experiments[3].audienceConditions,
         optlyInstance.projectConfigManager.getConfig().audiencesById,
-        sinon.match.any
+        sinon.match.any,
+        optlyInstance.projectConfigManager.getConfig(),
+        undefined
       );
       assert.deepEqual(evalSpy.getCalls()[0].args[2].getAttributes(), {});
     });
@@ -9337,6 +10304,7 @@ describe('lib/optimizely', function() {
       notificationCenter = createNotificationCenter({ logger: createdLogger, errorHandler: errorHandler });
       eventProcessor = createEventProcessor({
         dispatcher: eventDispatcher,
+        retryOptions: noEventRetryOptions,
         batchSize: 3,
         notificationCenter: notificationCenter,
         flushInterval: 100,
@@ -9724,6 +10692,7 @@ describe('lib/optimizely', function() {
     var notificationCenter = createNotificationCenter({ logger: createdLogger, errorHandler: errorHandler });
     var eventProcessor = createEventProcessor({
       dispatcher: eventDispatcher,
+      retryOptions: noEventRetryOptions,
       batchSize: 1,
       notificationCenter: notificationCenter,
     });
@@ -9815,6 +10784,8 @@ describe('lib/optimizely', function() {
             stop: sinon.stub(),
             getConfig: sinon.stub().returns(currentConfig),
             onUpdate: sinon.stub().returns(function() {}),
+            onVerificationFailure: sinon.stub().returns(function() {}),
+            onDatafileSourceChange: sinon.stub().returns(function() {}),
             onReady: sinon.stub().returns(Promise.resolve({ success: true })),
           };
         });
@@ -9932,6 +10903,8 @@ describe('lib/optimizely', function() {
             stop: sinon.stub(),
             getConfig: sinon.stub().returns(null),
             onUpdate: sinon.stub().returns(function() {}),
+            onVerificationFailure: sinon.stub().returns(function() {}),
+            onDatafileSourceChange: sinon.stub().returns(function() {}),
             onReady: sinon.stub().returns(Promise.resolve({ success: true })),
           };
         });
@@ -9962,6 +10935,9 @@ describe('lib/optimizely', function() {
           stop: sinon.stub(),
           getConfig: sinon.stub().returns(null),
           onUpdate: sinon.stub().returns(function() {}),
+          onVerificationFailure: sinon.stub().returns(function() {}),
+          onDatafileSourceChange: sinon.stub().returns(function() {}),
+          rollback: sinon.stub().returns(null),
           onReady: sinon.stub().returns({ then: function() {} }),
         };
         projectConfigManager.createProjectConfigManager.returns(fakeProjectConfigManager);
@@ -10036,6 +11012,62 @@ describe('lib/optimizely', function() {
         updateListener(newConfig);
         sinon.assert.calledOnce(listener);
       });
+
+      it('passes the changes from the previous project config in the notification', function() {
+        var listener = sinon.spy();
+        optlyInstance.notificationCenter.addNotificationListener(
+          enums.NOTIFICATION_TYPES.OPTIMIZELY_CONFIG_UPDATE,
+          listener
+        );
+        var newConfig = projectConfig.createProjectConfig(testData.getTestProjectConfigWithFeatures());
+        var diff = diffProjectConfigs(null, newConfig);
+        var updateListener = fakeProjectConfigManager.onUpdate.getCall(0).args[0];
+        updateListener(newConfig, diff);
+        sinon.assert.calledWithExactly(listener, diff);
+      });
+
+      it('emits a notification when the project config manager rejects a datafile failing verification', function() {
+        var listener = sinon.spy();
+        optlyInstance.notificationCenter.addNotificationListener(
+          enums.NOTIFICATION_TYPES.DATAFILE_VERIFICATION_FAILED,
+          listener
+        );
+        var payload = { reason: 'Datafile is rejected because it has no signature.' };
+        var verificationFailureListener = fakeProjectConfigManager.onVerificationFailure.getCall(0).args[0];
+        verificationFailureListener(payload);
+        sinon.assert.calledWithExactly(listener, payload);
+      });
+
+      it('emits a notification when the project config manager changes datafile sources', function() {
+        var listener = sinon.spy();
+        optlyInstance.notificationCenter.addNotificationListener(
+          enums.NOTIFICATION_TYPES.DATAFILE_SOURCE_CHANGED,
+          listener
+        );
+        var payload = {
+          source: 'mirror',
+          previousSource: null,
+          sources: [
+            { name: 'cdn', status: 'unhealthy', reason: 'Failed to become ready' },
+            { name: 'mirror', status: 'healthy' },
+          ],
+        };
+        var sourceChangeListener = fakeProjectConfigManager.onDatafileSourceChange.getCall(0).args[0];
+        sourceChangeListener(payload);
+        sinon.assert.calledWithExactly(listener, payload);
+      });
+
+      it('rolls back the datafile with the project config manager', function() {
+        assert.isTrue(optlyInstance.rollbackDatafile());
+        sinon.assert.calledOnce(fakeProjectConfigManager.rollback);
+      });
+
+      it('logs a warning and returns false when there is no previous datafile revision to roll back to', function() {
+        var message = sprintf(ERROR_MESSAGES.NO_PREVIOUS_DATAFILE_REVISION, 'PROJECT_CONFIG_MANAGER');
+        fakeProjectConfigManager.rollback.returns(new Error(message));
+        assert.isFalse(optlyInstance.rollbackDatafile());
+        sinon.assert.calledWithExactly(createdLogger.log, LOG_LEVEL.WARNING, message);
+      });
     });
   });
 
@@ -26,10 +26,14 @@ import { OptimizelySegmentOption } from '../core/odp/optimizely_segment_option';
 
 import {
   UserAttributes,
+  UserContextOptions,
+  DatafileVerificationFailedPayload,
+  DatafileSourceChangedPayload,
   EventTags,
   OptimizelyConfig,
   OnReadyResult,
   UserProfileService,
+  UserProfileServiceAsync,
   Variation,
   FeatureFlag,
   FeatureVariable,
@@ -37,12 +41,27 @@ import {
   OptimizelyDecideOption,
   FeatureVariableValue,
   OptimizelyDecision,
+  OptimizelyTypedDecision,
+  OptimizelyTypedVariables,
+  OptimizelyVariableSchema,
   Client,
+  ExperimentBucketMap,
 } from '../shared_types';
 import { newErrorDecision } from '../optimizely_decision';
 import OptimizelyUserContext from '../optimizely_user_context';
 import { createProjectConfigManager, ProjectConfigManager } from '../core/project_config/project_config_manager';
-import { createDecisionService, DecisionService, DecisionObj } from '../core/decision_service';
+import { ProjectConfigDiff } from '../core/project_config/config_diff';
+import {
+  createDecisionService,
+  DecisionService,
+  DecisionObj,
+  UserProfileTracker,
+  CmabAudienceResults,
+} from '../core/decision_service';
+import { createCmabService, CmabService } from '../core/cmab';
+import { createDecisionAuditLog, DecisionAuditLog, DecisionNotificationPayload } from '../core/decision_audit';
+import { DecisionTraceRecorder } from '../core/decision_trace';
+import { createShadowEvaluator, ShadowEvaluator } from '../core/shadow_evaluation';
 import { getImpressionEvent, getConversionEvent } from '../core/event_builder';
 import { buildImpressionEvent, buildConversionEvent } from '../core/event_builder/event_helpers';
 import { NotificationRegistry } from '../core/notification_center/notification_registry';
@@ -50,6 +69,7 @@ import fns from '../utils/fns';
 import { validate } from '../utils/attributes_validator';
 import * as eventTagsValidator from '../utils/event_tags_validator';
 import * as projectConfig from '../core/project_config';
+import { ProjectConfig } from '../core/project_config';
 import * as userProfileServiceValidator from '../utils/user_profile_service_validator';
 import * as stringValidator from '../utils/string_value_validator';
 import * as decision from '../core/decision';
@@ -93,6 +113,8 @@ export default class Optimizely implements Client {
   protected logger: LoggerFacade;
   private projectConfigManager: ProjectConfigManager;
   private decisionService: DecisionService;
+  private decisionAuditLog: DecisionAuditLog | null;
+  private shadowEvaluator: ShadowEvaluator | null;
   private eventProcessor: EventProcessor;
   private defaultDecideOptions: { [key: string]: boolean };
   protected odpManager?: IOdpManager;
@@ -133,9 +155,10 @@ export default class Optimizely implements Client {
       jsonSchemaValidator: config.jsonSchemaValidator,
       sdkKey: config.sdkKey,
       datafileManager: config.datafileManager,
+      datafileVerifier: config.datafileVerifier,
     });
 
-    this.disposeOnUpdate = this.projectConfigManager.onUpdate((configObj: projectConfig.ProjectConfig) => {
+    this.disposeOnUpdate = this.projectConfigManager.onUpdate((configObj: projectConfig.ProjectConfig, diff: ProjectConfigDiff) => {
       this.logger.log(
         LOG_LEVEL.INFO,
         LOG_MESSAGES.UPDATED_OPTIMIZELY_CONFIG,
@@ -144,11 +167,19 @@ export default class Optimizely implements Client {
         configObj.projectId
       );
 
-      this.notificationCenter.sendNotifications(NOTIFICATION_TYPES.OPTIMIZELY_CONFIG_UPDATE);
+      this.notificationCenter.sendNotifications(NOTIFICATION_TYPES.OPTIMIZELY_CONFIG_UPDATE, diff);
 
       this.updateOdpSettings();
     });
 
+    this.projectConfigManager.onVerificationFailure((payload: DatafileVerificationFailedPayload) => {
+      this.notificationCenter.sendNotifications(NOTIFICATION_TYPES.DATAFILE_VERIFICATION_FAILED, payload);
+    });
+
+    this.projectConfigManager.onDatafileSourceChange((payload: DatafileSourceChangedPayload) => {
+      this.notificationCenter.sendNotifications(NOTIFICATION_TYPES.DATAFILE_SOURCE_CHANGED, payload);
+    });
+
     const projectConfigManagerReadyPromise = this.projectConfigManager.onReady();
 
     let userProfileService: UserProfileService | null = null;
@@ -163,12 +194,66 @@ export default class Optimizely implements Client {
       }
     }
 
+    let userProfileServiceAsync: UserProfileServiceAsync | null = null;
+    if (config.userProfileServiceAsync) {
+      try {
+        if (userProfileServiceValidator.validate(config.userProfileServiceAsync)) {
+          userProfileServiceAsync = config.userProfileServiceAsync;
+          this.logger.log(LOG_LEVEL.INFO, LOG_MESSAGES.VALID_USER_PROFILE_SERVICE_ASYNC, MODULE_NAME);
+        }
+      } catch (ex) {
+        this.logger.log(LOG_LEVEL.WARNING, ex.message);
+      }
+    }
+
+    let cmabService: CmabService | null = null;
+    if (config.cmab && config.cmab.decisionProvider) {
+      if (typeof config.cmab.decisionProvider.getDecision === 'function') {
+        cmabService = createCmabService({
+          decisionProvider: config.cmab.decisionProvider,
+          cacheSize: config.cmab.cacheSize,
+          cacheTimeout: config.cmab.cacheTimeout,
+          logger: this.logger,
+        });
+      } else {
+        this.logger.log(LOG_LEVEL.ERROR, ERROR_MESSAGES.INVALID_CMAB_DECISION_PROVIDER, MODULE_NAME);
+      }
+    }
+
+    this.decisionAuditLog = null;
+    if (config.decisionAudit) {
+      const sinks = config.decisionAudit.sinks;
+      if (Array.isArray(sinks) && sinks.every(sink => sink && typeof sink.write === 'function')) {
+        this.decisionAuditLog = createDecisionAuditLog(config.decisionAudit, this.logger);
+      } else {
+        this.logger.log(LOG_LEVEL.ERROR, ERROR_MESSAGES.INVALID_DECISION_AUDIT_OPTIONS, MODULE_NAME);
+      }
+    }
+
     this.decisionService = createDecisionService({
       userProfileService: userProfileService,
+      userProfileServiceAsync: userProfileServiceAsync,
+      cmabService: cmabService,
       logger: this.logger,
       UNSTABLE_conditionEvaluators: config.UNSTABLE_conditionEvaluators,
+      clock: config.clock,
+      conditionEvaluators: config.conditionEvaluators,
     });
 
+    this.shadowEvaluator = null;
+    if (config.shadowEvaluation) {
+      if (config.shadowEvaluation.datafile) {
+        this.shadowEvaluator = createShadowEvaluator(
+          config.shadowEvaluation,
+          this.decisionService,
+          this.logger,
+          config.jsonSchemaValidator
+        );
+      } else {
+        this.logger.log(LOG_LEVEL.ERROR, ERROR_MESSAGES.INVALID_SHADOW_EVALUATION_OPTIONS, MODULE_NAME);
+      }
+    }
+
     this.notificationCenter = config.notificationCenter;
 
     this.eventProcessor = config.eventProcessor;
@@ -249,7 +334,7 @@ export default class Optimizely implements Client {
           decisionSource: DECISION_SOURCES.EXPERIMENT,
         };
 
-        this.sendImpressionEvent(decisionObj, '', userId, true, attributes);
+        this.sendImpressionEvent(configObj, decisionObj, '', userId, true, attributes);
         return variationKey;
       } catch (ex) {
         this.logger.log(LOG_LEVEL.ERROR, ex.message);
@@ -268,6 +353,7 @@ export default class Optimizely implements Client {
    * Create an impression event and call the event dispatcher's dispatch method to
    * send this event to Optimizely. Then use the notification center to trigger
    * any notification listeners for the ACTIVATE notification type.
+   * @param {ProjectConfig}  configObj      The project config the decision was made with
    * @param {DecisionObj}    decisionObj    Decision Object
    * @param {string}         flagKey        Key for a feature flag
    * @param {string}         userId         ID of user to whom the variation was shown
@@ -275,16 +361,13 @@ export default class Optimizely implements Client {
    * @param {boolean}        enabled        Boolean representing if feature is enabled
    */
   private sendImpressionEvent(
+    configObj: projectConfig.ProjectConfig,
     decisionObj: DecisionObj,
     flagKey: string,
     userId: string,
     enabled: boolean,
     attributes?: UserAttributes
   ): void {
-    const configObj = this.projectConfigManager.getConfig();
-    if (!configObj) {
-      return;
-    }
     const impressionEvent = buildImpressionEvent({
       decisionObj: decisionObj,
       flagKey: flagKey,
@@ -297,11 +380,12 @@ export default class Optimizely implements Client {
     });
     // TODO is it okay to not pass a projectConfig as second argument
     this.eventProcessor.process(impressionEvent);
-    this.emitNotificationCenterActivate(decisionObj, flagKey, userId, enabled, attributes);
+    this.emitNotificationCenterActivate(configObj, decisionObj, flagKey, userId, enabled, attributes);
   }
 
   /**
    * Emit the ACTIVATE notification on the notificationCenter
+   * @param  {ProjectConfig}  configObj      The project config the decision was made with
    * @param  {DecisionObj}    decisionObj    Decision object
    * @param  {string}         flagKey        Key for a feature flag
    * @param  {string}         userId         ID of user to whom the variation was shown
@@ -309,17 +393,13 @@ export default class Optimizely implements Client {
    * @param  {UserAttributes} attributes     Optional user attributes
    */
   private emitNotificationCenterActivate(
+    configObj: projectConfig.ProjectConfig,
     decisionObj: DecisionObj,
     flagKey: string,
     userId: string,
     enabled: boolean,
     attributes?: UserAttributes
   ): void {
-    const configObj = this.projectConfigManager.getConfig();
-    if (!configObj) {
-      return;
-    }
-
     const ruleType = decisionObj.decisionSource;
     const experimentKey = decision.getExperimentKey(decisionObj);
     const experimentId = decision.getExperimentId(decisionObj);
@@ -368,6 +448,25 @@ export default class Optimizely implements Client {
    * @param  {EventTags}      eventTags Values associated with the event.
    */
   track(eventKey: string, userId: string, attributes?: UserAttributes, eventTags?: EventTags): void {
+    this._trackWithConfig(this.projectConfigManager.getConfig(), eventKey, userId, attributes, eventTags);
+  }
+
+  /**
+   * Sends conversion event to Optimizely, built with the given project config rather than the current one.
+   * Internal, used by user contexts pinning a project config, and not part of the Client interface.
+   * @param  {ProjectConfig|null}  configObj
+   * @param  {string}              eventKey
+   * @param  {string}              userId
+   * @param  {UserAttributes}      attributes
+   * @param  {EventTags}           eventTags Values associated with the event.
+   */
+  _trackWithConfig(
+    configObj: projectConfig.ProjectConfig | null,
+    eventKey: string,
+    userId: string,
+    attributes?: UserAttributes,
+    eventTags?: EventTags
+  ): void {
     try {
       if (!this.isValidInstance()) {
         this.logger.log(LOG_LEVEL.ERROR, LOG_MESSAGES.INVALID_OBJECT, MODULE_NAME, 'track');
@@ -378,7 +477,6 @@ export default class Optimizely implements Client {
         return;
       }
 
-      const configObj = this.projectConfigManager.getConfig();
       if (!configObj) {
         return;
       }
@@ -403,7 +501,7 @@ export default class Optimizely implements Client {
       this.logger.log(LOG_LEVEL.INFO, LOG_MESSAGES.TRACK_EVENT, MODULE_NAME, eventKey, userId);
       // TODO is it okay to not pass a projectConfig as second argument
       this.eventProcessor.process(conversionEvent);
-      this.emitNotificationCenterTrack(eventKey, userId, attributes, eventTags);
+      this.emitNotificationCenterTrack(configObj, eventKey, userId, attributes, eventTags);
     } catch (e) {
       this.logger.log(LOG_LEVEL.ERROR, e.message);
       this.errorHandler.handleError(e);
@@ -412,23 +510,20 @@ export default class Optimizely implements Client {
   }
   /**
    * Send TRACK event to notificationCenter
+   * @param  {ProjectConfig}  configObj      The project config the conversion event was built with
    * @param  {string}         eventKey
    * @param  {string}         userId
    * @param  {UserAttributes} attributes
    * @param  {EventTags}      eventTags Values associated with the event.
    */
   private emitNotificationCenterTrack(
+    configObj: projectConfig.ProjectConfig,
     eventKey: string,
     userId: string,
     attributes?: UserAttributes,
     eventTags?: EventTags
   ): void {
     try {
-      const configObj = this.projectConfigManager.getConfig();
-      if (!configObj) {
-        return;
-      }
-
       const conversionEventOptions = {
         attributes: attributes,
         clientEngine: this.clientEngine,
@@ -484,16 +579,17 @@ export default class Optimizely implements Client {
           return null;
         }
 
-        const variationKey = this.decisionService.getVariation(
+        const decisionVariation = this.decisionService.getVariation(
           configObj,
           experiment,
           this.createInternalUserContext(userId, attributes) as OptimizelyUserContext
-        ).result;
+        );
+        const variationKey = decisionVariation.result;
         const decisionNotificationType = projectConfig.isFeatureExperiment(configObj, experiment.id)
           ? DECISION_NOTIFICATION_TYPES.FEATURE_TEST
           : DECISION_NOTIFICATION_TYPES.AB_TEST;
 
-        this.notificationCenter.sendNotifications(NOTIFICATION_TYPES.DECISION, {
+        this.sendDecisionNotification(configObj, {
           type: decisionNotificationType,
           userId: userId,
           attributes: attributes || {},
@@ -501,7 +597,7 @@ export default class Optimizely implements Client {
             experimentKey: experimentKey,
             variationKey: variationKey,
           },
-        });
+        }, decisionVariation.reasons);
 
         return variationKey;
       } catch (ex) {
@@ -660,7 +756,8 @@ export default class Optimizely implements Client {
 
       let sourceInfo = {};
       const user = this.createInternalUserContext(userId, attributes) as OptimizelyUserContext;
-      const decisionObj = this.decisionService.getVariationForFeature(configObj, feature, user).result;
+      const decisionForFeature = this.decisionService.getVariationForFeature(configObj, feature, user);
+      const decisionObj = decisionForFeature.result;
       const decisionSource = decisionObj.decisionSource;
       const experimentKey = decision.getExperimentKey(decisionObj);
       const variationKey = decision.getVariationKey(decisionObj);
@@ -676,9 +773,10 @@ export default class Optimizely implements Client {
 
       if (
         decisionSource === DECISION_SOURCES.FEATURE_TEST ||
+        decisionSource === DECISION_SOURCES.HOLDOUT ||
         (decisionSource === DECISION_SOURCES.ROLLOUT && projectConfig.getSendFlagDecisionsValue(configObj))
       ) {
-        this.sendImpressionEvent(decisionObj, feature.key, userId, featureEnabled, attributes);
+        this.sendImpressionEvent(configObj, decisionObj, feature.key, userId, featureEnabled, attributes);
       }
 
       if (featureEnabled === true) {
@@ -695,12 +793,12 @@ export default class Optimizely implements Client {
         sourceInfo: sourceInfo,
       };
 
-      this.notificationCenter.sendNotifications(NOTIFICATION_TYPES.DECISION, {
+      this.sendDecisionNotification(configObj, {
         type: DECISION_NOTIFICATION_TYPES.FEATURE,
         userId: userId,
         attributes: attributes || {},
         decisionInfo: featureInfo,
-      });
+      }, decisionForFeature.reasons);
 
       return featureEnabled;
     } catch (e) {
@@ -841,9 +939,11 @@ export default class Optimizely implements Client {
     }
 
     const user = this.createInternalUserContext(userId, attributes) as OptimizelyUserContext;
-    const decisionObj = this.decisionService.getVariationForFeature(configObj, featureFlag, user).result;
+    const decisionForFeature = this.decisionService.getVariationForFeature(configObj, featureFlag, user);
+    const decisionObj = decisionForFeature.result;
     const featureEnabled = decision.getFeatureEnabledFromVariation(decisionObj);
     const variableValue = this.getFeatureVariableValueFromVariation(
+      configObj,
       featureKey,
       featureEnabled,
       decisionObj.variation,
@@ -862,7 +962,7 @@ export default class Optimizely implements Client {
       };
     }
 
-    this.notificationCenter.sendNotifications(NOTIFICATION_TYPES.DECISION, {
+    this.sendDecisionNotification(configObj, {
       type: DECISION_NOTIFICATION_TYPES.FEATURE_VARIABLE,
       userId: userId,
       attributes: attributes || {},
@@ -875,7 +975,7 @@ export default class Optimizely implements Client {
         variableType: variable.type,
         sourceInfo: sourceInfo,
       },
-    });
+    }, decisionForFeature.reasons);
     return variableValue;
   }
 
@@ -886,27 +986,23 @@ export default class Optimizely implements Client {
    * available variation or not. Also logs the appropriate message explaining how it
    * evaluated the value of the variable.
    *
+   * @param  {ProjectConfig}   configObj            The project config the decision was made with
    * @param  {string}          featureKey           Key of the feature whose variable's value is
    *                                                being accessed
    * @param  {boolean}         featureEnabled       Boolean indicating if feature is enabled or not
    * @param  {Variation}       variation            variation returned by decision service
    * @param  {FeatureVariable} variable             varible whose value is being evaluated
    * @param  {string}          userId               ID for the user
-   * @return {unknown}                              Value of the variable or null if the
-   *                                                config Obj is null
+   * @return {unknown}                              Value of the variable
    */
   private getFeatureVariableValueFromVariation(
+    configObj: projectConfig.ProjectConfig,
     featureKey: string,
     featureEnabled: boolean,
     variation: Variation | null,
     variable: FeatureVariable,
     userId: string
   ): FeatureVariableValue {
-    const configObj = this.projectConfigManager.getConfig();
-    if (!configObj) {
-      return null;
-    }
-
     let variableValue = variable.defaultValue;
     if (variation !== null) {
       const value = projectConfig.getVariableValueForVariation(configObj, variable, variation, this.logger);
@@ -1174,12 +1270,14 @@ export default class Optimizely implements Client {
 
       const user = this.createInternalUserContext(userId, attributes) as OptimizelyUserContext;
 
-      const decisionObj = this.decisionService.getVariationForFeature(configObj, featureFlag, user).result;
+      const decisionForFeature = this.decisionService.getVariationForFeature(configObj, featureFlag, user);
+      const decisionObj = decisionForFeature.result;
       const featureEnabled = decision.getFeatureEnabledFromVariation(decisionObj);
       const allVariables: { [variableKey: string]: unknown } = {};
 
       featureFlag.variables.forEach((variable: FeatureVariable) => {
         allVariables[variable.key] = this.getFeatureVariableValueFromVariation(
+          configObj,
           featureKey,
           featureEnabled,
           decisionObj.variation,
@@ -1199,7 +1297,7 @@ export default class Optimizely implements Client {
           variationKey: decisionObj.variation.key,
         };
       }
-      this.notificationCenter.sendNotifications(NOTIFICATION_TYPES.DECISION, {
+      this.sendDecisionNotification(configObj, {
         type: DECISION_NOTIFICATION_TYPES.ALL_FEATURE_VARIABLES,
         userId: userId,
         attributes: attributes || {},
@@ -1210,7 +1308,7 @@ export default class Optimizely implements Client {
           variableValues: allVariables,
           sourceInfo: sourceInfo,
         },
-      });
+      }, decisionForFeature.reasons);
 
       return allVariables;
     } catch (e) {
@@ -1270,6 +1368,46 @@ export default class Optimizely implements Client {
     }
   }
 
+  /**
+   * Roll the datafile back to the previous revision which was used by this instance, as an emergency undo
+   * of a bad publish. The previous datafile is saved to the datafile cache if one is used, and datafiles are ignored until
+   * a revision newer than the rolled back one is published. Only one revision can be rolled back.
+   * @return {boolean}  true if the datafile was rolled back, false if there is no previous revision
+   */
+  rollbackDatafile(): boolean {
+    try {
+      const error = this.projectConfigManager.rollback();
+      if (error) {
+        this.logger.log(LOG_LEVEL.WARNING, error.message);
+        return false;
+      }
+      return true;
+    } catch (e) {
+      this.logger.log(LOG_LEVEL.ERROR, e.message);
+      this.errorHandler.handleError(e);
+      return false;
+    }
+  }
+
+  /**
+   * Replace the candidate datafile of shadow evaluation, so that the decisions of another datafile can be compared
+   * with the live ones without creating a new instance. Requires the shadowEvaluation option.
+   * @param  {string|object}  datafile
+   * @return {boolean}        true if the candidate datafile was replaced, false if shadow evaluation is not
+   *                          enabled or the datafile is invalid
+   */
+  setShadowDatafile(
+    // TODO[OASIS-6649]: Don't use object type
+    // eslint-disable-next-line  @typescript-eslint/ban-types
+    datafile: string | object
+  ): boolean {
+    if (!this.shadowEvaluator) {
+      this.logger.log(LOG_LEVEL.WARNING, LOG_MESSAGES.SHADOW_EVALUATION_NOT_ENABLED, MODULE_NAME);
+      return false;
+    }
+    return this.shadowEvaluator.setCandidateDatafile(datafile);
+  }
+
   /**
    * Stop background processes belonging to this instance, including:
    *
@@ -1296,6 +1434,9 @@ export default class Optimizely implements Client {
    *    - reason (string=):  If success is false, this is a string property with
    *                         an explanatory message.
    *
+   * The sinks of the decision audit log are closed too, and the returned Promise
+   * is fulfilled once they are.
+   *
    * NOTE: After close is called, this instance is no longer usable - any events
    * generated will no longer be sent to the event dispatcher.
    *
@@ -1314,6 +1455,7 @@ export default class Optimizely implements Client {
       }
 
       const eventProcessorStoppedPromise = this.eventProcessor.stop();
+      const decisionAuditLogClosedPromise = this.decisionAuditLog ? this.decisionAuditLog.close() : Promise.resolve();
       if (this.disposeOnUpdate) {
         this.disposeOnUpdate();
         this.disposeOnUpdate = null;
@@ -1327,7 +1469,7 @@ export default class Optimizely implements Client {
         readyTimeoutRecord.onClose();
       });
       this.readyTimeouts = {};
-      return eventProcessorStoppedPromise.then(
+      return Promise.all([eventProcessorStoppedPromise, decisionAuditLogClosedPromise]).then(
         function() {
           return {
             success: true,
@@ -1437,10 +1579,16 @@ export default class Optimizely implements Client {
    *
    * @param  {string}          userId      (Optional) The user ID to be used for bucketing.
    * @param  {UserAttributes}  attributes  (Optional) user attributes.
+   * @param  {UserContextOptions} options  (Optional) pinConfig pins the current project config to the context,
+   *                                       so that all its decisions and events use the same revision.
    * @return {OptimizelyUserContext|null}  An OptimizelyUserContext associated with this OptimizelyClient or
    *                                       null if provided inputs are invalid
    */
-  createUserContext(userId?: string, attributes?: UserAttributes): OptimizelyUserContext | null {
+  createUserContext(
+    userId?: string,
+    attributes?: UserAttributes,
+    options: UserContextOptions = {}
+  ): OptimizelyUserContext | null {
     const userIdentifier = userId ?? this.odpManager?.getVuid();
 
     if (userIdentifier === undefined || !this.validateInputs({ user_id: userIdentifier }, attributes)) {
@@ -1452,6 +1600,7 @@ export default class Optimizely implements Client {
       userId: userIdentifier,
       attributes,
       shouldIdentifyUser: true,
+      pinConfig: options.pinConfig,
     });
   }
 
@@ -1475,10 +1624,173 @@ export default class Optimizely implements Client {
     });
   }
 
+  /**
+   * Returns the project config pinned by a user context, or the current project config
+   * @param  {OptimizelyUserContext}   user
+   * @return {ProjectConfig|null}
+   */
+  private getUserProjectConfig(user: OptimizelyUserContext): projectConfig.ProjectConfig | null {
+    return user.getPinnedConfig() ?? this.projectConfigManager.getConfig();
+  }
+
   decide(user: OptimizelyUserContext, key: string, options: OptimizelyDecideOption[] = []): OptimizelyDecision {
+    return this.decideWithUserProfileTracker(user, key, options);
+  }
+
+  /**
+   * Returns a decision result for a given flag key and a user context, looking up the user profile
+   * asynchronously once before deciding and saving it once afterwards. Decisions of CMAB rules
+   * are fetched from the CMAB decision provider before deciding.
+   * @param     {OptimizelyUserContext}      user        A user context associated with this OptimizelyClient
+   * @param     {string}                     key         A flag key for which a decision will be made.
+   * @param     {OptimizelyDecideOption[]}   options     An array of options for decision-making.
+   * @return    {Promise<OptimizelyDecision>}            A Promise fulfilled with the decision result.
+   */
+  async decideAsync(
+    user: OptimizelyUserContext,
+    key: string,
+    options: OptimizelyDecideOption[] = []
+  ): Promise<OptimizelyDecision> {
+    if (!this.isValidInstance()) {
+      return this.decide(user, key, options);
+    }
+
+    const allDecideOptions = this.getAllDecideOptions(options);
+    const userProfileTracker = await this.decisionService.loadUserProfileTrackerAsync(user, allDecideOptions);
+    const cmabAudienceResults = await this.fetchCmabDecisionsAsync(user, [key]);
+    const decision = this.decideWithUserProfileTracker(user, key, options, userProfileTracker, cmabAudienceResults);
+    await this.decisionService.saveUserProfileTrackerAsync(user.getUserId(), userProfileTracker);
+
+    return decision;
+  }
+
+  /**
+   * Returns a decision result for a given flag key and a user context, with the variables declared in the
+   * schema validated against it. Variable values are read from the decided variation even when the
+   * EXCLUDE_VARIABLES option is used. A variable which is missing from the flag, has another type than
+   * declared or fails its validator is replaced by its declared default value, and the mismatch is
+   * reported in reasons regardless of the INCLUDE_REASONS option.
+   * @param     {OptimizelyUserContext}      user        A user context associated with this OptimizelyClient
+   * @param     {string}                     key         A flag key for which a decision will be made.
+   * @param     {OptimizelyVariableSchema}   schema      The expected type, default value and validator of each variable.
+   * @param     {OptimizelyDecideOption[]}   options     An array of options for decision-making.
+   * @return    {OptimizelyTypedDecision}                A decision result with typed variables.
+   */
+  decideTyped<S extends OptimizelyVariableSchema>(
+    user: OptimizelyUserContext,
+    key: string,
+    schema: S,
+    options: OptimizelyDecideOption[] = []
+  ): OptimizelyTypedDecision<S> {
+    const decisionResult = this.decide(user, key, options);
+    const reasons = decisionResult.reasons.slice();
+    const variables: { [variableKey: string]: unknown } = {};
+
+    const configObj = this.getUserProjectConfig(user);
+    const feature = configObj ? configObj.featureKeyMap[key] : undefined;
+    const variation =
+      configObj && decisionResult.variationKey !== null
+        ? projectConfig.getFlagVariationByKey(configObj, key, decisionResult.variationKey)
+        : null;
+
+    Object.keys(schema).forEach(variableKey => {
+      const schemaEntry = schema[variableKey];
+      variables[variableKey] = schemaEntry.defaultValue;
+      if (!configObj || !feature) {
+        // the decision already reports why the flag could not be decided
+        return;
+      }
+
+      const variable = feature.variableKeyMap[variableKey];
+      if (!variable) {
+        reasons.push(sprintf(DECISION_MESSAGES.VARIABLE_NOT_IN_FLAG, variableKey, key));
+        return;
+      }
+      if (variable.type !== schemaEntry.type) {
+        reasons.push(sprintf(DECISION_MESSAGES.VARIABLE_TYPE_MISMATCH, variableKey, variable.type, schemaEntry.type));
+        return;
+      }
+
+      const value = this.getFeatureVariableValueFromVariation(
+        configObj,
+        key,
+        decisionResult.enabled,
+        variation,
+        variable,
+        user.getUserId()
+      );
+      let isValid = value !== null;
+      if (isValid && schemaEntry.validate) {
+        try {
+          isValid = schemaEntry.validate(value);
+        } catch (ex) {
+          isValid = false;
+        }
+      }
+      if (!isValid) {
+        reasons.push(sprintf(DECISION_MESSAGES.VARIABLE_VALUE_INVALID, variableKey));
+        return;
+      }
+      variables[variableKey] = value;
+    });
+
+    return {
+      ...decisionResult,
+      variables: variables as OptimizelyTypedVariables<S>,
+      reasons,
+    };
+  }
+
+  /**
+   * Fetches the decisions of the CMAB rules the user qualifies for in the given flags,
+   * so that they are available when the flags are decided.
+   * @param     {OptimizelyUserContext}      user        A user context associated with this OptimizelyClient
+   * @param     {string[]}                   keys        An array of flag keys
+   * @return    {Promise<CmabAudienceResults>}           The audience results of the CMAB rules, to be reused by the decisions.
+   *                                                     Empty if the project config was updated during the fetch.
+   */
+  private async fetchCmabDecisionsAsync(user: OptimizelyUserContext, keys: string[]): Promise<CmabAudienceResults> {
+    const configObj = this.getUserProjectConfig(user);
+    if (!configObj) {
+      return {};
+    }
+
+    const fetchPromises: Promise<CmabAudienceResults>[] = [];
+    keys.forEach(key => {
+      const feature = configObj.featureKeyMap[key];
+      if (feature) {
+        fetchPromises.push(this.decisionService.fetchCmabDecisionsAsync(configObj, feature, user));
+      }
+    });
+    const audienceResults = await Promise.all(fetchPromises);
+    if (this.getUserProjectConfig(user) !== configObj) {
+      return {};
+    }
+    return fns.assign({}, ...audienceResults);
+  }
+
+  /**
+   * Makes a decision for a given flag key and a user context. When a user profile tracker is provided,
+   * new bucketing decisions are recorded in it instead of being saved to the user profile service.
+   * Otherwise, with shadow evaluation, a user profile tracker is loaded and saved around the decision.
+   * When the decision of a CMAB rule was not fetched, the reason is reported regardless of the INCLUDE_REASONS option.
+   * @param     {OptimizelyUserContext}      user                 A user context associated with this OptimizelyClient
+   * @param     {string}                     key                  A flag key for which a decision will be made.
+   * @param     {OptimizelyDecideOption[]}   options              An array of options for decision-making.
+   * @param     {UserProfileTracker}         userProfileTracker   (Optional) user profile loaded ahead of the decision.
+   * @param     {CmabAudienceResults}        cmabAudienceResults  (Optional) audience results of CMAB rules from fetchCmabDecisionsAsync.
+   * @return    {OptimizelyDecision}                              A decision result.
+   */
+  private decideWithUserProfileTracker(
+    user: OptimizelyUserContext,
+    key: string,
+    options: OptimizelyDecideOption[] = [],
+    userProfileTracker?: UserProfileTracker,
+    cmabAudienceResults?: CmabAudienceResults
+  ): OptimizelyDecision {
     const userId = user.getUserId();
     const attributes = user.getAttributes();
-    const configObj = this.projectConfigManager.getConfig();
+    const configObj = this.getUserProjectConfig(user);
     const reasons: (string | number)[][] = [];
     let decisionObj: DecisionObj;
     if (!this.isValidInstance() || !configObj) {
@@ -1486,15 +1798,41 @@ export default class Optimizely implements Client {
       return newErrorDecision(key, user, [DECISION_MESSAGES.SDK_NOT_READY]);
     }
 
+    const pinnedRevision = user.getPinnedConfig() ? configObj.revision : undefined;
     const feature = configObj.featureKeyMap[key];
     if (!feature) {
       this.logger.log(LOG_LEVEL.ERROR, ERROR_MESSAGES.FEATURE_NOT_IN_DATAFILE, MODULE_NAME, key);
-      return newErrorDecision(key, user, [sprintf(DECISION_MESSAGES.FLAG_KEY_INVALID, key)]);
+      const errorDecision = newErrorDecision(key, user, [sprintf(DECISION_MESSAGES.FLAG_KEY_INVALID, key)]);
+      if (pinnedRevision !== undefined) {
+        errorDecision.revision = pinnedRevision;
+      }
+      return errorDecision;
     }
 
     const allDecideOptions = this.getAllDecideOptions(options);
+    const trace = allDecideOptions[OptimizelyDecideOption.INCLUDE_TRACE]
+      ? new DecisionTraceRecorder(key, userId)
+      : undefined;
+
+    // the user profile is loaded once for both the live decision and the shadow evaluation
+    let ownUserProfileTracker: UserProfileTracker | undefined;
+    let shadowUserProfile: ExperimentBucketMap | undefined;
+    if (this.shadowEvaluator) {
+      if (!userProfileTracker) {
+        ownUserProfileTracker = this.decisionService.loadUserProfileTracker(user, allDecideOptions);
+        userProfileTracker = ownUserProfileTracker;
+      }
+      // taken before the live decision, so its bucketing does not become a sticky assignment for the candidate
+      shadowUserProfile = { ...userProfileTracker.userProfile };
+    }
 
-    const forcedDecisionResponse = this.decisionService.findValidatedForcedDecision(configObj, user, key);
+    const forcedDecisionResponse = this.decisionService.findValidatedForcedDecision(
+      configObj,
+      user,
+      key,
+      undefined,
+      trace
+    );
     reasons.push(...forcedDecisionResponse.reasons);
     const variation = forcedDecisionResponse.result;
     if (variation) {
@@ -1504,10 +1842,21 @@ export default class Optimizely implements Client {
         decisionSource: DECISION_SOURCES.FEATURE_TEST,
       };
     } else {
-      const decisionVariation = this.decisionService.getVariationForFeature(configObj, feature, user, allDecideOptions);
+      const decisionVariation = this.decisionService.getVariationForFeature(
+        configObj,
+        feature,
+        user,
+        allDecideOptions,
+        userProfileTracker,
+        trace,
+        cmabAudienceResults
+      );
       reasons.push(...decisionVariation.reasons);
       decisionObj = decisionVariation.result;
     }
+    if (ownUserProfileTracker) {
+      this.decisionService.saveUserProfileTracker(userId, ownUserProfileTracker);
+    }
     const decisionSource = decisionObj.decisionSource;
     const experimentKey = decisionObj.experiment?.key ?? null;
     const variationKey = decisionObj.variation?.key ?? null;
@@ -1524,6 +1873,7 @@ export default class Optimizely implements Client {
     if (!allDecideOptions[OptimizelyDecideOption.EXCLUDE_VARIABLES]) {
       feature.variables.forEach(variable => {
         variablesMap[variable.key] = this.getFeatureVariableValueFromVariation(
+          configObj,
           key,
           flagEnabled,
           decisionObj.variation,
@@ -1536,9 +1886,10 @@ export default class Optimizely implements Client {
     if (
       !allDecideOptions[OptimizelyDecideOption.DISABLE_DECISION_EVENT] &&
       (decisionSource === DECISION_SOURCES.FEATURE_TEST ||
+        decisionSource === DECISION_SOURCES.HOLDOUT ||
         (decisionSource === DECISION_SOURCES.ROLLOUT && projectConfig.getSendFlagDecisionsValue(configObj)))
     ) {
-      this.sendImpressionEvent(decisionObj, key, userId, flagEnabled, attributes);
+      this.sendImpressionEvent(configObj, decisionObj, key, userId, flagEnabled, attributes);
       decisionEventDispatched = true;
     }
 
@@ -1559,14 +1910,14 @@ export default class Optimizely implements Client {
       decisionEventDispatched: decisionEventDispatched,
     };
 
-    this.notificationCenter.sendNotifications(NOTIFICATION_TYPES.DECISION, {
+    this.sendDecisionNotification(configObj, {
       type: DECISION_NOTIFICATION_TYPES.FLAG,
       userId: userId,
       attributes: attributes,
       decisionInfo: featureInfo,
-    });
+    }, reasons);
 
-    return {
+    const optimizelyDecision: OptimizelyDecision = {
       variationKey: variationKey,
       enabled: flagEnabled,
       variables: variablesMap,
@@ -1575,6 +1926,49 @@ export default class Optimizely implements Client {
       userContext: user,
       reasons: reportedReasons,
     };
+    if (pinnedRevision !== undefined) {
+      optimizelyDecision.revision = pinnedRevision;
+    }
+    if (trace) {
+      optimizelyDecision.trace = trace.getTrace({
+        decisionSource,
+        ruleKey: experimentKey,
+        variationKey,
+        enabled: flagEnabled,
+      });
+    }
+
+    if (this.shadowEvaluator) {
+      const mismatch = this.shadowEvaluator.evaluate(
+        configObj,
+        optimizelyDecision,
+        user,
+        allDecideOptions,
+        shadowUserProfile
+      );
+      if (mismatch) {
+        this.notificationCenter.sendNotifications(NOTIFICATION_TYPES.SHADOW_DECISION_MISMATCH, mismatch);
+      }
+    }
+
+    return optimizelyDecision;
+  }
+
+  /**
+   * Sends a DECISION notification and records the decision in the decision audit log
+   * @param  {ProjectConfig}                    configObj             The project config the decision was made with
+   * @param  {DecisionNotificationPayload}      decisionNotification  Payload of the DECISION notification
+   * @param  {Array<Array<string|number>>}      reasons               Decide reasons of the decision
+   */
+  private sendDecisionNotification(
+    configObj: ProjectConfig,
+    decisionNotification: DecisionNotificationPayload,
+    reasons: (string | number)[][]
+  ): void {
+    this.notificationCenter.sendNotifications(NOTIFICATION_TYPES.DECISION, decisionNotification);
+    if (this.decisionAuditLog) {
+      this.decisionAuditLog.record(configObj, decisionNotification, reasons);
+    }
   }
 
   /**
@@ -1604,6 +1998,7 @@ export default class Optimizely implements Client {
    * Returns an object of decision results for multiple flag keys and a user context.
    * If the SDK finds an error for a key, the response will include a decision for the key showing reasons for the error.
    * The SDK will always return an object of decisions. When it cannot process requests, it will return an empty object after logging the errors.
+   * The user profile is looked up once for the whole batch and saved once after all decisions have been made.
    * @param     {OptimizelyUserContext}      user        A user context associated with this OptimizelyClient
    * @param     {string[]}                   keys        An array of flag keys for which decisions will be made.
    * @param     {OptimizelyDecideOption[]}  options     An array of options for decision-making.
@@ -1624,12 +2019,14 @@ export default class Optimizely implements Client {
     }
 
     const allDecideOptions = this.getAllDecideOptions(options);
+    const userProfileTracker = this.decisionService.loadUserProfileTracker(user, allDecideOptions);
     keys.forEach(key => {
-      const optimizelyDecision: OptimizelyDecision = this.decide(user, key, options);
+      const optimizelyDecision = this.decideWithUserProfileTracker(user, key, options, userProfileTracker);
       if (!allDecideOptions[OptimizelyDecideOption.ENABLED_FLAGS_ONLY] || optimizelyDecision.enabled) {
         decisionMap[key] = optimizelyDecision;
       }
     });
+    this.decisionService.saveUserProfileTracker(user.getUserId(), userProfileTracker);
 
     return decisionMap;
   }
@@ -1644,7 +2041,7 @@ export default class Optimizely implements Client {
     user: OptimizelyUserContext,
     options: OptimizelyDecideOption[] = []
   ): { [key: string]: OptimizelyDecision } {
-    const configObj = this.projectConfigManager.getConfig();
+    const configObj = this.getUserProjectConfig(user);
     const decisionMap: { [key: string]: OptimizelyDecision } = {};
     if (!this.isValidInstance() || !configObj) {
       this.logger.log(LOG_LEVEL.ERROR, LOG_MESSAGES.INVALID_OBJECT, MODULE_NAME, 'decideAll');
@@ -1656,6 +2053,71 @@ export default class Optimizely implements Client {
     return this.decideForKeys(user, allFlagKeys, options);
   }
 
+  /**
+   * Returns a Promise of decision results for multiple flag keys and a user context.
+   * The user profile is looked up asynchronously once for the whole batch and saved once
+   * after all decisions have been made. Decisions of CMAB rules are fetched from the CMAB decision provider before deciding.
+   * @param     {OptimizelyUserContext}      user        A user context associated with this OptimizelyClient
+   * @param     {string[]}                   keys        An array of flag keys for which decisions will be made.
+   * @param     {OptimizelyDecideOption[]}   options     An array of options for decision-making.
+   * @return    {Promise<{[key: string]: OptimizelyDecision}>}  A Promise fulfilled with decision results mapped by flag keys.
+   */
+  async decideForKeysAsync(
+    user: OptimizelyUserContext,
+    keys: string[],
+    options: OptimizelyDecideOption[] = []
+  ): Promise<{ [key: string]: OptimizelyDecision }> {
+    const decisionMap: { [key: string]: OptimizelyDecision } = {};
+    if (!this.isValidInstance()) {
+      this.logger.log(LOG_LEVEL.ERROR, LOG_MESSAGES.INVALID_OBJECT, MODULE_NAME, 'decideForKeysAsync');
+      return decisionMap;
+    }
+    if (keys.length === 0) {
+      return decisionMap;
+    }
+
+    const allDecideOptions = this.getAllDecideOptions(options);
+    const userProfileTracker = await this.decisionService.loadUserProfileTrackerAsync(user, allDecideOptions);
+    const cmabAudienceResults = await this.fetchCmabDecisionsAsync(user, keys);
+    keys.forEach(key => {
+      const optimizelyDecision = this.decideWithUserProfileTracker(
+        user,
+        key,
+        options,
+        userProfileTracker,
+        cmabAudienceResults
+      );
+      if (!allDecideOptions[OptimizelyDecideOption.ENABLED_FLAGS_ONLY] || optimizelyDecision.enabled) {
+        decisionMap[key] = optimizelyDecision;
+      }
+    });
+    await this.decisionService.saveUserProfileTrackerAsync(user.getUserId(), userProfileTracker);
+
+    return decisionMap;
+  }
+
+  /**
+   * Returns a Promise of decision results for all active flag keys.
+   * @param     {OptimizelyUserContext}      user        A user context associated with this OptimizelyClient
+   * @param     {OptimizelyDecideOption[]}   options     An array of options for decision-making.
+   * @return    {Promise<{[key: string]: OptimizelyDecision}>}  A Promise fulfilled with all decision results mapped by flag keys.
+   */
+  async decideAllAsync(
+    user: OptimizelyUserContext,
+    options: OptimizelyDecideOption[] = []
+  ): Promise<{ [key: string]: OptimizelyDecision }> {
+    const configObj = this.getUserProjectConfig(user);
+    const decisionMap: { [key: string]: OptimizelyDecision } = {};
+    if (!this.isValidInstance() || !configObj) {
+      this.logger.log(LOG_LEVEL.ERROR, LOG_MESSAGES.INVALID_OBJECT, MODULE_NAME, 'decideAllAsync');
+      return decisionMap;
+    }
+
+    const allFlagKeys = Object.keys(configObj.featureKeyMap);
+
+    return this.decideForKeysAsync(user, allFlagKeys, options);
+  }
+
   /**
    * Updates ODP Config with most recent ODP key, host, pixelUrl, and segments from the project config
    */
@@ -31,6 +31,10 @@ import { CONTROL_ATTRIBUTES, LOG_LEVEL, LOG_MESSAGES } from '../utils/enums';
 import testData from '../tests/test_data';
 import { OptimizelyDecideOption } from '../shared_types';
 
+// Event processors using the node event dispatcher send real requests, which can fail.
+// Retrying them would dispatch again while later tests stub the dispatcher.
+var noEventRetryOptions = { maxRetries: 0 };
+
 describe('lib/optimizely_user_context', function() {
   describe('APIs', function() {
     var fakeOptimizely;
@@ -267,6 +271,105 @@ describe('lib/optimizely_user_context', function() {
       });
     });
 
+    describe('#decideAsync', function() {
+      it('should resolve to the decision from optimizely client', async function() {
+        var flagKey = 'feature_1';
+        var fakeDecision = {
+          variationKey: 'variation_with_traffic',
+          enabled: true,
+          variables: {},
+          ruleKey: 'exp_no_audience',
+          flagKey: flagKey,
+          userContext: 'fakeUserContext',
+          reasons: [],
+        };
+        fakeOptimizely = {
+          decideAsync: sinon.stub().resolves(fakeDecision),
+        };
+        var user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: fakeOptimizely,
+          userId,
+        });
+        var decision = await user.decideAsync(flagKey, options);
+        sinon.assert.calledWithExactly(fakeOptimizely.decideAsync, user, flagKey, options);
+        assert.deepEqual(decision, fakeDecision);
+      });
+    });
+
+    describe('#decideForKeysAsync', function() {
+      it('should resolve to the decision results object from optimizely client', async function() {
+        var flagKey1 = 'feature_1';
+        var flagKey2 = 'feature_2';
+        var fakeDecisionMap = {
+          flagKey1: {
+            variationKey: '18257766532',
+            enabled: true,
+            variables: {},
+            ruleKey: '18322080788',
+            flagKey: flagKey1,
+            userContext: 'fakeUserContext',
+            reasons: [],
+          },
+        };
+        fakeOptimizely = {
+          decideForKeysAsync: sinon.stub().resolves(fakeDecisionMap),
+        };
+        var user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: fakeOptimizely,
+          userId,
+        });
+        var decisionMap = await user.decideForKeysAsync([flagKey1, flagKey2], options);
+        sinon.assert.calledWithExactly(fakeOptimizely.decideForKeysAsync, user, [flagKey1, flagKey2], options);
+        assert.deepEqual(decisionMap, fakeDecisionMap);
+      });
+    });
+
+    describe('#decideAllAsync', function() {
+      it('should resolve to the decision results object from optimizely client', async function() {
+        var fakeDecisionMap = {};
+        fakeOptimizely = {
+          decideAllAsync: sinon.stub().resolves(fakeDecisionMap),
+        };
+        var user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: fakeOptimizely,
+          userId,
+        });
+        var decisionMap = await user.decideAllAsync(options);
+        sinon.assert.calledWithExactly(fakeOptimizely.decideAllAsync, user, options);
+        assert.deepEqual(decisionMap, fakeDecisionMap);
+      });
+    });
+
+    describe('#decideTyped', function() {
+      it('should return the typed decision from optimizely client', function() {
+        var flagKey = 'feature_1';
+        var schema = { i_42: { type: 'integer', defaultValue: 0 } };
+        var fakeDecision = {
+          variationKey: 'variation_with_traffic',
+          enabled: true,
+          variables: { i_42: 42 },
+          ruleKey: 'exp_no_audience',
+          flagKey: flagKey,
+          userContext: 'fakeUserContext',
+          reasons: [],
+        };
+        fakeOptimizely = {
+          decideTyped: sinon.stub().returns(fakeDecision),
+        };
+        var user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: fakeOptimizely,
+          userId,
+        });
+        var decision = user.decideTyped(flagKey, schema, options);
+        sinon.assert.calledWithExactly(fakeOptimizely.decideTyped, user, flagKey, schema, options);
+        assert.deepEqual(decision, fakeDecision);
+      });
+    });
+
     describe('#trackEvent', function() {
       it('should call track from optimizely client', function() {
         fakeOptimizely = {
@@ -288,6 +391,84 @@ describe('lib/optimizely_user_context', function() {
           eventTags
         );
       });
+
+      it('should call _trackWithConfig from optimizely client with the pinned config', function() {
+        var pinnedConfig = { revision: '42' };
+        fakeOptimizely = {
+          getProjectConfig: sinon.stub().returns(pinnedConfig),
+          track: sinon.stub(),
+          _trackWithConfig: sinon.stub(),
+        };
+        var eventName = 'myEvent';
+        var eventTags = { eventTag1: 1000 };
+        var user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: fakeOptimizely,
+          userId,
+          pinConfig: true,
+        });
+        user.trackEvent(eventName, eventTags);
+        sinon.assert.notCalled(fakeOptimizely.track);
+        sinon.assert.calledWithExactly(
+          fakeOptimizely._trackWithConfig,
+          pinnedConfig,
+          eventName,
+          user.getUserId(),
+          user.getAttributes(),
+          eventTags
+        );
+      });
+    });
+
+    describe('#getPinnedConfig', function() {
+      it('should return null when the user context does not pin a config', function() {
+        fakeOptimizely = {
+          getProjectConfig: sinon.stub().returns({ revision: '42' }),
+        };
+        var user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: fakeOptimizely,
+          userId,
+        });
+        assert.isNull(user.getPinnedConfig());
+        sinon.assert.notCalled(fakeOptimizely.getProjectConfig);
+      });
+
+      it('should pin the config on first use when no config was available at creation', function() {
+        var pinnedConfig = { revision: '42' };
+        fakeOptimizely = {
+          getProjectConfig: sinon.stub().returns(null),
+        };
+        var user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: fakeOptimizely,
+          userId,
+          pinConfig: true,
+        });
+        assert.isNull(user.getPinnedConfig());
+
+        fakeOptimizely.getProjectConfig.returns(pinnedConfig);
+        assert.strictEqual(user.getPinnedConfig(), pinnedConfig);
+        fakeOptimizely.getProjectConfig.returns({ revision: '43' });
+        assert.strictEqual(user.getPinnedConfig(), pinnedConfig);
+      });
+
+      it('should pass the pinned config to the contexts the flags are decided for', function() {
+        var pinnedConfig = { revision: '42' };
+        fakeOptimizely = {
+          getProjectConfig: sinon.stub().returns(pinnedConfig),
+          decide: sinon.stub(),
+        };
+        var user = new OptimizelyUserContext({
+          shouldIdentifyUser: false,
+          optimizely: fakeOptimizely,
+          userId,
+          pinConfig: true,
+        });
+        fakeOptimizely.getProjectConfig.returns({ revision: '43' });
+        user.decide('feature_1');
+        assert.strictEqual(fakeOptimizely.decide.args[0][0].getPinnedConfig(), pinnedConfig);
+      });
     });
 
     describe('#setForcedDecision', function() {
@@ -350,6 +531,7 @@ describe('lib/optimizely_user_context', function() {
         var notificationCenter = createNotificationCenter({ logger: createdLogger, errorHandler: errorHandler });
         var eventProcessor = createEventProcessor({
           dispatcher: eventDispatcher,
+          retryOptions: noEventRetryOptions,
           batchSize: 1,
           notificationCenter: notificationCenter,
         });
@@ -683,6 +865,7 @@ describe('lib/optimizely_user_context', function() {
         var notificationCenter = createNotificationCenter({ logger: createdLogger, errorHandler: errorHandler });
         var eventProcessor = createEventProcessor({
           dispatcher: eventDispatcher,
+          retryOptions: noEventRetryOptions,
           batchSize: 1,
           notificationCenter: notificationCenter,
         });
@@ -785,6 +968,7 @@ describe('lib/optimizely_user_context', function() {
         var notificationCenter = createNotificationCenter({ logger: createdLogger, errorHandler: errorHandler });
         var eventProcessor = createEventProcessor({
           dispatcher: eventDispatcher,
+          retryOptions: noEventRetryOptions,
           batchSize: 1,
           notificationCenter: notificationCenter,
         });
@@ -828,6 +1012,7 @@ describe('lib/optimizely_user_context', function() {
         var notificationCenter = createNotificationCenter({ logger: createdLogger, errorHandler: errorHandler });
         var eventProcessor = createEventProcessor({
           dispatcher: eventDispatcher,
+          retryOptions: noEventRetryOptions,
           batchSize: 1,
           notificationCenter: notificationCenter,
         });
@@ -20,17 +20,21 @@ import {
   OptimizelyDecision,
   OptimizelyDecisionContext,
   OptimizelyForcedDecision,
+  OptimizelyTypedDecision,
+  OptimizelyVariableSchema,
   UserAttributeValue,
   UserAttributes,
 } from '../shared_types';
 import { CONTROL_ATTRIBUTES } from '../utils/enums';
 import { OptimizelySegmentOption } from '../core/odp/optimizely_segment_option';
+import { ProjectConfig } from '../core/project_config';
 
 interface OptimizelyUserContextConfig {
   optimizely: Optimizely;
   userId: string;
   attributes?: UserAttributes;
   shouldIdentifyUser?: boolean;
+  pinConfig?: boolean;
 }
 
 export interface IOptimizelyUserContext {
@@ -41,6 +45,14 @@ export interface IOptimizelyUserContext {
   decide(key: string, options?: OptimizelyDecideOption[]): OptimizelyDecision;
   decideForKeys(keys: string[], options?: OptimizelyDecideOption[]): { [key: string]: OptimizelyDecision };
   decideAll(options?: OptimizelyDecideOption[]): { [key: string]: OptimizelyDecision };
+  decideAsync(key: string, options?: OptimizelyDecideOption[]): Promise<OptimizelyDecision>;
+  decideForKeysAsync(keys: string[], options?: OptimizelyDecideOption[]): Promise<{ [key: string]: OptimizelyDecision }>;
+  decideAllAsync(options?: OptimizelyDecideOption[]): Promise<{ [key: string]: OptimizelyDecision }>;
+  decideTyped<S extends OptimizelyVariableSchema>(
+    key: string,
+    schema: S,
+    options?: OptimizelyDecideOption[]
+  ): OptimizelyTypedDecision<S>;
   trackEvent(eventName: string, eventTags?: EventTags): void;
   setForcedDecision(context: OptimizelyDecisionContext, decision: OptimizelyForcedDecision): boolean;
   getForcedDecision(context: OptimizelyDecisionContext): OptimizelyForcedDecision | null;
@@ -56,12 +68,24 @@ export default class OptimizelyUserContext implements IOptimizelyUserContext {
   private attributes: UserAttributes;
   private forcedDecisionsMap: { [key: string]: { [key: string]: OptimizelyForcedDecision } };
   private _qualifiedSegments: string[] | null = null;
-
-  constructor({ optimizely, userId, attributes, shouldIdentifyUser = true }: OptimizelyUserContextConfig) {
+  private shouldPinConfig: boolean;
+  private pinnedConfig: ProjectConfig | null = null;
+
+  constructor({
+    optimizely,
+    userId,
+    attributes,
+    shouldIdentifyUser = true,
+    pinConfig = false,
+  }: OptimizelyUserContextConfig) {
     this.optimizely = optimizely;
     this.userId = userId;
     this.attributes = { ...attributes } ?? {};
     this.forcedDecisionsMap = {};
+    this.shouldPinConfig = pinConfig;
+    if (pinConfig) {
+      this.pinnedConfig = this.optimizely.getProjectConfig();
+    }
 
     if (shouldIdentifyUser) {
       this.optimizely.onReady().then(({ success }) => {
@@ -101,6 +125,20 @@ export default class OptimizelyUserContext implements IOptimizelyUserContext {
     return this.optimizely;
   }
 
+  /**
+   * Returns the project config pinned by the user context, so that all decisions and events of the context
+   * use the same revision. When the context was created before the client was ready, the config is pinned
+   * on first use.
+   * @return    {ProjectConfig|null}    The pinned project config, or null if the context does not pin a config
+   *                                    or no config is available yet
+   */
+  getPinnedConfig(): ProjectConfig | null {
+    if (this.shouldPinConfig && !this.pinnedConfig) {
+      this.pinnedConfig = this.optimizely.getProjectConfig();
+    }
+    return this.pinnedConfig;
+  }
+
   public get qualifiedSegments(): string[] | null {
     return this._qualifiedSegments;
   }
@@ -141,12 +179,68 @@ export default class OptimizelyUserContext implements IOptimizelyUserContext {
     return this.optimizely.decideAll(this.cloneUserContext(), options);
   }
 
+  /**
+   * Returns a Promise of a decision result for a given flag key and a user context.
+   * Use this instead of decide when the user profile service performs lookup and save asynchronously.
+   * @param     {string}                     key         A flag key for which a decision will be made.
+   * @param     {OptimizelyDecideOption}     options     An array of options for decision-making.
+   * @return    {Promise<OptimizelyDecision>}            A Promise fulfilled with the decision result.
+   */
+  decideAsync(key: string, options: OptimizelyDecideOption[] = []): Promise<OptimizelyDecision> {
+    return this.optimizely.decideAsync(this.cloneUserContext(), key, options);
+  }
+
+  /**
+   * Returns a Promise of decision results for multiple flag keys and a user context.
+   * The user profile is looked up once for all keys and saved once after all decisions are made.
+   * @param     {string[]}                   keys        An array of flag keys for which decisions will be made.
+   * @param     {OptimizelyDecideOption[]}   options     An array of options for decision-making.
+   * @return    {Promise<{[key: string]: OptimizelyDecision}>}  A Promise fulfilled with decision results mapped by flag keys.
+   */
+  decideForKeysAsync(
+    keys: string[],
+    options: OptimizelyDecideOption[] = []
+  ): Promise<{ [key: string]: OptimizelyDecision }> {
+    return this.optimizely.decideForKeysAsync(this.cloneUserContext(), keys, options);
+  }
+
+  /**
+   * Returns a Promise of decision results for all active flag keys.
+   * @param     {OptimizelyDecideOption[]}   options     An array of options for decision-making.
+   * @return    {Promise<{[key: string]: OptimizelyDecision}>}  A Promise fulfilled with all decision results mapped by flag keys.
+   */
+  decideAllAsync(options: OptimizelyDecideOption[] = []): Promise<{ [key: string]: OptimizelyDecision }> {
+    return this.optimizely.decideAllAsync(this.cloneUserContext(), options);
+  }
+
+  /**
+   * Returns a decision result for a given flag key and a user context, with the variables declared in the schema
+   * validated against it. A variable missing from the flag, of another type or failing its validator is replaced
+   * by its declared default value, and the mismatch is reported in reasons.
+   * @param     {string}                     key         A flag key for which a decision will be made.
+   * @param     {OptimizelyVariableSchema}   schema      The expected type, default value and validator of each variable.
+   * @param     {OptimizelyDecideOption[]}   options     An array of options for decision-making.
+   * @return    {OptimizelyTypedDecision}                A decision result with typed variables.
+   */
+  decideTyped<S extends OptimizelyVariableSchema>(
+    key: string,
+    schema: S,
+    options: OptimizelyDecideOption[] = []
+  ): OptimizelyTypedDecision<S> {
+    return this.optimizely.decideTyped(this.cloneUserContext(), key, schema, options);
+  }
+
   /**
    * Tracks an event.
    * @param     {string}                     eventName The event name.
    * @param     {EventTags}                  eventTags An optional map of event tag names to event tag values.
    */
   trackEvent(eventName: string, eventTags?: EventTags): void {
+    const pinnedConfig = this.getPinnedConfig();
+    if (pinnedConfig) {
+      this.optimizely._trackWithConfig(pinnedConfig, eventName, this.userId, this.attributes, eventTags);
+      return;
+    }
     this.optimizely.track(eventName, this.userId, this.attributes, eventTags);
   }
 
@@ -248,6 +342,8 @@ export default class OptimizelyUserContext implements IOptimizelyUserContext {
     }
 
     userContext._qualifiedSegments = this._qualifiedSegments;
+    userContext.shouldPinConfig = this.shouldPinConfig;
+    userContext.pinnedConfig = this.getPinnedConfig();
 
     return userContext;
   }
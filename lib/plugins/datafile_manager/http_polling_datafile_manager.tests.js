@@ -14,15 +14,19 @@
  * limitations under the License.
  */
 import sinon from 'sinon';
+import { assert } from 'chai';
 import { createHttpPollingDatafileManager } from './http_polling_datafile_manager';
 import * as projectConfig from '../../core/project_config';
 import datafileManager from '../../modules/datafile-manager/index.node';
+import FileKeyValueCache from '../key_value_cache/fileKeyValueCache';
+import testData from '../../tests/test_data';
  
 describe('lib/plugins/datafile_manager/http_polling_datafile_manager', function() {
   var sandbox = sinon.sandbox.create();
   
   beforeEach(() => {
     sandbox.stub(datafileManager,'HttpPollingDatafileManager')
+    sandbox.stub(datafileManager,'StreamingDatafileManager')
   });
 
   afterEach(() => {
@@ -55,8 +59,52 @@ describe('lib/plugins/datafile_manager/http_polling_datafile_manager', function(
       sinon.assert.notCalled(projectConfig.tryCreatingProjectConfig);
       sinon.assert.notCalled(projectConfig.toDatafile);
     });
+
+    it('should create HttpPollingDatafileManager with the provided agent', () => {
+      var logger = {
+        error: () => {},
+      }
+      var agent = {};
+      createHttpPollingDatafileManager('SDK_KEY', logger, undefined, { autoUpdate: true }, agent);
+
+      sinon.assert.calledWithExactly(datafileManager.HttpPollingDatafileManager, {
+        autoUpdate: true,
+        sdkKey: 'SDK_KEY',
+        agent: agent,
+      });
+    });
+
+    it('should create HttpPollingDatafileManager with a file cache when a cache directory is provided', () => {
+      var logger = {
+        error: () => {},
+      }
+      createHttpPollingDatafileManager('SDK_KEY', logger, undefined, { cacheDirectory: '/tmp/optimizely' });
+
+      var config = datafileManager.HttpPollingDatafileManager.getCall(0).args[0];
+      assert.strictEqual(config.cacheDirectory, '/tmp/optimizely');
+      assert.instanceOf(config.cache, FileKeyValueCache);
+    });
   });
   
+  describe('when a stream url template is provided', () => {
+    it('should create StreamingDatafileManager with correct options', () => {
+      var logger = {
+        error: () => {},
+      }
+      createHttpPollingDatafileManager('SDK_KEY', logger, undefined, {
+        autoUpdate: true,
+        streamUrlTemplate: 'https://example.com/stream/%s',
+      });
+
+      sinon.assert.calledWithExactly(datafileManager.StreamingDatafileManager, {
+        autoUpdate: true,
+        streamUrlTemplate: 'https://example.com/stream/%s',
+        sdkKey: 'SDK_KEY',
+      });
+      sinon.assert.notCalled(datafileManager.HttpPollingDatafileManager);
+    });
+  });
+
   describe('when initial datafile is provided', () => {
     beforeEach(() => {
       sandbox.stub(projectConfig, 'tryCreatingProjectConfig').returns({ configObj: { dummy: "Config" }, error: null});
@@ -91,6 +139,89 @@ describe('lib/plugins/datafile_manager/http_polling_datafile_manager', function(
     })
   })
 
+  describe('when a file path is provided', () => {
+    beforeEach(() => {
+      sandbox.stub(datafileManager, 'FileDatafileManager');
+    });
+
+    it('should create FileDatafileManager validating the datafiles of the file', () => {
+      var logger = {
+        error: sinon.spy(),
+        log: () => {},
+      }
+      createHttpPollingDatafileManager('SDK_KEY', logger, undefined, {
+        autoUpdate: false,
+        filePath: '/etc/optimizely/datafile.json',
+      });
+
+      sinon.assert.notCalled(datafileManager.HttpPollingDatafileManager);
+      var fileConfig = datafileManager.FileDatafileManager.getCall(0).args[0];
+      assert.strictEqual(fileConfig.filePath, '/etc/optimizely/datafile.json');
+      assert.isFalse(fileConfig.autoUpdate);
+      assert.isTrue(fileConfig.ignoreRevision);
+      assert.isTrue(fileConfig.validateDatafile(JSON.stringify(testData.getTestProjectConfig())));
+      sinon.assert.notCalled(logger.error);
+      assert.isFalse(fileConfig.validateDatafile('{"version": "1"}'));
+      sinon.assert.calledOnce(logger.error);
+    });
+  });
+
+  describe('when datafile sources are provided', () => {
+    beforeEach(() => {
+      sandbox.stub(projectConfig, 'tryCreatingProjectConfig').returns({ configObj: { dummy: "Config" }, error: null});
+      sandbox.stub(projectConfig, 'toDatafile').returns('{"dummy": "datafile"}');
+      sandbox.stub(datafileManager, 'CompositeDatafileManager');
+      sandbox.stub(datafileManager, 'FileDatafileManager');
+      sandbox.stub(datafileManager, 'StaticDatafileManager');
+    });
+
+    it('should create CompositeDatafileManager trying the sources and then the datafile', () => {
+      var logger = {
+        error: () => {},
+      }
+      createHttpPollingDatafileManager('SDK_KEY', logger, '{"dummy": "datafile"}', {
+        autoUpdate: true,
+        sources: [
+          { name: 'cdn' },
+          { name: 'mirror', urlTemplate: 'https://mirror.example.com/%s.json' },
+          { name: 'file', filePath: '/etc/optimizely/datafile.json' },
+        ],
+        sourceTimeout: 2000,
+      });
+
+      var compositeConfig = datafileManager.CompositeDatafileManager.getCall(0).args[0];
+      assert.strictEqual(compositeConfig.sourceTimeout, 2000);
+      assert.deepEqual(
+        compositeConfig.sources.map(source => source.name),
+        ['cdn', 'mirror', 'file', 'datafile']
+      );
+      // the managers of the sources are created when the sources are started
+      sinon.assert.notCalled(datafileManager.HttpPollingDatafileManager);
+      var sourceManagers = compositeConfig.sources.map(source => source.createDatafileManager());
+
+      sinon.assert.calledTwice(datafileManager.HttpPollingDatafileManager);
+      var cdnConfig = datafileManager.HttpPollingDatafileManager.getCall(0).args[0];
+      assert.isUndefined(cdnConfig.urlTemplate);
+      assert.isUndefined(cdnConfig.datafile);
+      assert.strictEqual(cdnConfig.sdkKey, 'SDK_KEY');
+      var mirrorConfig = datafileManager.HttpPollingDatafileManager.getCall(1).args[0];
+      assert.strictEqual(mirrorConfig.urlTemplate, 'https://mirror.example.com/%s.json');
+      assert.isTrue(mirrorConfig.autoUpdate);
+      var fileConfig = datafileManager.FileDatafileManager.getCall(0).args[0];
+      assert.strictEqual(fileConfig.filePath, '/etc/optimizely/datafile.json');
+      assert.isTrue(fileConfig.autoUpdate);
+      // a fallback file must not replace a newer datafile of a more preferred source
+      assert.isFalse(fileConfig.ignoreRevision);
+      sinon.assert.calledWithExactly(datafileManager.StaticDatafileManager, '{"dummy": "datafile"}');
+      assert.strictEqual(sourceManagers[1], datafileManager.HttpPollingDatafileManager.getCall(1).thisValue);
+      assert.strictEqual(sourceManagers[3], datafileManager.StaticDatafileManager.getCall(0).thisValue);
+
+      // each start of a source creates a new manager
+      assert.notStrictEqual(compositeConfig.sources[1].createDatafileManager(), sourceManagers[1]);
+      sinon.assert.calledThrice(datafileManager.HttpPollingDatafileManager);
+    });
+  });
+
   describe('error logging', () => {
     beforeEach(() => {
       sandbox.stub(projectConfig, 'tryCreatingProjectConfig').returns({ configObj: null, error: 'Error creating config'});
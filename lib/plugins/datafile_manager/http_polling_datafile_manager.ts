@@ -15,9 +15,88 @@
  */
 import { LoggerFacade } from '../../modules/logging';
 import datafileManager from '../../modules/datafile-manager/index.node';
-import { DatafileOptions, DatafileManagerConfig, DatafileManager } from '../../shared_types';
+import { DatafileSource, NodeDatafileManagerConfig } from '../../modules/datafile-manager/datafileManager';
+import { DatafileOptions, DatafileManager, DatafileSourceOptions } from '../../shared_types';
 import { toDatafile, tryCreatingProjectConfig } from '../../core/project_config';
+import FileKeyValueCache from '../key_value_cache/fileKeyValueCache';
 import fns from '../../utils/fns';
+import { NodeRequestAgent } from '../../utils/http_request_handler/node_request_handler';
+
+// Name of the source of the datafile of the config, used after the configured sources
+const CONFIG_DATAFILE_SOURCE = 'datafile';
+
+/**
+ * Creates a datafile manager loading the datafile from a local file, and reloading it whenever the file
+ * changes with autoUpdate. Reloaded datafiles are used only if a project config can be created from them.
+ * No SDK key is needed, so that projects can be served from a local file only.
+ * A file which is the only source of the datafile can ignore revisions, so that it can be edited by hand;
+ * a file which is a fallback source must not, so that it does not replace a newer datafile.
+ * @param  {string}                 filePath
+ * @param  {boolean|undefined}      autoUpdate
+ * @param  {LoggerFacade}           logger
+ * @param  {boolean}                ignoreRevision
+ * @return {DatafileManager}
+ */
+export function createFileDatafileManager(
+  filePath: string,
+  autoUpdate: boolean | undefined,
+  logger: LoggerFacade,
+  ignoreRevision = false
+): DatafileManager {
+  return new datafileManager.FileDatafileManager({
+    filePath,
+    autoUpdate,
+    ignoreRevision,
+    validateDatafile: (datafile: string): boolean => {
+      const { error } = tryCreatingProjectConfig({ datafile, jsonSchemaValidator: undefined, logger });
+      if (error) {
+        logger.error(error);
+      }
+      return !error;
+    },
+  });
+}
+
+/**
+ * Creates a datafile manager trying the given sources in order, and then the datafile of the config
+ * @param  {NodeDatafileManagerConfig & DatafileOptions}  config
+ * @param  {DatafileSourceOptions[]}                      sources
+ * @param  {LoggerFacade}                                 logger
+ * @return {DatafileManager}
+ */
+function createCompositeDatafileManager(
+  config: NodeDatafileManagerConfig & DatafileOptions,
+  sources: DatafileSourceOptions[],
+  logger: LoggerFacade
+): DatafileManager {
+  // the datafile of the config is not given to the sources, which would be ready with it right away
+  const sourceConfig: NodeDatafileManagerConfig & DatafileOptions = fns.assign({}, config);
+  delete sourceConfig.datafile;
+
+  const datafileSources: DatafileSource[] = sources.map(source => ({
+    name: source.name,
+    createDatafileManager: (): DatafileManager =>
+      source.filePath
+        ? createFileDatafileManager(source.filePath, config.autoUpdate, logger)
+        : new datafileManager.HttpPollingDatafileManager({
+            ...sourceConfig,
+            urlTemplate: source.urlTemplate,
+            // each source caches its own datafile, along with its own signature
+            cacheName: source.name,
+          }),
+  }));
+  const configDatafile = config.datafile;
+  if (configDatafile) {
+    datafileSources.push({
+      name: CONFIG_DATAFILE_SOURCE,
+      createDatafileManager: (): DatafileManager => new datafileManager.StaticDatafileManager(configDatafile),
+    });
+  }
+  return new datafileManager.CompositeDatafileManager({
+    sources: datafileSources,
+    sourceTimeout: config.sourceTimeout,
+  });
+}
 
 export function createHttpPollingDatafileManager(
   sdkKey: string,
@@ -26,11 +105,18 @@ export function createHttpPollingDatafileManager(
   // eslint-disable-next-line  @typescript-eslint/ban-types
   datafile?: string | object,
   datafileOptions?: DatafileOptions,
+  agent?: NodeRequestAgent,
 ): DatafileManager {  
-  const datafileManagerConfig: DatafileManagerConfig = { sdkKey };
+  const datafileManagerConfig: NodeDatafileManagerConfig & DatafileOptions = { sdkKey };
   if (datafileOptions === undefined || (typeof datafileOptions === 'object' && datafileOptions !== null)) {
     fns.assign(datafileManagerConfig, datafileOptions);
   }
+  if (agent) {
+    datafileManagerConfig.agent = agent;
+  }
+  if (datafileManagerConfig.cacheDirectory) {
+    datafileManagerConfig.cache = new FileKeyValueCache(datafileManagerConfig.cacheDirectory);
+  }
   if (datafile) {
     const { configObj, error } = tryCreatingProjectConfig({
       datafile: datafile,
@@ -45,5 +131,15 @@ export function createHttpPollingDatafileManager(
       datafileManagerConfig.datafile = toDatafile(configObj);
     }
   }
+  const { sources, filePath, streamUrlTemplate } = datafileManagerConfig;
+  if (sources && sources.length > 0) {
+    return createCompositeDatafileManager(datafileManagerConfig, sources, logger);
+  }
+  if (filePath) {
+    return createFileDatafileManager(filePath, datafileManagerConfig.autoUpdate, logger, true);
+  }
+  if (streamUrlTemplate) {
+    return new datafileManager.StreamingDatafileManager({ ...datafileManagerConfig, streamUrlTemplate });
+  }
   return new datafileManager.HttpPollingDatafileManager(datafileManagerConfig);
 }
@@ -0,0 +1,77 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import crypto from 'crypto';
+import { assert } from 'chai';
+
+import { createDatafileSignatureVerifier } from './index.node';
+import { sprintf } from '../../utils/fns';
+import { ERROR_MESSAGES } from '../../utils/enums';
+
+var exportPublicKey = function(keyPair) {
+  return keyPair.publicKey.export({ type: 'spki', format: 'pem' });
+};
+
+describe('lib/plugins/datafile_verifier', function() {
+  describe('DatafileSignatureVerifier', function() {
+    var datafile = JSON.stringify({ version: '4', revision: '42' });
+    var ed25519KeyPair;
+    var ecKeyPair;
+
+    before(function() {
+      ed25519KeyPair = crypto.generateKeyPairSync('ed25519');
+      ecKeyPair = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    });
+
+    it('should verify an Ed25519 signature of the datafile', function() {
+      var verifier = createDatafileSignatureVerifier([exportPublicKey(ed25519KeyPair)]);
+      var signature = crypto.sign(null, Buffer.from(datafile), ed25519KeyPair.privateKey).toString('base64');
+
+      assert.isTrue(verifier.verify(datafile, signature));
+      assert.isFalse(verifier.verify(datafile.replace('42', '43'), signature));
+    });
+
+    it('should verify an ECDSA signature of the datafile', function() {
+      var verifier = createDatafileSignatureVerifier([exportPublicKey(ecKeyPair)]);
+      var signature = crypto.sign('sha256', Buffer.from(datafile), ecKeyPair.privateKey).toString('base64');
+
+      assert.isTrue(verifier.verify(datafile, signature));
+      assert.isFalse(verifier.verify(datafile.replace('42', '43'), signature));
+    });
+
+    it('should verify a signature made by any of the trusted keys', function() {
+      var verifier = createDatafileSignatureVerifier([exportPublicKey(ecKeyPair), exportPublicKey(ed25519KeyPair)]);
+      var signature = crypto.sign(null, Buffer.from(datafile), ed25519KeyPair.privateKey).toString('base64');
+      var untrustedKeyPair = crypto.generateKeyPairSync('ed25519');
+      var untrustedSignature = crypto.sign(null, Buffer.from(datafile), untrustedKeyPair.privateKey).toString('base64');
+
+      assert.isTrue(verifier.verify(datafile, signature));
+      assert.isFalse(verifier.verify(datafile, untrustedSignature));
+      assert.isFalse(verifier.verify(datafile, 'not a signature'));
+    });
+
+    it('should throw when a public key is not an Ed25519 or ECDSA key', function() {
+      var rsaKeyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+      var message = sprintf(ERROR_MESSAGES.INVALID_DATAFILE_SIGNATURE_KEY, 'DATAFILE_SIGNATURE_VERIFIER', 1);
+
+      assert.throws(function() {
+        createDatafileSignatureVerifier([exportPublicKey(ed25519KeyPair), exportPublicKey(rsaKeyPair)]);
+      }, message);
+      assert.throws(function() {
+        createDatafileSignatureVerifier(['not a key']);
+      }, sprintf(ERROR_MESSAGES.INVALID_DATAFILE_SIGNATURE_KEY, 'DATAFILE_SIGNATURE_VERIFIER', 0));
+    });
+  });
+});
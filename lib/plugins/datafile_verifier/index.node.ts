@@ -0,0 +1,73 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import crypto from 'crypto';
+
+import { sprintf } from '../../utils/fns';
+import { ERROR_MESSAGES } from '../../utils/enums';
+import { DatafileVerifier } from '../../shared_types';
+
+const MODULE_NAME = 'DATAFILE_SIGNATURE_VERIFIER';
+
+/**
+ * Verifies base64 encoded detached signatures of datafiles, made with Ed25519 or ECDSA with SHA-256
+ * (DER encoded), against a list of trusted public keys. A signature made by any of the keys is valid,
+ * so that the signing key can be rotated.
+ */
+export class DatafileSignatureVerifier implements DatafileVerifier {
+  private publicKeys: crypto.KeyObject[];
+
+  /**
+   * @param {string[]} publicKeys   PEM encoded Ed25519 or ECDSA public keys trusted to sign datafiles
+   * @throws {Error}                if a public key is not an Ed25519 or ECDSA key
+   */
+  constructor(publicKeys: string[]) {
+    this.publicKeys = publicKeys.map((publicKey, index) => {
+      let keyObject: crypto.KeyObject | null = null;
+      try {
+        keyObject = crypto.createPublicKey(publicKey);
+      } catch (ex) {
+        keyObject = null;
+      }
+      if (!keyObject || (keyObject.asymmetricKeyType !== 'ed25519' && keyObject.asymmetricKeyType !== 'ec')) {
+        throw new Error(sprintf(ERROR_MESSAGES.INVALID_DATAFILE_SIGNATURE_KEY, MODULE_NAME, index));
+      }
+      return keyObject;
+    });
+  }
+
+  verify(datafile: string, signature: string): boolean {
+    const data = Buffer.from(datafile, 'utf8');
+    const signatureBuffer = Buffer.from(signature, 'base64');
+    return this.publicKeys.some(publicKey => {
+      try {
+        // Ed25519 signs the data itself, ECDSA signs its SHA-256 digest
+        const algorithm = publicKey.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+        return crypto.verify(algorithm, data, publicKey, signatureBuffer);
+      } catch (ex) {
+        return false;
+      }
+    });
+  }
+}
+
+/**
+ * Creates a verifier of the signatures of the datafiles fetched by the datafile manager
+ * @param  {string[]}                   publicKeys   PEM encoded Ed25519 or ECDSA public keys trusted to sign datafiles
+ * @return {DatafileSignatureVerifier}  An instance of the DatafileSignatureVerifier
+ */
+export function createDatafileSignatureVerifier(publicKeys: string[]): DatafileSignatureVerifier {
+  return new DatafileSignatureVerifier(publicKeys);
+}
@@ -0,0 +1,50 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import fs from 'fs';
+
+import { getLogger } from '../../modules/logging';
+import { DecisionAuditRecord, DecisionAuditSink } from '../../core/decision_audit';
+
+const logger = getLogger('FileDecisionAuditSink');
+
+/**
+ * Appends decision audit records to a file as newline-delimited JSON.
+ * Writes are buffered by a file stream, call close to flush them before exiting.
+ */
+export class FileDecisionAuditSink implements DecisionAuditSink {
+  private stream: fs.WriteStream;
+
+  constructor(filePath: string) {
+    this.stream = fs.createWriteStream(filePath, { flags: 'a', encoding: 'utf8' });
+    this.stream.on('error', (err: Error) => {
+      logger.error('Error writing decision audit records to %s: %s', filePath, err.message);
+    });
+  }
+
+  write(record: DecisionAuditRecord): void {
+    this.stream.write(JSON.stringify(record) + '\n');
+  }
+
+  close(): Promise<void> {
+    return new Promise(resolve => {
+      this.stream.end(() => resolve());
+    });
+  }
+}
+
+export function createFileDecisionAuditSink(filePath: string): FileDecisionAuditSink {
+  return new FileDecisionAuditSink(filePath);
+}
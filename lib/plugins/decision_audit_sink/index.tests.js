@@ -0,0 +1,101 @@
+/****************************************************************************
+ * Copyright 2026, Optimizely, Inc. and contributors                        *
+ *                                                                          *
+ * Licensed under the Apache License, Version 2.0 (the "License");          *
+ * you may not use this file except in compliance with the License.         *
+ * You may obtain a copy of the License at                                  *
+ *                                                                          *
+ *    http://www.apache.org/licenses/LICENSE-2.0                            *
+ *                                                                          *
+ * Unless required by applicable law or agreed to in writing, software      *
+ * distributed under the License is distributed on an "AS IS" BASIS,        *
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. *
+ * See the License for the specific language governing permissions and      *
+ * limitations under the License.                                           *
+ ***************************************************************************/
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import { assert } from 'chai';
+
+import { createInMemoryDecisionAuditSink, createCallbackDecisionAuditSink } from './';
+import { createFileDecisionAuditSink } from './index.node';
+
+var createRecord = function(flagKey) {
+  return {
+    timestamp: 1714521600000,
+    type: 'flag',
+    userIdHash: 'abc',
+    attributes: {},
+    flagKey: flagKey,
+    ruleKey: null,
+    variationKey: null,
+    enabled: false,
+    variableKey: null,
+    reasons: [],
+    revision: '1',
+  };
+};
+
+describe('lib/plugins/decision_audit_sink', function() {
+  describe('InMemoryDecisionAuditSink', function() {
+    it('should return the written records oldest first', function() {
+      var sink = createInMemoryDecisionAuditSink(3);
+      sink.write(createRecord('a'));
+      sink.write(createRecord('b'));
+      assert.deepEqual(sink.getRecords().map(function(record) { return record.flagKey; }), ['a', 'b']);
+    });
+
+    it('should only keep the most recent records up to its capacity', function() {
+      var sink = createInMemoryDecisionAuditSink(3);
+      ['a', 'b', 'c', 'd', 'e'].forEach(function(flagKey) {
+        sink.write(createRecord(flagKey));
+      });
+      assert.deepEqual(sink.getRecords().map(function(record) { return record.flagKey; }), ['c', 'd', 'e']);
+    });
+
+    it('should remove all records when cleared', function() {
+      var sink = createInMemoryDecisionAuditSink(3);
+      sink.write(createRecord('a'));
+      sink.clear();
+      assert.deepEqual(sink.getRecords(), []);
+    });
+  });
+
+  describe('CallbackDecisionAuditSink', function() {
+    it('should pass each record to the callback', function() {
+      var callback = sinon.stub();
+      var sink = createCallbackDecisionAuditSink(callback);
+      var record = createRecord('a');
+      sink.write(record);
+      sinon.assert.calledOnce(callback);
+      sinon.assert.calledWithExactly(callback, record);
+    });
+  });
+
+  describe('FileDecisionAuditSink', function() {
+    var tmpDir;
+
+    beforeEach(function() {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'decision-audit-'));
+    });
+
+    afterEach(function() {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should append records as newline-delimited JSON', async function() {
+      var filePath = path.join(tmpDir, 'audit.ndjson');
+      fs.writeFileSync(filePath, JSON.stringify(createRecord('existing')) + '\n');
+      var sink = createFileDecisionAuditSink(filePath);
+      sink.write(createRecord('a'));
+      sink.write(createRecord('b'));
+      await sink.close();
+
+      var lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      assert.strictEqual(lines.pop(), '');
+      assert.deepEqual(lines.map(function(line) { return JSON.parse(line).flagKey; }), ['existing', 'a', 'b']);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { DecisionAuditRecord, DecisionAuditSink } from '../../core/decision_audit';
+
+const DEFAULT_IN_MEMORY_SINK_CAPACITY = 1000;
+
+/**
+ * Keeps the most recent decision audit records in a fixed size ring buffer
+ */
+export class InMemoryDecisionAuditSink implements DecisionAuditSink {
+  private records: DecisionAuditRecord[] = [];
+  private nextIndex = 0;
+  private capacity: number;
+
+  constructor(capacity: number = DEFAULT_IN_MEMORY_SINK_CAPACITY) {
+    this.capacity = Math.max(1, capacity);
+  }
+
+  write(record: DecisionAuditRecord): void {
+    this.records[this.nextIndex] = record;
+    this.nextIndex = (this.nextIndex + 1) % this.capacity;
+  }
+
+  /**
+   * Returns the stored records, oldest first
+   * @return {DecisionAuditRecord[]}
+   */
+  getRecords(): DecisionAuditRecord[] {
+    if (this.records.length < this.capacity) {
+      return this.records.slice();
+    }
+    return this.records.slice(this.nextIndex).concat(this.records.slice(0, this.nextIndex));
+  }
+
+  clear(): void {
+    this.records = [];
+    this.nextIndex = 0;
+  }
+}
+
+/**
+ * Passes each decision audit record to a callback
+ */
+export class CallbackDecisionAuditSink implements DecisionAuditSink {
+  constructor(private callback: (record: DecisionAuditRecord) => void) {}
+
+  write(record: DecisionAuditRecord): void {
+    this.callback(record);
+  }
+}
+
+export function createInMemoryDecisionAuditSink(capacity?: number): InMemoryDecisionAuditSink {
+  return new InMemoryDecisionAuditSink(capacity);
+}
+
+export function createCallbackDecisionAuditSink(
+  callback: (record: DecisionAuditRecord) => void
+): CallbackDecisionAuditSink {
+  return new CallbackDecisionAuditSink(callback);
+}
@@ -13,11 +13,12 @@
  * See the License for the specific language governing permissions and
  * limitations under the License.
  */
+import https from 'https';
 import nock from 'nock';
 import sinon from 'sinon';
 import { assert } from 'chai';
 
-import { dispatchEvent } from './index.node';
+import { createAgentEventDispatcher, dispatchEvent } from './index.node';
 
 describe('lib/plugins/event_dispatcher/node', function() {
   describe('APIs', function() {
@@ -74,6 +75,22 @@ describe('lib/plugins/event_dispatcher/node', function() {
           });
       });
 
+      it('should execute the callback with the status code of an error response', function(done) {
+        nock('https://cdn.com')
+          .post('/failing-event')
+          .reply(503, {});
+        var eventObj = {
+          url: 'https://cdn.com/failing-event',
+          params: {},
+          httpVerb: 'POST',
+        };
+
+        dispatchEvent(eventObj, function(resp) {
+          assert.equal(503, resp.statusCode);
+          done();
+        });
+      });
+
       it('rejects GET httpVerb', function() {
         var eventObj = {
           url: 'https://cdn.com/event',
@@ -88,6 +105,24 @@ describe('lib/plugins/event_dispatcher/node', function() {
         sinon.assert.notCalled(callback);
       });
 
+      it('should send the request through the provided agent', function(done) {
+        var agent = new https.Agent({ keepAlive: true });
+        var requestSpy = sinon.spy(https, 'request');
+        var eventObj = {
+          url: 'https://cdn.com/event',
+          params: {},
+          httpVerb: 'POST',
+        };
+
+        createAgentEventDispatcher(agent).dispatchEvent(eventObj, function(resp) {
+          assert.equal(200, resp.statusCode);
+          assert.strictEqual(requestSpy.args[0][0].agent, agent);
+          requestSpy.restore();
+          agent.destroy();
+          done();
+        });
+      });
+
       describe('in the event of an error', function() {
         beforeEach(function() {
           nock('https://example')
@@ -106,6 +141,19 @@ describe('lib/plugins/event_dispatcher/node', function() {
           dispatchEvent(eventObj, callback);
           sinon.assert.notCalled(callback);
         });
+
+        it('executes the callback with a 0 status code', function(done) {
+          var eventObj = {
+            url: 'https://example/event',
+            params: {},
+            httpVerb: 'POST',
+          };
+
+          dispatchEvent(eventObj, function(resp) {
+            assert.equal(0, resp.statusCode);
+            done();
+          });
+        });
       });
     });
   });
@@ -17,20 +17,23 @@ import http from 'http';
 import https from 'https';
 import url from 'url';
 
-import { Event } from '../../shared_types';
+import { Event, EventDispatcher } from '../../shared_types';
+import { getAgentForProtocol, NodeRequestAgent } from '../../utils/http_request_handler/node_request_handler';
 
 /**
  * Dispatch an HTTP request to the given url and the specified options
- * @param  {Event}    eventObj           Event object containing
- * @param  {string}   eventObj.url       the url to make the request to
- * @param  {Object}   eventObj.params    parameters to pass to the request (i.e. in the POST body)
- * @param  {string}   eventObj.httpVerb  the HTTP request method type. only POST is supported.
- * @param  {function} callback           callback to execute
- * @return {ClientRequest|undefined}     ClientRequest object which made the request, or undefined if no request was made (error)
+ * @param  {Event}      eventObj           Event object containing
+ * @param  {string}     eventObj.url       the url to make the request to
+ * @param  {Object}     eventObj.params    parameters to pass to the request (i.e. in the POST body)
+ * @param  {string}     eventObj.httpVerb  the HTTP request method type. only POST is supported.
+ * @param  {function}   callback           callback to execute with the response status code, which is 0 for network errors
+ * @param  {NodeRequestAgent} agent        (Optional) agent managing the connections of the request, instead of the global agent
+ * @return {ClientRequest|undefined}       ClientRequest object which made the request, or undefined if no request was made (error)
  */
 export const dispatchEvent = function(
   eventObj: Event,
-  callback: (response: { statusCode: number }) => void
+  callback: (response: { statusCode: number }) => void,
+  agent?: NodeRequestAgent
 ): http.ClientRequest | void {
   // Non-POST requests not supported
   if (eventObj.httpVerb !== 'POST') {
@@ -45,6 +48,7 @@ export const dispatchEvent = function(
     host: parsedUrl.host,
     path: parsedUrl.path,
     method: 'POST',
+    agent: getAgentForProtocol(agent, parsedUrl.protocol),
     headers: {
       'content-type': 'application/json',
       'content-length': dataString.length.toString(),
@@ -54,7 +58,7 @@ export const dispatchEvent = function(
   const reqWrapper: { req?: http.ClientRequest } = {};
 
   const requestCallback = function(response?: { statusCode: number }): void {
-    if (response && response.statusCode && response.statusCode >= 200 && response.statusCode < 400) {
+    if (response && response.statusCode) {
       callback(response);
     }
     reqWrapper.req?.destroy();
@@ -63,8 +67,11 @@ export const dispatchEvent = function(
 
   reqWrapper.req = (parsedUrl.protocol === 'http:' ? http : https)
     .request(requestOptions, requestCallback as (res: http.IncomingMessage) => void);
-  // Add no-op error listener to prevent this from throwing
+  // Report network errors with a 0 status code, so that the event processor can retry
   reqWrapper.req.on('error', function() {
+    if (reqWrapper.req) {
+      callback({ statusCode: 0 });
+    }
     reqWrapper.req?.destroy();
     reqWrapper.req = undefined;
   });
@@ -73,6 +80,20 @@ export const dispatchEvent = function(
   return reqWrapper.req;
 };
 
+/**
+ * Creates an event dispatcher sending its requests through the given agent, so that several
+ * clients can share the same connections
+ * @param  {NodeRequestAgent} agent
+ * @return {EventDispatcher}
+ */
+export function createAgentEventDispatcher(agent: NodeRequestAgent): EventDispatcher {
+  return {
+    dispatchEvent(eventObj, callback): void {
+      dispatchEvent(eventObj, callback, agent);
+    },
+  };
+}
+
 export default {
   dispatchEvent,
 };
@@ -0,0 +1,366 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import { assert } from 'chai';
+
+import {
+  FilePendingEventsStore,
+  FilePendingEventsDispatcher,
+  getFilePendingEventsStores,
+  resetFilePendingEventsStores,
+} from './file_pending_events.node';
+
+var createEntry = function(uuid, timestamp) {
+  return {
+    uuid: uuid,
+    timestamp: timestamp,
+    request: { url: 'https://logx.optimizely.com/v1/events', httpVerb: 'POST', params: { uuid: uuid } },
+  };
+};
+
+var readRecords = function(filePath) {
+  return fs
+    .readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(function(line) {
+      return line;
+    })
+    .map(function(line) {
+      return JSON.parse(line);
+    });
+};
+
+// the entries of the log, read without creating a store which could write to it
+var readValues = function(filePath) {
+  var map = {};
+  readRecords(filePath).forEach(function(record) {
+    if (record.op === 'set') {
+      map[record.key] = record.value;
+    } else {
+      delete map[record.key];
+    }
+  });
+  return Object.keys(map).map(function(key) {
+    return map[key];
+  });
+};
+
+describe('lib/plugins/event_processor/file_pending_events.node', function() {
+  var tmpDir;
+  var filePath;
+
+  beforeEach(function() {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimizely-pending-events-'));
+    filePath = path.join(tmpDir, 'pending_events.log');
+  });
+
+  afterEach(function() {
+    resetFilePendingEventsStores();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('FilePendingEventsStore', function() {
+    it('should append set and remove records to the log', async function() {
+      var store = new FilePendingEventsStore({ filePath: filePath });
+      store.set('a', createEntry('a', 1));
+      store.set('b', createEntry('b', 2));
+      store.remove('a');
+      await store.flush();
+
+      assert.deepEqual(readRecords(filePath), [
+        { op: 'set', key: 'a', value: createEntry('a', 1) },
+        { op: 'set', key: 'b', value: createEntry('b', 2) },
+        { op: 'remove', key: 'a' },
+      ]);
+      assert.deepEqual(store.values(), [createEntry('b', 2)]);
+      assert.deepEqual(store.get('b'), createEntry('b', 2));
+      assert.isNull(store.get('a'));
+    });
+
+    it('should write the records of a tick with one append', async function() {
+      var store = new FilePendingEventsStore({ filePath: filePath });
+      var appendFile = sinon.spy(fs.promises, 'appendFile');
+      try {
+        store.set('a', createEntry('a', 1));
+        store.set('b', createEntry('b', 2));
+        assert.isFalse(fs.existsSync(filePath));
+        await store.flush();
+        sinon.assert.calledOnce(appendFile);
+
+        store.remove('a');
+        await store.flush();
+        sinon.assert.calledTwice(appendFile);
+      } finally {
+        appendFile.restore();
+      }
+      assert.lengthOf(readRecords(filePath), 3);
+    });
+
+    it('should load the entries left in the log by a previous store', async function() {
+      var previousStore = new FilePendingEventsStore({ filePath: filePath });
+      previousStore.set('a', createEntry('a', 1));
+      previousStore.set('b', createEntry('b', 2));
+      previousStore.remove('a');
+      await previousStore.flush();
+
+      var store = new FilePendingEventsStore({ filePath: filePath });
+      assert.deepEqual(store.values(), [createEntry('b', 2)]);
+      await store.flush();
+      assert.deepEqual(readRecords(filePath), [{ op: 'set', key: 'b', value: createEntry('b', 2) }]);
+    });
+
+    it('should skip an incomplete record at the end of the log', async function() {
+      fs.writeFileSync(
+        filePath,
+        JSON.stringify({ op: 'set', key: 'a', value: createEntry('a', 1) }) + '\n{"op":"set","key":"b","val'
+      );
+      var store = new FilePendingEventsStore({ filePath: filePath });
+      assert.deepEqual(store.values(), [createEntry('a', 1)]);
+
+      store.set('c', createEntry('c', 3));
+      await store.flush();
+      var reloadedStore = new FilePendingEventsStore({ filePath: filePath });
+      assert.deepEqual(reloadedStore.values(), [createEntry('a', 1), createEntry('c', 3)]);
+    });
+
+    it('should compact the log once it holds enough stale records', async function() {
+      var store = new FilePendingEventsStore({ filePath: filePath, compactionThreshold: 4 });
+      store.set('a', createEntry('a', 1));
+      store.set('b', createEntry('b', 2));
+      store.set('c', createEntry('c', 3));
+      store.remove('a');
+      await store.flush();
+      assert.lengthOf(readRecords(filePath), 4);
+
+      store.remove('b');
+      await store.flush();
+      assert.deepEqual(readRecords(filePath), [{ op: 'set', key: 'c', value: createEntry('c', 3) }]);
+      assert.isFalse(fs.existsSync(filePath + '.tmp'));
+    });
+
+    it('should drop the oldest entries when holding more than maxValues', async function() {
+      var store = new FilePendingEventsStore({ filePath: filePath, maxValues: 2 });
+      store.set('b', createEntry('b', 2));
+      store.set('a', createEntry('a', 1));
+      store.set('c', createEntry('c', 3));
+      await store.flush();
+
+      assert.deepEqual(store.values(), [createEntry('b', 2), createEntry('c', 3)]);
+      assert.deepEqual(readValues(filePath), store.values());
+    });
+
+    it('should replace and clear all entries', async function() {
+      var store = new FilePendingEventsStore({ filePath: filePath });
+      store.set('a', createEntry('a', 1));
+      store.replace({ b: createEntry('b', 2) });
+      // a record written after a compaction is kept
+      store.set('c', createEntry('c', 3));
+      await store.flush();
+      assert.deepEqual(readRecords(filePath), [
+        { op: 'set', key: 'b', value: createEntry('b', 2) },
+        { op: 'set', key: 'c', value: createEntry('c', 3) },
+      ]);
+
+      store.replace({ b: createEntry('b', 2) });
+      await store.flush();
+      assert.deepEqual(readRecords(filePath), [{ op: 'set', key: 'b', value: createEntry('b', 2) }]);
+
+      store.clear();
+      await store.flush();
+      assert.deepEqual(store.values(), []);
+      assert.deepEqual(readRecords(filePath), []);
+    });
+
+    it('should keep entries in memory when the log cannot be written', async function() {
+      var store = new FilePendingEventsStore({ filePath: path.join(tmpDir, 'missing', 'pending_events.log') });
+      store.set('a', createEntry('a', 1));
+      await store.flush();
+      assert.deepEqual(store.values(), [createEntry('a', 1)]);
+    });
+  });
+
+  describe('FilePendingEventsDispatcher', function() {
+    var flushBatches = function() {
+      return getFilePendingEventsStores(filePath).batches.flush();
+    };
+
+    it('should keep a dispatched event in the file until a response is received', async function() {
+      var eventDispatcher = { dispatchEvent: sinon.stub() };
+      var callback = sinon.spy();
+      var dispatcher = new FilePendingEventsDispatcher({ eventDispatcher: eventDispatcher, filePath: filePath });
+      var request = createEntry('a', 1).request;
+      dispatcher.dispatchEvent(request, callback);
+
+      sinon.assert.calledOnce(eventDispatcher.dispatchEvent);
+      sinon.assert.calledWith(eventDispatcher.dispatchEvent, request);
+      await flushBatches();
+      assert.lengthOf(readValues(filePath), 1);
+
+      eventDispatcher.dispatchEvent.args[0][1]({ statusCode: 200 });
+      sinon.assert.calledWithExactly(callback, { statusCode: 200 });
+      await flushBatches();
+      assert.lengthOf(readValues(filePath), 0);
+    });
+
+    it('should send the events left in the file by a previous process', async function() {
+      var previousDispatcher = new FilePendingEventsDispatcher({
+        eventDispatcher: { dispatchEvent: sinon.stub() },
+        filePath: filePath,
+      });
+      var request = createEntry('a', 1).request;
+      previousDispatcher.dispatchEvent(request, sinon.spy());
+      await flushBatches();
+      resetFilePendingEventsStores();
+
+      var eventDispatcher = { dispatchEvent: sinon.stub() };
+      var dispatcher = new FilePendingEventsDispatcher({ eventDispatcher: eventDispatcher, filePath: filePath });
+      dispatcher.sendPendingEvents();
+      sinon.assert.calledOnce(eventDispatcher.dispatchEvent);
+      sinon.assert.calledWith(eventDispatcher.dispatchEvent, request);
+
+      eventDispatcher.dispatchEvent.args[0][1]({ statusCode: 200 });
+      await flushBatches();
+      assert.lengthOf(readValues(filePath), 0);
+    });
+
+    it('should keep an event in the file when it fails with a network or server error', async function() {
+      var eventDispatcher = { dispatchEvent: sinon.stub() };
+      var dispatcher = new FilePendingEventsDispatcher({ eventDispatcher: eventDispatcher, filePath: filePath });
+      var request = createEntry('a', 1).request;
+      dispatcher.dispatchEvent(request, sinon.spy());
+      eventDispatcher.dispatchEvent.args[0][1]({ statusCode: 500 });
+      await flushBatches();
+      assert.lengthOf(readValues(filePath), 1);
+
+      dispatcher.dispatchEvent(request, sinon.spy());
+      eventDispatcher.dispatchEvent.args[1][1]({ statusCode: 0 });
+      await flushBatches();
+      var pendingEvents = readValues(filePath);
+      assert.lengthOf(pendingEvents, 1);
+      assert.deepEqual(pendingEvents[0].request, request);
+    });
+
+    it('should remove an event which failed from the file once it is discarded', async function() {
+      var eventDispatcher = { dispatchEvent: sinon.stub() };
+      var dispatcher = new FilePendingEventsDispatcher({ eventDispatcher: eventDispatcher, filePath: filePath });
+      var request = createEntry('a', 1).request;
+      dispatcher.dispatchEvent(request, sinon.spy());
+      eventDispatcher.dispatchEvent.args[0][1]({ statusCode: 503 });
+      dispatcher.discardEvent(request);
+      await flushBatches();
+      assert.lengthOf(readValues(filePath), 0);
+
+      // discarding an event which is not in the file does nothing
+      dispatcher.discardEvent(createEntry('b', 2).request);
+      await flushBatches();
+      assert.lengthOf(readValues(filePath), 0);
+    });
+
+    it('should send the events left in the file through the given dispatch function', async function() {
+      var previousStore = new FilePendingEventsStore({ filePath: filePath });
+      previousStore.set('a', createEntry('a', 1));
+      await previousStore.flush();
+
+      var eventDispatcher = { dispatchEvent: sinon.stub() };
+      var dispatcher = new FilePendingEventsDispatcher({ eventDispatcher: eventDispatcher, filePath: filePath });
+      var dispatch = sinon.spy(function(request) {
+        dispatcher.dispatchEvent(request, sinon.spy());
+      });
+      dispatcher.sendPendingEvents(dispatch);
+      sinon.assert.calledOnce(dispatch);
+      sinon.assert.calledWith(dispatch, createEntry('a', 1).request);
+
+      // dispatching the request again, as retries do, keeps its entry
+      eventDispatcher.dispatchEvent.args[0][1]({ statusCode: 503 });
+      dispatch(dispatch.args[0][0]);
+      await flushBatches();
+      assert.deepEqual(readValues(filePath), [createEntry('a', 1)]);
+
+      eventDispatcher.dispatchEvent.args[1][1]({ statusCode: 200 });
+      await flushBatches();
+      assert.lengthOf(readValues(filePath), 0);
+    });
+
+    it('should send the queued events left in the file by a previous process as batches', async function() {
+      var context = {
+        accountId: 'accountId',
+        projectId: 'projectId',
+        revision: '1',
+        clientName: 'node-sdk',
+        clientVersion: '1.0.0',
+        anonymizeIP: false,
+        botFiltering: false,
+      };
+      var createQueuedEvent = function(uuid, timestamp, context) {
+        return {
+          uuid: uuid,
+          timestamp: timestamp,
+          event: {
+            type: 'conversion',
+            timestamp: timestamp,
+            uuid: uuid,
+            context: context,
+            user: { id: 'user1', attributes: [] },
+            event: { id: 'event1', key: 'purchase' },
+            revenue: null,
+            value: null,
+            tags: undefined,
+          },
+        };
+      };
+      var queueStore = new FilePendingEventsStore({ filePath: filePath + '.queue' });
+      queueStore.set('a', createQueuedEvent('a', 1, context));
+      queueStore.set('b', createQueuedEvent('b', 2, context));
+      queueStore.set('c', createQueuedEvent('c', 3, Object.assign({}, context, { revision: '2' })));
+      await queueStore.flush();
+
+      var eventDispatcher = { dispatchEvent: sinon.stub() };
+      var dispatcher = new FilePendingEventsDispatcher({ eventDispatcher: eventDispatcher, filePath: filePath });
+      dispatcher.sendPendingEvents();
+
+      sinon.assert.calledTwice(eventDispatcher.dispatchEvent);
+      var batchSizes = eventDispatcher.dispatchEvent.args.map(function(args) {
+        return args[0].params.visitors.length;
+      });
+      assert.sameMembers(batchSizes, [2, 1]);
+      await getFilePendingEventsStores(filePath).queuedEvents.flush();
+      assert.deepEqual(readValues(filePath + '.queue'), []);
+      await flushBatches();
+      assert.lengthOf(readValues(filePath), 2);
+    });
+
+    it('should share the stores of a file between dispatchers', async function() {
+      var firstDispatcher = new FilePendingEventsDispatcher({
+        eventDispatcher: { dispatchEvent: sinon.stub() },
+        filePath: filePath,
+      });
+      var secondDispatcher = new FilePendingEventsDispatcher({
+        eventDispatcher: { dispatchEvent: sinon.stub() },
+        filePath: filePath,
+      });
+      assert.strictEqual(firstDispatcher.queueStore, secondDispatcher.queueStore);
+      assert.strictEqual(firstDispatcher.queueStore, getFilePendingEventsStores(filePath).queuedEvents);
+
+      firstDispatcher.dispatchEvent(createEntry('a', 1).request, sinon.spy());
+      secondDispatcher.dispatchEvent(createEntry('b', 2).request, sinon.spy());
+      await flushBatches();
+      assert.lengthOf(readValues(filePath), 2);
+    });
+  });
+});
@@ -0,0 +1,306 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import fs from 'fs';
+
+import { getLogger } from '../../modules/logging';
+import { getTimestamp, objectValues, uuid } from '../../utils/fns';
+import { EventDispatcher, EventV1Request } from '../../modules/event_processor/eventDispatcher';
+import { ProcessableEvent } from '../../modules/event_processor/eventProcessor';
+import { QueuedEvent } from '../../modules/event_processor/eventQueue';
+import { areEventContextsEqual } from '../../modules/event_processor/events';
+import { formatEvents } from '../../modules/event_processor/v1/buildEventV1';
+import { PendingEventsStore } from '../../modules/event_processor/pendingEventsStore';
+import { DispatcherEntry, PendingEventsDispatcher } from '../../modules/event_processor/pendingEventsDispatcher';
+
+const logger = getLogger('EventProcessor');
+
+export const DEFAULT_PENDING_EVENTS_MAX_VALUES = 1000;
+export const DEFAULT_PENDING_EVENTS_COMPACTION_THRESHOLD = 100;
+
+interface StoreEntry {
+  uuid: string;
+  timestamp: number;
+}
+
+type LogRecord<K> = { op: 'set'; key: string; value: K } | { op: 'remove'; key: string };
+
+/**
+ * A pending events store backed by an append-only log file. Every set and remove is appended
+ * to the file as a line of JSON, and the log is compacted into one record per entry once it holds
+ * more than compactionThreshold stale records. Entries are kept in memory and loaded from the file
+ * on construction, so a file should only be used by one store at a time: getFilePendingEventsStores
+ * shares the stores of a file between the clients of a process.
+ * The records of a tick are appended together, asynchronously and in order: flush resolves once they are written.
+ */
+export class FilePendingEventsStore<K extends StoreEntry> implements PendingEventsStore<K> {
+  private filePath: string;
+  private maxValues: number;
+  private compactionThreshold: number;
+  private map: { [key: string]: K } = {};
+  // number of records in the log file which no longer reflect an entry of the map
+  private staleRecordCount = 0;
+  // records waiting for the append scheduled on the writes, null when no append is scheduled
+  private unwrittenRecords: string[] | null = null;
+  // settles once all the writes scheduled so far are done, writes are chained on it to keep their order
+  private writes: Promise<void> = Promise.resolve();
+
+  constructor({
+    filePath,
+    maxValues = DEFAULT_PENDING_EVENTS_MAX_VALUES,
+    compactionThreshold = DEFAULT_PENDING_EVENTS_COMPACTION_THRESHOLD,
+  }: {
+    filePath: string;
+    maxValues?: number;
+    compactionThreshold?: number;
+  }) {
+    this.filePath = filePath;
+    this.maxValues = maxValues;
+    this.compactionThreshold = compactionThreshold;
+    this.load();
+  }
+
+  get(key: string): K | null {
+    return this.map[key] || null;
+  }
+
+  set(key: string, value: K): void {
+    if (this.map[key]) {
+      this.staleRecordCount++;
+    }
+    this.map[key] = value;
+    this.append({ op: 'set', key, value });
+    this.clean();
+  }
+
+  remove(key: string): void {
+    if (!this.map[key]) {
+      return;
+    }
+    delete this.map[key];
+    // both the set record of the entry and this remove record are stale
+    this.staleRecordCount += 2;
+    this.append({ op: 'remove', key });
+    this.compactIfNeeded();
+  }
+
+  values(): K[] {
+    return objectValues(this.map);
+  }
+
+  /**
+   * @return {Promise<void>} Resolved once all the changes made so far are written to the log file
+   */
+  flush(): Promise<void> {
+    return this.writes;
+  }
+
+  clear(): void {
+    this.replace({});
+  }
+
+  replace(newMap: { [key: string]: K }): void {
+    this.map = { ...newMap };
+    this.compact();
+    this.clean();
+  }
+
+  private clean(): void {
+    const entries = objectValues(this.map);
+    const toRemove = entries.length - this.maxValues;
+    if (toRemove < 1) {
+      return;
+    }
+
+    entries.sort((a, b) => a.timestamp - b.timestamp);
+    for (let i = 0; i < toRemove; i++) {
+      logger.warn('Pending events store is full, dropping event batch %s', entries[i].uuid);
+      delete this.map[entries[i].uuid];
+    }
+    this.compact();
+  }
+
+  private load(): void {
+    let data: string;
+    try {
+      data = fs.readFileSync(this.filePath, 'utf8');
+    } catch (ex) {
+      if (ex.code !== 'ENOENT') {
+        logger.error('Error reading pending events from %s: %s', this.filePath, ex.message);
+      }
+      return;
+    }
+
+    let recordCount = 0;
+    let hasMalformedRecords = false;
+    data.split('\n').forEach(line => {
+      if (!line) {
+        return;
+      }
+      let record: LogRecord<K>;
+      try {
+        record = JSON.parse(line);
+      } catch (ex) {
+        // a line can be left incomplete if the process exited while appending it
+        logger.warn('Skipping malformed pending events record in %s', this.filePath);
+        hasMalformedRecords = true;
+        return;
+      }
+      recordCount++;
+      if (record.op === 'set') {
+        this.map[record.key] = record.value;
+      } else if (record.op === 'remove') {
+        delete this.map[record.key];
+      }
+    });
+
+    // rewriting the log also drops malformed records, which later appends would be joined to
+    if (hasMalformedRecords || recordCount > Object.keys(this.map).length) {
+      this.compact();
+    }
+    this.clean();
+  }
+
+  private append(record: LogRecord<K>): void {
+    if (this.unwrittenRecords) {
+      this.unwrittenRecords.push(JSON.stringify(record) + '\n');
+      return;
+    }
+    const records = [JSON.stringify(record) + '\n'];
+    this.unwrittenRecords = records;
+    this.writes = this.writes.then(() => {
+      if (this.unwrittenRecords === records) {
+        this.unwrittenRecords = null;
+      }
+      const data = records.join('');
+      if (!data) {
+        // the records were written by a compaction in the meantime
+        return;
+      }
+      return fs.promises.appendFile(this.filePath, data, 'utf8').catch(ex => {
+        logger.error('Error writing pending events to %s: %s', this.filePath, ex.message);
+      });
+    });
+  }
+
+  private compactIfNeeded(): void {
+    if (this.staleRecordCount >= this.compactionThreshold) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the log with one set record per entry. The new log is written to a temporary
+   * file which then replaces the log, so a crash while compacting does not lose entries.
+   */
+  private compact(): void {
+    const tempFilePath = this.filePath + '.tmp';
+    const data = Object.keys(this.map)
+      .map(key => JSON.stringify({ op: 'set', key, value: this.map[key] }) + '\n')
+      .join('');
+    // the new log holds the records which were not written yet
+    if (this.unwrittenRecords) {
+      this.unwrittenRecords.length = 0;
+      this.unwrittenRecords = null;
+    }
+    this.staleRecordCount = 0;
+    this.writes = this.writes.then(() =>
+      fs.promises
+        .writeFile(tempFilePath, data, 'utf8')
+        .then(() => fs.promises.rename(tempFilePath, this.filePath))
+        .catch(ex => {
+          logger.error('Error compacting pending events in %s: %s', this.filePath, ex.message);
+        })
+    );
+  }
+}
+
+export interface FilePendingEventsStores {
+  batches: FilePendingEventsStore<DispatcherEntry>;
+  queuedEvents: FilePendingEventsStore<QueuedEvent<ProcessableEvent>>;
+}
+
+// stores of the pending events files used by this process, shared by all the clients using a file
+let fileStores: { [filePath: string]: FilePendingEventsStores } = {};
+
+/**
+ * Returns the stores of a pending events file, creating them on first use. Dispatched batches are stored
+ * in the file, and the events waiting in the event queue in a second file next to it, with a .queue suffix.
+ * @param  {string}                   filePath
+ * @return {FilePendingEventsStores}
+ */
+export function getFilePendingEventsStores(filePath: string): FilePendingEventsStores {
+  if (!fileStores[filePath]) {
+    fileStores[filePath] = {
+      batches: new FilePendingEventsStore<DispatcherEntry>({ filePath }),
+      queuedEvents: new FilePendingEventsStore<QueuedEvent<ProcessableEvent>>({ filePath: filePath + '.queue' }),
+    };
+  }
+  return fileStores[filePath];
+}
+
+// Forget the stores of the pending events files, so that they are loaded again from the files
+export function resetFilePendingEventsStores(): void {
+  fileStores = {};
+}
+
+/**
+ * Wraps an event dispatcher to persist every dispatched event batch to a file until it is delivered.
+ * The events waiting in the event queue are persisted by the queue in the queuedEvents store of the file.
+ * Batches and queued events left in the files by a previous process are sent by sendPendingEvents.
+ */
+export class FilePendingEventsDispatcher extends PendingEventsDispatcher {
+  readonly filePath: string;
+  readonly queueStore: FilePendingEventsStore<QueuedEvent<ProcessableEvent>>;
+
+  constructor({ eventDispatcher, filePath }: { eventDispatcher: EventDispatcher; filePath: string }) {
+    const stores = getFilePendingEventsStores(filePath);
+    super({
+      eventDispatcher,
+      store: stores.batches,
+    });
+    this.filePath = filePath;
+    this.queueStore = stores.queuedEvents;
+  }
+
+  sendPendingEvents(dispatch?: (request: EventV1Request) => void): void {
+    this.batchQueuedEvents();
+    super.sendPendingEvents(dispatch);
+  }
+
+  // Turn the queued events into batches, grouping them like the event queue does
+  private batchQueuedEvents(): void {
+    const queuedEvents = this.queueStore.values().sort((a, b) => a.timestamp - b.timestamp);
+    const batches: QueuedEvent<ProcessableEvent>[][] = [];
+    queuedEvents.forEach(queuedEvent => {
+      const batch = batches[batches.length - 1];
+      if (batch && areEventContextsEqual(batch[0].event, queuedEvent.event)) {
+        batch.push(queuedEvent);
+      } else {
+        batches.push([queuedEvent]);
+      }
+    });
+
+    batches.forEach(batch => {
+      const id = uuid();
+      this.store.set(id, {
+        uuid: id,
+        timestamp: getTimestamp(),
+        request: formatEvents(batch.map(queuedEvent => queuedEvent.event)),
+      });
+      batch.forEach(queuedEvent => this.queueStore.remove(queuedEvent.uuid));
+    });
+  }
+}
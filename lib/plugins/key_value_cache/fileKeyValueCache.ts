@@ -0,0 +1,100 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import fs from 'fs';
+import path from 'path';
+
+import PersistentKeyValueCache from './persistentKeyValueCache';
+
+// number of temporary files created by this process, making their names unique
+let tmpFileCount = 0;
+
+/**
+ * Stores each value in a file of a directory, named after its key. The directory is created on the first write.
+ * A value is written to a temporary file which then replaces the file of the key, so a process stopped while
+ * writing never leaves a partially written value. Writes and removals of a key are done in order, so the last
+ * value set wins, and a value removed after being set stays removed.
+ */
+export default class FileKeyValueCache implements PersistentKeyValueCache {
+  private directory: string;
+
+  // last write or removal of each key, which the next write or removal of the key waits for
+  private writes: { [key: string]: Promise<unknown> } = {};
+
+  constructor(directory: string) {
+    this.directory = directory;
+  }
+
+  async contains(key: string): Promise<boolean> {
+    return (await this.get(key)) !== undefined;
+  }
+
+  async get(key: string): Promise<string | undefined> {
+    try {
+      return await fs.promises.readFile(this.getFilePath(key), 'utf8');
+    } catch (ex) {
+      if (ex.code === 'ENOENT') {
+        return undefined;
+      }
+      throw ex;
+    }
+  }
+
+  remove(key: string): Promise<boolean> {
+    return this.enqueueWrite(key, () => this.unlink(key));
+  }
+
+  set(key: string, val: string): Promise<void> {
+    return this.enqueueWrite(key, () => this.write(key, val));
+  }
+
+  // Run a write or removal of a key once the previous ones of the key are done
+  private enqueueWrite<T>(key: string, doWrite: () => Promise<T>): Promise<T> {
+    const previousWrite = this.writes[key] || Promise.resolve();
+    const write: Promise<T> = previousWrite.catch(() => {}).then(doWrite);
+    this.writes[key] = write;
+    const onWriteComplete = (): void => {
+      if (this.writes[key] === write) {
+        delete this.writes[key];
+      }
+    };
+    write.then(onWriteComplete, onWriteComplete);
+    return write;
+  }
+
+  private async unlink(key: string): Promise<boolean> {
+    try {
+      await fs.promises.unlink(this.getFilePath(key));
+      return true;
+    } catch (ex) {
+      if (ex.code === 'ENOENT') {
+        return false;
+      }
+      throw ex;
+    }
+  }
+
+  private async write(key: string, val: string): Promise<void> {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const filePath = this.getFilePath(key);
+    const tmpFilePath = `${filePath}.${process.pid}.${tmpFileCount++}.tmp`;
+    await fs.promises.writeFile(tmpFilePath, val, 'utf8');
+    await fs.promises.rename(tmpFilePath, filePath);
+  }
+
+  private getFilePath(key: string): string {
+    return path.join(this.directory, encodeURIComponent(key));
+  }
+}
@@ -14,7 +14,7 @@
  * limitations under the License.
  */
 
-import { NodeRequestHandler } from '../../utils/http_request_handler/node_request_handler';
+import { NodeRequestAgent, NodeRequestHandler } from '../../utils/http_request_handler/node_request_handler';
 
 import { ServerLRUCache } from './../../utils/lru_cache/server_lru_cache';
 
@@ -40,6 +40,8 @@ interface NodeOdpManagerConfig {
   logger?: LogHandler;
   odpOptions?: OdpOptions;
   odpIntegrationConfig?: OdpIntegrationConfig;
+  // agent managing the connections of the segment and event requests, instead of the global agent
+  agent?: NodeRequestAgent;
 }
 
 /**
@@ -57,7 +59,7 @@ export class NodeOdpManager extends OdpManager {
   }
 
   static createInstance({
-    logger, odpOptions, odpIntegrationConfig, clientEngine, clientVersion
+    logger, odpOptions, odpIntegrationConfig, clientEngine, clientVersion, agent
   }: NodeOdpManagerConfig): NodeOdpManager {
     logger = logger || getLogger();
 
@@ -76,7 +78,8 @@ export class NodeOdpManager extends OdpManager {
     } else {
       customSegmentRequestHandler = new NodeRequestHandler(
         logger,
-        odpOptions?.segmentsApiTimeout || REQUEST_TIMEOUT_ODP_SEGMENTS_MS
+        odpOptions?.segmentsApiTimeout || REQUEST_TIMEOUT_ODP_SEGMENTS_MS,
+        agent
       );
     }
 
@@ -104,7 +107,8 @@ export class NodeOdpManager extends OdpManager {
     } else {
       customEventRequestHandler = new NodeRequestHandler(
         logger,
-        odpOptions?.eventApiTimeout || REQUEST_TIMEOUT_ODP_EVENTS_MS
+        odpOptions?.eventApiTimeout || REQUEST_TIMEOUT_ODP_EVENTS_MS,
+        agent
       );
     }
 
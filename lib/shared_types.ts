@@ -20,7 +20,7 @@
  */
 
 import { ErrorHandler, LogHandler, LogLevel, LoggerFacade } from './modules/logging';
-import { EventProcessor } from './modules/event_processor';
+import { EventProcessor, EventRetryOptions, DeadLetterStore } from './modules/event_processor';
 
 import { NotificationCenter as NotificationCenterImpl } from './core/notification_center';
 import { NOTIFICATION_TYPES } from './utils/enums';
@@ -38,6 +38,10 @@ import { IOdpManager } from './core/odp/odp_manager';
 import { IUserAgentParser } from './core/odp/user_agent_parser';
 import PersistentCache from './plugins/key_value_cache/persistentKeyValueCache';
 import { ProjectConfig } from './core/project_config';
+import { OptimizelyDecisionTrace } from './core/decision_trace';
+import { CmabDecisionProvider } from './core/cmab';
+import { DecisionAuditOptions } from './core/decision_audit';
+import { ShadowEvaluationOptions } from './core/shadow_evaluation';
 
 export interface BucketerParams {
   experimentId: string;
@@ -50,6 +54,7 @@ export interface BucketerParams {
   variationIdMap: { [id: string]: Variation };
   logger: LogHandler;
   bucketingId: string;
+  validateEntity?: boolean;
 }
 
 export interface DecisionResponse<T> {
@@ -57,7 +62,7 @@ export interface DecisionResponse<T> {
   readonly reasons: (string | number)[][];
 }
 
-export type UserAttributeValue = string | number | boolean | null;
+export type UserAttributeValue = string | number | boolean | null | Array<string | number>;
 
 export type UserAttributes = {
   [name: string]: UserAttributeValue;
@@ -82,6 +87,11 @@ export interface UserProfileService {
   save(profile: UserProfile): void;
 }
 
+export interface UserProfileServiceAsync {
+  lookup(userId: string): Promise<UserProfile>;
+  save(profile: UserProfile): Promise<void>;
+}
+
 export interface DatafileManagerConfig {
   sdkKey: string;
   datafile?: string;
@@ -92,6 +102,80 @@ export interface DatafileOptions {
   updateInterval?: number;
   urlTemplate?: string;
   datafileAccessToken?: string;
+  // URL template of a Server-Sent Events endpoint announcing datafile updates.
+  // When provided, the Node SDK streams datafile updates and only polls while the stream is disconnected.
+  streamUrlTemplate?: string;
+  // Milliseconds the datafile stream may stay silent, keep-alive comments included, before it is reconnected
+  streamIdleTimeout?: number;
+  // Name of the response header carrying the detached signature of the datafile, checked by the datafileVerifier
+  signatureHeader?: string;
+  // URL template of a sidecar file holding the detached signature of the datafile, %s is replaced with the SDK key.
+  // Takes precedence over signatureHeader.
+  signatureUrlTemplate?: string;
+  // Node only. Directory where the last datafile which activated successfully is saved, and read from on the
+  // next start until a datafile is fetched
+  cacheDirectory?: string;
+  // Node only. Path of a local datafile used instead of fetching the datafile. With autoUpdate, the file is watched
+  // and the datafile is reloaded whenever the file changes.
+  filePath?: string;
+  // Node only. Sources of the datafile, tried in order until one provides a datafile, instead of urlTemplate alone.
+  // The datafile of the config, if any, is used as the last source.
+  sources?: DatafileSourceOptions[];
+  // Node only. Milliseconds a source is given to provide a datafile before the next source is tried
+  sourceTimeout?: number;
+}
+
+/**
+ * A source of the datafile: either a URL template, polled like urlTemplate, or the path of a local datafile
+ */
+export interface DatafileSourceOptions {
+  // name of the source, reported in onReady results and DATAFILE_SOURCE_CHANGED notifications
+  name: string;
+  // URL template of the datafile, %s is replaced with the SDK key
+  urlTemplate?: string;
+  // path of a local datafile, watched like DatafileOptions.filePath
+  filePath?: string;
+}
+
+/**
+ * Health of a source of the datafile. A source is idle until it is tried, pending until it provides a datafile,
+ * healthy once it did, and unhealthy if it failed or timed out first.
+ */
+export interface DatafileSourceHealth {
+  name: string;
+  status: 'idle' | 'pending' | 'healthy' | 'unhealthy';
+  reason?: string;
+}
+
+/**
+ * The payload of a DATAFILE_SOURCE_CHANGED notification
+ */
+export interface DatafileSourceChangedPayload {
+  source: string;
+  previousSource: string | null;
+  sources: DatafileSourceHealth[];
+}
+
+/**
+ * Verifies the detached signature of a datafile fetched by the datafile manager, before the datafile is used
+ */
+export interface DatafileVerifier {
+  // returns true if the base64 encoded signature of the datafile was made by a trusted key
+  verify(datafile: string, signature: string): boolean;
+}
+
+/**
+ * The payload of a DATAFILE_VERIFICATION_FAILED notification
+ */
+export interface DatafileVerificationFailedPayload {
+  reason: string;
+}
+
+export interface CmabOptions {
+  decisionProvider?: CmabDecisionProvider;
+  cacheSize?: number;
+  // milliseconds a cached CMAB decision stays valid
+  cacheTimeout?: number;
 }
 
 export interface OdpOptions {
@@ -178,6 +262,26 @@ export interface Experiment {
   audienceIds: string[];
   trafficAllocation: TrafficAllocation[];
   forcedVariations?: { [key: string]: string };
+  cmab?: ExperimentCmab;
+}
+
+// Settings of an experiment whose variation is chosen by a contextual multi-armed bandit (CMAB)
+// decision provider instead of the hash-based traffic allocation.
+export interface ExperimentCmab {
+  // IDs of the attributes sent to the decision provider
+  attributeIds: string[];
+  // share of traffic, out of 10000, that is decided by the provider
+  trafficAllocation: number;
+}
+
+export type HoldoutStatus = 'Draft' | 'Running' | 'Concluded' | 'Archived';
+
+// A holdout keeps a share of users out of every experiment and rollout of the flags it applies to.
+// A holdout with no includedFlags is global and applies to every flag that is not in excludedFlags.
+export interface Holdout extends Experiment {
+  status: HoldoutStatus;
+  includedFlags: string[];
+  excludedFlags: string[];
 }
 
 export enum VariableType {
@@ -210,9 +314,31 @@ export type Condition = {
   name: string;
   type: string;
   match?: string;
-  value: string | number | boolean | null;
+  value: string | number | boolean | null | Array<string | number>;
 };
 
+/**
+ * What custom condition evaluators can access while evaluating a condition
+ */
+export interface ConditionEvaluatorContext {
+  user: OptimizelyUserContext;
+  configObj: ProjectConfig;
+  logger: LoggerFacade;
+}
+
+/**
+ * Evaluates audience conditions of a given type, or of a given type and match type
+ */
+export interface ConditionEvaluator {
+  // type of the conditions evaluated, e.g. "geo_radius"
+  type: string;
+  // match type of the conditions evaluated. Without one, all the conditions of the type are evaluated.
+  // Built in condition types such as "custom_attribute" can only be extended with new match types
+  match?: string;
+  // returns true/false if the user matches/doesn't match the condition, null if it can't be evaluated
+  evaluate(condition: Condition, context: ConditionEvaluatorContext): boolean | null;
+}
+
 export interface Audience {
   id: string;
   name: string;
@@ -257,6 +383,8 @@ export interface FeatureKeyMap {
 export interface OnReadyResult {
   success: boolean;
   reason?: string;
+  // name of the source which provided the datafile, when datafileOptions.sources are configured
+  datafileSource?: string;
 }
 
 export type ObjectWithUnknownProperties = {
@@ -275,6 +403,7 @@ export enum OptimizelyDecideOption {
   IGNORE_USER_PROFILE_SERVICE = 'IGNORE_USER_PROFILE_SERVICE',
   INCLUDE_REASONS = 'INCLUDE_REASONS',
   EXCLUDE_VARIABLES = 'EXCLUDE_VARIABLES',
+  INCLUDE_TRACE = 'INCLUDE_TRACE',
 }
 
 /**
@@ -282,12 +411,14 @@ export enum OptimizelyDecideOption {
  */
 export interface OptimizelyOptions {
   UNSTABLE_conditionEvaluators?: unknown;
+  conditionEvaluators?: ConditionEvaluator[];
   clientEngine: string;
   clientVersion?: string;
   // TODO[OASIS-6649]: Don't use object type
   // eslint-disable-next-line  @typescript-eslint/ban-types
   datafile?: string | object;
   datafileManager?: DatafileManager;
+  datafileVerifier?: DatafileVerifier;
   errorHandler: ErrorHandler;
   eventProcessor: EventProcessor;
   isValidInstance: boolean;
@@ -297,7 +428,12 @@ export interface OptimizelyOptions {
   logger: LoggerFacade;
   sdkKey?: string;
   userProfileService?: UserProfileService | null;
+  userProfileServiceAsync?: UserProfileServiceAsync | null;
   defaultDecideOptions?: OptimizelyDecideOption[];
+  cmab?: CmabOptions;
+  decisionAudit?: DecisionAuditOptions;
+  shadowEvaluation?: ShadowEvaluationOptions;
+  clock?: () => number;
   odpManager?: IOdpManager;
   notificationCenter: NotificationCenterImpl;
 }
@@ -326,7 +462,11 @@ export interface OptimizelyVariable {
 export interface Client {
   // TODO: In the future, will add a function to allow overriding the VUID.
   getVuid(): string | undefined;
-  createUserContext(userId?: string, attributes?: UserAttributes): OptimizelyUserContext | null;
+  createUserContext(
+    userId?: string,
+    attributes?: UserAttributes,
+    options?: UserContextOptions
+  ): OptimizelyUserContext | null;
   notificationCenter: NotificationCenter;
   activate(experimentKey: string, userId: string, attributes?: UserAttributes): string | null;
   track(eventKey: string, userId: string, attributes?: UserAttributes, eventTags?: EventTags): void;
@@ -372,6 +512,10 @@ export interface Client {
     attributes?: UserAttributes
   ): { [variableKey: string]: unknown } | null;
   getOptimizelyConfig(): OptimizelyConfig | null;
+  rollbackDatafile(): boolean;
+  // TODO[OASIS-6649]: Don't use object type
+  // eslint-disable-next-line  @typescript-eslint/ban-types
+  setShadowDatafile(datafile: string | object): boolean;
   onReady(options?: { timeout?: number }): Promise<{ success: boolean; reason?: string }>;
   close(): Promise<{ success: boolean; reason?: string }>;
   sendOdpEvent(action: string, type?: string, identifiers?: Map<string, string>, data?: Map<string, unknown>): void;
@@ -402,6 +546,9 @@ export interface Config extends ConfigLite {
   eventBatchSize?: number; // Maximum size of events to be dispatched in a batch
   eventFlushInterval?: number; // Maximum time for an event to be enqueued
   eventMaxQueueSize?: number; // Maximum size for the event queue
+  eventRetryOptions?: EventRetryOptions; // Retries of event batches failing with network or server errors, unused in React Native
+  eventDeadLetterStore?: DeadLetterStore; // Receives the event batches which failed permanently, unused in React Native
+  pendingEventsFilePath?: string; // File persisting queued events and event batches until delivered, to send them again on startup. Node only
   sdkKey?: string;
   odpOptions?: OdpOptions;
   persistentCacheProvider?: PersistentCacheProvider;
@@ -416,6 +563,8 @@ export interface ConfigLite {
   // TODO[OASIS-6649]: Don't use object type
   // eslint-disable-next-line  @typescript-eslint/ban-types
   datafile?: object | string;
+  // verifier of the signature of the datafiles fetched by the datafile manager, which are rejected when it fails
+  datafileVerifier?: DatafileVerifier;
   // errorHandler object for logging error
   errorHandler?: ErrorHandler;
   // event dispatcher function
@@ -432,8 +581,20 @@ export interface ConfigLite {
   logger?: LogHandler;
   // user profile that contains user information
   userProfileService?: UserProfileService;
+  // user profile service with asynchronous lookup and save, used by the async decide APIs
+  userProfileServiceAsync?: UserProfileServiceAsync;
   // dafault options for decide API
   defaultDecideOptions?: OptimizelyDecideOption[];
+  // decision provider and cache settings for CMAB rules, used by the async decide APIs
+  cmab?: CmabOptions;
+  // sinks recording the decisions made by the SDK, with sampling and attribute redaction settings
+  decisionAudit?: DecisionAuditOptions;
+  // candidate datafile which a sampled fraction of flag decisions are compared against, without sending events
+  shadowEvaluation?: ShadowEvaluationOptions;
+  // returns the current time in milliseconds since the epoch, used by audience conditions relative to now
+  clock?: () => number;
+  // evaluators of audience condition types and match types which are not supported natively by the SDK
+  conditionEvaluators?: ConditionEvaluator[];
   clientEngine?: string;
   clientVersion?: string;
 }
@@ -523,6 +684,33 @@ export interface OptimizelyDecision {
   userContext: OptimizelyUserContext;
   // An array of error/info messages describing why the decision has been made.
   reasons: string[];
+  // A machine readable trace of how the decision has been made, only set with the INCLUDE_TRACE decide option
+  trace?: OptimizelyDecisionTrace;
+  // The revision of the project config the decision has been made with, only set for user contexts pinning a config
+  revision?: string;
+}
+
+/**
+ * Declares the expected type, default value and optional validator of a feature variable
+ * for typed decisions
+ */
+export interface OptimizelyVariableSchemaEntry<T = unknown> {
+  // the type of the variable in the datafile
+  type: 'boolean' | 'double' | 'integer' | 'string' | 'json';
+  // returned when the variable is missing from the flag, has another type or fails validation
+  defaultValue: T;
+  validate?: (value: unknown) => boolean;
+}
+
+export type OptimizelyVariableSchema = { [variableKey: string]: OptimizelyVariableSchemaEntry };
+
+export type OptimizelyTypedVariables<S extends OptimizelyVariableSchema> = {
+  [K in keyof S]: S[K]['defaultValue'];
+};
+
+export interface OptimizelyTypedDecision<S extends OptimizelyVariableSchema> extends Omit<OptimizelyDecision, 'variables'> {
+  // The variables declared in the schema, validated against it
+  variables: OptimizelyTypedVariables<S>;
 }
 
 export interface DatafileUpdate {
@@ -542,6 +730,20 @@ interface Managed {
 
 export interface DatafileManager extends Managed {
   get: () => string;
+  // returns the detached signature of the current datafile, if the datafile manager fetches signatures
+  getSignature?: () => string | undefined;
+  // saves a datafile which was activated, so that it is used on the next start if no datafile can be fetched,
+  // along with the revision rolled back by the project config manager, if any
+  persistDatafile?: (datafile: string, signature?: string, rolledBackRevision?: string | null) => void;
+  // returns the rolled back revision saved along with the datafile used on start, if any
+  getRolledBackRevision?: () => string | null;
+  // returns the name of the source providing the datafile, if the datafile manager has several sources
+  getActiveSource?: () => string | null;
+  // adds a listener called whenever another source becomes the source providing the datafile
+  onSourceChange?: (listener: (payload: DatafileSourceChangedPayload) => void) => () => void;
+  // returns true if the current datafile replaces the current project config whatever its revision, as a
+  // datafile edited by hand in a local file, which can change without a new revision
+  ignoresRevision?: () => boolean;
   on(eventName: string, listener: DatafileUpdateListener): () => void;
   onReady: () => Promise<void>;
 }
@@ -555,6 +757,12 @@ export interface OptimizelyForcedDecision {
   variationKey: string;
 }
 
+export interface UserContextOptions {
+  // Pins the current project config to the user context, so that all its decisions and events use the same
+  // revision even if the datafile is updated meanwhile
+  pinConfig?: boolean;
+}
+
 // ODP Exports
 
 export {
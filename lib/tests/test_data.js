@@ -701,6 +701,94 @@ export var getTestDecideProjectConfig = function() {
   return cloneDeep(decideConfig);
 };
 
+export var getTestDecideProjectConfigWithHoldouts = function() {
+  var datafile = cloneDeep(decideConfig);
+  datafile.holdouts = [
+    {
+      id: 'holdout_global_id',
+      key: 'holdout_global',
+      status: 'Running',
+      layerId: 'holdout_global_layer_id',
+      variations: [
+        {
+          id: 'holdout_global_variation_id',
+          key: 'holdout_global_off',
+          featureEnabled: false,
+          variables: [],
+        },
+      ],
+      trafficAllocation: [
+        {
+          entityId: 'holdout_global_variation_id',
+          endOfRange: 10000,
+        },
+      ],
+      audienceIds: ['age_18'],
+      includedFlags: [],
+      excludedFlags: ['44829230000'],
+    },
+    {
+      id: 'holdout_included_id',
+      key: 'holdout_included',
+      status: 'Running',
+      layerId: 'holdout_included_layer_id',
+      variations: [
+        {
+          id: 'holdout_included_variation_id',
+          key: 'holdout_included_off',
+          featureEnabled: false,
+          variables: [],
+        },
+      ],
+      trafficAllocation: [
+        {
+          entityId: 'holdout_included_variation_id',
+          endOfRange: 10000,
+        },
+      ],
+      audienceIds: ['13389130056'],
+      includedFlags: ['4482920078', '44829230000'],
+      excludedFlags: [],
+    },
+    {
+      id: 'holdout_draft_id',
+      key: 'holdout_draft',
+      status: 'Draft',
+      layerId: 'holdout_draft_layer_id',
+      variations: [
+        {
+          id: 'holdout_draft_variation_id',
+          key: 'holdout_draft_off',
+          featureEnabled: false,
+          variables: [],
+        },
+      ],
+      trafficAllocation: [
+        {
+          entityId: 'holdout_draft_variation_id',
+          endOfRange: 10000,
+        },
+      ],
+      audienceIds: [],
+      includedFlags: ['4482920077'],
+      excludedFlags: [],
+    },
+  ];
+  return datafile;
+};
+
+export var getTestDecideProjectConfigWithCmab = function() {
+  var datafile = cloneDeep(decideConfig);
+  var experiment = datafile.experiments.find(function(exp) {
+    return exp.key === 'exp_no_audience';
+  });
+  experiment.cmab = {
+    attributeIds: ['10401066117'],
+    trafficAllocation: 10000,
+  };
+  return datafile;
+};
+
 var configWithFeatures = {
   events: [
     {
@@ -4160,6 +4248,8 @@ export const getDuplicateExperimentKeyConfig = function() {
 export default {
   getTestProjectConfig: getTestProjectConfig,
   getTestDecideProjectConfig: getTestDecideProjectConfig,
+  getTestDecideProjectConfigWithHoldouts: getTestDecideProjectConfigWithHoldouts,
+  getTestDecideProjectConfigWithCmab: getTestDecideProjectConfigWithCmab,
   getParsedAudiences: getParsedAudiences,
   getTestProjectConfigWithFeatures: getTestProjectConfigWithFeatures,
   datafileWithFeaturesExpectedData: datafileWithFeaturesExpectedData,
@@ -26,6 +26,10 @@ describe('lib/utils/attributes_validator', function() {
         assert.isTrue(attributesValidator.validate({ testAttribute: 'testValue' }));
       });
 
+      it('should validate the given attributes if they contain array values', function() {
+        assert.isTrue(attributesValidator.validate({ entitlements: ['pro', 'beta'], seats: [5, 10] }));
+      });
+
       it('should throw an error if attributes is an array', function() {
         var attributesArray = ['notGonnaWork'];
         assert.throws(function() {
@@ -92,5 +96,29 @@ describe('lib/utils/attributes_validator', function() {
         });
       });
     });
+
+    describe('isArrayAttributeValueValid', function() {
+      it('should return true for arrays of strings and numbers', function() {
+        assert.isTrue(attributesValidator.isArrayAttributeValueValid([]));
+        assert.isTrue(attributesValidator.isArrayAttributeValueValid(['pro', 'beta']));
+        assert.isTrue(attributesValidator.isArrayAttributeValueValid(['pro', 1, 2.5]));
+      });
+
+      it('should return false for other values', function() {
+        [
+          'pro',
+          1,
+          null,
+          { 0: 'pro' },
+          [true],
+          [null],
+          [['pro']],
+          [{ a: 'b' }],
+          [Math.pow(2, 53) + 2],
+        ].forEach(function(value) {
+          assert.isFalse(attributesValidator.isArrayAttributeValueValid(value), JSON.stringify(value));
+        });
+      });
+    });
   });
 });
@@ -42,12 +42,16 @@ export function validate(attributes: unknown): boolean {
 }
 
 /**
- * Validates user's provided attribute
+ * Validates user's provided attribute. Array values are only used for audience
+ * evaluation and are not valid here, as they are not sent with events.
  * @param  {unknown}  attributeKey
  * @param  {unknown}  attributeValue
  * @return {boolean}  true if the attribute is valid
  */
-export function isAttributeValid(attributeKey: unknown, attributeValue: unknown): boolean {
+export function isAttributeValid(
+  attributeKey: unknown,
+  attributeValue: unknown
+): attributeValue is string | number | boolean {
   return (
     typeof attributeKey === 'string' &&
     (typeof attributeValue === 'string' ||
@@ -55,3 +59,15 @@ export function isAttributeValid(attributeKey: unknown, attributeValue: unknown)
       (fns.isNumber(attributeValue) && fns.isSafeInteger(attributeValue)))
   );
 }
+
+/**
+ * Validates an array attribute value, or the list value of an audience condition
+ * @param  {unknown}  value
+ * @return {boolean}  true if the value is an array of strings and numbers in the range [-2^53, +2^53]
+ */
+export function isArrayAttributeValueValid(value: unknown): boolean {
+  return (
+    Array.isArray(value) &&
+    value.every(item => typeof item === 'string' || (fns.isNumber(item) && fns.isSafeInteger(item)))
+  );
+}
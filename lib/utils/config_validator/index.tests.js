@@ -47,6 +47,81 @@ describe('lib/utils/config_validator', function() {
         }, sprintf(ERROR_MESSAGES.INVALID_LOGGER, 'CONFIG_VALIDATOR'));
       });
 
+      describe('conditionEvaluators', function() {
+        var evaluate = function() {
+          return true;
+        };
+
+        it('should not complain if the provided condition evaluators are valid', function() {
+          assert.doesNotThrow(function() {
+            configValidator.validate({
+              conditionEvaluators: [
+                { type: 'geo_radius', evaluate: evaluate },
+                { type: 'geo_polygon', match: 'within', evaluate: evaluate },
+                { type: 'geo_polygon', match: 'outside', evaluate: evaluate },
+                { type: 'custom_attribute', match: 'regex', evaluate: evaluate },
+              ],
+            });
+          });
+        });
+
+        it('should complain if the provided condition evaluators are not an array', function() {
+          assert.throws(function() {
+            configValidator.validate({
+              conditionEvaluators: { geo_radius: evaluate },
+            });
+          }, sprintf(ERROR_MESSAGES.INVALID_CONDITION_EVALUATORS, 'CONFIG_VALIDATOR'));
+        });
+
+        it('should complain if a provided condition evaluator is invalid', function() {
+          var invalidConditionEvaluators = [
+            null,
+            'geo_radius',
+            { evaluate: evaluate },
+            { type: '', evaluate: evaluate },
+            { type: 'geo_radius', match: 5, evaluate: evaluate },
+            { type: 'geo_radius', match: '', evaluate: evaluate },
+            { type: 'geo_radius' },
+            { type: 'geo_radius', evaluate: true },
+          ];
+          invalidConditionEvaluators.forEach(function(conditionEvaluator) {
+            assert.throws(function() {
+              configValidator.validate({
+                conditionEvaluators: [{ type: 'geo_polygon', evaluate: evaluate }, conditionEvaluator],
+              });
+            }, sprintf(ERROR_MESSAGES.INVALID_CONDITION_EVALUATOR, 'CONFIG_VALIDATOR', 1));
+          });
+        });
+
+        it('should complain if a condition evaluator is provided for a built in condition type', function() {
+          assert.throws(function() {
+            configValidator.validate({
+              conditionEvaluators: [{ type: 'third_party_dimension', evaluate: evaluate }],
+            });
+          }, sprintf(ERROR_MESSAGES.BUILT_IN_CONDITION_TYPE_OVERRIDE, 'CONFIG_VALIDATOR', 'third_party_dimension'));
+        });
+
+        it('should complain if a condition evaluator is provided for a built in match type', function() {
+          assert.throws(function() {
+            configValidator.validate({
+              conditionEvaluators: [{ type: 'custom_attribute', match: 'exact', evaluate: evaluate }],
+            });
+          }, sprintf(ERROR_MESSAGES.BUILT_IN_MATCH_TYPE_OVERRIDE, 'CONFIG_VALIDATOR', 'exact', 'custom_attribute'));
+        });
+
+        it('should complain if more than one condition evaluator is provided for a condition type and match type', function() {
+          assert.throws(function() {
+            configValidator.validate({
+              conditionEvaluators: [
+                { type: 'geo_radius', evaluate: evaluate },
+                { type: 'geo_radius', match: 'within', evaluate: evaluate },
+                { type: 'geo_radius', evaluate: evaluate },
+              ],
+            });
+          }, sprintf(ERROR_MESSAGES.DUPLICATE_CONDITION_EVALUATOR, 'CONFIG_VALIDATOR', 'geo_radius', 'any'));
+        });
+      });
+
       it('should complain if datafile is not provided', function() {
         assert.throws(function() {
           configValidator.validateDatafile();
@@ -15,6 +15,7 @@
  */
 import { sprintf } from '../../utils/fns';
 import { ObjectWithUnknownProperties } from '../../shared_types';
+import { BUILT_IN_CONDITION_MATCH_TYPES } from '../../core/audience_evaluator';
 
 import { 
   ERROR_MESSAGES, 
@@ -30,6 +31,7 @@ const SUPPORTED_VERSIONS = [DATAFILE_VERSIONS.V2, DATAFILE_VERSIONS.V3, DATAFILE
  * @param  {object}  config.errorHandler
  * @param  {object}  config.eventDispatcher
  * @param  {object}  config.logger
+ * @param  {Array}   config.conditionEvaluators
  * @return {boolean} true if the config options are valid
  * @throws If any of the config options are not valid
  */
@@ -48,11 +50,59 @@ export const validate = function(config: unknown): boolean {
     if (logger && typeof (logger as ObjectWithUnknownProperties)['log'] !== 'function') {
       throw new Error(sprintf(ERROR_MESSAGES.INVALID_LOGGER, MODULE_NAME));
     }
+    if (configObj['conditionEvaluators'] !== undefined) {
+      validateConditionEvaluators(configObj['conditionEvaluators']);
+    }
     return true;
   }
   throw new Error(sprintf(ERROR_MESSAGES.INVALID_CONFIG, MODULE_NAME));
 }
 
+/**
+ * Validates the condition evaluators provided by the consumer
+ * @param  {unknown} conditionEvaluators
+ * @throws If conditionEvaluators is not an array of valid condition evaluators, if more than one is provided for the
+ *         same condition type and match type, or if any of them would override a built in condition evaluator
+ */
+const validateConditionEvaluators = function(conditionEvaluators: unknown): void {
+  if (!Array.isArray(conditionEvaluators)) {
+    throw new Error(sprintf(ERROR_MESSAGES.INVALID_CONDITION_EVALUATORS, MODULE_NAME));
+  }
+
+  const registeredKeys: string[] = [];
+  conditionEvaluators.forEach((conditionEvaluator: unknown, index: number) => {
+    if (typeof conditionEvaluator !== 'object' || conditionEvaluator === null) {
+      throw new Error(sprintf(ERROR_MESSAGES.INVALID_CONDITION_EVALUATOR, MODULE_NAME, index));
+    }
+    const { type, match, evaluate } = conditionEvaluator as ObjectWithUnknownProperties;
+    if (
+      typeof type !== 'string' || !type ||
+      (match !== undefined && (typeof match !== 'string' || !match)) ||
+      typeof evaluate !== 'function'
+    ) {
+      throw new Error(sprintf(ERROR_MESSAGES.INVALID_CONDITION_EVALUATOR, MODULE_NAME, index));
+    }
+
+    const builtInMatchTypes = BUILT_IN_CONDITION_MATCH_TYPES.hasOwnProperty(type)
+      ? BUILT_IN_CONDITION_MATCH_TYPES[type]
+      : null;
+    if (builtInMatchTypes) {
+      if (match === undefined) {
+        throw new Error(sprintf(ERROR_MESSAGES.BUILT_IN_CONDITION_TYPE_OVERRIDE, MODULE_NAME, type));
+      }
+      if (builtInMatchTypes.indexOf(match as string) !== -1) {
+        throw new Error(sprintf(ERROR_MESSAGES.BUILT_IN_MATCH_TYPE_OVERRIDE, MODULE_NAME, match, type));
+      }
+    }
+
+    const key = JSON.stringify([type, match]);
+    if (registeredKeys.indexOf(key) !== -1) {
+      throw new Error(sprintf(ERROR_MESSAGES.DUPLICATE_CONDITION_EVALUATOR, MODULE_NAME, type, match || 'any'));
+    }
+    registeredKeys.push(key);
+  });
+};
+
 /**
  * Validates the datafile
  * @param {Object|string}  datafile
@@ -0,0 +1,105 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { assert } from 'chai';
+import * as dateTime from './';
+
+describe('lib/utils/date_time', function() {
+  describe('APIs', function() {
+    describe('parseDateTime', function() {
+      it('should parse ISO-8601 strings with a UTC offset', function() {
+        const values = [
+          ['2024-05-01T10:30:00Z', Date.UTC(2024, 4, 1, 10, 30)],
+          ['2024-05-01T10:30:00.250Z', Date.UTC(2024, 4, 1, 10, 30, 0, 250)],
+          ['2024-05-01T10:30:00.2509Z', Date.UTC(2024, 4, 1, 10, 30, 0, 250)],
+          ['2024-05-01T12:30:00+02:00', Date.UTC(2024, 4, 1, 10, 30)],
+          ['2024-05-01T05:00-0530', Date.UTC(2024, 4, 1, 10, 30)],
+          ['2024-05-01t10:30:00z', Date.UTC(2024, 4, 1, 10, 30)],
+        ];
+        for (const [value, expected] of values) {
+          assert.strictEqual(dateTime.parseDateTime(value), expected, `Failed for ${value}`);
+        }
+      });
+
+      it('should interpret ISO-8601 strings without a UTC offset as UTC', function() {
+        assert.strictEqual(dateTime.parseDateTime('2024-05-01'), Date.UTC(2024, 4, 1));
+        assert.strictEqual(dateTime.parseDateTime('2024-05-01 10:30'), Date.UTC(2024, 4, 1, 10, 30));
+        assert.strictEqual(dateTime.parseDateTime('2024-02-29T23:59:59'), Date.UTC(2024, 1, 29, 23, 59, 59));
+      });
+
+      it('should return numbers as milliseconds since the epoch', function() {
+        assert.strictEqual(dateTime.parseDateTime(1714559400000), 1714559400000);
+        assert.strictEqual(dateTime.parseDateTime(0), 0);
+      });
+
+      it('should return null for invalid date times', function() {
+        const values = [
+          '2023-02-29',
+          '2024-13-01',
+          '2024-04-31T10:00:00Z',
+          '2024-05-01T24:00:00Z',
+          '2024-05-01T10:60:00Z',
+          '2024-05-01T10:30:00+25:00',
+          '2024-05-01Z',
+          'May 1, 2024',
+          '1714559400000',
+          '',
+          NaN,
+          Infinity,
+          null,
+          true,
+          ['2024-05-01'],
+        ];
+        for (const value of values) {
+          assert.isNull(dateTime.parseDateTime(value), `Failed for ${JSON.stringify(value)}`);
+        }
+      });
+    });
+
+    describe('isRelativeDateTime', function() {
+      it('should return true for ISO-8601 durations', function() {
+        for (const value of ['P30D', '-P30D', '+PT12H', '-P1Y2M', 'P2W', 'P1DT1H30M15S']) {
+          assert.isTrue(dateTime.isRelativeDateTime(value), `Failed for ${value}`);
+        }
+      });
+
+      it('should return false for other values', function() {
+        for (const value of ['P', '-P', 'PT', 'P1DT', '30D', 'P1.5D', '2024-05-01', 30]) {
+          assert.isFalse(dateTime.isRelativeDateTime(value), `Failed for ${value}`);
+        }
+      });
+    });
+
+    describe('resolveDateTime', function() {
+      const now = function() {
+        return Date.UTC(2024, 2, 31, 12);
+      };
+
+      it('should resolve durations relative to now', function() {
+        assert.strictEqual(dateTime.resolveDateTime('-P30D', now), Date.UTC(2024, 2, 1, 12));
+        assert.strictEqual(dateTime.resolveDateTime('PT1H30M', now), Date.UTC(2024, 2, 31, 13, 30));
+        assert.strictEqual(dateTime.resolveDateTime('-P1W', now), Date.UTC(2024, 2, 24, 12));
+        assert.strictEqual(dateTime.resolveDateTime('-P1Y', now), Date.UTC(2023, 2, 31, 12));
+        assert.strictEqual(dateTime.resolveDateTime('P1M', now), Date.UTC(2024, 4, 1, 12));
+      });
+
+      it('should parse absolute date times', function() {
+        assert.strictEqual(dateTime.resolveDateTime('2024-05-01T00:00:00Z', now), Date.UTC(2024, 4, 1));
+        assert.strictEqual(dateTime.resolveDateTime(1714559400000, now), 1714559400000);
+        assert.isNull(dateTime.resolveDateTime('last month', now));
+      });
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import fns from '../fns';
+
+const MS_PER_SECOND = 1000;
+const MS_PER_MINUTE = 60 * MS_PER_SECOND;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const MS_PER_WEEK = 7 * MS_PER_DAY;
+
+// YYYY-MM-DD, optionally followed by a time with seconds, fractional seconds and a UTC offset
+const DATE_TIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:[Tt ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?(?:([Zz])|([+-])(\d{2}):?(\d{2}))?)?$/;
+
+// ISO-8601 duration with an optional sign, e.g. -P30D or PT12H
+const DURATION_REGEX = /^([+-])?P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+function isLeapYear(year: number): boolean {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function getDaysInMonth(year: number, month: number): number {
+  if (month === 2) {
+    return isLeapYear(year) ? 29 : 28;
+  }
+  return [4, 6, 9, 11].indexOf(month) === -1 ? 31 : 30;
+}
+
+/**
+ * Parse a date time given as an ISO-8601 string or as milliseconds since the epoch.
+ * Strings may have a UTC offset (Z, +hh:mm or -hh:mm), strings without one are
+ * interpreted as UTC so results do not depend on the timezone of the host.
+ * @param  {unknown}  value
+ * @return {?number}  milliseconds since the epoch, or null if the value is not a valid date time
+ */
+export function parseDateTime(value: unknown): number | null {
+  if (fns.isNumber(value)) {
+    return isFinite(value as number) ? (value as number) : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = DATE_TIME_REGEX.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const year = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10);
+  const day = parseInt(match[3], 10);
+  const hours = match[4] ? parseInt(match[4], 10) : 0;
+  const minutes = match[5] ? parseInt(match[5], 10) : 0;
+  const seconds = match[6] ? parseInt(match[6], 10) : 0;
+  // only millisecond precision is kept from fractional seconds
+  const milliseconds = match[7] ? parseInt((match[7] + '00').substr(0, 3), 10) : 0;
+  const offsetHours = match[10] ? parseInt(match[10], 10) : 0;
+  const offsetMinutes = match[11] ? parseInt(match[11], 10) : 0;
+
+  if (
+    month < 1 || month > 12 ||
+    day < 1 || day > getDaysInMonth(year, month) ||
+    hours > 23 || minutes > 59 || seconds > 59 ||
+    offsetHours > 23 || offsetMinutes > 59
+  ) {
+    return null;
+  }
+
+  const offsetSign = match[9] === '-' ? -1 : 1;
+  const offset = offsetSign * (offsetHours * MS_PER_HOUR + offsetMinutes * MS_PER_MINUTE);
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds) - offset;
+}
+
+/**
+ * Evaluate if provided value is an ISO-8601 duration relative to now, such as -P30D
+ * @param  {unknown}  value
+ * @return {boolean}  true if the value is a duration
+ */
+export function isRelativeDateTime(value: unknown): boolean {
+  // every component of the duration is optional, but it needs at least one and T needs a time component
+  return typeof value === 'string' && DURATION_REGEX.test(value) && /\d/.test(value) && !/T$/.test(value);
+}
+
+/**
+ * Resolve a date time given as an ISO-8601 string, milliseconds since the epoch or an ISO-8601
+ * duration relative to now. Negative durations are in the past, e.g. -P30D is 30 days ago.
+ * Years and months are added as calendar years and months in UTC.
+ * @param  {unknown}        value
+ * @param  {() => number}   now     returns the current time in milliseconds since the epoch
+ * @return {?number}        milliseconds since the epoch, or null if the value is not a valid date time
+ */
+export function resolveDateTime(value: unknown, now: () => number): number | null {
+  const match = isRelativeDateTime(value) ? DURATION_REGEX.exec(value as string) : null;
+  if (!match) {
+    return parseDateTime(value);
+  }
+
+  const [years, months, weeks, days, hours, minutes, seconds] = match.slice(2).map(part => (part ? parseInt(part, 10) : 0));
+  const sign = match[1] === '-' ? -1 : 1;
+
+  const date = new Date(now());
+  if (years || months) {
+    date.setUTCFullYear(date.getUTCFullYear() + sign * years, date.getUTCMonth() + sign * months);
+  }
+  return (
+    date.getTime() +
+    sign * (weeks * MS_PER_WEEK + days * MS_PER_DAY + hours * MS_PER_HOUR + minutes * MS_PER_MINUTE + seconds * MS_PER_SECOND)
+  );
+}
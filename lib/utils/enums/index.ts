@@ -27,8 +27,19 @@ export const LOG_LEVEL = {
 
 export const ERROR_MESSAGES = {
   BROWSER_ODP_MANAGER_INITIALIZATION_FAILED: '%s: Error initializing Browser ODP Manager.',
+  BUILT_IN_CONDITION_TYPE_OVERRIDE:
+    '%s: Condition type %s is built in, condition evaluators can only be provided for match types it does not support.',
+  BUILT_IN_MATCH_TYPE_OVERRIDE: '%s: Match type %s of condition type %s is built in and cannot be overridden.',
+  CLIENT_REGISTRY_CLOSED: '%s: Client registry is closed, cannot acquire a client for SDK key %s.',
+  CMAB_FETCH_FAILED: '%s: Failed to fetch CMAB decision for user %s and experiment %s: %s',
+  CMAB_INVALID_VARIATION: '%s: CMAB decision provider returned variation ID %s, which is not in experiment %s.',
   CONDITION_EVALUATOR_ERROR: '%s: Error evaluating audience condition of type %s: %s',
   DATAFILE_AND_SDK_KEY_MISSING: '%s: You must provide at least one of sdkKey or datafile. Cannot start Optimizely',
+  DATAFILE_SIGNATURE_INVALID: '%s: Datafile is rejected because its signature was not made by a trusted key.',
+  DATAFILE_SIGNATURE_MISSING: '%s: Datafile is rejected because it has no signature.',
+  DECISION_AUDIT_SINK_FAILED: '%s: Failed to write decision audit record: %s',
+  DECISION_AUDIT_SINK_CLOSE_FAILED: '%s: Failed to close decision audit sink: %s',
+  DUPLICATE_CONDITION_EVALUATOR: '%s: More than one condition evaluator is provided for condition type %s and match type %s.',
   EXPERIMENT_KEY_NOT_IN_DATAFILE: '%s: Experiment key %s is not in datafile.',
   FEATURE_NOT_IN_DATAFILE: '%s: Feature key %s is not in datafile.',
   FETCH_SEGMENTS_FAILED_NETWORK_ERROR: '%s: Audience segments fetch failed. (network error)',
@@ -36,8 +47,14 @@ export const ERROR_MESSAGES = {
   IMPROPERLY_FORMATTED_EXPERIMENT: '%s: Experiment key %s is improperly formatted.',
   INVALID_ATTRIBUTES: '%s: Provided attributes are in an invalid format.',
   INVALID_BUCKETING_ID: '%s: Unable to generate hash for bucketing ID %s: %s',
+  INVALID_CMAB_DECISION_PROVIDER: '%s: Provided CMAB "decisionProvider" is in an invalid format.',
+  INVALID_CONDITION_EVALUATOR:
+    '%s: Provided condition evaluator at index %s is in an invalid format. It needs a "type" string, an optional "match" string and an "evaluate" function.',
+  INVALID_CONDITION_EVALUATORS: '%s: Provided "conditionEvaluators" is not an array.',
+  INVALID_DECISION_AUDIT_OPTIONS: '%s: Provided "decisionAudit" option is in an invalid format.',
   INVALID_DATAFILE: '%s: Datafile is invalid - property %s: %s',
   INVALID_DATAFILE_MALFORMED: '%s: Datafile is invalid because it is malformed.',
+  INVALID_DATAFILE_SIGNATURE_KEY: '%s: Public key at index %s is not an Ed25519 or ECDSA key.',
   INVALID_CONFIG: '%s: Provided Optimizely config is in an invalid format.',
   INVALID_JSON: '%s: JSON object is not valid.',
   INVALID_ERROR_HANDLER: '%s: Provided "errorHandler" is in an invalid format.',
@@ -48,12 +65,16 @@ export const ERROR_MESSAGES = {
   INVALID_GROUP_ID: '%s: Group ID %s is not in datafile.',
   INVALID_LOGGER: '%s: Provided "logger" is in an invalid format.',
   INVALID_ROLLOUT_ID: '%s: Invalid rollout ID %s attached to feature %s',
+  INVALID_SHADOW_DATAFILE: '%s: Candidate datafile of shadow evaluation is invalid: %s',
+  INVALID_SHADOW_EVALUATION_OPTIONS: '%s: Provided "shadowEvaluation" option is in an invalid format.',
+  INVALID_SIMULATION_USERS: '%s: Provide either a sample of users, or a user generator and a positive sample size.',
   INVALID_USER_ID: '%s: Provided user ID is in an invalid format.',
   INVALID_USER_PROFILE_SERVICE: '%s: Provided user profile service instance is in an invalid format: %s.',
   LOCAL_STORAGE_DOES_NOT_EXIST: 'Error accessing window localStorage.',
   MISSING_INTEGRATION_KEY: '%s: Integration key missing from datafile. All integrations should include a key.',
   NO_DATAFILE_SPECIFIED: '%s: No datafile specified. Cannot start optimizely.',
   NO_JSON_PROVIDED: '%s: No JSON object to validate against schema.',
+  NO_PREVIOUS_DATAFILE_REVISION: '%s: There is no previous datafile revision to roll back to.',
   NO_VARIATION_FOR_EXPERIMENT_KEY: '%s: No variation key %s defined in datafile for experiment %s.',
   ODP_CONFIG_NOT_AVAILABLE: '%s: ODP is not integrated to the project.',
   ODP_EVENT_FAILED: 'ODP event send failed.',
@@ -98,6 +119,11 @@ export const ERROR_MESSAGES = {
 
 export const LOG_MESSAGES = {
   ACTIVATE_USER: '%s: Activating user %s in experiment %s.',
+  CLIENT_NOT_IN_REGISTRY: '%s: No client was acquired for SDK key %s.',
+  CMAB_DECISION_FETCHED: '%s: Fetched CMAB variation %s of experiment %s for user %s.',
+  CMAB_DECISION_NOT_FETCHED:
+    '%s: No CMAB decision was fetched for user %s and experiment %s. Use the async decide APIs for flags with CMAB rules.',
+  CMAB_NOT_CONFIGURED: '%s: No CMAB decision provider is configured. User %s is in no variation of experiment %s.',
   DISPATCH_CONVERSION_EVENT: '%s: Dispatching conversion event to URL %s with params %s.',
   DISPATCH_IMPRESSION_EVENT: '%s: Dispatching impression event to URL %s with params %s.',
   DEPRECATED_EVENT_VALUE: '%s: Event value is deprecated in %s call.',
@@ -109,6 +135,7 @@ export const LOG_MESSAGES = {
   FAILED_TO_PARSE_VALUE: '%s: Failed to parse event value "%s" from event tags.',
   FAILED_TO_PARSE_REVENUE: '%s: Failed to parse revenue value "%s" from event tags.',
   FORCED_BUCKETING_FAILED: '%s: Variation key %s is not in datafile. Not activating user %s.',
+  HOLDOUT_NOT_RUNNING: '%s: Holdout %s is not running.',
   INVALID_OBJECT: '%s: Optimizely object is not valid. Failing %s.',
   INVALID_CLIENT_ENGINE: '%s: Invalid client engine passed: %s. Defaulting to node-sdk.',
   INVALID_DEFAULT_DECIDE_OPTIONS: '%s: Provided default decide options is not an array.',
@@ -119,6 +146,7 @@ export const LOG_MESSAGES = {
   NOT_ACTIVATING_USER: '%s: Not activating user %s for experiment %s.',
   NOT_TRACKING_USER: '%s: Not tracking user %s.',
   ODP_DISABLED: 'ODP Disabled.',
+  OLDER_DATAFILE_REVISION_IGNORED: '%s: Ignoring datafile revision %s, which is older than the active revision %s.',
   ODP_IDENTIFY_FAILED_ODP_DISABLED: '%s: ODP identify event for user %s is not dispatched (ODP disabled).',
   ODP_IDENTIFY_FAILED_ODP_NOT_INTEGRATED: '%s: ODP identify event %s is not dispatched (ODP not integrated).',
   ODP_SEND_EVENT_IDENTIFIER_CONVERSION_FAILED:
@@ -127,10 +155,15 @@ export const LOG_MESSAGES = {
   PARSED_NUMERIC_VALUE: '%s: Parsed event value "%s" from event tags.',
   RETURNING_STORED_VARIATION:
     '%s: Returning previously activated variation "%s" of experiment "%s" for user "%s" from user profile.',
+  ROLLED_BACK_DATAFILE: '%s: Rolled back datafile revision %s to revision %s.',
+  ROLLED_BACK_DATAFILE_REVISION_IGNORED:
+    '%s: Ignoring datafile revision %s, which is not newer than the rolled back revision %s.',
   ROLLOUT_HAS_NO_EXPERIMENTS: '%s: Rollout of feature %s has no experiments',
+  SAVED_USER_PROFILE: '%s: Saved user profile for user "%s".',
   SAVED_VARIATION: '%s: Saved variation "%s" of experiment "%s" for user "%s".',
   SAVED_VARIATION_NOT_FOUND:
     '%s: User %s was previously bucketed into variation with ID %s for experiment %s, but no matching variation was found.',
+  SHADOW_EVALUATION_NOT_ENABLED: '%s: No candidate datafile can be set without the "shadowEvaluation" option.',
   SHOULD_NOT_DISPATCH_ACTIVATE: '%s: Experiment %s is not in "Running" state. Not activating user.',
   SKIPPING_JSON_VALIDATION: '%s: Skipping JSON schema validation.',
   TRACK_EVENT: '%s: Tracking event %s for user %s.',
@@ -138,6 +171,7 @@ export const LOG_MESSAGES = {
   USER_ASSIGNED_TO_EXPERIMENT_BUCKET: '%s: Assigned bucket %s to user with bucketing ID %s.',
   USER_BUCKETED_INTO_EXPERIMENT_IN_GROUP: '%s: User %s is in experiment %s of group %s.',
   USER_BUCKETED_INTO_TARGETING_RULE: '%s: User %s bucketed into targeting rule %s.',
+  USER_IN_HOLDOUT: '%s: User %s is in variation %s of holdout %s.',
   USER_IN_FEATURE_EXPERIMENT: '%s: User %s is in variation %s of experiment %s on the feature %s.',
   USER_IN_ROLLOUT: '%s: User %s is in rollout of feature %s.',
   USER_NOT_BUCKETED_INTO_EVERYONE_TARGETING_RULE:
@@ -146,6 +180,7 @@ export const LOG_MESSAGES = {
   USER_NOT_BUCKETED_INTO_ANY_EXPERIMENT_IN_GROUP: '%s: User %s is not in any experiment of group %s.',
   USER_NOT_BUCKETED_INTO_TARGETING_RULE:
     '%s User %s not bucketed into targeting rule %s due to traffic allocation. Trying everyone rule.',
+  USER_NOT_IN_HOLDOUT: '%s: User %s is not in holdout %s.',
   USER_NOT_IN_FEATURE_EXPERIMENT: '%s: User %s is not in any experiment on the feature %s.',
   USER_NOT_IN_ROLLOUT: '%s: User %s is not in rollout of feature %s.',
   USER_FORCED_IN_VARIATION: '%s: User %s is forced in variation %s.',
@@ -167,6 +202,7 @@ export const LOG_MESSAGES = {
   USER_HAS_NO_FORCED_VARIATION_FOR_EXPERIMENT: '%s: No experiment %s mapped to user %s in the forced variation map.',
   USER_NOT_IN_ANY_EXPERIMENT: '%s: User %s is not in any experiment of group %s.',
   USER_NOT_IN_EXPERIMENT: '%s: User %s does not meet conditions to be in experiment %s.',
+  USER_DOESNT_MEET_CONDITIONS_FOR_HOLDOUT: '%s: User %s does not meet conditions for holdout %s.',
   USER_RECEIVED_DEFAULT_VARIABLE_VALUE:
     '%s: User "%s" is not in any variation or rollout rule. Returning default value for variable "%s" of feature flag "%s".',
   FEATURE_NOT_ENABLED_RETURN_DEFAULT_VARIABLE_VALUE:
@@ -176,6 +212,7 @@ export const LOG_MESSAGES = {
   USER_RECEIVED_VARIABLE_VALUE: '%s: Got variable value "%s" for variable "%s" of feature flag "%s"',
   VALID_DATAFILE: '%s: Datafile is valid.',
   VALID_USER_PROFILE_SERVICE: '%s: Valid user profile service provided.',
+  VALID_USER_PROFILE_SERVICE_ASYNC: '%s: Valid async user profile service provided.',
   VARIATION_REMOVED_FOR_USER: '%s: Variation mapped to experiment %s has been removed for user %s.',
   VARIABLE_REQUESTED_WITH_WRONG_TYPE:
     '%s: Requested variable type "%s", but variable is of type "%s". Use correct API to retrieve value. Returning None.',
@@ -200,6 +237,10 @@ export const LOG_MESSAGES = {
   UPDATED_OPTIMIZELY_CONFIG: '%s: Updated Optimizely config to revision %s (project id %s)',
   OUT_OF_BOUNDS:
     '%s: Audience condition %s evaluated to UNKNOWN because the number value for user attribute "%s" is not in the range [-2^53, +2^53].',
+  INVALID_DATE_TIME:
+    '%s: Audience condition %s evaluated to UNKNOWN because the value for user attribute "%s" is not a valid date time.',
+  INVALID_SEMANTIC_VERSION:
+    '%s: Audience condition %s evaluated to UNKNOWN because the value for user attribute "%s" is not a valid semantic version.',
   UNABLE_TO_ATTACH_UNLOAD: '%s: unable to bind optimizely.close() to page unload event: "%s"',
 };
 
@@ -242,11 +283,68 @@ export const DECISION_SOURCES = {
   FEATURE_TEST: 'feature-test',
   ROLLOUT: 'rollout',
   EXPERIMENT: 'experiment',
+  HOLDOUT: 'holdout',
+};
+
+/**
+ * How a rule of a decision trace was concluded
+ */
+export const DECISION_TRACE_RULE_RESULTS = {
+  // the rule is not running, so it was skipped
+  NOT_RUNNING: 'not_running',
+  // a forced decision set on the user context was used
+  FORCED_DECISION: 'forced_decision',
+  // a forced variation set with setForcedVariation was used
+  FORCED_VARIATION: 'forced_variation',
+  // the user is whitelisted into a variation in the datafile
+  WHITELISTED: 'whitelisted',
+  // a variation stored by the user profile service was used
+  USER_PROFILE: 'user_profile',
+  // the user does not meet the audience conditions of the rule
+  AUDIENCE_MISMATCH: 'audience_mismatch',
+  // the variation was chosen by the CMAB decision provider
+  CMAB: 'cmab',
+  // the user was bucketed into a variation
+  BUCKETED: 'bucketed',
+  // the user meets the audience conditions but is outside the traffic allocation of the rule
+  NOT_BUCKETED: 'not_bucketed',
+};
+
+/**
+ * Problems reported by lintDatafile
+ */
+export const DATAFILE_LINT_RULES = {
+  // the datafile cannot be parsed or its version is not supported
+  INVALID_DATAFILE: 'invalid_datafile',
+  // a rule references an audience which is not in the datafile
+  UNKNOWN_AUDIENCE: 'unknown_audience',
+  // a traffic allocation or forced variation references a variation which is not a variation of the rule
+  UNKNOWN_VARIATION: 'unknown_variation',
+  // the conditions of an audience cannot be parsed
+  INVALID_AUDIENCE_CONDITIONS: 'invalid_audience_conditions',
+  // an audience condition references an attribute which is not declared in the datafile
+  UNDECLARED_ATTRIBUTE: 'undeclared_attribute',
+  // traffic allocation ranges are out of bounds, not in order or reference unknown entities
+  INVALID_TRAFFIC_ALLOCATION: 'invalid_traffic_allocation',
+  // a rule can never be evaluated because a previous rule of the flag targets every user
+  UNREACHABLE_RULE: 'unreachable_rule',
+  // an event is not used by any experiment
+  UNUSED_EVENT: 'unused_event',
+  // an audience is not used by any rule
+  UNUSED_AUDIENCE: 'unused_audience',
+  // a variable default or variation value does not match the declared type of the variable
+  INVALID_VARIABLE_VALUE: 'invalid_variable_value',
+};
+
+export const DATAFILE_LINT_SEVERITIES = {
+  ERROR: 'error',
+  WARNING: 'warning',
 };
 
 export const AUDIENCE_EVALUATION_TYPES = {
   RULE: 'rule',
   EXPERIMENT: 'experiment',
+  HOLDOUT: 'holdout',
 };
 
 /*
@@ -281,6 +379,8 @@ export const DECISION_MESSAGES = {
   SDK_NOT_READY: 'Optimizely SDK not configured properly yet.',
   FLAG_KEY_INVALID: 'No flag was found for key "%s".',
   VARIABLE_VALUE_INVALID: 'Variable value for key "%s" is invalid or wrong type.',
+  VARIABLE_NOT_IN_FLAG: 'No variable with key "%s" was found in flag "%s".',
+  VARIABLE_TYPE_MISMATCH: 'Variable "%s" has type "%s" but type "%s" was expected.',
 };
 
 /*
@@ -306,6 +406,18 @@ export const DECISION_MESSAGES = {
  *    - attributes {Object|undefined}
  *    - decisionInfo {Object|undefined}
  *
+ *  DATAFILE_SOURCE_CHANGED: Another source of the datafile provides the datafiles,
+ *  when datafile sources are configured
+ *  Callbacks will receive an object argument with the following properties:
+ *    - source {string}
+ *    - previousSource {string|null}
+ *    - sources {Object[]}
+ *
+ *  DATAFILE_VERIFICATION_FAILED: A datafile fetched by the datafile manager has been
+ *  rejected because its signature is missing or invalid
+ *  Callbacks will receive an object argument with the following properties:
+ *    - reason {string}
+ *
  *  LOG_EVENT: A batch of events, which could contain impressions and/or conversions,
  *  will be sent to Optimizely
  *  Callbacks will receive an object argument with the following properties:
@@ -315,6 +427,27 @@ export const DECISION_MESSAGES = {
  *
  *  OPTIMIZELY_CONFIG_UPDATE: This Optimizely instance has been updated with a new
  *  config
+ *  Callbacks will receive a ProjectConfigDiff object argument with the following properties:
+ *    - previousRevision {string|null}
+ *    - revision {string}
+ *    - flagsAdded {string[]}
+ *    - flagsRemoved {string[]}
+ *    - rulesReordered {Object[]}
+ *    - trafficAllocationChanges {Object[]}
+ *    - ruleAudienceChanges {Object[]}
+ *    - variableDefaultChanges {Object[]}
+ *    - audienceChanges {Object[]}
+ *
+ *  SHADOW_DECISION_MISMATCH: A flag decided against the candidate datafile of shadow
+ *  evaluation got another decision than against the live datafile
+ *  Callbacks will receive an object argument with the following properties:
+ *    - flagKey {string}
+ *    - userId {string}
+ *    - attributes {Object|undefined}
+ *    - liveDecision {Object}
+ *    - candidateDecision {Object}
+ *    - liveRevision {string}
+ *    - candidateRevision {string}
  *
  *  TRACK: A conversion event will be sent to Optimizely
  *  Callbacks will receive the an object argument with the following properties:
@@ -328,8 +461,11 @@ export const DECISION_MESSAGES = {
 export enum NOTIFICATION_TYPES {
   ACTIVATE = 'ACTIVATE:experiment, user_id,attributes, variation, event',
   DECISION = 'DECISION:type, userId, attributes, decisionInfo',
+  DATAFILE_SOURCE_CHANGED = 'DATAFILE_SOURCE_CHANGED:source, previousSource, sources',
+  DATAFILE_VERIFICATION_FAILED = 'DATAFILE_VERIFICATION_FAILED:reason',
   LOG_EVENT = 'LOG_EVENT:logEvent',
   OPTIMIZELY_CONFIG_UPDATE = 'OPTIMIZELY_CONFIG_UPDATE',
+  SHADOW_DECISION_MISMATCH = 'SHADOW_DECISION_MISMATCH:flagKey, userId, attributes, liveDecision, candidateDecision',
   TRACK = 'TRACK:event_key, user_id, attributes, event_tags, event',
 }
 
@@ -21,16 +21,37 @@ import decompressResponse from 'decompress-response';
 import { LogHandler } from '../../modules/logging';
 import { REQUEST_TIMEOUT_MS } from '../enums';
 
+/**
+ * Agent managing the connections of requests: a single agent for requests of any protocol, or an agent
+ * per protocol, as an https.Agent can't make http requests
+ */
+export type NodeRequestAgent = http.Agent | { http: http.Agent; https: https.Agent };
+
+/**
+ * Returns the agent of a request using the given protocol
+ * @param  {NodeRequestAgent|undefined}   agent
+ * @param  {string|null}                  protocol
+ * @return {http.Agent|undefined}
+ */
+export function getAgentForProtocol(agent: NodeRequestAgent | undefined, protocol: string | null): http.Agent | undefined {
+  if (!agent || agent instanceof http.Agent) {
+    return agent;
+  }
+  return protocol === 'http:' ? agent.http : agent.https;
+}
+
 /**
  * Handles sending requests and receiving responses over HTTP via NodeJS http module
  */
 export class NodeRequestHandler implements RequestHandler {
   private readonly logger: LogHandler;
   private readonly timeout: number;
+  private readonly agent?: NodeRequestAgent;
 
-  constructor(logger: LogHandler, timeout: number = REQUEST_TIMEOUT_MS) {
+  constructor(logger: LogHandler, timeout: number = REQUEST_TIMEOUT_MS, agent?: NodeRequestAgent) {
     this.logger = logger;
     this.timeout = timeout;
+    this.agent = agent;
   }
 
   /**
@@ -54,6 +75,7 @@ export class NodeRequestHandler implements RequestHandler {
     const request = https.request({
       ...this.getRequestOptionsFromUrl(parsedUrl),
       method,
+      agent: getAgentForProtocol(this.agent, parsedUrl.protocol),
       headers: {
         ...headers,
         'accept-encoding': 'gzip,deflate',
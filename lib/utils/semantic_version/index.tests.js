@@ -89,5 +89,111 @@ describe('lib/utils/sematic_version', function() {
       });
 
     });
+
+    describe('parseSemanticVersion', function() {
+      it('should parse versions, reading missing numbers as 0', function() {
+        assert.deepEqual(semanticVersion.parseSemanticVersion('2.3.4'), { major: 2, minor: 3, patch: 4, prerelease: [] });
+        assert.deepEqual(semanticVersion.parseSemanticVersion('v2.1'), { major: 2, minor: 1, patch: 0, prerelease: [] });
+        assert.deepEqual(
+          semanticVersion.parseSemanticVersion('2.0.0-beta.2+build.5'),
+          { major: 2, minor: 0, patch: 0, prerelease: ['beta', '2'] }
+        );
+      });
+
+      it('should return null for invalid versions', function() {
+        for (const version of ['', '2.', '.2', '2.x', '2.3.4.5', '2 .3', '2.3.4-', '2.3.4+', 'beta']) {
+          assert.isNull(semanticVersion.parseSemanticVersion(version), `Failed for version: ${version}`);
+        }
+      });
+    });
+
+    describe('isVersionInRange', function() {
+      const isInRange = (version, range) =>
+        semanticVersion.isVersionInRange(
+          semanticVersion.parseSemanticVersion(version),
+          semanticVersion.parseVersionRange(range)
+        );
+
+      it('should return true for versions in the range', function() {
+        const cases = [
+          ['^2.3.0', '2.3.0'],
+          ['^2.3.0', '2.9.1'],
+          ['^0.2.3', '0.2.9'],
+          ['^0.0.3', '0.0.3'],
+          ['^1.2', '1.9.0'],
+          ['^0.0', '0.0.9'],
+          ['~1.4', '1.4.7'],
+          ['~1.4.2', '1.4.9'],
+          ['~1', '1.9.9'],
+          ['~>1.4', '1.4.1'],
+          ['>=1.2.0 <2.0.0', '1.9.9'],
+          ['>= 1.2.0 < 2.0.0', '1.2.0'],
+          ['>1.2', '1.3.0'],
+          ['<=1.2', '1.2.9'],
+          ['<1.2', '1.1.9'],
+          ['1.2.x', '1.2.7'],
+          ['1.x', '1.9.0'],
+          ['1', '1.5.0'],
+          ['*', '3.0.0'],
+          ['', '3.0.0'],
+          ['=1.2.3', '1.2.3+build.1'],
+          ['1.2.3 - 2.3.4', '2.3.4'],
+          ['1.2 - 2.3', '2.3.9'],
+          ['<1.0.0 || >=2.3.0 <3.0.0', '2.4.0'],
+          ['<1.0.0 || >=2.3.0 <3.0.0', '0.9.0'],
+          ['>=2.0.0-beta.1', '2.0.0-beta.2'],
+          ['>=2.0.0-beta.1', '2.0.0'],
+          ['^2.0.0-beta.1', '2.0.0-beta.10'],
+          ['~2.1', '2.1'],
+        ];
+        for (const [range, version] of cases) {
+          assert.isTrue(isInRange(version, range), `Failed for range: ${range} and version: ${version}`);
+        }
+      });
+
+      it('should return false for versions outside of the range', function() {
+        const cases = [
+          ['^2.3.0', '2.2.9'],
+          ['^2.3.0', '3.0.0'],
+          ['^0.2.3', '0.3.0'],
+          ['^0.0.3', '0.0.4'],
+          ['~1.4', '1.5.0'],
+          ['~1.4.2', '1.4.1'],
+          ['>=1.2.0 <2.0.0', '2.0.0'],
+          ['>1.2', '1.2.9'],
+          ['<=1.2', '1.3.0'],
+          ['<1.2', '1.2.0'],
+          ['1.2.x', '1.3.0'],
+          ['>*', '1.0.0'],
+          ['=1.2.3', '1.2.4'],
+          ['1.2.3 - 2.3.4', '2.3.5'],
+          ['1.2 - 2.3', '2.4.0'],
+          ['<1.0.0 || >=2.3.0 <3.0.0', '1.5.0'],
+          ['>=2.0.0-beta.1', '2.0.0-alpha.9'],
+          ['^2.0.0-beta.1', '2.1.0-beta.2'],
+          ['>=1.0.0', '2.0.0-beta.1'],
+          ['^1.2.0', '2.0.0-0'],
+          ['<2.0.0', '2.0.0-beta.1'],
+        ];
+        for (const [range, version] of cases) {
+          assert.isFalse(isInRange(version, range), `Failed for range: ${range} and version: ${version}`);
+        }
+      });
+
+      it('should compare pre-release identifiers by semver precedence', function() {
+        assert.isTrue(isInRange('1.0.0-alpha.10', '>1.0.0-alpha.9'));
+        assert.isTrue(isInRange('1.0.0-alpha.beta', '>1.0.0-alpha.1'));
+        assert.isTrue(isInRange('1.0.0-alpha.1', '>1.0.0-alpha'));
+        assert.isTrue(isInRange('1.0.0-rc.1', '<1.0.0-rc.1.1'));
+      });
+    });
+
+    describe('parseVersionRange', function() {
+      it('should return null for invalid ranges', function() {
+        for (const range of ['>=1.2.0 <', '^', '1.2.3.4', '>=abc', '1.2 - ', '^1.2 ||| 2', '~1.2 - 1.3', '=>1.2']) {
+          assert.isNull(semanticVersion.parseVersionRange(range), `Failed for range: ${range}`);
+        }
+      });
+    });
   });
 });
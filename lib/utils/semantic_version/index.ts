@@ -182,3 +182,259 @@ export function compareVersion(conditionsVersion: string, userProvidedVersion: s
 
   return 0;
 }
+
+/**
+ * A semantic version with its pre-release identifiers, build metadata is ignored
+ */
+export interface SemanticVersion {
+  major: number;
+  minor: number;
+  patch: number;
+  prerelease: string[];
+}
+
+interface VersionComparator {
+  operator: '<' | '<=' | '>' | '>=' | '=';
+  version: SemanticVersion;
+}
+
+/**
+ * A version range as a list of comparator sets. A version is in the range if it
+ * satisfies all the comparators of any of the sets.
+ */
+export type VersionRange = VersionComparator[][];
+
+// a version in which minor and patch numbers are optional, and any number can be a wildcard
+interface PartialVersion {
+  major: number | null;
+  minor: number | null;
+  patch: number | null;
+  prerelease: string[];
+}
+
+const IDENTIFIERS = '[0-9A-Za-z-]+(?:\\.[0-9A-Za-z-]+)*';
+const VERSION_REGEX = new RegExp(`^v?(\\d+)(?:\\.(\\d+))?(?:\\.(\\d+))?(?:-(${IDENTIFIERS}))?(?:\\+${IDENTIFIERS})?$`);
+const PARTIAL_VERSION_REGEX = new RegExp(
+  `^v?(\\d+|[xX*])(?:\\.(\\d+|[xX*])(?:\\.(\\d+|[xX*])(?:-(${IDENTIFIERS}))?(?:\\+${IDENTIFIERS})?)?)?$`
+);
+const COMPARATOR_REGEX = /^(<=|>=|<|>|=|~>?|\^)?(.*)$/;
+const HYPHEN_RANGE_REGEX = /^(\S+)\s+-\s+(\S+)$/;
+
+// the lowest pre-release of a version, used to exclude the pre-releases of upper bounds
+const LOWEST_PRERELEASE = ['0'];
+
+function createVersion(major: number, minor: number, patch: number, prerelease: string[] = []): SemanticVersion {
+  return { major, minor, patch, prerelease };
+}
+
+/**
+ * Parse a semantic version. Missing minor and patch numbers are read as 0, e.g. 2.1 is 2.1.0
+ * @param  {string}  version
+ * @return {SemanticVersion | null}  the parsed version, null if the version is in invalid format
+ */
+export function parseSemanticVersion(version: string): SemanticVersion | null {
+  const match = VERSION_REGEX.exec(version.trim());
+  if (!match) {
+    return null;
+  }
+  return createVersion(
+    parseInt(match[1], 10),
+    match[2] ? parseInt(match[2], 10) : 0,
+    match[3] ? parseInt(match[3], 10) : 0,
+    match[4] ? match[4].split('.') : []
+  );
+}
+
+function parsePartialVersion(version: string): PartialVersion | null {
+  const match = PARTIAL_VERSION_REGEX.exec(version);
+  if (!match) {
+    return null;
+  }
+  const parts = [match[1], match[2], match[3]].map(part => (part && isNumber(part) ? parseInt(part, 10) : null));
+  // numbers following a wildcard are wildcards too, e.g. 1.x.3 is 1.x
+  if (parts[0] === null) {
+    parts[1] = null;
+  }
+  if (parts[1] === null) {
+    parts[2] = null;
+  }
+  return { major: parts[0], minor: parts[1], patch: parts[2], prerelease: match[4] ? match[4].split('.') : [] };
+}
+
+function comparePrereleaseIdentifiers(a: string, b: string): number {
+  const aIsNumber = isNumber(a);
+  const bIsNumber = isNumber(b);
+  if (aIsNumber && bIsNumber) {
+    return parseInt(a, 10) - parseInt(b, 10);
+  }
+  // numeric identifiers have lower precedence than alphanumeric ones
+  if (aIsNumber !== bIsNumber) {
+    return aIsNumber ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compare two semantic versions following the precedence rules of semver.org
+ * @param  {SemanticVersion}  a
+ * @param  {SemanticVersion}  b
+ * @return {number}  a negative number if a is lower than b, a positive number if it is greater, 0 if they are equal
+ */
+export function compareSemanticVersions(a: SemanticVersion, b: SemanticVersion): number {
+  const result = a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+  if (result !== 0) {
+    return result;
+  }
+  // a pre-release version has a lower precedence than the associated normal version
+  if (!a.prerelease.length || !b.prerelease.length) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+  for (let i = 0; i < Math.min(a.prerelease.length, b.prerelease.length); i++) {
+    const identifierResult = comparePrereleaseIdentifiers(a.prerelease[i], b.prerelease[i]);
+    if (identifierResult !== 0) {
+      return identifierResult;
+    }
+  }
+  return a.prerelease.length - b.prerelease.length;
+}
+
+/**
+ * Translate a comparator of a range, which can use a partial version, into comparators of full versions
+ * @param  {string}          operator
+ * @param  {PartialVersion}  partial
+ * @return {VersionComparator[]}
+ */
+function toComparators(operator: string, partial: PartialVersion): VersionComparator[] {
+  const { major, minor, patch, prerelease } = partial;
+  if (major === null) {
+    // < and > a wildcard match nothing, other operators match any version
+    return operator === '<' || operator === '>'
+      ? [{ operator: '<', version: createVersion(0, 0, 0, LOWEST_PRERELEASE) }]
+      : [];
+  }
+
+  const lower = createVersion(major, minor || 0, patch || 0, prerelease);
+  // the lowest version above a partial version, e.g. 1.3.0-0 for 1.2
+  const nextVersion = minor === null
+    ? createVersion(major + 1, 0, 0, LOWEST_PRERELEASE)
+    : createVersion(major, minor + 1, 0, LOWEST_PRERELEASE);
+
+  switch (operator) {
+    case '>':
+      return patch !== null
+        ? [{ operator: '>', version: lower }]
+        : [{ operator: '>=', version: createVersion(nextVersion.major, nextVersion.minor, 0) }];
+    case '>=':
+      return [{ operator: '>=', version: lower }];
+    case '<':
+      return [{ operator: '<', version: patch !== null ? lower : createVersion(major, minor || 0, 0, LOWEST_PRERELEASE) }];
+    case '<=':
+      return patch !== null ? [{ operator: '<=', version: lower }] : [{ operator: '<', version: nextVersion }];
+    case '~':
+    case '~>':
+      return [{ operator: '>=', version: lower }, { operator: '<', version: nextVersion }];
+    case '^': {
+      // allow changes which do not modify the left-most non-zero number
+      let upper = createVersion(major + 1, 0, 0, LOWEST_PRERELEASE);
+      if (major === 0 && minor !== null) {
+        upper = minor > 0 || patch === null
+          ? createVersion(0, minor + 1, 0, LOWEST_PRERELEASE)
+          : createVersion(0, 0, patch + 1, LOWEST_PRERELEASE);
+      }
+      return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+    }
+    default:
+      return patch !== null
+        ? [{ operator: '=', version: lower }]
+        : [{ operator: '>=', version: lower }, { operator: '<', version: nextVersion }];
+  }
+}
+
+function parseComparatorSet(comparatorSet: string): VersionComparator[] | null {
+  // allow spaces between operators and versions, e.g. ">= 1.2.0"
+  const normalizedSet = comparatorSet.trim().replace(/(<=|>=|<|>|=|~>?|\^)\s+/g, '$1');
+  if (!normalizedSet) {
+    return [];
+  }
+
+  const hyphenMatch = HYPHEN_RANGE_REGEX.exec(normalizedSet);
+  if (hyphenMatch) {
+    const from = parsePartialVersion(hyphenMatch[1]);
+    const to = parsePartialVersion(hyphenMatch[2]);
+    if (!from || !to) {
+      return null;
+    }
+    return toComparators('>=', from).concat(to.major === null ? [] : toComparators('<=', to));
+  }
+
+  let comparators: VersionComparator[] = [];
+  for (const token of normalizedSet.split(/\s+/)) {
+    const match = COMPARATOR_REGEX.exec(token);
+    const partial = match && parsePartialVersion(match[2]);
+    if (!match || !partial) {
+      return null;
+    }
+    comparators = comparators.concat(toComparators(match[1] || '', partial));
+  }
+  return comparators;
+}
+
+/**
+ * Parse an npm style version range, such as ^2.3.0, ~1.4, >=1.2.0 <2.0.0, 1.2 - 1.4 or
+ * unions of ranges separated by ||. Versions can be partial and use x or * as wildcards.
+ * @param  {string}  range
+ * @return {VersionRange | null}  the parsed range, null if the range is in invalid format
+ */
+export function parseVersionRange(range: string): VersionRange | null {
+  const comparatorSets: VersionRange = [];
+  for (const comparatorSet of range.split('||')) {
+    const comparators = parseComparatorSet(comparatorSet);
+    if (!comparators) {
+      return null;
+    }
+    comparatorSets.push(comparators);
+  }
+  return comparatorSets;
+}
+
+function satisfiesComparator(version: SemanticVersion, comparator: VersionComparator): boolean {
+  const result = compareSemanticVersions(version, comparator.version);
+  switch (comparator.operator) {
+    case '<':
+      return result < 0;
+    case '<=':
+      return result <= 0;
+    case '>':
+      return result > 0;
+    case '>=':
+      return result >= 0;
+    default:
+      return result === 0;
+  }
+}
+
+/**
+ * Evaluate if a version is in a version range. As with npm, a pre-release version is only in
+ * a range if one of the comparators of the matching set has a pre-release of the same
+ * major, minor and patch numbers, e.g. 2.0.0-beta.2 is in >=2.0.0-beta.1 but not in >=1.0.0.
+ * @param  {SemanticVersion}  version
+ * @param  {VersionRange}     range
+ * @return {boolean}  true if the version is in the range
+ */
+export function isVersionInRange(version: SemanticVersion, range: VersionRange): boolean {
+  return range.some(comparators => {
+    if (!comparators.every(comparator => satisfiesComparator(version, comparator))) {
+      return false;
+    }
+    if (!version.prerelease.length) {
+      return true;
+    }
+    return comparators.some(
+      ({ version: comparatorVersion }) =>
+        comparatorVersion.prerelease.length > 0 &&
+        comparatorVersion.major === version.major &&
+        comparatorVersion.minor === version.minor &&
+        comparatorVersion.patch === version.patch
+    );
+  });
+}
@@ -107,6 +107,20 @@ const jsonSchemaBundle = {
   },
 };
 
+// The command line tool, run by node directly from the bin field of package.json.
+const cliBundle = {
+  ...cjsBundleFor('node'),
+  external: ['fs', 'https', 'http', 'url'].concat(Object.keys({ ...dependencies, ...peerDependencies } || {})),
+  input: 'lib/cli/bin.node.ts',
+  output: {
+    banner: '#!/usr/bin/env node',
+    format: 'cjs',
+    file: 'dist/optimizely.cli.min.js',
+    plugins: [terser()],
+    sourcemap: true,
+  },
+};
+
 const bundles = {
   'cjs-node': cjsBundleFor('node'),
   'cjs-browser': cjsBundleFor('browser'),
@@ -115,6 +129,7 @@ const bundles = {
   esm: esmBundleFor('browser'),
   'esm-lite': esmBundleFor('lite'),
   'json-schema': jsonSchemaBundle,
+  cli: cliBundle,
   umd: umdBundle,
 };
 
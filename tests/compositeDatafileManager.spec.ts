@@ -0,0 +1,433 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { describe, beforeEach, afterEach, it, expect, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import CompositeDatafileManager from '../lib/modules/datafile-manager/compositeDatafileManager';
+import StaticDatafileManager from '../lib/modules/datafile-manager/staticDatafileManager';
+import FileDatafileManager from '../lib/modules/datafile-manager/fileDatafileManager';
+import { createProjectConfigManager } from '../lib/core/project_config/project_config_manager';
+import testData from '../lib/tests/test_data';
+import EventEmitter, { Disposer } from '../lib/modules/datafile-manager/eventEmitter';
+import {
+  DatafileManager,
+  DatafileSyncResultListener,
+  DatafileUpdate,
+} from '../lib/modules/datafile-manager/datafileManager';
+
+// Test implementation of a source: tests make it ready, fail, emit updates or sync results
+class TestDatafileManager implements DatafileManager {
+  datafile = '';
+
+  signature?: string;
+
+  private readonly readyPromise: Promise<void>;
+
+  private resolveReady: () => void = () => {};
+
+  private rejectReady: (err: Error) => void = () => {};
+
+  private readonly emitter = new EventEmitter();
+
+  private syncResultListeners: DatafileSyncResultListener[] = [];
+
+  start = vi.fn();
+
+  stop = vi.fn().mockResolvedValue(undefined);
+
+  persistDatafile = vi.fn();
+
+  getRolledBackRevision = vi.fn().mockReturnValue(null);
+
+  ignoresRevision?: () => boolean;
+
+  constructor() {
+    this.readyPromise = new Promise((resolve, reject) => {
+      this.resolveReady = resolve;
+      this.rejectReady = reject;
+    });
+  }
+
+  get(): string {
+    return this.datafile;
+  }
+
+  getSignature(): string | undefined {
+    return this.signature;
+  }
+
+  onReady(): Promise<void> {
+    return this.readyPromise;
+  }
+
+  on(eventName: string, listener: (datafileUpdate: DatafileUpdate) => void): Disposer {
+    return this.emitter.on(eventName, listener);
+  }
+
+  onSyncResult(listener: DatafileSyncResultListener): Disposer {
+    this.syncResultListeners.push(listener);
+    return (): void => {
+      this.syncResultListeners = this.syncResultListeners.filter(l => l !== listener);
+    };
+  }
+
+  becomeReady(datafile: string): void {
+    this.datafile = datafile;
+    this.resolveReady();
+  }
+
+  fail(message: string): void {
+    this.rejectReady(new Error(message));
+  }
+
+  update(datafile: string): void {
+    this.datafile = datafile;
+    this.emitter.emit('update', { datafile });
+  }
+
+  syncResult(error: Error | null): void {
+    this.syncResultListeners.forEach(listener => listener(error));
+  }
+}
+
+// Test source creating a new manager on each start: managers[0] is the manager of its first start
+class TestDatafileSource {
+  managers: TestDatafileManager[] = [new TestDatafileManager()];
+
+  private startCount = 0;
+
+  createDatafileManager = (): TestDatafileManager => {
+    if (this.startCount === this.managers.length) {
+      this.managers.push(new TestDatafileManager());
+    }
+    return this.managers[this.startCount++];
+  };
+}
+
+describe('compositeDatafileManager', () => {
+  let cdnSource: TestDatafileSource;
+  let mirrorSource: TestDatafileSource;
+  let cdn: TestDatafileManager;
+  let mirror: TestDatafileManager;
+  let manager: CompositeDatafileManager;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    cdnSource = new TestDatafileSource();
+    mirrorSource = new TestDatafileSource();
+    cdn = cdnSource.managers[0];
+    mirror = mirrorSource.managers[0];
+    manager = new CompositeDatafileManager({
+      sources: [
+        { name: 'cdn', createDatafileManager: cdnSource.createDatafileManager },
+        { name: 'mirror', createDatafileManager: mirrorSource.createDatafileManager },
+        { name: 'default', createDatafileManager: () => new StaticDatafileManager('{"revision": "1"}') },
+      ],
+      sourceTimeout: 1000,
+    });
+  });
+
+  afterEach(async () => {
+    await manager.stop();
+    vi.clearAllTimers();
+    vi.useRealTimers();
+  });
+
+  it('uses the first source when it provides a datafile, without trying the others', async () => {
+    manager.start();
+    cdn.signature = 'c2lnbmF0dXJl';
+    cdn.becomeReady('{"revision": "3"}');
+    await manager.onReady();
+
+    expect(manager.get()).toBe('{"revision": "3"}');
+    expect(manager.getSignature()).toBe('c2lnbmF0dXJl');
+    expect(manager.getActiveSource()).toBe('cdn');
+    expect(mirror.start).not.toBeCalled();
+    expect(manager.getSourceHealth()).toEqual([
+      { name: 'cdn', status: 'healthy' },
+      { name: 'mirror', status: 'idle' },
+      { name: 'default', status: 'idle' },
+    ]);
+  });
+
+  it('tries the next source when a source fails', async () => {
+    manager.start();
+    cdn.fail('Failed to become ready');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(mirror.start).toBeCalledTimes(1);
+
+    mirror.becomeReady('{"revision": "2"}');
+    await manager.onReady();
+    expect(manager.get()).toBe('{"revision": "2"}');
+    expect(manager.getActiveSource()).toBe('mirror');
+    expect(manager.getSourceHealth()).toEqual([
+      { name: 'cdn', status: 'unhealthy', reason: 'Failed to become ready' },
+      { name: 'mirror', status: 'healthy' },
+      { name: 'default', status: 'idle' },
+    ]);
+  });
+
+  it('tries the next sources when sources time out, and uses the last one', async () => {
+    manager.start();
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(mirror.start).toBeCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    await manager.onReady();
+    expect(manager.get()).toBe('{"revision": "1"}');
+    expect(manager.getActiveSource()).toBe('default');
+    expect(manager.getSourceHealth()).toEqual([
+      { name: 'cdn', status: 'unhealthy', reason: 'Datafile source did not provide a datafile within 1000 ms' },
+      { name: 'mirror', status: 'unhealthy', reason: 'Datafile source did not provide a datafile within 1000 ms' },
+      { name: 'default', status: 'healthy' },
+    ]);
+  });
+
+  it('switches to a more preferred source once it provides a datafile, and stops the less preferred ones', async () => {
+    const sourceChangeListener = vi.fn();
+    const updateListener = vi.fn();
+    manager.onSourceChange(sourceChangeListener);
+    manager.on('update', updateListener);
+    manager.start();
+    await vi.advanceTimersByTimeAsync(1000);
+    mirror.becomeReady('{"revision": "2"}');
+    await manager.onReady();
+    expect(sourceChangeListener).toBeCalledWith(
+      expect.objectContaining({ source: 'mirror', previousSource: null })
+    );
+
+    cdn.becomeReady('{"revision": "3"}');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(manager.get()).toBe('{"revision": "3"}');
+    expect(manager.getActiveSource()).toBe('cdn');
+    expect(updateListener).toBeCalledWith({ datafile: '{"revision": "3"}' });
+    expect(mirror.stop).toBeCalledTimes(1);
+    expect(sourceChangeListener).toHaveBeenLastCalledWith({
+      source: 'cdn',
+      previousSource: 'mirror',
+      sources: [
+        { name: 'cdn', status: 'healthy' },
+        { name: 'mirror', status: 'idle' },
+        { name: 'default', status: 'idle' },
+      ],
+    });
+  });
+
+  it('tries the next source when the active source fails to sync after being ready, and switches back once it recovers', async () => {
+    const sourceChangeListener = vi.fn();
+    manager.onSourceChange(sourceChangeListener);
+    manager.start();
+    cdn.becomeReady('{"revision": "3"}');
+    await manager.onReady();
+
+    cdn.syncResult(new Error('Datafile fetch request failed with status: 500'));
+    expect(mirror.start).toBeCalledTimes(1);
+    expect(manager.getActiveSource()).toBe('cdn');
+    expect(manager.getSourceHealth()).toEqual([
+      { name: 'cdn', status: 'unhealthy', reason: 'Datafile fetch request failed with status: 500' },
+      { name: 'mirror', status: 'pending' },
+      { name: 'default', status: 'idle' },
+    ]);
+
+    mirror.becomeReady('{"revision": "3"}');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(manager.getActiveSource()).toBe('mirror');
+    expect(sourceChangeListener).toHaveBeenLastCalledWith(
+      expect.objectContaining({ source: 'mirror', previousSource: 'cdn' })
+    );
+
+    cdn.syncResult(null);
+    expect(manager.getActiveSource()).toBe('cdn');
+    expect(mirror.stop).toBeCalledTimes(1);
+    expect(manager.getSourceHealth()).toEqual([
+      { name: 'cdn', status: 'healthy' },
+      { name: 'mirror', status: 'idle' },
+      { name: 'default', status: 'idle' },
+    ]);
+  });
+
+  it('stops the source tried after a failed sync when the active source recovers first', async () => {
+    manager.start();
+    cdn.becomeReady('{"revision": "3"}');
+    await manager.onReady();
+
+    cdn.syncResult(new Error('Connection Error'));
+    expect(mirror.start).toBeCalledTimes(1);
+    cdn.syncResult(null);
+    expect(mirror.stop).toBeCalledTimes(1);
+    expect(manager.getActiveSource()).toBe('cdn');
+    expect(manager.getSourceHealth()).toEqual([
+      { name: 'cdn', status: 'healthy' },
+      { name: 'mirror', status: 'idle' },
+      { name: 'default', status: 'idle' },
+    ]);
+  });
+
+  it('waits for a new datafile from a source which is started again', async () => {
+    manager.start();
+    cdn.becomeReady('{"revision": "3"}');
+    await manager.onReady();
+    cdn.syncResult(new Error('Connection Error'));
+    mirror.becomeReady('{"revision": "3"}');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(manager.getActiveSource()).toBe('mirror');
+    cdn.syncResult(null);
+    expect(mirror.stop).toBeCalledTimes(1);
+
+    // the mirror is started again with a new manager, its first one was ready with a stale datafile
+    cdn.syncResult(new Error('Connection Error'));
+    expect(mirrorSource.managers).toHaveLength(2);
+    const restartedMirror = mirrorSource.managers[1];
+    expect(restartedMirror.start).toBeCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(manager.getActiveSource()).toBe('cdn');
+    expect(manager.getSourceHealth()[1]).toEqual({ name: 'mirror', status: 'pending' });
+
+    restartedMirror.becomeReady('{"revision": "5"}');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(manager.getActiveSource()).toBe('mirror');
+    expect(manager.get()).toBe('{"revision": "5"}');
+
+    restartedMirror.update('{"revision": "6"}');
+    expect(manager.get()).toBe('{"revision": "6"}');
+    mirror.update('{"revision": "2"}');
+    expect(manager.get()).toBe('{"revision": "6"}');
+  });
+
+  it('ignores the sync results of sources which did not provide a datafile', async () => {
+    manager.start();
+    cdn.syncResult(new Error('Connection Error'));
+    expect(mirror.start).not.toBeCalled();
+    expect(manager.getSourceHealth()[0]).toEqual({ name: 'cdn', status: 'pending' });
+  });
+
+  it('emits the updates of the active source only', async () => {
+    const updateListener = vi.fn();
+    manager.on('update', updateListener);
+    manager.start();
+    await vi.advanceTimersByTimeAsync(1000);
+    mirror.becomeReady('{"revision": "2"}');
+    await manager.onReady();
+
+    mirror.update('{"revision": "4"}');
+    expect(updateListener).toBeCalledTimes(1);
+    expect(manager.get()).toBe('{"revision": "4"}');
+
+    cdn.update('{"revision": "5"}');
+    expect(updateListener).toBeCalledTimes(1);
+    expect(manager.get()).toBe('{"revision": "4"}');
+  });
+
+  it('lets the active source persist datafiles', async () => {
+    manager.start();
+    cdn.becomeReady('{"revision": "3"}');
+    await manager.onReady();
+
+    manager.persistDatafile('{"revision": "3"}', 'c2lnbmF0dXJl', '4');
+    expect(cdn.persistDatafile).toBeCalledWith('{"revision": "3"}', 'c2lnbmF0dXJl', '4');
+    expect(mirror.persistDatafile).not.toBeCalled();
+  });
+
+  it('returns the rolled back revision of the active source', async () => {
+    cdn.getRolledBackRevision.mockReturnValue('4');
+    expect(manager.getRolledBackRevision()).toBeNull();
+    manager.start();
+    cdn.becomeReady('{"revision": "3"}');
+    await manager.onReady();
+    expect(manager.getRolledBackRevision()).toBe('4');
+    expect(mirror.getRolledBackRevision).not.toBeCalled();
+  });
+
+  it('ignores revisions when its active source does', async () => {
+    mirror.ignoresRevision = vi.fn().mockReturnValue(true);
+    manager.start();
+    expect(manager.ignoresRevision()).toBe(false);
+    await vi.advanceTimersByTimeAsync(1000);
+    mirror.becomeReady('{"revision": "2"}');
+    await manager.onReady();
+    expect(manager.ignoresRevision()).toBe(true);
+
+    cdn.becomeReady('{"revision": "3"}');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(manager.ignoresRevision()).toBe(false);
+  });
+
+  it('does not replace a newer datafile with the older datafile of a fallback file', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimizely-datafile-'));
+    const filePath = path.join(tmpDir, 'datafile.json');
+    fs.writeFileSync(filePath, JSON.stringify({ ...testData.getTestProjectConfig(), revision: '50' }));
+    const fileManagers: FileDatafileManager[] = [];
+    manager = new CompositeDatafileManager({
+      sources: [
+        { name: 'cdn', createDatafileManager: cdnSource.createDatafileManager },
+        {
+          name: 'file',
+          createDatafileManager: (): FileDatafileManager => {
+            const fileManager = new FileDatafileManager({ filePath, autoUpdate: false });
+            fileManagers.push(fileManager);
+            return fileManager;
+          },
+        },
+      ],
+      sourceTimeout: 1000,
+    });
+    const projectConfigManager = createProjectConfigManager({ datafileManager: manager });
+    try {
+      cdn.becomeReady(JSON.stringify({ ...testData.getTestProjectConfig(), revision: '100' }));
+      await projectConfigManager.onReady();
+      expect(projectConfigManager.getConfig()?.revision).toBe('100');
+
+      cdn.syncResult(new Error('Connection Error'));
+      expect(fileManagers).toHaveLength(1);
+      await vi.waitFor(() => expect(manager.getActiveSource()).toBe('file'));
+      expect(manager.ignoresRevision()).toBe(false);
+      expect(projectConfigManager.getConfig()?.revision).toBe('100');
+    } finally {
+      projectConfigManager.stop();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects its ready promise when every source failed', async () => {
+    manager = new CompositeDatafileManager({
+      sources: [
+        { name: 'cdn', createDatafileManager: cdnSource.createDatafileManager },
+        { name: 'mirror', createDatafileManager: mirrorSource.createDatafileManager },
+      ],
+    });
+    manager.start();
+    cdn.fail('Failed to become ready');
+    await vi.advanceTimersByTimeAsync(0);
+    mirror.fail('Failed to become ready');
+
+    await expect(manager.onReady()).rejects.toThrow('Failed to become ready');
+    expect(manager.getActiveSource()).toBeNull();
+  });
+
+  it('stops the started sources when stopped', async () => {
+    manager.start();
+    await vi.advanceTimersByTimeAsync(1000);
+    await manager.stop();
+
+    expect(cdn.stop).toBeCalledTimes(1);
+    expect(mirror.stop).toBeCalledTimes(1);
+    mirror.becomeReady('{"revision": "2"}');
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(manager.get()).toBe('');
+  });
+});
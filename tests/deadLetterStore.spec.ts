@@ -0,0 +1,85 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { describe, beforeEach, it, vi, expect } from 'vitest';
+
+import { DeadLetterEntry, PersistentDeadLetterStore } from '../lib/modules/event_processor/deadLetterStore'
+import PersistentKeyValueCache from '../lib/plugins/key_value_cache/persistentKeyValueCache'
+
+function createEntry(uuid: string, timestamp: number): DeadLetterEntry {
+  return {
+    uuid,
+    timestamp,
+    request: { url: 'https://logx.optimizely.com/v1/events', httpVerb: 'POST', params: {} as any },
+    attempts: 4,
+    statusCode: 503,
+  }
+}
+
+describe('PersistentDeadLetterStore', () => {
+  let cacheMap: Map<string, string>
+  let cache: PersistentKeyValueCache
+  let store: PersistentDeadLetterStore
+
+  beforeEach(() => {
+    cacheMap = new Map()
+    cache = {
+      contains: vi.fn().mockImplementation(key => Promise.resolve(cacheMap.has(key))),
+      get: vi.fn().mockImplementation(key => Promise.resolve(cacheMap.get(key))),
+      set: vi.fn().mockImplementation((key, value) => {
+        cacheMap.set(key, value)
+        return Promise.resolve()
+      }),
+      remove: vi.fn().mockImplementation(key => Promise.resolve(cacheMap.delete(key))),
+    }
+    store = new PersistentDeadLetterStore({ cache, storeKey: 'dead-letters', maxSize: 2 })
+  })
+
+  it('stores entries under the store key', async () => {
+    const entry = createEntry('a', 1)
+    await store.add(entry)
+    expect(JSON.parse(cacheMap.get('dead-letters') as string)).toEqual({ a: entry })
+    expect(await store.getAll()).toEqual([entry])
+  })
+
+  it('keeps all entries added concurrently', async () => {
+    await Promise.all([store.add(createEntry('a', 1)), store.add(createEntry('b', 2))])
+    expect((await store.getAll()).map(entry => entry.uuid)).toEqual(['a', 'b'])
+  })
+
+  it('drops the oldest entries when full', async () => {
+    await store.add(createEntry('b', 2))
+    await store.add(createEntry('a', 1))
+    await store.add(createEntry('c', 3))
+    expect((await store.getAll()).map(entry => entry.uuid)).toEqual(['b', 'c'])
+  })
+
+  it('removes entries', async () => {
+    await store.add(createEntry('a', 1))
+    await store.add(createEntry('b', 2))
+    await store.remove('a')
+    expect((await store.getAll()).map(entry => entry.uuid)).toEqual(['b'])
+    await store.clear()
+    expect(await store.getAll()).toEqual([])
+    expect(cacheMap.has('dead-letters')).toBe(false)
+  })
+
+  it('releases the lock when the cache fails', async () => {
+    vi.mocked(cache.set).mockReturnValueOnce(Promise.reject(new Error('quota exceeded')))
+    await expect(store.add(createEntry('a', 1))).rejects.toThrow('quota exceeded')
+    await store.add(createEntry('b', 2))
+    expect((await store.getAll()).map(entry => entry.uuid)).toEqual(['b'])
+  })
+})
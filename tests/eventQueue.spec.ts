@@ -15,7 +15,8 @@
  */
 import { describe, beforeEach, afterEach, it, expect, vi } from 'vitest';
 
-import { DefaultEventQueue, SingleEventQueue } from '../lib/modules/event_processor/eventQueue'
+import { DefaultEventQueue, SingleEventQueue, QueuedEvent } from '../lib/modules/event_processor/eventQueue'
+import { LocalStorageStore } from '../lib/modules/event_processor/pendingEventsStore'
 
 describe('eventQueue', () => {
   beforeEach(() => {
@@ -267,6 +268,33 @@ describe('eventQueue', () => {
 
     })
 
+    it('should keep the buffered events in the store until they are passed to the sink', () => {
+      const sinkFn = vi.fn()
+      const store = new LocalStorageStore<QueuedEvent<number>>({ key: 'test_queued_events' })
+      const queue = new DefaultEventQueue<number>({
+        flushInterval: 100,
+        maxQueueSize: 3,
+        sink: sinkFn,
+        batchComparator: () => true,
+        store,
+      })
+
+      queue.start()
+      queue.enqueue(1)
+      queue.enqueue(2)
+      expect(store.values().map(queuedEvent => queuedEvent.event).sort()).toEqual([1, 2])
+
+      queue.enqueue(3)
+      expect(sinkFn).toHaveBeenCalledWith([1, 2, 3])
+      expect(store.values()).toHaveLength(0)
+
+      queue.enqueue(4)
+      expect(store.values().map(queuedEvent => queuedEvent.event)).toEqual([4])
+      queue.stop()
+      expect(store.values()).toHaveLength(0)
+      localStorage.clear()
+    })
+
     it('should not enqueue additional events after stop() is called', () => {
       const sinkFn = vi.fn()
       const queue = new DefaultEventQueue<number>({
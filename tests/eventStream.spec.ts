@@ -0,0 +1,70 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { describe, beforeEach, it, expect, vi } from 'vitest';
+
+import { EventStreamParser, StreamEvent } from '../lib/modules/datafile-manager/eventStream';
+
+describe('EventStreamParser', () => {
+  let events: StreamEvent[];
+  let parser: EventStreamParser;
+
+  beforeEach(() => {
+    events = [];
+    parser = new EventStreamParser(event => events.push(event));
+  });
+
+  it('dispatches an event for each blank line terminated block', () => {
+    parser.write('event: revision\ndata: 42\n\ndata: hello\n\n');
+    expect(events).toEqual([
+      { event: 'revision', data: '42', id: undefined },
+      { event: 'message', data: 'hello', id: undefined },
+    ]);
+  });
+
+  it('joins multiple data lines with newlines', () => {
+    parser.write('event: datafile\ndata: {"a":\ndata: 1}\n\n');
+    expect(events).toEqual([{ event: 'datafile', data: '{"a":\n1}', id: undefined }]);
+  });
+
+  it('handles lines and events split across chunks', () => {
+    parser.write('event: revi');
+    parser.write('sion\r');
+    parser.write('\ndata: 4');
+    expect(events).toEqual([]);
+    parser.write('2\r\n\r\n');
+    expect(events).toEqual([{ event: 'revision', data: '42', id: undefined }]);
+  });
+
+  it('ignores comments and blocks without data', () => {
+    parser.write(': keep-alive\n\nevent: revision\n\nretry: 1000\n\n');
+    expect(events).toEqual([]);
+  });
+
+  it('keeps the last event id for later events', () => {
+    parser.write('id: 7\ndata: a\n\ndata: b\n\n');
+    expect(events).toEqual([
+      { event: 'message', data: 'a', id: '7' },
+      { event: 'message', data: 'b', id: '7' },
+    ]);
+  });
+
+  it('does not dispatch an incomplete event', () => {
+    const onEvent = vi.fn();
+    parser = new EventStreamParser(onEvent);
+    parser.write('data: incomplete\n');
+    expect(onEvent).not.toBeCalled();
+  });
+});
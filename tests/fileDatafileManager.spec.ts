@@ -0,0 +1,162 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { describe, beforeEach, afterEach, it, expect, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import FileDatafileManager from '../lib/modules/datafile-manager/fileDatafileManager';
+
+// Wait for the file watcher to notice changes, which happens outside of the control of the tests
+const waitFor = async (condition: () => boolean): Promise<void> => {
+  const deadline = Date.now() + 2000;
+  while (!condition() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const wait = (ms: number): Promise<void> => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('fileDatafileManager', () => {
+  let tmpDir: string;
+  let filePath: string;
+  let manager: FileDatafileManager;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimizely-datafile-'));
+    filePath = path.join(tmpDir, 'datafile.json');
+    manager = new FileDatafileManager({ filePath, debounceInterval: 20 });
+  });
+
+  afterEach(async () => {
+    await manager.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reads the datafile from the file and resolves its ready promise', async () => {
+    fs.writeFileSync(filePath, '{"revision": "1"}');
+    manager.start();
+    await manager.onReady();
+    expect(manager.get()).toBe('{"revision": "1"}');
+    expect(manager.ignoresRevision()).toBe(false);
+  });
+
+  it('ignores revisions only when configured to', () => {
+    expect(new FileDatafileManager({ filePath, ignoreRevision: true }).ignoresRevision()).toBe(true);
+    expect(new FileDatafileManager({ filePath, ignoreRevision: false }).ignoresRevision()).toBe(false);
+  });
+
+  it('rejects its ready promise when the file can not be read', async () => {
+    manager.start();
+    await expect(manager.onReady()).rejects.toThrow(`Failed to read datafile file ${filePath}`);
+    expect(manager.get()).toBe('');
+  });
+
+  it('rejects its ready promise when the datafile of the file is not valid', async () => {
+    fs.writeFileSync(filePath, '{"revision": ');
+    manager.start();
+    await expect(manager.onReady()).rejects.toThrow(`Failed to read datafile file ${filePath}`);
+    expect(manager.get()).toBe('');
+  });
+
+  it('reloads the datafile when the file changes and emits an update', async () => {
+    fs.writeFileSync(filePath, '{"revision": "1"}');
+    const updateFn = vi.fn();
+    manager.on('update', updateFn);
+    manager.start();
+    await manager.onReady();
+
+    fs.writeFileSync(filePath, '{"revision": "2"}');
+    await waitFor(() => updateFn.mock.calls.length > 0);
+    expect(updateFn).toBeCalledWith({ datafile: '{"revision": "2"}' });
+    expect(manager.get()).toBe('{"revision": "2"}');
+  });
+
+  it('reloads the datafile when the file is replaced', async () => {
+    fs.writeFileSync(filePath, '{"revision": "1"}');
+    const updateFn = vi.fn();
+    manager.on('update', updateFn);
+    manager.start();
+    await manager.onReady();
+
+    const tmpFilePath = path.join(tmpDir, 'datafile.json.tmp');
+    fs.writeFileSync(tmpFilePath, '{"revision": "2"}');
+    fs.renameSync(tmpFilePath, filePath);
+    await waitFor(() => updateFn.mock.calls.length > 0);
+    expect(manager.get()).toBe('{"revision": "2"}');
+  });
+
+  it('debounces successive writes into a single reload', async () => {
+    fs.writeFileSync(filePath, '{"revision": "1"}');
+    manager = new FileDatafileManager({ filePath, debounceInterval: 200 });
+    const updateFn = vi.fn();
+    manager.on('update', updateFn);
+    manager.start();
+    await manager.onReady();
+
+    fs.writeFileSync(filePath, '{"revision": "2"}');
+    await wait(20);
+    fs.writeFileSync(filePath, '{"revision": "3"}');
+    await waitFor(() => updateFn.mock.calls.length > 0);
+    await wait(300);
+    expect(updateFn).toBeCalledTimes(1);
+    expect(updateFn).toBeCalledWith({ datafile: '{"revision": "3"}' });
+  });
+
+  it('keeps the current datafile when the file changes to a datafile which is not valid', async () => {
+    fs.writeFileSync(filePath, '{"revision": "1"}');
+    manager = new FileDatafileManager({
+      filePath,
+      debounceInterval: 20,
+      validateDatafile: datafile => JSON.parse(datafile).revision !== 'invalid',
+    });
+    const updateFn = vi.fn();
+    manager.on('update', updateFn);
+    manager.start();
+    await manager.onReady();
+
+    fs.writeFileSync(filePath, '{"revision": "invalid"}');
+    await wait(200);
+    expect(updateFn).not.toBeCalled();
+    expect(manager.get()).toBe('{"revision": "1"}');
+
+    fs.writeFileSync(filePath, '{"revision": "2"}');
+    await waitFor(() => updateFn.mock.calls.length > 0);
+    expect(manager.get()).toBe('{"revision": "2"}');
+  });
+
+  it('does not watch the file without autoUpdate, or once stopped', async () => {
+    fs.writeFileSync(filePath, '{"revision": "1"}');
+    const watchedManager = manager;
+    const watchedUpdateFn = vi.fn();
+    watchedManager.on('update', watchedUpdateFn);
+    watchedManager.start();
+    await watchedManager.onReady();
+    await watchedManager.stop();
+
+    manager = new FileDatafileManager({ filePath, autoUpdate: false, debounceInterval: 20 });
+    const updateFn = vi.fn();
+    manager.on('update', updateFn);
+    manager.start();
+    await manager.onReady();
+
+    fs.writeFileSync(filePath, '{"revision": "2"}');
+    await wait(200);
+    expect(updateFn).not.toBeCalled();
+    expect(watchedUpdateFn).not.toBeCalled();
+    expect(manager.get()).toBe('{"revision": "1"}');
+  });
+});
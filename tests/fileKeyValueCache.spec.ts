@@ -0,0 +1,101 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { describe, beforeEach, afterEach, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import FileKeyValueCache from '../lib/plugins/key_value_cache/fileKeyValueCache';
+
+describe('FileKeyValueCache', () => {
+  let tmpDir: string;
+  let cacheDir: string;
+  let cacheInstance: FileKeyValueCache;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimizely-datafile-cache-'));
+    cacheDir = path.join(tmpDir, 'cache');
+    cacheInstance = new FileKeyValueCache(cacheDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should create the directory and store the value on set', async () => {
+    await cacheInstance.set('opt-datafile-key', '{"revision": "1"}');
+
+    expect(await cacheInstance.get('opt-datafile-key')).toBe('{"revision": "1"}');
+    expect(fs.readdirSync(cacheDir)).toEqual(['opt-datafile-key']);
+  });
+
+  it('should replace the stored value on set', async () => {
+    await cacheInstance.set('opt-datafile-key', '{"revision": "1"}');
+    await cacheInstance.set('opt-datafile-key', '{"revision": "2"}');
+
+    expect(await cacheInstance.get('opt-datafile-key')).toBe('{"revision": "2"}');
+    expect(fs.readdirSync(cacheDir)).toEqual(['opt-datafile-key']);
+  });
+
+  it('should write concurrent values of a key in order, without leaving temporary files', async () => {
+    await Promise.all([
+      cacheInstance.set('opt-datafile-key', '{"revision": "1"}'),
+      cacheInstance.set('opt-datafile-key', '{"revision": "2"}'),
+      cacheInstance.set('opt-datafile-key', '{"revision": "3"}'),
+    ]);
+
+    expect(await cacheInstance.get('opt-datafile-key')).toBe('{"revision": "3"}');
+    expect(fs.readdirSync(cacheDir)).toEqual(['opt-datafile-key']);
+  });
+
+  it('should read values stored by another instance', async () => {
+    await cacheInstance.set('opt-datafile-key', '{"revision": "1"}');
+
+    expect(await new FileKeyValueCache(cacheDir).get('opt-datafile-key')).toBe('{"revision": "1"}');
+  });
+
+  it('should return undefined and false for a missing key', async () => {
+    expect(await cacheInstance.get('opt-datafile-key')).toBeUndefined();
+    expect(await cacheInstance.contains('opt-datafile-key')).toBe(false);
+    expect(await cacheInstance.remove('opt-datafile-key')).toBe(false);
+  });
+
+  it('should remove the value of a key', async () => {
+    await cacheInstance.set('opt-datafile-key', '{"revision": "1"}');
+
+    expect(await cacheInstance.contains('opt-datafile-key')).toBe(true);
+    expect(await cacheInstance.remove('opt-datafile-key')).toBe(true);
+    expect(await cacheInstance.contains('opt-datafile-key')).toBe(false);
+  });
+
+  it('should remove a value right after it is set', async () => {
+    const [, isRemoved] = await Promise.all([
+      cacheInstance.set('opt-datafile-key', '{"revision": "1"}'),
+      cacheInstance.remove('opt-datafile-key'),
+    ]);
+
+    expect(isRemoved).toBe(true);
+    expect(await cacheInstance.contains('opt-datafile-key')).toBe(false);
+    expect(fs.readdirSync(cacheDir)).toEqual([]);
+  });
+
+  it('should store keys which are not valid file names', async () => {
+    await cacheInstance.set('../opt/datafile', 'value');
+
+    expect(await cacheInstance.get('../opt/datafile')).toBe('value');
+    expect(fs.readdirSync(tmpDir)).toEqual(['cache']);
+  });
+});
@@ -590,6 +590,37 @@ describe('httpPollingDatafileManager', () => {
       expect(getTimerCount()).toBe(0);
     });
 
+    it('calls its sync result listeners with the result of each sync', async () => {
+      manager = new TestDatafileManager({ sdkKey: '123', autoUpdate: true });
+      manager.queuedResponses.push(
+        {
+          statusCode: 200,
+          body: '{"foo": "bar"}',
+          headers: {},
+        },
+        {
+          statusCode: 500,
+          body: '',
+          headers: {},
+        },
+        new Error('Connection Error')
+      );
+      const syncResultFn = vi.fn();
+      manager.onSyncResult(syncResultFn);
+      manager.start();
+      await advanceTimersByTime(0);
+      await vi.waitFor(() => expect(syncResultFn).toBeCalledTimes(1));
+      expect(syncResultFn.mock.calls[0][0].message).toBe('Connection Error');
+
+      await advanceTimersByTime(300000);
+      await vi.waitFor(() => expect(syncResultFn).toBeCalledTimes(2));
+      expect(syncResultFn.mock.calls[1][0].message).toBe('Datafile fetch request failed with status: 500');
+
+      await advanceTimersByTime(300000);
+      await vi.waitFor(() => expect(syncResultFn).toBeCalledTimes(3));
+      expect(syncResultFn).toHaveBeenLastCalledWith(null);
+    });
+
     // TODO: figure out what's wrong with this test
     it.skip('rejects the onReady promise if the initial request promise rejects', async () => {
       manager.queuedResponses.push({
@@ -635,6 +666,221 @@ describe('httpPollingDatafileManager', () => {
     });
   });
 
+  describe('when constructed with a signatureHeader', () => {
+    beforeEach(() => {
+      manager = new TestDatafileManager({ sdkKey: '123', signatureHeader: 'X-Datafile-Signature' });
+    });
+
+    it('returns the signature of the datafile from the response header', async () => {
+      manager.queuedResponses.push({
+        statusCode: 200,
+        body: '{"foo": "bar"}',
+        headers: { 'x-datafile-signature': 'c2lnbmF0dXJl' },
+      });
+      manager.start();
+      await manager.onReady();
+      expect(JSON.parse(manager.get())).toEqual({ foo: 'bar' });
+      expect(manager.getSignature()).toBe('c2lnbmF0dXJl');
+    });
+
+    it('returns no signature when the response has no signature header', async () => {
+      manager.queuedResponses.push({
+        statusCode: 200,
+        body: '{"foo": "bar"}',
+        headers: {},
+      });
+      manager.start();
+      await manager.onReady();
+      expect(manager.getSignature()).toBeUndefined();
+    });
+  });
+
+  describe('when constructed with a signatureUrlTemplate', () => {
+    beforeEach(() => {
+      manager = new TestDatafileManager({
+        sdkKey: '123',
+        urlTemplate: 'https://localhost:5556/datafiles/%s.json',
+        signatureUrlTemplate: 'https://localhost:5556/datafiles/%s.json.sig',
+      });
+    });
+
+    it('fetches the signature from the sidecar file before updating the datafile', async () => {
+      const makeGetRequestSpy = vi.spyOn(manager, 'makeGetRequest');
+      manager.queuedResponses.push(
+        {
+          statusCode: 200,
+          body: 'c2lnbmF0dXJl\n',
+          headers: {},
+        },
+        {
+          statusCode: 200,
+          body: '{"foo": "bar"}',
+          headers: {},
+        }
+      );
+      manager.start();
+      await manager.onReady();
+      expect(makeGetRequestSpy).toBeCalledTimes(2);
+      expect(makeGetRequestSpy.mock.calls[0][0]).toBe('https://localhost:5556/datafiles/123.json');
+      expect(makeGetRequestSpy.mock.calls[1][0]).toBe('https://localhost:5556/datafiles/123.json.sig');
+      expect(JSON.parse(manager.get())).toEqual({ foo: 'bar' });
+      expect(manager.getSignature()).toBe('c2lnbmF0dXJl');
+    });
+
+    it('updates the datafile without a signature when the sidecar file cannot be fetched', async () => {
+      manager.queuedResponses.push(
+        {
+          statusCode: 404,
+          body: '',
+          headers: {},
+        },
+        {
+          statusCode: 200,
+          body: '{"foo": "bar"}',
+          headers: {},
+        }
+      );
+      manager.start();
+      await manager.onReady();
+      expect(JSON.parse(manager.get())).toEqual({ foo: 'bar' });
+      expect(manager.getSignature()).toBeUndefined();
+    });
+  });
+
+  describe('when constructed with a signatureHeader and a cache implementation', () => {
+    let cachedValues: { [key: string]: string };
+    let cache: PersistentKeyValueCache;
+
+    beforeEach(() => {
+      cachedValues = { 'opt-datafile-123': JSON.stringify({ name: 'cached' }) };
+      cache = {
+        get: (key: string): Promise<string | undefined> => Promise.resolve(cachedValues[key]),
+        set: vi.fn().mockResolvedValue(undefined),
+        contains: (): Promise<boolean> => Promise.resolve(false),
+        remove: vi.fn().mockResolvedValue(true),
+      };
+      manager = new TestDatafileManager({
+        sdkKey: '123',
+        autoUpdate: true,
+        signatureHeader: 'x-datafile-signature',
+        cache,
+      });
+      manager.simulateResponseDelay = true;
+    });
+
+    it('uses the cached datafile along with its cached signature', async () => {
+      cachedValues['opt-datafile-signature-123'] = 'c2lnbmF0dXJl';
+      manager.queuedResponses.push(new Error('Connection Error'));
+      manager.start();
+      await manager.onReady();
+      expect(JSON.parse(manager.get())).toEqual({ name: 'cached' });
+      expect(manager.getSignature()).toBe('c2lnbmF0dXJl');
+    });
+
+    it('does not use a cached datafile without a cached signature', async () => {
+      manager.queuedResponses.push({
+        statusCode: 200,
+        body: '{"foo": "bar"}',
+        headers: { 'x-datafile-signature': 'c2lnbmF0dXJl' },
+      });
+      manager.start();
+      await advanceTimersByTime(10);
+      expect(manager.get()).toBe('');
+      await advanceTimersByTime(40);
+      await manager.onReady();
+      expect(JSON.parse(manager.get())).toEqual({ foo: 'bar' });
+      manager.persistDatafile(manager.get(), manager.getSignature());
+      expect(cache.set).toBeCalledWith('opt-datafile-123', '{"foo": "bar"}');
+      expect(cache.set).toBeCalledWith('opt-datafile-signature-123', 'c2lnbmF0dXJl');
+    });
+
+    it('removes the cached signature when persisting a datafile without a signature', async () => {
+      manager.persistDatafile('{"foo": "bar"}');
+      expect(cache.set).toBeCalledWith('opt-datafile-123', '{"foo": "bar"}');
+      expect(cache.remove).toBeCalledWith('opt-datafile-signature-123');
+    });
+
+    it('adds its cache name to the cache keys', async () => {
+      manager = new TestDatafileManager({
+        sdkKey: '123',
+        signatureHeader: 'x-datafile-signature',
+        cache,
+        cacheName: 'mirror',
+      });
+      manager.persistDatafile('{"revision": "35"}', 'c2lnbmF0dXJl', '36');
+      expect(cache.set).toBeCalledWith('opt-datafile-123-mirror', '{"revision": "35"}');
+      expect(cache.set).toBeCalledWith('opt-datafile-signature-123-mirror', 'c2lnbmF0dXJl');
+      expect(cache.set).toBeCalledWith('opt-datafile-rolled-back-revision-123-mirror', '36');
+    });
+
+    it('caches the rolled back revision along with the datafile, until a datafile is persisted without it', async () => {
+      manager.persistDatafile('{"revision": "35"}', 'c2lnbmF0dXJl', '36');
+      expect(cache.set).toBeCalledWith('opt-datafile-123', '{"revision": "35"}');
+      expect(cache.set).toBeCalledWith('opt-datafile-rolled-back-revision-123', '36');
+      expect(manager.getRolledBackRevision()).toBe('36');
+
+      manager.persistDatafile('{"revision": "37"}', 'c2lnbmF0dXJl', null);
+      expect(cache.remove).toBeCalledWith('opt-datafile-rolled-back-revision-123');
+      expect(manager.getRolledBackRevision()).toBeNull();
+    });
+
+    it('uses the cached datafile after a rollback even when a datafile was fetched first', async () => {
+      cachedValues['opt-datafile-signature-123'] = 'c2lnbmF0dXJl';
+      cachedValues['opt-datafile-rolled-back-revision-123'] = '36';
+      let readRolledBackRevision: () => void = () => {};
+      cache.get = (key: string): Promise<string | undefined> => {
+        if (key !== 'opt-datafile-rolled-back-revision-123') {
+          return Promise.resolve(cachedValues[key]);
+        }
+        return new Promise(resolve => {
+          readRolledBackRevision = () => resolve(cachedValues[key]);
+        });
+      };
+      manager.queuedResponses.push({
+        statusCode: 200,
+        body: '{"revision": "36"}',
+        headers: { 'x-datafile-signature': 'c2lnbmF0dXJlMzY=' },
+      });
+      const updateFn = vi.fn();
+      manager.on('update', updateFn);
+      manager.start();
+      await advanceTimersByTime(50);
+      expect(manager.get()).toBe('');
+
+      readRolledBackRevision();
+      await manager.onReady();
+      expect(JSON.parse(manager.get())).toEqual({ name: 'cached' });
+      expect(manager.getRolledBackRevision()).toBe('36');
+      // the fetched datafile becomes an update once the cached one is used
+      await vi.waitFor(() => expect(updateFn).toBeCalledWith({ datafile: '{"revision": "36"}' }));
+      expect(manager.getSignature()).toBe('c2lnbmF0dXJlMzY=');
+    });
+
+    it('uses a datafile fetched first when no revision was rolled back', async () => {
+      cachedValues['opt-datafile-signature-123'] = 'c2lnbmF0dXJl';
+      let readRolledBackRevision: () => void = () => {};
+      cache.get = (key: string): Promise<string | undefined> => {
+        if (key !== 'opt-datafile-rolled-back-revision-123') {
+          return Promise.resolve(cachedValues[key]);
+        }
+        return new Promise(resolve => {
+          readRolledBackRevision = () => resolve(cachedValues[key]);
+        });
+      };
+      manager.queuedResponses.push({
+        statusCode: 200,
+        body: '{"revision": "36"}',
+        headers: { 'x-datafile-signature': 'c2lnbmF0dXJlMzY=' },
+      });
+      manager.start();
+      await advanceTimersByTime(50);
+      readRolledBackRevision();
+      await manager.onReady();
+      expect(JSON.parse(manager.get())).toEqual({ revision: '36' });
+      expect(manager.getRolledBackRevision()).toBeNull();
+    });
+  });
+
   describe('when constructed with an update interval below the minimum', () => {
     beforeEach(() => {
       manager = new TestDatafileManager({ sdkKey: '123', updateInterval: 500, autoUpdate: true });
@@ -698,7 +944,7 @@ describe('httpPollingDatafileManager', () => {
       expect(updateFn).toBeCalledTimes(1);
     });
 
-    it('sets newly recieved datafile in to cache', async () => {
+    it('sets newly recieved datafile in to cache only once it is persisted', async () => {
       const cacheSetSpy = vi.spyOn(testCache, 'set');
       manager.queuedResponses.push({
         statusCode: 200,
@@ -709,9 +955,18 @@ describe('httpPollingDatafileManager', () => {
       await manager.onReady();
       await advanceTimersByTime(50);
       expect(JSON.parse(manager.get())).toEqual({ foo: 'bar' });
+      expect(cacheSetSpy).toBeCalledTimes(0);
+      manager.persistDatafile(manager.get());
       expect(cacheSetSpy.mock.calls[0][0]).toEqual('opt-datafile-keyThatExists');
       expect(JSON.parse(cacheSetSpy.mock.calls[0][1])).toEqual({ foo: 'bar' });
     });
+
+    it('logs an error when the datafile can not be saved to the cache', async () => {
+      vi.spyOn(testCache, 'set').mockReturnValue(Promise.reject(new Error('Disk full')));
+      manager.persistDatafile('{"foo": "bar"}');
+      await advanceTimersByTime(0);
+      verify(spiedLogger.error('Error saving datafile to cache: %s', 'Disk full')).once();
+    });
   });
 
   describe('when constructed with a cache implementation without an already cached datafile', () => {
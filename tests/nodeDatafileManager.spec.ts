@@ -14,6 +14,7 @@
  * limitations under the License.
  */
 import { describe, beforeEach, afterEach, beforeAll, it, expect, vi, MockInstance } from 'vitest';
+import http from 'http';
 
 import NodeDatafileManager from '../lib/modules/datafile-manager/nodeDatafileManager';
 import * as nodeRequest from '../lib/modules/datafile-manager/nodeRequest';
@@ -21,7 +22,7 @@ import { Headers, AbortableRequest } from '../lib/modules/datafile-manager/http'
 import { advanceTimersByTime, getTimerCount } from './testUtils';
 
 describe('nodeDatafileManager', () => {
-  let makeGetRequestSpy:  MockInstance<(reqUrl: string, headers: Headers) => AbortableRequest>;
+  let makeGetRequestSpy:  MockInstance<(reqUrl: string, headers: Headers, agent?: http.Agent) => AbortableRequest>;
   beforeEach(() => {
     vi.useFakeTimers();
     makeGetRequestSpy = vi.spyOn(nodeRequest, 'makeGetRequest');
@@ -123,7 +124,8 @@ describe('nodeDatafileManager', () => {
     expect(makeGetRequestSpy).toBeCalledTimes(1);
     expect(makeGetRequestSpy).toBeCalledWith(
       'https://config.optimizely.com/datafiles/auth/1234.json',
-      expect.anything()
+      expect.anything(),
+      undefined
     );
     await manager.stop();
   });
@@ -142,7 +144,7 @@ describe('nodeDatafileManager', () => {
     });
     manager.start();
     expect(makeGetRequestSpy).toBeCalledTimes(1);
-    expect(makeGetRequestSpy).toBeCalledWith('https://cdn.optimizely.com/datafiles/1234.json', expect.anything());
+    expect(makeGetRequestSpy).toBeCalledWith('https://cdn.optimizely.com/datafiles/1234.json', expect.anything(), undefined);
     await manager.stop();
   });
 
@@ -161,10 +163,32 @@ describe('nodeDatafileManager', () => {
     });
     manager.start();
     expect(makeGetRequestSpy).toBeCalledTimes(1);
-    expect(makeGetRequestSpy).toBeCalledWith(expect.anything(), { Authorization: 'Bearer abcdefgh' });
+    expect(makeGetRequestSpy).toBeCalledWith(expect.anything(), { Authorization: 'Bearer abcdefgh' }, undefined);
     await manager.stop();
   });
 
+  it('sends requests through the provided agent', async () => {
+    makeGetRequestSpy.mockReturnValue({
+      abort: vi.fn(),
+      responsePromise: Promise.resolve({
+        statusCode: 200,
+        body: '{"foo":"bar"}',
+        headers: {},
+      }),
+    });
+    const agent = new http.Agent({ keepAlive: true });
+    const manager = new NodeDatafileManager({
+      sdkKey: '1234',
+      autoUpdate: false,
+      agent,
+    });
+    manager.start();
+    expect(makeGetRequestSpy).toBeCalledTimes(1);
+    expect(makeGetRequestSpy).toBeCalledWith('https://cdn.optimizely.com/datafiles/1234.json', {}, agent);
+    await manager.stop();
+    agent.destroy();
+  });
+
   it('prefers user provided url template over defaults', async () => {
     makeGetRequestSpy.mockReturnValue({
       abort: vi.fn(),
@@ -181,7 +205,7 @@ describe('nodeDatafileManager', () => {
     });
     manager.start();
     expect(makeGetRequestSpy).toBeCalledTimes(1);
-    expect(makeGetRequestSpy).toBeCalledWith('https://myawesomeurl/', expect.anything());
+    expect(makeGetRequestSpy).toBeCalledWith('https://myawesomeurl/', expect.anything(), undefined);
     await manager.stop();
   });
 });
@@ -0,0 +1,199 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { describe, afterEach, beforeAll, afterAll, it, vi, expect } from 'vitest';
+
+import http from 'http';
+import https from 'https';
+import { AddressInfo } from 'net';
+import nock from 'nock';
+import { openEventStream } from '../lib/modules/datafile-manager/nodeEventStream';
+import { EventStreamHandlers } from '../lib/modules/datafile-manager/eventStream';
+
+beforeAll(() => {
+  nock.disableNetConnect();
+});
+
+afterAll(() => {
+  nock.enableNetConnect();
+});
+
+describe('openEventStream', () => {
+  const host = 'https://stream.example.com';
+  const path = '/datafiles/123';
+
+  const createHandlers = (): EventStreamHandlers & { closed: Promise<Error | undefined> } => {
+    let resolveClosed: (err?: Error) => void = () => {};
+    const closed = new Promise<Error | undefined>(resolve => {
+      resolveClosed = resolve;
+    });
+    return {
+      onOpen: vi.fn(),
+      onEvent: vi.fn(),
+      onClose: vi.fn().mockImplementation((err?: Error) => resolveClosed(err)),
+      closed,
+    };
+  };
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('requests an event stream and passes parsed events to the handlers', async () => {
+    const scope = nock(host)
+      .matchHeader('accept', 'text/event-stream')
+      .matchHeader('authorization', 'Bearer token')
+      .get(path)
+      .reply(200, 'event: revision\ndata: 42\n\n: keep-alive\n\nevent: datafile\ndata: {}\n\n');
+    const handlers = createHandlers();
+    openEventStream(`${host}${path}`, { Authorization: 'Bearer token' }, handlers);
+
+    expect(await handlers.closed).toBeUndefined();
+    expect(handlers.onOpen).toBeCalledTimes(1);
+    expect(handlers.onEvent).toBeCalledTimes(2);
+    expect(handlers.onEvent).toHaveBeenNthCalledWith(1, { event: 'revision', data: '42', id: undefined });
+    expect(handlers.onEvent).toHaveBeenNthCalledWith(2, { event: 'datafile', data: '{}', id: undefined });
+    scope.done();
+  });
+
+  it('closes with an error when the response status is not 200', async () => {
+    const scope = nock(host)
+      .get(path)
+      .reply(404, '');
+    const handlers = createHandlers();
+    openEventStream(`${host}${path}`, {}, handlers);
+
+    const err = await handlers.closed;
+    expect(err).toBeInstanceOf(Error);
+    expect(err?.message).toBe('Stream request failed with status: 404');
+    expect(handlers.onOpen).not.toBeCalled();
+    scope.done();
+  });
+
+  it('closes with an error when the request fails', async () => {
+    const scope = nock(host)
+      .get(path)
+      .replyWithError('connection refused');
+    const handlers = createHandlers();
+    openEventStream(`${host}${path}`, {}, handlers);
+
+    const err = await handlers.closed;
+    expect(err).toBeInstanceOf(Error);
+    scope.done();
+  });
+
+  it('closes with an error for an unsupported protocol', async () => {
+    const handlers = createHandlers();
+    openEventStream('ftp://stream.example.com/datafiles/123', {}, handlers);
+
+    const err = await handlers.closed;
+    expect(err?.message).toBe('Unsupported protocol: ftp:');
+  });
+
+  it('closes with an error for an invalid URL', async () => {
+    const handlers = createHandlers();
+    openEventStream('stream.example.com/datafiles/123', {}, handlers);
+
+    const err = await handlers.closed;
+    expect(err?.message).toBe('Invalid stream URL: stream.example.com/datafiles/123');
+    expect(handlers.onOpen).not.toBeCalled();
+  });
+
+  describe('with a local server', () => {
+    let server: http.Server;
+    let serverUrl: string;
+    let onRequest: (req: http.IncomingMessage, res: http.ServerResponse) => void;
+
+    beforeAll(async () => {
+      nock.enableNetConnect('127.0.0.1');
+      server = http.createServer((req, res) => onRequest(req, res));
+      await new Promise<void>(resolve => server.listen(0, '127.0.0.1', () => resolve()));
+      serverUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}${path}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+      nock.disableNetConnect();
+    });
+
+    it('sends the request through the agent of its protocol', async () => {
+      onRequest = (req, res): void => {
+        res.writeHead(200, { 'content-type': 'text/event-stream' });
+        res.end('event: revision\ndata: 42\n\n');
+      };
+      const agent = { http: new http.Agent(), https: new https.Agent() };
+      const requestSpy = vi.spyOn(http, 'request');
+      try {
+        const handlers = createHandlers();
+        openEventStream(serverUrl, {}, handlers, { agent });
+
+        expect(await handlers.closed).toBeUndefined();
+        expect(handlers.onEvent).toBeCalledWith({ event: 'revision', data: '42', id: undefined });
+        expect(requestSpy).toBeCalledTimes(1);
+        expect((requestSpy.mock.calls[0][1] as http.RequestOptions).agent).toBe(agent.http);
+      } finally {
+        requestSpy.mockRestore();
+        agent.http.destroy();
+        agent.https.destroy();
+      }
+    });
+
+    it('closes with an error when the socket is destroyed in the middle of the stream', async () => {
+      onRequest = (req, res): void => {
+        res.writeHead(200, { 'content-type': 'text/event-stream' });
+        res.write('event: revision\ndata: 42\n\n', () => {
+          setTimeout(() => req.socket.destroy(), 20);
+        });
+      };
+      const handlers = createHandlers();
+      openEventStream(serverUrl, {}, handlers);
+
+      const err = await handlers.closed;
+      expect(err).toBeInstanceOf(Error);
+      expect(handlers.onOpen).toBeCalledTimes(1);
+      expect(handlers.onEvent).toBeCalledWith({ event: 'revision', data: '42', id: undefined });
+      expect(handlers.onClose).toBeCalledTimes(1);
+    });
+
+    it('closes with an error when the stream stays idle for longer than the idle timeout', async () => {
+      const responses: http.ServerResponse[] = [];
+      onRequest = (req, res): void => {
+        responses.push(res);
+        res.writeHead(200, { 'content-type': 'text/event-stream' });
+        res.write(': keep-alive\n\n');
+      };
+      const handlers = createHandlers();
+      openEventStream(serverUrl, {}, handlers, { idleTimeout: 50 });
+
+      const err = await handlers.closed;
+      expect(err?.message).toBe('Stream was idle for 50 ms');
+      expect(handlers.onOpen).toBeCalledTimes(1);
+      expect(handlers.onClose).toBeCalledTimes(1);
+      responses.forEach(res => res.end());
+    });
+  });
+
+  it('keeps the query string of the URL in the request', async () => {
+    const scope = nock(host)
+      .get(path)
+      .query({ since: '42' })
+      .reply(200, '');
+    const handlers = createHandlers();
+    openEventStream(`${host}${path}?since=42`, {}, handlers);
+
+    expect(await handlers.closed).toBeUndefined();
+    scope.done();
+  });
+});
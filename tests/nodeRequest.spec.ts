@@ -17,6 +17,8 @@ import { describe, beforeEach, afterEach, beforeAll, afterAll, it, vi, expect }
 
 import nock from 'nock';
 import zlib from 'zlib';
+import http from 'http';
+import https from 'https';
 import { makeGetRequest } from '../lib/modules/datafile-manager/nodeRequest';
 import { advanceTimersByTime } from './testUtils';
 
@@ -96,6 +98,38 @@ describe('nodeEnvironment', () => {
       scope.done();
     });
 
+    it('sends the request through the provided agent', async () => {
+      const scope = nock(host)
+        .get(path)
+        .reply(200, '{"foo":"bar"}');
+      const requestSpy = vi.spyOn(https, 'request');
+      const agent = new https.Agent({ keepAlive: true });
+      const req = makeGetRequest(`${host}${path}`, {}, agent);
+      await req.responsePromise;
+      expect(requestSpy).toBeCalledTimes(1);
+      expect(requestSpy.mock.calls[0][0]).toMatchObject({ agent });
+      requestSpy.mockRestore();
+      agent.destroy();
+      scope.done();
+    });
+
+    it('sends the request through the agent of its protocol when given an agent per protocol', async () => {
+      const httpHost = 'http://cdn.optimizely.com';
+      const scope = nock(httpHost)
+        .get(path)
+        .reply(200, '{"foo":"bar"}');
+      const requestSpy = vi.spyOn(http, 'request');
+      const agents = { http: new http.Agent({ keepAlive: true }), https: new https.Agent({ keepAlive: true }) };
+      const req = makeGetRequest(`${httpHost}${path}`, {}, agents);
+      await req.responsePromise;
+      expect(requestSpy).toBeCalledTimes(1);
+      expect(requestSpy.mock.calls[0][0]).toMatchObject({ agent: agents.http });
+      requestSpy.mockRestore();
+      agents.http.destroy();
+      agents.https.destroy();
+      scope.done();
+    });
+
     it('includes headers from the response in the eventual response in the return value', async () => {
       const scope = await nock(host)
         .get(path)
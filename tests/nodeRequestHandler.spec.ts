@@ -18,7 +18,9 @@ import { describe, beforeEach, afterEach, beforeAll, afterAll, it, vi, expect }
 
 import nock from 'nock';
 import zlib from 'zlib';
-import { NodeRequestHandler } from '../lib/utils/http_request_handler/node_request_handler';
+import http from 'http';
+import https from 'https';
+import { getAgentForProtocol, NodeRequestHandler } from '../lib/utils/http_request_handler/node_request_handler';
 import { NoOpLogger } from '../lib/plugins/logger';
 
 beforeAll(() => {
@@ -175,6 +177,22 @@ describe('NodeRequestHandler', () => {
       scope.done();
     });
 
+    it('should send the request through the https agent when given an agent per protocol', async () => {
+      const scope = nock(host)
+        .post(path)
+        .reply(200, body);
+      const requestSpy = vi.spyOn(https, 'request');
+      const agents = { http: new http.Agent({ keepAlive: true }), https: new https.Agent({ keepAlive: true }) };
+      nodeRequestHandler = new NodeRequestHandler(new NoOpLogger(), undefined, agents);
+
+      await nodeRequestHandler.makeRequest(`${host}${path}`, {}, 'post', body).responsePromise;
+      expect(requestSpy.mock.calls[0][0]).toMatchObject({ agent: agents.https });
+      requestSpy.mockRestore();
+      agents.http.destroy();
+      agents.https.destroy();
+      scope.done();
+    });
+
     it('should handle a url with a host and a port', async () => {
       const hostWithPort = 'https://datafiles:44311';
       const path = '/12/345.json';
@@ -235,3 +253,13 @@ describe('NodeRequestHandler', () => {
     });
   });
 });
+
+describe('getAgentForProtocol', () => {
+  it('should return a single agent for any protocol, or the agent of the protocol', () => {
+    const agents = { http: new http.Agent(), https: new https.Agent() };
+    expect(getAgentForProtocol(undefined, 'https:')).toBeUndefined();
+    expect(getAgentForProtocol(agents.https, 'http:')).toBe(agents.https);
+    expect(getAgentForProtocol(agents, 'http:')).toBe(agents.http);
+    expect(getAgentForProtocol(agents, 'https:')).toBe(agents.https);
+  });
+});
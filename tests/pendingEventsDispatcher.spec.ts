@@ -208,6 +208,51 @@ describe('PendingEventsDispatcher', () => {
     })
   })
 
+  describe('when the dispatch fails with a network or server error', () => {
+    it('should keep the pendingEvent in the store, and reuse it when the request is dispatched again', () => {
+      const callback = vi.fn()
+      const eventV1Request: EventV1Request = {
+        url: 'http://cdn.com',
+        httpVerb: 'POST',
+        params: ({ id: 'event' } as unknown) as EventV1,
+      }
+
+      pendingEventsDispatcher.dispatchEvent(eventV1Request, callback)
+      const internalDispatchCalls = ((originalEventDispatcher.dispatchEvent as unknown) as MockInstance)
+        .mock.calls
+      internalDispatchCalls[0][1]({ statusCode: 500 })
+      expect(callback).toHaveBeenCalledWith({ statusCode: 500 })
+      expect(store.values()).toHaveLength(1)
+
+      ;((uuid as unknown) as MockInstance).mockReturnValue('uuid2')
+      pendingEventsDispatcher.dispatchEvent(eventV1Request, callback)
+      expect(store.values()).toEqual([{ uuid: 'uuid', timestamp: 1, request: eventV1Request }])
+      internalDispatchCalls[1][1]({ statusCode: 0 })
+      expect(store.values()).toHaveLength(1)
+
+      pendingEventsDispatcher.dispatchEvent(eventV1Request, callback)
+      internalDispatchCalls[2][1]({ statusCode: 200 })
+      expect(store.values()).toHaveLength(0)
+    })
+
+    it('should remove the pendingEvent from the store once it is discarded', () => {
+      const eventV1Request: EventV1Request = {
+        url: 'http://cdn.com',
+        httpVerb: 'POST',
+        params: ({ id: 'event' } as unknown) as EventV1,
+      }
+
+      pendingEventsDispatcher.dispatchEvent(eventV1Request, vi.fn())
+      const internalDispatchCalls = ((originalEventDispatcher.dispatchEvent as unknown) as MockInstance)
+        .mock.calls
+      internalDispatchCalls[0][1]({ statusCode: 503 })
+      expect(store.values()).toHaveLength(1)
+
+      pendingEventsDispatcher.discardEvent(eventV1Request)
+      expect(store.values()).toHaveLength(0)
+    })
+  })
+
   describe('sendPendingEvents', () => {
     describe('when no pending events are in the store', () => {
       it('should not invoked dispatch', () => {
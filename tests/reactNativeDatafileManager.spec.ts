@@ -149,6 +149,7 @@ describe('reactNativeDatafileManager', () => {
     vi.advanceTimersByTime(50);
     await manager.onReady();
     expect(JSON.parse(manager.get())).toEqual({ foo: 'bar' });
+    manager.persistDatafile(manager.get());
     expect(setSpy.mock.calls[0][0]).toEqual('opt-datafile-keyThatExists');
     expect(JSON.parse(setSpy.mock.calls[0][1])).toEqual({ foo: 'bar' });
   });
@@ -172,6 +173,7 @@ describe('reactNativeDatafileManager', () => {
     await manager.onReady();
 
     expect(JSON.parse(manager.get())).toEqual({ foo: 'bar' });
+    manager.persistDatafile(manager.get());
     expect(mockSet.mock.calls[0][0]).toEqual('opt-datafile-keyThatExists');
     expect(JSON.parse(mockSet.mock.calls[0][1] as string)).toEqual({ foo: 'bar' });
   });
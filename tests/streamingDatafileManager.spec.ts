@@ -0,0 +1,218 @@
+/**
+ * Copyright 2026, Optimizely
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { describe, beforeEach, afterEach, it, expect, vi, MockInstance } from 'vitest';
+
+import https from 'https';
+import StreamingDatafileManager from '../lib/modules/datafile-manager/streamingDatafileManager';
+import * as nodeRequest from '../lib/modules/datafile-manager/nodeRequest';
+import * as nodeEventStream from '../lib/modules/datafile-manager/nodeEventStream';
+import { EventStreamOptions } from '../lib/modules/datafile-manager/nodeEventStream';
+import { Headers, AbortableRequest } from '../lib/modules/datafile-manager/http';
+import { EventStream, EventStreamHandlers } from '../lib/modules/datafile-manager/eventStream';
+import { advanceTimersByTime } from './testUtils';
+
+// Let the promise chains of the mocked requests run
+const flushPromises = async (): Promise<void> => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+describe('streamingDatafileManager', () => {
+  let makeGetRequestSpy: MockInstance<(reqUrl: string, headers: Headers) => AbortableRequest>;
+  let openEventStreamSpy: MockInstance<
+    (reqUrl: string, headers: Headers, handlers: EventStreamHandlers, options?: EventStreamOptions) => EventStream
+  >;
+  let closeStream: () => void;
+  let manager: StreamingDatafileManager;
+
+  const getStreamHandlers = (): EventStreamHandlers => {
+    const calls = openEventStreamSpy.mock.calls;
+    return calls[calls.length - 1][2];
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    makeGetRequestSpy = vi.spyOn(nodeRequest, 'makeGetRequest').mockImplementation(() => ({
+      abort: vi.fn(),
+      responsePromise: Promise.resolve({
+        statusCode: 200,
+        body: '{"revision":"1"}',
+        headers: {},
+      }),
+    }));
+    closeStream = vi.fn();
+    openEventStreamSpy = vi.spyOn(nodeEventStream, 'openEventStream').mockImplementation(() => ({
+      close: closeStream,
+    }));
+    manager = new StreamingDatafileManager({
+      sdkKey: '1234',
+      streamUrlTemplate: 'https://stream.example.com/%s',
+    });
+  });
+
+  afterEach(async () => {
+    await manager.stop();
+    vi.restoreAllMocks();
+    vi.clearAllTimers();
+  });
+
+  it('fetches the datafile and opens the stream when started', async () => {
+    manager.start();
+    expect(makeGetRequestSpy).toBeCalledTimes(1);
+    expect(openEventStreamSpy).toBeCalledTimes(1);
+    expect(openEventStreamSpy.mock.calls[0][0]).toBe('https://stream.example.com/1234');
+    expect(openEventStreamSpy.mock.calls[0][1]).toEqual({});
+    await manager.onReady();
+    expect(JSON.parse(manager.get())).toEqual({ revision: '1' });
+  });
+
+  it('sends the access token to the stream', () => {
+    manager = new StreamingDatafileManager({
+      sdkKey: '1234',
+      streamUrlTemplate: 'https://stream.example.com/%s',
+      datafileAccessToken: 'abcdefgh',
+    });
+    manager.start();
+    expect(openEventStreamSpy.mock.calls[0][1]).toEqual({ Authorization: 'Bearer abcdefgh' });
+  });
+
+  it('passes the idle timeout to the stream', () => {
+    manager = new StreamingDatafileManager({
+      sdkKey: '1234',
+      streamUrlTemplate: 'https://stream.example.com/%s',
+      streamIdleTimeout: 30000,
+    });
+    manager.start();
+    expect(openEventStreamSpy.mock.calls[0][3]).toEqual({ idleTimeout: 30000 });
+  });
+
+  it('passes its agent to the stream', () => {
+    const agent = new https.Agent();
+    manager = new StreamingDatafileManager({
+      sdkKey: '1234',
+      streamUrlTemplate: 'https://stream.example.com/%s',
+      agent,
+    });
+    manager.start();
+    expect(openEventStreamSpy.mock.calls[0][3]).toEqual({ idleTimeout: undefined, agent });
+  });
+
+  it('applies datafiles pushed through the stream', async () => {
+    const listener = vi.fn();
+    manager.on('update', listener);
+    manager.start();
+    await manager.onReady();
+    getStreamHandlers().onOpen();
+    getStreamHandlers().onEvent({ event: 'datafile', data: '{"revision":"2"}' });
+    expect(JSON.parse(manager.get())).toEqual({ revision: '2' });
+    expect(listener).toBeCalledTimes(1);
+    expect(listener).toBeCalledWith({ datafile: '{"revision":"2"}' });
+  });
+
+  it('ignores invalid datafiles pushed through the stream', async () => {
+    manager.start();
+    await manager.onReady();
+    getStreamHandlers().onOpen();
+    getStreamHandlers().onEvent({ event: 'datafile', data: '{"revision":' });
+    expect(JSON.parse(manager.get())).toEqual({ revision: '1' });
+  });
+
+  it('fetches the signed datafile instead of applying datafiles pushed through the stream when signatures are fetched', async () => {
+    manager = new StreamingDatafileManager({
+      sdkKey: '1234',
+      streamUrlTemplate: 'https://stream.example.com/%s',
+      signatureHeader: 'x-datafile-signature',
+    });
+    manager.start();
+    await manager.onReady();
+    getStreamHandlers().onOpen();
+    getStreamHandlers().onEvent({ event: 'datafile', data: '{"revision":"2"}' });
+    expect(JSON.parse(manager.get())).toEqual({ revision: '1' });
+    await flushPromises();
+    expect(makeGetRequestSpy).toBeCalledTimes(2);
+  });
+
+  it('fetches the datafile when a new revision is announced', async () => {
+    manager.start();
+    await manager.onReady();
+    getStreamHandlers().onOpen();
+    getStreamHandlers().onEvent({ event: 'revision', data: '1' });
+    await flushPromises();
+    expect(makeGetRequestSpy).toBeCalledTimes(1);
+    getStreamHandlers().onEvent({ event: 'revision', data: '2' });
+    await flushPromises();
+    expect(makeGetRequestSpy).toBeCalledTimes(2);
+  });
+
+  it('stops polling while the stream is connected', async () => {
+    manager.start();
+    await manager.onReady();
+    getStreamHandlers().onOpen();
+    // the sync scheduled before the stream connected still happens, but no further ones
+    await advanceTimersByTime(300000);
+    expect(makeGetRequestSpy).toBeCalledTimes(2);
+    await advanceTimersByTime(600000);
+    expect(makeGetRequestSpy).toBeCalledTimes(2);
+  });
+
+  it('falls back to polling and reconnects with backoff when the stream drops', async () => {
+    manager.start();
+    await manager.onReady();
+    getStreamHandlers().onOpen();
+    await advanceTimersByTime(300000);
+    expect(makeGetRequestSpy).toBeCalledTimes(2);
+
+    getStreamHandlers().onClose(new Error('socket hang up'));
+    await flushPromises();
+    expect(makeGetRequestSpy).toBeCalledTimes(3);
+    await advanceTimersByTime(1000);
+    expect(openEventStreamSpy).toBeCalledTimes(1);
+    await advanceTimersByTime(9000);
+    expect(openEventStreamSpy).toBeCalledTimes(2);
+
+    // still polling while reconnecting
+    getStreamHandlers().onClose(new Error('connect ECONNREFUSED'));
+    await advanceTimersByTime(300000);
+    expect(makeGetRequestSpy).toBeCalledTimes(4);
+
+    // catches up once reconnected
+    getStreamHandlers().onOpen();
+    await flushPromises();
+    expect(makeGetRequestSpy).toBeCalledTimes(5);
+  });
+
+  it('closes the stream and does not reconnect when stopped', async () => {
+    manager.start();
+    await manager.onReady();
+    getStreamHandlers().onOpen();
+    await manager.stop();
+    expect(closeStream).toBeCalledTimes(1);
+    await advanceTimersByTime(600000);
+    expect(openEventStreamSpy).toBeCalledTimes(1);
+  });
+
+  it('does not open the stream when autoUpdate is false', async () => {
+    manager = new StreamingDatafileManager({
+      sdkKey: '1234',
+      streamUrlTemplate: 'https://stream.example.com/%s',
+      autoUpdate: false,
+    });
+    manager.start();
+    await manager.onReady();
+    expect(openEventStreamSpy).not.toBeCalled();
+  });
+});
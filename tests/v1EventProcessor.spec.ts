@@ -22,6 +22,7 @@ import {
   EventDispatcherCallback,
 } from '../lib/modules/event_processor/eventDispatcher'
 import { EventProcessor } from '../lib/modules/event_processor/eventProcessor'
+import { DeadLetterStore } from '../lib/modules/event_processor/deadLetterStore'
 import { buildImpressionEventV1, makeBatchedEventV1 } from '../lib/modules/event_processor/v1/buildEventV1'
 import { NotificationCenter, NotificationSender } from '../lib/core/notification_center'
 import { NOTIFICATION_TYPES } from '../lib/utils/enums'
@@ -499,6 +500,212 @@ describe('LogTierV1EventProcessor', () => {
 
   })
 
+  describe('when dispatching fails', () => {
+    let statusCodes: number[]
+    let dispatcher: EventDispatcher
+    let deadLetterStore: DeadLetterStore
+
+    beforeEach(() => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.5)
+      statusCodes = []
+      dispatcher = {
+        dispatchEvent: vi.fn((event: EventV1Request, callback: EventDispatcherCallback) => {
+          callback({ statusCode: statusCodes.shift() ?? 200 })
+        }),
+      }
+      deadLetterStore = {
+        add: vi.fn().mockResolvedValue(undefined),
+      }
+    })
+
+    afterEach(() => {
+      vi.mocked(Math.random).mockRestore()
+    })
+
+    it('should retry network and server errors with exponential backoff', () => {
+      statusCodes = [503, 0]
+      const notificationCenter: NotificationSender = {
+        sendNotifications: vi.fn()
+      }
+      const processor = new LogTierV1EventProcessor({
+        dispatcher,
+        notificationCenter,
+        batchSize: 1,
+        retryOptions: { initialBackoff: 1000 },
+        deadLetterStore,
+      })
+      processor.start()
+
+      processor.process(createImpressionEvent())
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(1)
+      vi.advanceTimersByTime(499)
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(1)
+      vi.advanceTimersByTime(1)
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(2)
+      vi.advanceTimersByTime(1000)
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(3)
+      vi.advanceTimersByTime(60000)
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(3)
+
+      const calls = (dispatcher.dispatchEvent as Mock).mock.calls
+      expect(calls[1][0]).toBe(calls[0][0])
+      expect(calls[2][0]).toBe(calls[0][0])
+      expect(notificationCenter.sendNotifications).toBeCalledTimes(1)
+      expect(deadLetterStore.add).not.toBeCalled()
+    })
+
+    it('should cap the backoff', () => {
+      statusCodes = [500, 500, 500]
+      const processor = new LogTierV1EventProcessor({
+        dispatcher,
+        batchSize: 1,
+        retryOptions: { initialBackoff: 1000, maxBackoff: 3000 },
+      })
+      processor.start()
+
+      processor.process(createImpressionEvent())
+      vi.advanceTimersByTime(500 + 1000)
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(3)
+      vi.advanceTimersByTime(1499)
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(3)
+      vi.advanceTimersByTime(1)
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(4)
+    })
+
+    it('should add the batch to the dead letter store after the last retry', () => {
+      statusCodes = [500, 500, 502]
+      const processor = new LogTierV1EventProcessor({
+        dispatcher,
+        batchSize: 1,
+        retryOptions: { maxRetries: 2, initialBackoff: 1000 },
+        deadLetterStore,
+      })
+      processor.start()
+
+      processor.process(createImpressionEvent())
+      vi.advanceTimersByTime(60000)
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(3)
+      expect(deadLetterStore.add).toBeCalledTimes(1)
+      expect(deadLetterStore.add).toBeCalledWith({
+        uuid: expect.any(String),
+        timestamp: expect.any(Number),
+        request: (dispatcher.dispatchEvent as Mock).mock.calls[0][0],
+        attempts: 3,
+        statusCode: 502,
+      })
+    })
+
+    it('should not retry client errors', () => {
+      statusCodes = [400]
+      const processor = new LogTierV1EventProcessor({
+        dispatcher,
+        batchSize: 1,
+        deadLetterStore,
+      })
+      processor.start()
+
+      processor.process(createImpressionEvent())
+      vi.advanceTimersByTime(60000)
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(1)
+      expect(deadLetterStore.add).toBeCalledTimes(1)
+      expect(vi.mocked(deadLetterStore.add).mock.calls[0][0].attempts).toBe(1)
+    })
+
+    it('should not retry when maxRetries is 0', () => {
+      statusCodes = [503]
+      const processor = new LogTierV1EventProcessor({
+        dispatcher,
+        batchSize: 1,
+        retryOptions: { maxRetries: 0 },
+        deadLetterStore,
+      })
+      processor.start()
+
+      processor.process(createImpressionEvent())
+      vi.advanceTimersByTime(60000)
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(1)
+      expect(deadLetterStore.add).toBeCalledTimes(1)
+    })
+
+    it('should give up pending retries when stopped', async () => {
+      statusCodes = [503]
+      const processor = new LogTierV1EventProcessor({
+        dispatcher,
+        batchSize: 1,
+        deadLetterStore,
+      })
+      processor.start()
+
+      processor.process(createImpressionEvent())
+      await processor.stop()
+      expect(deadLetterStore.add).toBeCalledTimes(1)
+      vi.advanceTimersByTime(60000)
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(1)
+    })
+
+    it('should retry pending batches like its own batches, without a notification', () => {
+      statusCodes = [503]
+      const notificationCenter: NotificationSender = {
+        sendNotifications: vi.fn()
+      }
+      const processor = new LogTierV1EventProcessor({
+        dispatcher,
+        notificationCenter,
+        retryOptions: { initialBackoff: 1000 },
+      })
+      processor.start()
+
+      const request: EventV1Request = {
+        url: 'https://logx.optimizely.com/v1/events',
+        httpVerb: 'POST',
+        params: makeBatchedEventV1([createImpressionEvent()]),
+      }
+      processor.dispatchPendingBatch(request)
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(1)
+      vi.advanceTimersByTime(500)
+      expect(dispatcher.dispatchEvent).toBeCalledTimes(2)
+      expect((dispatcher.dispatchEvent as Mock).mock.calls[1][0]).toBe(request)
+      expect(notificationCenter.sendNotifications).not.toBeCalled()
+    })
+
+    it('should discard the batch from the dispatcher once it is added to the dead letter store', async () => {
+      statusCodes = [503, 503]
+      dispatcher.discardEvent = vi.fn()
+      const processor = new LogTierV1EventProcessor({
+        dispatcher,
+        batchSize: 1,
+        retryOptions: { maxRetries: 1 },
+        deadLetterStore,
+      })
+      processor.start()
+
+      processor.process(createImpressionEvent())
+      vi.advanceTimersByTime(60000)
+      await processor.stop()
+      expect(deadLetterStore.add).toBeCalledTimes(1)
+      expect(dispatcher.discardEvent).toBeCalledTimes(1)
+      expect(dispatcher.discardEvent).toBeCalledWith((dispatcher.dispatchEvent as Mock).mock.calls[0][0])
+    })
+
+    it('should complete the request when the dead letter store fails', async () => {
+      statusCodes = [400]
+      vi.mocked(deadLetterStore.add).mockRejectedValue(new Error('quota exceeded'))
+      dispatcher.discardEvent = vi.fn()
+      const processor = new LogTierV1EventProcessor({
+        dispatcher,
+        batchSize: 1,
+        deadLetterStore,
+      })
+      processor.start()
+
+      processor.process(createImpressionEvent())
+      await processor.stop()
+      expect(deadLetterStore.add).toBeCalledTimes(1)
+      // the batch is kept by the dispatcher, to be dispatched again by the next process
+      expect(dispatcher.discardEvent).not.toBeCalled()
+    })
+  })
+
   describe('when a notification center is provided', () => {
     it('should trigger a notification when the event dispatcher dispatches an event', () => {
       const dispatcher: EventDispatcher = {